@@ -5,7 +5,22 @@ require("dotenv").config();
 // Import custom modules
 const { getDatabase } = require("./src/database/connection");
 const { getScheduler } = require("./src/services/schedulerService");
+const { getWorker } = require("./src/services/workerService");
+const { getQueue } = require("./src/services/queueService");
+const { getEvents } = require("./src/services/eventService");
+const { getAuth } = require("./src/services/authService");
+const {
+  runsApi,
+  runsScheduler,
+  runsWorker,
+  describeServiceRoles,
+} = require("./src/utils/serviceRole");
 const jobRoutes = require("./src/routes/jobRoutes");
+const workflowRoutes = require("./src/routes/workflowRoutes");
+const calendarRoutes = require("./src/routes/calendarRoutes");
+const executionRoutes = require("./src/routes/executionRoutes");
+const eventRoutes = require("./src/routes/eventRoutes");
+const authRoutes = require("./src/routes/authRoutes");
 const { specs, swaggerUi, swaggerOptions } = require("./src/utils/swagger");
 const {
   requestLogger,
@@ -20,6 +35,7 @@ const {
   getRateLimitStats,
 } = require("./src/middleware/performance");
 const { handleValidationError } = require("./src/middleware/validation");
+const { authenticate } = require("./src/middleware/auth");
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -49,16 +65,29 @@ app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 // Health check middleware (before rate limiting)
 app.use(healthCheck);
 
-// Rate limiting
-app.use("/api/jobs/:id/trigger", strictRateLimit);
-app.use("/api/jobs", generalRateLimit); // General rate limit for job endpoints
-app.use("/api", generalRateLimit); // General rate limit for all API endpoints
-
-// Swagger documentation
-app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(specs, swaggerOptions));
-
-// API routes
-app.use("/api/jobs", jobRoutes);
+// Scheduler and worker instances only serve / and /health (for probes)
+if (runsApi()) {
+  // Rate limiting
+  app.use("/api/jobs/:id/trigger", strictRateLimit);
+  app.use("/api/workflows/:id/run", strictRateLimit);
+  app.use("/api/auth/login", strictRateLimit);
+  app.use("/api/jobs", generalRateLimit); // General rate limit for job endpoints
+  app.use("/api", generalRateLimit); // General rate limit for all API endpoints
+
+  // Swagger documentation
+  app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(specs, swaggerOptions));
+
+  // Sign-in is public; everything else under /api takes a JWT or API key
+  app.use("/api/auth", authRoutes);
+  app.use("/api", authenticate);
+
+  // API routes
+  app.use("/api/jobs", jobRoutes);
+  app.use("/api/workflows", workflowRoutes);
+  app.use("/api/calendars", calendarRoutes);
+  app.use("/api/executions", executionRoutes);
+  app.use("/api/events", eventRoutes);
+}
 
 // Root endpoint with API information
 app.get("/", async (req, res) => {
@@ -71,6 +100,7 @@ app.get("/", async (req, res) => {
       name: "Job Scheduler Microservice",
       version: "1.0.0",
       status: "operational",
+      role: describeServiceRoles(),
       timestamp: new Date().toISOString(),
       services: {
         database: healthCheck.healthy ? "connected" : "disconnected",
@@ -80,7 +110,12 @@ app.get("/", async (req, res) => {
         documentation: "/api-docs",
         version: "v1",
         endpoints: {
+          auth: "/api/auth",
           jobs: "/api/jobs",
+          workflows: "/api/workflows",
+          calendars: "/api/calendars",
+          executions: "/api/executions",
+          events: "/api/events",
           health: "/health",
           stats: "/api/jobs/stats",
         },
@@ -106,6 +141,8 @@ app.get("/health", async (req, res) => {
     const scheduler = getScheduler();
     const schedulerStats = scheduler.getStats();
     const rateLimitStats = getRateLimitStats();
+    // Read live: the queue is shared, whatever roles this instance runs
+    const queueStats = await getQueue().getStats();
 
     const health = {
       status: "healthy",
@@ -120,17 +157,32 @@ app.get("/health", async (req, res) => {
         },
         scheduler: {
           status: schedulerStats.isRunning ? "running" : "stopped",
+          role: schedulerStats.role,
+          instanceId: schedulerStats.instanceId,
+          isLeader: schedulerStats.isLeader,
+          queueDepth: queueStats.depth,
           activeJobs: schedulerStats.activeJobs,
           runningExecutions: schedulerStats.runningExecutions,
         },
+        queue: queueStats,
+        workerPool: {
+          size: schedulerStats.poolSize,
+          running: schedulerStats.runningExecutions,
+          freeSlots: schedulerStats.freeSlots,
+          concurrencyLimits: schedulerStats.concurrencyLimits,
+        },
         rateLimiter: rateLimitStats,
       },
       memory: process.memoryUsage(),
       environment: process.env.NODE_ENV || "development",
     };
 
-    // Set status based on critical services
-    if (!healthCheck.healthy || !schedulerStats.isRunning) {
+    // Set status based on critical services (only the roles this instance runs)
+    const roleDown =
+      (runsScheduler() && !schedulerStats.schedulerRunning) ||
+      (runsWorker() && !schedulerStats.workerRunning);
+
+    if (!healthCheck.healthy || roleDown) {
       health.status = "degraded";
       res.status(503);
     }
@@ -146,8 +198,8 @@ app.get("/health", async (req, res) => {
   }
 });
 
-// System statistics endpoint
-app.get("/api/stats/system", generalRateLimit, async (req, res) => {
+// System statistics endpoint (served by every role, so not behind /api auth)
+app.get("/api/stats/system", generalRateLimit, authenticate, async (req, res) => {
   try {
     const scheduler = getScheduler();
     const rateLimitStats = getRateLimitStats();
@@ -199,22 +251,49 @@ app.use(globalErrorHandler);
 // Initialize services and start server
 async function startServer() {
   try {
-    console.log("Starting Job Scheduler Microservice...");
+    console.log(
+      `Starting Job Scheduler Microservice (role: ${describeServiceRoles()})...`
+    );
 
     // Initialize database
     const db = getDatabase();
     await db.initialize();
 
-    // Start scheduler service
+    // Refuse to serve the API without a JWT secret; create the first user
+    if (runsApi()) {
+      await getAuth().initialize();
+    }
+
+    // Start the schedule-evaluating loop
     const scheduler = getScheduler();
-    await scheduler.start();
+    if (runsScheduler()) {
+      await scheduler.start();
+    }
+
+    // Start pulling executions from the queue
+    const worker = getWorker();
+    if (runsWorker()) {
+      await worker.start();
+    }
+
+    // Relay changes from every instance to live event subscribers
+    const events = getEvents();
+    if (runsApi()) {
+      await events.start();
+    }
+
+    if (runsScheduler() || runsWorker()) {
+      await scheduler.publishState();
+    }
 
     // Start HTTP server
     const server = app.listen(port, () => {
       console.log("Job Scheduler Microservice started successfully");
-      console.log(
-        `API Documentation available at: http://localhost:${port}/api-docs`
-      );
+      if (runsApi()) {
+        console.log(
+          `API Documentation available at: http://localhost:${port}/api-docs`
+        );
+      }
       console.log(`Health monitoring at: http://localhost:${port}/health`);
     });
 
@@ -222,14 +301,28 @@ async function startServer() {
     const gracefulShutdown = async (signal) => {
       console.log(`\n Received ${signal}, initiating graceful shutdown...`);
 
+      // End event streams, which would otherwise keep the server open
+      await events.stop();
+
       // Stop accepting new requests
       server.close(async () => {
         console.log("📝 HTTP server closed");
 
         try {
-          // Stop scheduler
-          await scheduler.stop();
-          console.log("⏹Scheduler stopped");
+          // Stop scheduling first so nothing new is enqueued, then drain work
+          if (runsScheduler()) {
+            await scheduler.stop();
+            console.log("⏹Scheduler stopped");
+          }
+
+          if (runsWorker()) {
+            await worker.stop();
+            console.log("Worker stopped");
+          }
+
+          if (runsScheduler() || runsWorker()) {
+            await scheduler.publishState();
+          }
 
           // Close database connections
           await db.close();
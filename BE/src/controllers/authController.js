@@ -0,0 +1,311 @@
+const { getAuth, isAuthEnabled } = require("../services/authService");
+const { UserRepository } = require("../models/User");
+const { ApiKeyRepository } = require("../models/ApiKey");
+
+// PostgreSQL unique_violation (usernames are unique)
+const UNIQUE_VIOLATION = "23505";
+
+/**
+ * Auth Controller - Handles sign-in and the management of users and API
+ * keys
+ */
+class AuthController {
+  constructor() {
+    this.auth = getAuth();
+    this.userRepository = new UserRepository();
+    this.apiKeyRepository = new ApiKeyRepository();
+  }
+
+  /**
+   * POST /auth/login - Exchange a username and password for a JWT
+   */
+  async login(req, res) {
+    try {
+      if (!isAuthEnabled()) {
+        return res.status(409).json({
+          success: false,
+          error: "Conflict",
+          message: "Authentication is disabled on this server",
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const { username, password } = req.body;
+
+      const result = await this.auth.login(username, password);
+
+      if (!result) {
+        return res.status(401).json({
+          success: false,
+          error: "Unauthorized",
+          message: "Invalid username or password",
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          token: result.token,
+          expiresIn: result.expiresIn,
+          user: result.user.toJSON(),
+        },
+        message: "Signed in successfully",
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error signing in:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal Server Error",
+        message: "Failed to sign in",
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * GET /auth/me - Describe the caller
+   */
+  async getCurrentPrincipal(req, res) {
+    try {
+      const principal = req.auth || null;
+      const user =
+        principal?.type === "user"
+          ? await this.userRepository.findById(principal.id)
+          : null;
+
+      res.json({
+        success: true,
+        data: {
+          authEnabled: isAuthEnabled(),
+          principal,
+          user: user ? user.toJSON() : null,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error fetching current user:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal Server Error",
+        message: "Failed to fetch current user",
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * POST /auth/stream-token - Issue a short-lived token for event and log
+   * streams (null when authentication is disabled)
+   */
+  async createStreamToken(req, res) {
+    try {
+      const data = isAuthEnabled()
+        ? this.auth.issueStreamToken(req.auth)
+        : { token: null, expiresIn: null };
+
+      res.json({
+        success: true,
+        data,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error issuing stream token:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal Server Error",
+        message: "Failed to issue stream token",
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * GET /auth/users - List users
+   */
+  async getAllUsers(req, res) {
+    try {
+      const users = await this.userRepository.findAll();
+
+      res.json({
+        success: true,
+        data: users.map((user) => user.toJSON()),
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error fetching users:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal Server Error",
+        message: "Failed to fetch users",
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * POST /auth/users - Create a user
+   */
+  async createUser(req, res) {
+    try {
+      const user = await this.auth.createUser(req.body, req.auth?.name);
+
+      res.status(201).json({
+        success: true,
+        data: user.toJSON(),
+        message: "User created successfully",
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error creating user:", error);
+
+      if (error.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({
+          success: false,
+          error: "Conflict",
+          message: "A user with this username already exists",
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: "Internal Server Error",
+        message: "Failed to create user",
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * PUT /auth/users/:id - Change the password of a user or (de)activate it
+   */
+  async updateUser(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (req.body.isActive === false && req.auth?.id === id) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation Error",
+          message: "You cannot deactivate your own account",
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const user = await this.auth.updateUser(id, req.body);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: "Not Found",
+          message: `User with ID ${id} not found`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      res.json({
+        success: true,
+        data: user.toJSON(),
+        message: "User updated successfully",
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error updating user:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal Server Error",
+        message: "Failed to update user",
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * GET /auth/api-keys - List API keys, revoked ones included
+   */
+  async getAllApiKeys(req, res) {
+    try {
+      const apiKeys = await this.apiKeyRepository.findAll();
+
+      res.json({
+        success: true,
+        data: apiKeys.map((apiKey) => apiKey.toJSON()),
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error fetching API keys:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal Server Error",
+        message: "Failed to fetch API keys",
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * POST /auth/api-keys - Create an API key; the key is only shown here
+   */
+  async createApiKey(req, res) {
+    try {
+      const { apiKey, key } = await this.auth.createApiKey(
+        req.body,
+        req.auth?.name
+      );
+
+      res.status(201).json({
+        success: true,
+        data: { ...apiKey.toJSON(), key },
+        message: "API key created; store it now, it cannot be shown again",
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error creating API key:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal Server Error",
+        message: "Failed to create API key",
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * DELETE /auth/api-keys/:id - Revoke an API key
+   */
+  async revokeApiKey(req, res) {
+    try {
+      const { id } = req.params;
+
+      const apiKey = await this.apiKeyRepository.revoke(id);
+
+      if (!apiKey) {
+        return res.status(404).json({
+          success: false,
+          error: "Not Found",
+          message: `API key with ID ${id} not found`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      res.json({
+        success: true,
+        data: apiKey.toJSON(),
+        message: "API key revoked successfully",
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error revoking API key:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal Server Error",
+        message: "Failed to revoke API key",
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+}
+
+module.exports = AuthController;
@@ -0,0 +1,250 @@
+const { CalendarRepository } = require("../models/Calendar");
+const { parseICalendar } = require("../utils/ical");
+const { getActor, withoutCreator } = require("../middleware/auth");
+
+// PostgreSQL unique_violation (calendar names are unique)
+const UNIQUE_VIOLATION = "23505";
+
+// Express 5 keeps req.query as parsed, so the validated query values are
+// still strings here
+const toNumber = (value) => (value === undefined ? undefined : Number(value));
+
+/**
+ * Calendar Controller - Handles HTTP requests for calendars and their
+ * exclusions
+ */
+class CalendarController {
+  constructor() {
+    this.calendarRepository = new CalendarRepository();
+  }
+
+  /**
+   * GET /calendars - List calendars with pagination
+   */
+  async getAllCalendars(req, res) {
+    try {
+      const result = await this.calendarRepository.findAll({
+        page: toNumber(req.query.page) || 1,
+        limit: toNumber(req.query.limit) || 50,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          calendars: result.calendars.map((calendar) => calendar.toJSON()),
+          pagination: {
+            page: result.page,
+            limit: result.limit,
+            total: result.total,
+            totalPages: result.totalPages,
+            hasNext: result.page < result.totalPages,
+            hasPrev: result.page > 1,
+          },
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error fetching calendars:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal Server Error",
+        message: "Failed to fetch calendars",
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * GET /calendars/:id - Get calendar by ID
+   */
+  async getCalendarById(req, res) {
+    try {
+      const { id } = req.params;
+
+      const calendar = await this.calendarRepository.findById(id);
+
+      if (!calendar) {
+        return this.notFound(res, id);
+      }
+
+      res.json({
+        success: true,
+        data: calendar.toJSON(),
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error fetching calendar:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal Server Error",
+        message: "Failed to fetch calendar",
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * POST /calendars - Create new calendar
+   */
+  async createCalendar(req, res) {
+    try {
+      const calendar = await this.calendarRepository.create({
+        ...req.body,
+        createdBy: getActor(req, req.body.createdBy),
+      });
+
+      res.status(201).json({
+        success: true,
+        data: calendar.toJSON(),
+        message: "Calendar created successfully",
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error creating calendar:", error);
+      this.handleWriteError(res, error, "Failed to create calendar");
+    }
+  }
+
+  /**
+   * PUT /calendars/:id - Update calendar (replaces the exclusions when given)
+   */
+  async updateCalendar(req, res) {
+    try {
+      const { id } = req.params;
+
+      const calendar = await this.calendarRepository.update(
+        id,
+        withoutCreator(req.body)
+      );
+
+      if (!calendar) {
+        return this.notFound(res, id);
+      }
+
+      res.json({
+        success: true,
+        data: calendar.toJSON(),
+        message: "Calendar updated successfully",
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error updating calendar:", error);
+      this.handleWriteError(res, error, "Failed to update calendar");
+    }
+  }
+
+  /**
+   * DELETE /calendars/:id - Delete calendar and detach it from its jobs
+   */
+  async deleteCalendar(req, res) {
+    try {
+      const { id } = req.params;
+
+      const calendar = await this.calendarRepository.delete(id);
+
+      if (!calendar) {
+        return this.notFound(res, id);
+      }
+
+      res.json({
+        success: true,
+        data: calendar.toJSON(),
+        message: "Calendar deleted successfully",
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error deleting calendar:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal Server Error",
+        message: "Failed to delete calendar",
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * POST /calendars/:id/import - Add the events of an iCalendar document
+   */
+  async importICalendar(req, res) {
+    try {
+      const { id } = req.params;
+      const { ics, replace } = req.body;
+
+      const existing = await this.calendarRepository.findById(id);
+
+      if (!existing) {
+        return this.notFound(res, id);
+      }
+
+      const { exclusions, skipped } = parseICalendar(ics, existing.timezone);
+
+      if (exclusions.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation Error",
+          message: `No importable events found (${skipped} skipped)`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const calendar = await this.calendarRepository.importExclusions(
+        id,
+        exclusions,
+        replace
+      );
+
+      res.json({
+        success: true,
+        data: {
+          calendar: calendar.toJSON(),
+          imported: exclusions.length,
+          skipped,
+        },
+        message: `Imported ${exclusions.length} exclusion(s)`,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error importing calendar:", error);
+      this.handleWriteError(res, error, "Failed to import calendar");
+    }
+  }
+
+  handleWriteError(res, error, message) {
+    if (error.message.includes("Validation failed")) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation Error",
+        message: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (error.code === UNIQUE_VIOLATION) {
+      return res.status(409).json({
+        success: false,
+        error: "Conflict",
+        message: "A calendar with this name already exists",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Internal Server Error",
+      message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  notFound(res, id) {
+    return res.status(404).json({
+      success: false,
+      error: "Not Found",
+      message: `Calendar with ID ${id} not found`,
+      timestamp: new Date().toISOString(),
+    });
+  }
+}
+
+module.exports = CalendarController;
@@ -0,0 +1,74 @@
+const { getEvents } = require("../services/eventService");
+
+// Comments sent while no event is, so proxies keep the stream open
+const KEEPALIVE_MS = 15000;
+
+/**
+ * Event Controller - Streams live changes to clients over server-sent events
+ */
+class EventController {
+  constructor() {
+    this.events = getEvents();
+  }
+
+  /**
+   * GET /events - Stream job, execution and scheduler events as they happen.
+   * Events are not stored: a client that reconnects should reload what it
+   * shows, then apply events again.
+   */
+  streamEvents(req, res) {
+    const types = req.query.types
+      ? []
+          .concat(req.query.types)
+          .flatMap((value) => value.split(","))
+          .map((value) => value.trim())
+      : null;
+    const jobId = req.query.jobId || null;
+
+    const matches = (event) => {
+      if (
+        types &&
+        !types.includes(event.type) &&
+        !types.includes(event.type.split(".")[0])
+      ) {
+        return false;
+      }
+
+      // Scheduler events concern no job in particular
+      return !jobId || (event.jobId || event.execution?.jobId) === jobId;
+    };
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      // no-transform keeps the compression middleware from buffering events
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.write("retry: 3000\n\n");
+
+    const keepalive = setInterval(() => {
+      res.write(": ping\n\n");
+    }, KEEPALIVE_MS);
+
+    const unsubscribe = this.events.subscribe(
+      (event) => {
+        if (matches(event)) {
+          res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        }
+      },
+      // The service is stopping (shutdown)
+      () => {
+        clearInterval(keepalive);
+        res.end();
+      }
+    );
+
+    req.on("close", () => {
+      clearInterval(keepalive);
+      unsubscribe();
+    });
+  }
+}
+
+module.exports = EventController;
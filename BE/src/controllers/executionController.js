@@ -0,0 +1,116 @@
+const { ExecutionRepository } = require("../models/Execution");
+
+// Query filters given once, comma-separated or repeated
+const toList = (value) =>
+  value === undefined
+    ? undefined
+    : []
+        .concat(value)
+        .flatMap((item) => item.split(","))
+        .map((item) => item.trim())
+        .filter((item) => item.length > 0);
+
+const toNumber = (value) => (value === undefined ? undefined : Number(value));
+
+/**
+ * Execution Controller - Handles HTTP requests for job executions
+ */
+class ExecutionController {
+  constructor() {
+    this.executionRepository = new ExecutionRepository();
+  }
+
+  /**
+   * GET /executions - Search executions across all jobs (cursor pagination)
+   */
+  async searchExecutions(req, res) {
+    try {
+      const { query } = req;
+      const limit = parseInt(query.limit) || 50;
+
+      const result = await this.executionRepository.search({
+        statuses: toList(query.status),
+        triggerSources: toList(query.triggerSource),
+        from: query.from ? new Date(query.from) : undefined,
+        to: query.to ? new Date(query.to) : undefined,
+        jobId: query.jobId,
+        tags: toList(query.tags),
+        minDurationMs: toNumber(query.minDurationMs),
+        maxDurationMs: toNumber(query.maxDurationMs),
+        error: query.error,
+        cursor: query.cursor,
+        limit,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          executions: result.executions.map((execution) =>
+            execution.toSummaryJSON()
+          ),
+          pagination: {
+            limit,
+            nextCursor: result.nextCursor,
+            hasNext: result.nextCursor !== null,
+          },
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error searching executions:", error);
+
+      if (error.message.includes("Validation failed")) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation Error",
+          message: error.message,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: "Internal Server Error",
+        message: "Failed to search executions",
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * GET /executions/:executionId - Get an execution with its output, error
+   * and retry chain
+   */
+  async getExecutionById(req, res) {
+    try {
+      const { executionId } = req.params;
+
+      const execution = await this.executionRepository.findById(executionId);
+
+      if (!execution) {
+        return res.status(404).json({
+          success: false,
+          error: "Not Found",
+          message: `Execution with ID ${executionId} not found`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      res.json({
+        success: true,
+        data: execution.toJSON(),
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error fetching execution:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal Server Error",
+        message: "Failed to fetch execution",
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+}
+
+module.exports = ExecutionController;
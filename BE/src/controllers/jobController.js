@@ -1,6 +1,52 @@
-const { JobRepository } = require("../models/Job");
+const { Job, JobRepository } = require("../models/Job");
+const {
+  CalendarRepository,
+  findCalendarExclusion,
+} = require("../models/Calendar");
+const { ExecutionRepository } = require("../models/Execution");
 const { getScheduler } = require("../services/schedulerService");
 const { getCache } = require("../services/cacheService");
+const { getQueue } = require("../services/queueService");
+const { getWorker } = require("../services/workerService");
+const { getExecutionLogs } = require("../services/executionLogService");
+const {
+  DEFAULT_TIMEZONE,
+  CRON_FORMAT_HINT,
+  MIN_INTERVAL_MS,
+  MAX_INTERVAL_MS,
+  isValidTimezone,
+  isValidInterval,
+  isValidCronExpression,
+  getNextRunTimes,
+} = require("../utils/cron");
+const { uuidSchema } = require("../validators/jobValidators");
+const { getActor, withoutCreator } = require("../middleware/auth");
+
+// Express 5 keeps req.query as parsed, so the validated query values are
+// still strings here ("false" is truthy)
+const toBoolean = (value) => (value === undefined ? undefined : value === "true");
+
+const toList = (value) =>
+  value === undefined
+    ? undefined
+    : []
+        .concat(value)
+        .flatMap((item) => item.split(","))
+        .map((item) => item.trim())
+        .filter((item) => item.length > 0);
+
+const toNumber = (value) => (value === undefined ? undefined : Number(value));
+
+// Calendar-aware previews scan occurrences in batches, up to a bound so a
+// schedule that every exclusion covers still answers
+const PREVIEW_BATCH_SIZE = 100;
+const PREVIEW_SCAN_LIMIT = 5000;
+const PREVIEW_MAX_EXCLUDED = 20;
+
+// Log tailing polls for new chunks and sends a comment now and then so
+// proxies keep idle streams open
+const LOG_POLL_INTERVAL_MS = 1000;
+const LOG_KEEPALIVE_MS = 15000;
 
 /**
  * Job Controller - Handles HTTP requests for job management
@@ -9,8 +55,12 @@ const { getCache } = require("../services/cacheService");
 class JobController {
   constructor() {
     this.jobRepository = new JobRepository();
+    this.calendarRepository = new CalendarRepository();
+    this.executionRepository = new ExecutionRepository();
     this.scheduler = getScheduler();
     this.cache = getCache();
+    this.worker = getWorker();
+    this.executionLogs = getExecutionLogs();
   }
 
   /**
@@ -19,12 +69,17 @@ class JobController {
   async getAllJobs(req, res) {
     try {
       const options = {
-        page: req.query.page || 1,
-        limit: req.query.limit || 50,
-        isActive: req.query.isActive,
+        page: toNumber(req.query.page) || 1,
+        limit: toNumber(req.query.limit) || 50,
+        isActive: toBoolean(req.query.isActive),
+        paused: toBoolean(req.query.paused),
         jobType: req.query.jobType,
-        tags: req.query.tags,
+        tags: toList(req.query.tags),
         search: req.query.search,
+        minPriority: toNumber(req.query.minPriority),
+        maxPriority: toNumber(req.query.maxPriority),
+        sortBy: req.query.sortBy,
+        sortOrder: req.query.sortOrder,
       };
 
       // Check if client wants to bypass cache for fresh data
@@ -39,31 +94,15 @@ class JobController {
       if (!result) {
         result = await this.jobRepository.findAll(options);
 
-        // Cache for 2 minutes (reduced from 5 minutes for more frequent updates)
+        // Cache for 2 minutes. Any change to a job, by whichever instance,
+        // drops cached lists through the event service
         this.cache.set(cacheKey, result, 2 * 60 * 1000);
       }
 
-      // Always fetch fresh execution times for active jobs to avoid stale data
-      const jobsWithFreshTimes = await Promise.all(
-        result.jobs.map(async (job) => {
-          if (job.isActive) {
-            // Get fresh execution times from database
-            const freshJob = await this.jobRepository.findById(job.id);
-            if (freshJob) {
-              // Update the cached job with fresh execution times
-              job.lastRunAt = freshJob.lastRunAt;
-              job.nextRunAt = freshJob.nextRunAt;
-              job.statistics = freshJob.statistics;
-            }
-          }
-          return job.toJSON();
-        })
-      );
-
       res.json({
         success: true,
         data: {
-          jobs: jobsWithFreshTimes,
+          jobs: result.jobs.map((job) => job.toJSON()),
           pagination: {
             page: result.page,
             limit: result.limit,
@@ -123,7 +162,7 @@ class JobController {
         data: {
           job: job.toJSON(),
           executionHistory,
-          isScheduled: this.scheduler.getScheduledJobs().includes(id),
+          isScheduled: job.isActive && Boolean(job.nextRunAt),
         },
         timestamp: new Date().toISOString(),
       });
@@ -143,7 +182,10 @@ class JobController {
    */
   async createJob(req, res) {
     try {
-      const jobData = req.body;
+      const jobData = {
+        ...req.body,
+        createdBy: getActor(req, req.body.createdBy),
+      };
 
       // Create job in database
       const job = await this.jobRepository.create(jobData);
@@ -189,7 +231,7 @@ class JobController {
   async updateJob(req, res) {
     try {
       const { id } = req.params;
-      const updateData = req.body;
+      const updateData = withoutCreator(req.body);
 
       const updatedJob = await this.jobRepository.update(id, updateData);
 
@@ -206,7 +248,7 @@ class JobController {
       if (updatedJob.isActive) {
         await this.scheduler.scheduleJob(updatedJob);
       } else {
-        this.scheduler.unscheduleJob(id);
+        await this.scheduler.unscheduleJob(id);
       }
 
       // Invalidate cache
@@ -259,7 +301,7 @@ class JobController {
       }
 
       // Remove from scheduler
-      this.scheduler.unscheduleJob(id);
+      await this.scheduler.unscheduleJob(id);
 
       // Invalidate cache
       this.invalidateJobCache(id);
@@ -300,14 +342,8 @@ class JobController {
         });
       }
 
-      // Trigger job execution (asynchronously)
-      setImmediate(async () => {
-        try {
-          await this.scheduler.executeJob(job);
-        } catch (error) {
-          console.error(`Manual job trigger failed for ${id}:`, error);
-        }
-      });
+      // Queue the run for the next free worker
+      const queued = await this.scheduler.triggerJob(job);
 
       res.json({
         success: true,
@@ -315,6 +351,7 @@ class JobController {
         data: {
           jobId: id,
           jobName: job.name,
+          queueId: queued.id,
           triggeredAt: new Date().toISOString(),
         },
         timestamp: new Date().toISOString(),
@@ -330,6 +367,133 @@ class JobController {
     }
   }
 
+  /**
+   * POST /jobs/:id/pause - Deactivate a job, recording why, by whom and
+   * optionally when the scheduler resumes it
+   */
+  async pauseJob(req, res) {
+    try {
+      const { id } = req.params;
+      const { reason, resumeAt } = req.body;
+      const pausedBy = getActor(req, req.body.pausedBy);
+
+      const job = await this.jobRepository.findById(id);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: "Not Found",
+          message: `Job with ID ${id} not found`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const pausedJob = await this.jobRepository.pause(id, {
+        reason,
+        pausedBy,
+        resumeAt,
+      });
+
+      if (!pausedJob) {
+        return res.status(409).json({
+          success: false,
+          error: "Conflict",
+          message: "Job is inactive; only active or paused jobs can be paused",
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      await this.scheduler.unscheduleJob(id);
+      console.log(
+        `Paused job ${pausedJob.name} (${id})${pausedBy ? ` by ${pausedBy}` : ""}: ${reason}`
+      );
+
+      // Invalidate cache
+      this.invalidateJobCache(id);
+      this.invalidateJobsCache();
+
+      res.json({
+        success: true,
+        data: pausedJob.toJSON(),
+        message: "Job paused successfully",
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error pausing job:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal Server Error",
+        message: "Failed to pause job",
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * POST /jobs/:id/resume - Resume a paused job
+   */
+  async resumeJob(req, res) {
+    try {
+      const { id } = req.params;
+      const resumedBy = getActor(req, req.body.resumedBy);
+
+      const job = await this.jobRepository.findById(id);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: "Not Found",
+          message: `Job with ID ${id} not found`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      if (!job.isPaused()) {
+        return res.status(409).json({
+          success: false,
+          error: "Conflict",
+          message: "Job is not paused",
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const resumedJob = await this.jobRepository.resume(id);
+      await this.scheduler.scheduleJob(resumedJob);
+      console.log(
+        `Resumed job ${resumedJob.name} (${id})${resumedBy ? ` by ${resumedBy}` : ""}`
+      );
+
+      // Invalidate cache
+      this.invalidateJobCache(id);
+      this.invalidateJobsCache();
+
+      res.json({
+        success: true,
+        data: resumedJob.toJSON(),
+        message: "Job resumed successfully",
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error resuming job:", error);
+
+      if (error.message.includes("Validation failed")) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation Error",
+          message: error.message,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: "Internal Server Error",
+        message: "Failed to resume job",
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
   /**
    * GET /jobs/:id/executions - Get job execution history
    */
@@ -359,6 +523,213 @@ class JobController {
     }
   }
 
+  /**
+   * POST /jobs/:id/executions/:executionId/cancel - Cancel a running execution
+   */
+  async cancelExecution(req, res) {
+    try {
+      const { id, executionId } = req.params;
+
+      const cancelled = await this.worker.cancelExecution(id, executionId);
+
+      if (!cancelled) {
+        const existing = await this.executionRepository.findByJob(
+          id,
+          executionId
+        );
+
+        if (!existing) {
+          return res.status(404).json({
+            success: false,
+            error: "Not Found",
+            message: `Execution with ID ${executionId} not found for job ${id}`,
+            timestamp: new Date().toISOString(),
+          });
+        }
+
+        return res.status(409).json({
+          success: false,
+          error: "Conflict",
+          message: `Execution is not running (status: ${existing.status})`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      // Invalidate cache so the history shows the new status
+      this.invalidateJobsCache();
+
+      res.json({
+        success: true,
+        message: "Execution cancelled successfully",
+        data: {
+          id: cancelled.id,
+          jobId: cancelled.job_id,
+          status: cancelled.status,
+          startedAt: cancelled.started_at,
+          completedAt: cancelled.completed_at,
+          durationMs: cancelled.duration_ms,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error cancelling execution:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal Server Error",
+        message: "Failed to cancel execution",
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * GET /jobs/:id/executions/:executionId/logs - Get the captured output of an
+   * execution. With follow=true (or Accept: text/event-stream) the response is
+   * an SSE stream that tails the log until the execution ends.
+   */
+  async getExecutionLogs(req, res) {
+    try {
+      const { id, executionId } = req.params;
+      const after = parseInt(req.query.after) || 0;
+      const limit = parseInt(req.query.limit) || 500;
+      const stream = req.query.stream;
+      const follow = req.query.follow === "true";
+
+      const execution = await this.executionLogs.findExecution(id, executionId);
+
+      if (!execution) {
+        return res.status(404).json({
+          success: false,
+          error: "Not Found",
+          message: `Execution with ID ${executionId} not found for job ${id}`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const wantsStream =
+        req.accepts(["json", "text/event-stream"]) === "text/event-stream";
+
+      if (follow || wantsStream) {
+        // EventSource reconnects resume after the last chunk received
+        const lastEventId = parseInt(req.get("Last-Event-ID"));
+        return this.streamExecutionLogs(req, res, execution, {
+          after: Number.isInteger(lastEventId) ? lastEventId : after,
+          stream,
+        });
+      }
+
+      const chunks = await this.executionLogs.findChunks(executionId, {
+        after,
+        limit,
+        stream,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          executionId,
+          jobId: id,
+          status: execution.status,
+          chunks,
+          nextSeq: chunks.length > 0 ? chunks[chunks.length - 1].seq : after,
+          truncated: execution.log_truncated,
+          // Nothing more will be written once the execution ended and the
+          // page holds the rest of the log
+          complete: execution.status !== "running" && chunks.length < limit,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error fetching execution logs:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal Server Error",
+        message: "Failed to fetch execution logs",
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * Send log chunks as server-sent events: a "chunk" event per chunk (its id
+   * is the chunk seq) and an "end" event with the final status once the
+   * execution ended and every chunk was sent.
+   */
+  streamExecutionLogs(req, res, execution, options) {
+    const executionId = execution.id;
+    let after = options.after;
+    let lastSentAt = Date.now();
+    let closed = false;
+    let timer = null;
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      // no-transform keeps the compression middleware from buffering events
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.write("retry: 3000\n\n");
+
+    const send = (event, data, id) => {
+      const idLine = id !== undefined ? `id: ${id}\n` : "";
+      res.write(`${idLine}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      lastSentAt = Date.now();
+    };
+
+    const poll = async () => {
+      try {
+        // Read the status first: chunks written before it changed are then
+        // always picked up by this or the next poll
+        const current = await this.executionLogs.findExecution(
+          execution.job_id,
+          executionId
+        );
+        const chunks = await this.executionLogs.findChunks(executionId, {
+          after,
+          stream: options.stream,
+        });
+        if (closed) return;
+
+        chunks.forEach((chunk) => send("chunk", chunk, chunk.seq));
+        if (chunks.length > 0) {
+          after = chunks[chunks.length - 1].seq;
+        }
+
+        // A deleted job takes its executions along
+        if (!current || (current.status !== "running" && chunks.length === 0)) {
+          send("end", {
+            status: current ? current.status : null,
+            truncated: current ? current.log_truncated : false,
+          });
+          return res.end();
+        }
+
+        if (Date.now() - lastSentAt >= LOG_KEEPALIVE_MS) {
+          res.write(": ping\n\n");
+          lastSentAt = Date.now();
+        }
+      } catch (error) {
+        // Closing makes EventSource clients reconnect after the retry delay
+        // and resume from the last chunk they received
+        console.error(`Error tailing logs of execution ${executionId}:`, error);
+        closed = true;
+        return res.end();
+      }
+
+      if (!closed) {
+        timer = setTimeout(poll, LOG_POLL_INTERVAL_MS);
+      }
+    };
+
+    req.on("close", () => {
+      closed = true;
+      clearTimeout(timer);
+    });
+
+    poll();
+  }
+
   /**
    * GET /jobs/stats - Get job statistics
    */
@@ -370,10 +741,21 @@ class JobController {
       // Get database stats
       const dbStats = await this.getDatabaseStats();
 
+      // Cluster-wide view, independent of which role this instance runs
+      const [leader, queueStats] = await Promise.all([
+        this.scheduler.getLeader(),
+        getQueue().getStats(),
+      ]);
+
       res.json({
         success: true,
         data: {
           scheduler: schedulerStats,
+          cluster: {
+            leader,
+            queueDepth: queueStats.depth,
+            pendingRetries: queueStats.pendingRetries,
+          },
           cache: cacheStats,
           database: dbStats,
         },
@@ -398,7 +780,8 @@ class JobController {
     const offset = (page - 1) * limit;
 
     const query = `
-      SELECT id, status, started_at, completed_at, duration_ms, error_message, retry_count
+      SELECT id, status, started_at, completed_at, duration_ms, error_message, retry_count,
+        trigger_source, scheduled_for, log_truncated
       FROM job_executions
       WHERE job_id = $1
       ORDER BY started_at DESC
@@ -423,6 +806,9 @@ class JobController {
         durationMs: row.duration_ms,
         errorMessage: row.error_message,
         retryCount: row.retry_count,
+        triggerSource: row.trigger_source,
+        scheduledFor: row.scheduled_for,
+        logTruncated: row.log_truncated,
       })),
       pagination: {
         page,
@@ -491,58 +877,109 @@ class JobController {
   }
 
   /**
-   * POST /jobs/validate-cron - Validate cron expression
+   * POST /jobs/validate-cron - Validate a cron or rate expression, or an
+   * interval (intervalMs with an optional intervalAnchor)
    */
   async validateCronExpression(req, res) {
     try {
-      const { cronExpression } = req.body;
-
-      if (!cronExpression) {
+      const {
+        cronExpression,
+        intervalMs,
+        intervalAnchor,
+        calendarIds = [],
+        timezone = DEFAULT_TIMEZONE,
+      } = req.body;
+
+      if (!cronExpression && intervalMs === undefined) {
         return res.status(400).json({
           success: false,
-          error: "Cron expression is required",
+          error: "Cron expression or interval is required",
           timestamp: new Date().toISOString(),
         });
       }
 
-      const cron = require("node-cron");
-
-      // Validate with node-cron
-      const isValidFormat = cron.validate(cronExpression);
+      if (!isValidTimezone(timezone)) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid timezone",
+          details: {
+            timezone,
+            message:
+              'Please use an IANA timezone name such as "America/New_York"',
+          },
+          timestamp: new Date().toISOString(),
+        });
+      }
 
-      if (!isValidFormat) {
+      if (intervalMs !== undefined) {
+        if (
+          !isValidInterval(intervalMs) ||
+          (intervalAnchor && isNaN(new Date(intervalAnchor).getTime()))
+        ) {
+          return res.status(400).json({
+            success: false,
+            error: "Invalid interval",
+            details: {
+              intervalMs,
+              intervalAnchor,
+              message: `Interval must be an integer between ${MIN_INTERVAL_MS} and ${MAX_INTERVAL_MS} milliseconds, with an ISO 8601 anchor`,
+            },
+            timestamp: new Date().toISOString(),
+          });
+        }
+      } else if (!isValidCronExpression(cronExpression)) {
         return res.status(400).json({
           success: false,
           error: "Invalid cron expression format",
           details: {
             expression: cronExpression,
-            message:
-              "Please use a valid 5-field cron expression (minute hour day month dayOfWeek)",
+            message: CRON_FORMAT_HINT,
+          },
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const validIds =
+        Array.isArray(calendarIds) &&
+        calendarIds.every((id) => !uuidSchema.validate(id).error);
+      const calendars = validIds
+        ? await this.calendarRepository.findByIds(calendarIds)
+        : [];
+      if (!validIds || calendars.length !== new Set(calendarIds).size) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid calendars",
+          details: {
+            calendarIds,
+            message: "calendarIds must list existing calendar IDs",
           },
           timestamp: new Date().toISOString(),
         });
       }
 
-      // Calculate next run times using our custom function
+      // Preview the next runs with the same engine the scheduler uses
       try {
-        // Import the calculateNextRunTime function
-        const { calculateNextRunTime } = require("../models/Job");
-        const nextRuns = [];
-        let currentTime = new Date();
-
-        for (let i = 0; i < 5; i++) {
-          const nextRun = calculateNextRunTime(cronExpression, currentTime);
-          nextRuns.push(nextRun);
-          currentTime = new Date(nextRun.getTime() + 1000); // Add 1 second to get the next occurrence
-        }
+        const schedule = new Job({
+          cronExpression: intervalMs === undefined ? cronExpression : null,
+          intervalMs,
+          intervalAnchor,
+        }).getSchedule();
+        const { nextRuns, excludedRuns } = this.previewRuns(
+          schedule,
+          calendars,
+          timezone
+        );
 
         return res.json({
           success: true,
           data: {
-            expression: cronExpression,
+            expression: intervalMs === undefined ? cronExpression : undefined,
+            intervalMs: typeof schedule === "object" ? schedule.intervalMs : undefined,
+            intervalAnchor: intervalAnchor || undefined,
             isValid: true,
             nextRuns: nextRuns,
-            timezone: "Asia/Kolkata (IST)",
+            excludedRuns: calendars.length > 0 ? excludedRuns : undefined,
+            timezone,
             message: "Valid cron expression",
           },
           timestamp: new Date().toISOString(),
@@ -567,6 +1004,55 @@ class JobController {
       });
     }
   }
+
+  /**
+   * Next runs of a schedule, leaving out the ones the calendars suppress
+   * @param {string|object} schedule - Cron or rate expression, or { intervalMs, anchor }
+   * @param {Calendar[]} calendars - Calendars to apply
+   * @param {string} timezone - IANA timezone of the schedule
+   * @param {number} count - Number of runs to return
+   * @returns {{nextRuns: Date[], excludedRuns: object[]}} - Runs, and the
+   *   suppressed occurrences before the last one ({ time, calendar, label })
+   */
+  previewRuns(schedule, calendars, timezone, count = 5) {
+    if (calendars.length === 0) {
+      return {
+        nextRuns: getNextRunTimes(schedule, count, new Date(), timezone),
+        excludedRuns: [],
+      };
+    }
+
+    const nextRuns = [];
+    const excludedRuns = [];
+    let from = new Date();
+
+    for (
+      let scanned = 0;
+      nextRuns.length < count && scanned < PREVIEW_SCAN_LIMIT;
+      scanned += PREVIEW_BATCH_SIZE
+    ) {
+      const batch = getNextRunTimes(schedule, PREVIEW_BATCH_SIZE, from, timezone);
+
+      for (const time of batch) {
+        if (nextRuns.length === count) break;
+
+        const blackout = findCalendarExclusion(calendars, time);
+        if (!blackout) {
+          nextRuns.push(time);
+        } else if (excludedRuns.length < PREVIEW_MAX_EXCLUDED) {
+          excludedRuns.push({
+            time,
+            calendar: blackout.calendar.name,
+            label: blackout.exclusion.label,
+          });
+        }
+      }
+
+      from = batch[batch.length - 1];
+    }
+
+    return { nextRuns, excludedRuns };
+  }
 }
 
 module.exports = JobController;
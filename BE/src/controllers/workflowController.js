@@ -0,0 +1,296 @@
+const { WorkflowRepository } = require("../models/Workflow");
+const { getWorkflowService } = require("../services/workflowService");
+const { getActor, withoutCreator } = require("../middleware/auth");
+
+// Express 5 keeps req.query as parsed, so the validated query values are
+// still strings here
+const toNumber = (value) => (value === undefined ? undefined : Number(value));
+
+/**
+ * Workflow Controller - Handles HTTP requests for workflows and their runs
+ */
+class WorkflowController {
+  constructor() {
+    this.workflowRepository = new WorkflowRepository();
+    this.workflows = getWorkflowService();
+  }
+
+  /**
+   * GET /workflows - List workflows with pagination
+   */
+  async getAllWorkflows(req, res) {
+    try {
+      const result = await this.workflowRepository.findAll({
+        page: toNumber(req.query.page) || 1,
+        limit: toNumber(req.query.limit) || 50,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          workflows: result.workflows.map((workflow) => workflow.toJSON()),
+          pagination: {
+            page: result.page,
+            limit: result.limit,
+            total: result.total,
+            totalPages: result.totalPages,
+            hasNext: result.page < result.totalPages,
+            hasPrev: result.page > 1,
+          },
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error fetching workflows:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal Server Error",
+        message: "Failed to fetch workflows",
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * GET /workflows/:id - Get workflow by ID
+   */
+  async getWorkflowById(req, res) {
+    try {
+      const { id } = req.params;
+
+      const workflow = await this.workflowRepository.findById(id);
+
+      if (!workflow) {
+        return this.notFound(res, id);
+      }
+
+      res.json({
+        success: true,
+        data: workflow.toJSON(),
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error fetching workflow:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal Server Error",
+        message: "Failed to fetch workflow",
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * POST /workflows - Create new workflow
+   */
+  async createWorkflow(req, res) {
+    try {
+      const workflow = await this.workflowRepository.create({
+        ...req.body,
+        createdBy: getActor(req, req.body.createdBy),
+      });
+
+      res.status(201).json({
+        success: true,
+        data: workflow.toJSON(),
+        message: "Workflow created successfully",
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error creating workflow:", error);
+
+      if (error.message.includes("Validation failed")) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation Error",
+          message: error.message,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: "Internal Server Error",
+        message: "Failed to create workflow",
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * PUT /workflows/:id - Update workflow (replaces the graph when given)
+   */
+  async updateWorkflow(req, res) {
+    try {
+      const { id } = req.params;
+
+      const workflow = await this.workflowRepository.update(
+        id,
+        withoutCreator(req.body)
+      );
+
+      if (!workflow) {
+        return this.notFound(res, id);
+      }
+
+      res.json({
+        success: true,
+        data: workflow.toJSON(),
+        message: "Workflow updated successfully",
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error updating workflow:", error);
+
+      if (error.message.includes("Validation failed")) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation Error",
+          message: error.message,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: "Internal Server Error",
+        message: "Failed to update workflow",
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * DELETE /workflows/:id - Delete workflow and its runs
+   */
+  async deleteWorkflow(req, res) {
+    try {
+      const { id } = req.params;
+
+      const workflow = await this.workflowRepository.delete(id);
+
+      if (!workflow) {
+        return this.notFound(res, id);
+      }
+
+      res.json({
+        success: true,
+        data: workflow.toJSON(),
+        message: "Workflow deleted successfully",
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error deleting workflow:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal Server Error",
+        message: "Failed to delete workflow",
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * POST /workflows/:id/run - Start a workflow run
+   */
+  async runWorkflow(req, res) {
+    try {
+      const { id } = req.params;
+
+      const workflow = await this.workflowRepository.findById(id);
+
+      if (!workflow) {
+        return this.notFound(res, id);
+      }
+
+      const run = await this.workflows.startRun(workflow);
+
+      res.status(201).json({
+        success: true,
+        message: "Workflow run started successfully",
+        data: this.workflowRepository.formatRun(run),
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error starting workflow run:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal Server Error",
+        message: "Failed to start workflow run",
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * GET /workflows/:id/runs - Get workflow run history
+   */
+  async getWorkflowRuns(req, res) {
+    try {
+      const { id } = req.params;
+      const runs = await this.workflowRepository.findRuns(id, {
+        page: toNumber(req.query.page) || 1,
+        limit: toNumber(req.query.limit) || 20,
+      });
+
+      res.json({
+        success: true,
+        data: runs,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error fetching workflow runs:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal Server Error",
+        message: "Failed to fetch workflow runs",
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * GET /workflows/:id/runs/:runId - Get a run with job states and executions
+   */
+  async getWorkflowRun(req, res) {
+    try {
+      const { id, runId } = req.params;
+
+      const run = await this.workflowRepository.findRunById(id, runId);
+
+      if (!run) {
+        return res.status(404).json({
+          success: false,
+          error: "Not Found",
+          message: `Run with ID ${runId} not found for workflow ${id}`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      res.json({
+        success: true,
+        data: run,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error fetching workflow run:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal Server Error",
+        message: "Failed to fetch workflow run",
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  notFound(res, id) {
+    return res.status(404).json({
+      success: false,
+      error: "Not Found",
+      message: `Workflow with ID ${id} not found`,
+      timestamp: new Date().toISOString(),
+    });
+  }
+}
+
+module.exports = WorkflowController;
@@ -72,6 +72,27 @@ class DatabaseConnection {
     return await this.pool.connect();
   }
 
+  /**
+   * Run a callback inside a transaction on a dedicated client
+   * @param {Function} callback - Receives the client, its result is returned
+   * @returns {Promise<any>} - Callback result (rolled back if it throws)
+   */
+  async transaction(callback) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+      const result = await callback(client);
+      await client.query("COMMIT");
+      return result;
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   async close() {
     await this.pool.end();
     console.log("Database connection pool closed");
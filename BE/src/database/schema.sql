@@ -3,9 +3,13 @@ CREATE TABLE IF NOT EXISTS jobs (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   name VARCHAR(255) NOT NULL,
   description TEXT,
-  cron_expression VARCHAR(100) NOT NULL,
+  cron_expression VARCHAR(100), -- Cron or rate(...) expression, NULL for interval and one-off jobs
+  interval_ms BIGINT, -- Fixed interval schedule, the alternative to cron_expression
+  interval_anchor TIMESTAMPTZ, -- Start of the interval sequence (NULL means the Unix epoch)
+  timezone VARCHAR(64), -- IANA name, NULL means the service default (TIMEZONE)
   is_active BOOLEAN DEFAULT true,
   job_type VARCHAR(50) NOT NULL DEFAULT 'scheduled',
+  executor_type VARCHAR(50) NOT NULL DEFAULT 'noop',
   payload JSONB DEFAULT '{}',
   
   -- Timing fields with proper indexing
@@ -13,6 +17,13 @@ CREATE TABLE IF NOT EXISTS jobs (
   updated_at TIMESTAMPTZ DEFAULT NOW(),
   last_run_at TIMESTAMPTZ,
   next_run_at TIMESTAMPTZ,
+  run_at TIMESTAMPTZ, -- When a one-off job runs
+  starts_at TIMESTAMPTZ, -- Validity window: nothing runs before starts_at
+  ends_at TIMESTAMPTZ, -- or from ends_at on (the job is then deactivated)
+  inactive_reason VARCHAR(255), -- Why the job is inactive: pause reason or scheduler deactivation
+  paused_at TIMESTAMPTZ, -- Set while the job is paused (inactive_reason holds the reason)
+  paused_by VARCHAR(255), -- Who paused it
+  resume_at TIMESTAMPTZ, -- When the scheduler resumes it, NULL to stay paused
   
   -- Execution tracking
   total_runs INTEGER DEFAULT 0,
@@ -23,30 +34,294 @@ CREATE TABLE IF NOT EXISTS jobs (
   timeout_ms INTEGER DEFAULT 30000,
   max_retries INTEGER DEFAULT 3,
   retry_delay_ms INTEGER DEFAULT 5000,
+  misfire_policy VARCHAR(20) NOT NULL DEFAULT 'run-once', -- skip, run-once or run-all
+  misfire_limit INTEGER NOT NULL DEFAULT 10, -- max catch-up runs for run-all
+  concurrency_policy VARCHAR(20) NOT NULL DEFAULT 'forbid', -- forbid, allow, queue or replace
+  max_concurrency INTEGER NOT NULL DEFAULT 1, -- parallel runs allowed by the allow policy
+  recovery_policy VARCHAR(20) NOT NULL DEFAULT 'requeue', -- requeue or abandon runs orphaned by a dead worker
+  resource_group VARCHAR(100), -- Shares named concurrency limits (CONCURRENCY_LIMITS) like a tag
+  priority INTEGER NOT NULL DEFAULT 0, -- Queue priority, -100 to 100; higher is claimed first
   
   -- Metadata
   created_by VARCHAR(255),
   tags TEXT[] DEFAULT ARRAY[]::TEXT[],
+  calendar_ids UUID[] DEFAULT ARRAY[]::UUID[], -- Calendars whose exclusions suppress scheduled runs
   
-  CONSTRAINT valid_cron_expression CHECK (cron_expression ~ '^(\*|[0-5]?[0-9]|\*\/[0-9]+) (\*|[01]?[0-9]|2[0-3]|\*\/[0-9]+) (\*|[12]?[0-9]|3[01]|\*\/[0-9]+) (\*|[01]?[0-9]|1[0-2]|\*\/[0-9]+) (\*|[0-6]|\*\/[0-9]+)$'),
+  -- Shape of cron/rate expressions, same pattern as CRON_SHAPE in src/utils/cron.js
+  CONSTRAINT valid_cron_expression CHECK (cron_expression ~* '^(@(yearly|annually|monthly|weekly|daily|midnight|hourly)|(?:[0-9*?/,#LW-]|JAN|FEB|MAR|APR|MAY|JUN|JUL|AUG|SEP|OCT|NOV|DEC|SUN|MON|TUE|WED|THU|FRI|SAT)+( (?:[0-9*?/,#LW-]|JAN|FEB|MAR|APR|MAY|JUN|JUL|AUG|SEP|OCT|NOV|DEC|SUN|MON|TUE|WED|THU|FRI|SAT)+){4,5}|rate\([0-9]+ (second|minute|hour|day)s?\))$'),
+  CONSTRAINT valid_window CHECK (ends_at > starts_at),
+  CONSTRAINT valid_interval CHECK (interval_ms BETWEEN 1000 AND 31536000000),
+  CONSTRAINT valid_schedule CHECK (cron_expression IS NOT NULL OR interval_ms IS NOT NULL OR run_at IS NOT NULL),
   CONSTRAINT positive_runs CHECK (total_runs >= 0 AND successful_runs >= 0 AND failed_runs >= 0),
   CONSTRAINT valid_timeout CHECK (timeout_ms > 0),
-  CONSTRAINT valid_retries CHECK (max_retries >= 0)
+  CONSTRAINT valid_retries CHECK (max_retries >= 0),
+  CONSTRAINT valid_misfire_policy CHECK (misfire_policy IN ('skip', 'run-once', 'run-all')),
+  CONSTRAINT valid_misfire_limit CHECK (misfire_limit BETWEEN 1 AND 100),
+  CONSTRAINT valid_concurrency_policy CHECK (concurrency_policy IN ('forbid', 'allow', 'queue', 'replace')),
+  CONSTRAINT valid_max_concurrency CHECK (max_concurrency BETWEEN 1 AND 100),
+  CONSTRAINT valid_recovery_policy CHECK (recovery_policy IN ('requeue', 'abandon')),
+  CONSTRAINT valid_priority CHECK (priority BETWEEN -100 AND 100)
 );
 
+-- Columns added after the initial release (keeps existing databases in sync)
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS executor_type VARCHAR(50) NOT NULL DEFAULT 'noop';
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS misfire_policy VARCHAR(20) NOT NULL DEFAULT 'run-once'
+  CONSTRAINT valid_misfire_policy CHECK (misfire_policy IN ('skip', 'run-once', 'run-all'));
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS misfire_limit INTEGER NOT NULL DEFAULT 10
+  CONSTRAINT valid_misfire_limit CHECK (misfire_limit BETWEEN 1 AND 100);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS concurrency_policy VARCHAR(20) NOT NULL DEFAULT 'forbid'
+  CONSTRAINT valid_concurrency_policy CHECK (concurrency_policy IN ('forbid', 'allow', 'queue', 'replace'));
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS max_concurrency INTEGER NOT NULL DEFAULT 1
+  CONSTRAINT valid_max_concurrency CHECK (max_concurrency BETWEEN 1 AND 100);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS interval_ms BIGINT
+  CONSTRAINT valid_interval CHECK (interval_ms BETWEEN 1000 AND 31536000000);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS interval_anchor TIMESTAMPTZ;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS run_at TIMESTAMPTZ
+  CONSTRAINT valid_schedule CHECK (cron_expression IS NOT NULL OR interval_ms IS NOT NULL OR run_at IS NOT NULL);
+ALTER TABLE jobs ALTER COLUMN cron_expression DROP NOT NULL;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS calendar_ids UUID[] DEFAULT ARRAY[]::UUID[];
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS starts_at TIMESTAMPTZ;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS ends_at TIMESTAMPTZ
+  CONSTRAINT valid_window CHECK (ends_at > starts_at);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS inactive_reason VARCHAR(255);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS paused_at TIMESTAMPTZ;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS paused_by VARCHAR(255);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS resume_at TIMESTAMPTZ;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS resource_group VARCHAR(100);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS priority INTEGER NOT NULL DEFAULT 0
+  CONSTRAINT valid_priority CHECK (priority BETWEEN -100 AND 100);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS recovery_policy VARCHAR(20) NOT NULL DEFAULT 'requeue'
+  CONSTRAINT valid_recovery_policy CHECK (recovery_policy IN ('requeue', 'abandon'));
+
+-- Replace schedule CHECKs of existing databases that predate extended cron
+-- syntax (seconds, ranges, lists, names, macros), rate expressions and
+-- interval schedules
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conrelid = 'jobs'::regclass
+    AND conname = 'valid_cron_expression'
+    AND pg_get_constraintdef(oid) LIKE '%midnight%'
+  ) THEN
+    ALTER TABLE jobs DROP CONSTRAINT IF EXISTS valid_cron_expression;
+    ALTER TABLE jobs ADD CONSTRAINT valid_cron_expression
+      CHECK (cron_expression ~* '^(@(yearly|annually|monthly|weekly|daily|midnight|hourly)|(?:[0-9*?/,#LW-]|JAN|FEB|MAR|APR|MAY|JUN|JUL|AUG|SEP|OCT|NOV|DEC|SUN|MON|TUE|WED|THU|FRI|SAT)+( (?:[0-9*?/,#LW-]|JAN|FEB|MAR|APR|MAY|JUN|JUL|AUG|SEP|OCT|NOV|DEC|SUN|MON|TUE|WED|THU|FRI|SAT)+){4,5}|rate\([0-9]+ (second|minute|hour|day)s?\))$');
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conrelid = 'jobs'::regclass
+    AND conname = 'valid_schedule'
+    AND pg_get_constraintdef(oid) LIKE '%interval_ms%'
+  ) THEN
+    ALTER TABLE jobs DROP CONSTRAINT IF EXISTS valid_schedule;
+    ALTER TABLE jobs ADD CONSTRAINT valid_schedule
+      CHECK (cron_expression IS NOT NULL OR interval_ms IS NOT NULL OR run_at IS NOT NULL);
+  END IF;
+END $$;
+
 CREATE TABLE IF NOT EXISTS job_executions (
   id UUID DEFAULT gen_random_uuid(),
   job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
-  status VARCHAR(20) NOT NULL CHECK (status IN ('running', 'completed', 'failed', 'timeout')),
+  status VARCHAR(20) NOT NULL,
   started_at TIMESTAMPTZ DEFAULT NOW(),
   completed_at TIMESTAMPTZ,
   duration_ms INTEGER,
   error_message TEXT,
+  error_stack TEXT, -- Stack trace of the error that failed the execution
   retry_count INTEGER DEFAULT 0,
   output JSONB DEFAULT '{}',
-  PRIMARY KEY (id, started_at)
+  instance_id VARCHAR(255), -- Instance holding the execution lease
+  host VARCHAR(255), -- Machine the instance runs on
+  heartbeat_at TIMESTAMPTZ, -- Refreshed by the owning instance while running
+  scheduled_for TIMESTAMPTZ, -- Occurrence the execution was claimed for
+  trigger_source VARCHAR(20) DEFAULT 'schedule', -- What started it: schedule, manual, retry, catch-up, workflow
+  workflow_run_id UUID, -- Workflow run the execution belongs to, if any
+  previous_execution_id UUID, -- Failed attempt this execution retries
+  log_truncated BOOLEAN NOT NULL DEFAULT false, -- Log output hit EXECUTION_LOG_MAX_BYTES
+  PRIMARY KEY (id, started_at),
+  CONSTRAINT valid_execution_status CHECK (status IN ('running', 'completed', 'failed', 'timeout', 'skipped', 'cancelled', 'abandoned'))
 ) PARTITION BY RANGE (started_at);
 
+ALTER TABLE job_executions ADD COLUMN IF NOT EXISTS instance_id VARCHAR(255);
+ALTER TABLE job_executions ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMPTZ;
+ALTER TABLE job_executions ADD COLUMN IF NOT EXISTS scheduled_for TIMESTAMPTZ;
+ALTER TABLE job_executions ADD COLUMN IF NOT EXISTS trigger_source VARCHAR(20) DEFAULT 'schedule';
+ALTER TABLE job_executions ADD COLUMN IF NOT EXISTS workflow_run_id UUID;
+ALTER TABLE job_executions ADD COLUMN IF NOT EXISTS log_truncated BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE job_executions ADD COLUMN IF NOT EXISTS error_stack TEXT;
+ALTER TABLE job_executions ADD COLUMN IF NOT EXISTS host VARCHAR(255);
+ALTER TABLE job_executions ADD COLUMN IF NOT EXISTS previous_execution_id UUID;
+
+-- Replace the status CHECK of existing databases when it lacks newer statuses
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conrelid = 'job_executions'::regclass
+    AND conname = 'valid_execution_status'
+    AND pg_get_constraintdef(oid) LIKE '%abandoned%'
+  ) THEN
+    ALTER TABLE job_executions DROP CONSTRAINT IF EXISTS job_executions_status_check;
+    ALTER TABLE job_executions DROP CONSTRAINT IF EXISTS valid_execution_status;
+    ALTER TABLE job_executions ADD CONSTRAINT valid_execution_status
+      CHECK (status IN ('running', 'completed', 'failed', 'timeout', 'skipped', 'cancelled', 'abandoned'));
+  END IF;
+END $$;
+
+-- Output of executions (stdout, stderr and log lines) in the order it was
+-- written. Workers buffer it and flush chunks while the execution runs.
+CREATE TABLE IF NOT EXISTS execution_logs (
+  id BIGSERIAL PRIMARY KEY,
+  execution_id UUID NOT NULL,
+  job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+  seq INTEGER NOT NULL, -- Position of the chunk within the execution, from 1
+  stream VARCHAR(10) NOT NULL,
+  content TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT unique_execution_log_seq UNIQUE (execution_id, seq),
+  CONSTRAINT valid_log_stream CHECK (stream IN ('stdout', 'stderr', 'log'))
+);
+
+-- Executions waiting for a worker. The scheduler leader enqueues due
+-- occurrences, the API enqueues manual runs and workers enqueue retries.
+CREATE TABLE IF NOT EXISTS job_queue (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+  scheduled_for TIMESTAMPTZ,
+  available_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  attempt INTEGER NOT NULL DEFAULT 0,
+  trigger_source VARCHAR(20) NOT NULL DEFAULT 'schedule',
+  priority INTEGER NOT NULL DEFAULT 0, -- Trigger source bonus, added to the job priority
+  previous_execution_id UUID, -- Failed attempt a retry follows
+  enqueued_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE job_queue ADD COLUMN IF NOT EXISTS priority INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE job_queue ADD COLUMN IF NOT EXISTS previous_execution_id UUID;
+
+-- Workflows: directed acyclic graphs of jobs. An edge runs the downstream job
+-- after the upstream one succeeded, failed, or either (always).
+CREATE TABLE IF NOT EXISTS workflows (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  created_by VARCHAR(255),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS workflow_nodes (
+  workflow_id UUID NOT NULL REFERENCES workflows(id) ON DELETE CASCADE,
+  job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+  PRIMARY KEY (workflow_id, job_id)
+);
+
+CREATE TABLE IF NOT EXISTS workflow_edges (
+  workflow_id UUID NOT NULL,
+  from_job_id UUID NOT NULL,
+  to_job_id UUID NOT NULL,
+  condition VARCHAR(20) NOT NULL DEFAULT 'success',
+  PRIMARY KEY (workflow_id, from_job_id, to_job_id),
+  FOREIGN KEY (workflow_id, from_job_id) REFERENCES workflow_nodes (workflow_id, job_id) ON DELETE CASCADE,
+  FOREIGN KEY (workflow_id, to_job_id) REFERENCES workflow_nodes (workflow_id, job_id) ON DELETE CASCADE,
+  CONSTRAINT valid_edge_condition CHECK (condition IN ('success', 'failure', 'always')),
+  CONSTRAINT no_self_edge CHECK (from_job_id <> to_job_id)
+);
+
+-- One record per workflow run. The graph is copied at start, so editing the
+-- workflow does not affect runs in progress. Child executions point back
+-- through job_executions.workflow_run_id.
+CREATE TABLE IF NOT EXISTS workflow_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workflow_id UUID NOT NULL REFERENCES workflows(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'running',
+  definition JSONB NOT NULL, -- { jobIds, edges } at start
+  trigger_source VARCHAR(20) NOT NULL DEFAULT 'manual',
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  CONSTRAINT valid_workflow_run_status CHECK (status IN ('running', 'completed', 'failed'))
+);
+
+-- Progress of each job within a workflow run
+CREATE TABLE IF NOT EXISTS workflow_run_nodes (
+  run_id UUID NOT NULL REFERENCES workflow_runs(id) ON DELETE CASCADE,
+  job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (run_id, job_id),
+  CONSTRAINT valid_workflow_node_status CHECK (status IN ('pending', 'queued', 'succeeded', 'failed', 'skipped'))
+);
+
+ALTER TABLE job_queue ADD COLUMN IF NOT EXISTS workflow_run_id UUID REFERENCES workflow_runs(id) ON DELETE CASCADE;
+
+-- Calendars: named sets of exclusions (holidays, change freezes). Scheduled
+-- runs of a job attached to a calendar are suppressed while an exclusion
+-- covers them.
+CREATE TABLE IF NOT EXISTS calendars (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(255) NOT NULL UNIQUE,
+  description TEXT,
+  timezone VARCHAR(64), -- Zone of recurring exclusions and all-day iCal events, NULL means TIMEZONE
+  created_by VARCHAR(255),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- A date range (starts_at to ends_at) or a recurring window (cron_expression
+-- occurrences lasting duration_ms)
+CREATE TABLE IF NOT EXISTS calendar_exclusions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  calendar_id UUID NOT NULL REFERENCES calendars(id) ON DELETE CASCADE,
+  label VARCHAR(255),
+  starts_at TIMESTAMPTZ,
+  ends_at TIMESTAMPTZ,
+  cron_expression VARCHAR(100),
+  duration_ms BIGINT,
+  source VARCHAR(20) NOT NULL DEFAULT 'manual', -- manual or ical (imported)
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT valid_exclusion_window CHECK (
+    (starts_at IS NOT NULL AND ends_at > starts_at AND cron_expression IS NULL AND duration_ms IS NULL)
+    OR (starts_at IS NULL AND ends_at IS NULL AND cron_expression IS NOT NULL AND duration_ms > 0)
+  ),
+  CONSTRAINT valid_exclusion_source CHECK (source IN ('manual', 'ical'))
+);
+
+-- Named leases held by one instance at a time (e.g. scheduler leadership)
+CREATE TABLE IF NOT EXISTS service_leases (
+  name VARCHAR(100) PRIMARY KEY,
+  holder VARCHAR(255) NOT NULL,
+  acquired_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+-- People signing in to the API and dashboard (passwords hashed with bcrypt)
+CREATE TABLE IF NOT EXISTS users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  username VARCHAR(100) NOT NULL UNIQUE,
+  password_hash VARCHAR(255) NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by VARCHAR(255),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_login_at TIMESTAMPTZ
+);
+
+-- Keys for service-to-service calls. Only a SHA-256 hash of each key is
+-- stored; the prefix identifies it in listings.
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(255) NOT NULL,
+  key_prefix VARCHAR(16) NOT NULL,
+  key_hash CHAR(64) NOT NULL UNIQUE,
+  created_by VARCHAR(255),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
 -- Create monthly partitions for job_executions (for the next 12 months)
 DO $$
 DECLARE
@@ -71,66 +346,97 @@ CREATE INDEX IF NOT EXISTS idx_jobs_name ON jobs (name);
 CREATE INDEX IF NOT EXISTS idx_jobs_job_type ON jobs (job_type);
 CREATE INDEX IF NOT EXISTS idx_jobs_tags ON jobs USING GIN (tags);
 CREATE INDEX IF NOT EXISTS idx_jobs_payload ON jobs USING GIN (payload);
+CREATE INDEX IF NOT EXISTS idx_jobs_priority ON jobs (priority);
+CREATE INDEX IF NOT EXISTS idx_jobs_resume_at ON jobs (resume_at) WHERE paused_at IS NOT NULL;
 
 CREATE INDEX IF NOT EXISTS idx_job_executions_job_id ON job_executions (job_id);
+CREATE INDEX IF NOT EXISTS idx_job_executions_previous_execution_id ON job_executions (previous_execution_id) WHERE previous_execution_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_job_executions_workflow_run_id ON job_executions (workflow_run_id) WHERE workflow_run_id IS NOT NULL;
 CREATE INDEX IF NOT EXISTS idx_job_executions_status ON job_executions (status);
 CREATE INDEX IF NOT EXISTS idx_job_executions_started_at ON job_executions (started_at);
+CREATE INDEX IF NOT EXISTS idx_job_queue_available_at ON job_queue (available_at, enqueued_at);
+CREATE INDEX IF NOT EXISTS idx_job_queue_job_id ON job_queue (job_id);
+CREATE INDEX IF NOT EXISTS idx_workflow_runs_workflow_id ON workflow_runs (workflow_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_calendar_exclusions_calendar_id ON calendar_exclusions (calendar_id);
+CREATE INDEX IF NOT EXISTS idx_execution_logs_created_at ON execution_logs (created_at);
+CREATE INDEX IF NOT EXISTS idx_job_executions_running_heartbeat ON job_executions (heartbeat_at) WHERE status = 'running';
 
--- Create function to update next_run_at based on cron expression
-CREATE OR REPLACE FUNCTION calculate_next_run(cron_expr TEXT, from_time TIMESTAMPTZ DEFAULT NOW())
-RETURNS TIMESTAMPTZ AS $$
-DECLARE
-    next_run TIMESTAMP;
-    ist_time TIMESTAMP;
+-- next_run_at is computed by the application (src/utils/cron.js) so it always
+-- matches the scheduler. Drop the old hand-rolled trigger from earlier releases.
+DROP TRIGGER IF EXISTS jobs_update_next_run ON jobs;
+DROP FUNCTION IF EXISTS update_next_run_trigger();
+DROP FUNCTION IF EXISTS calculate_next_run(TEXT, TIMESTAMPTZ);
+
+-- Change notifications for the live event stream (src/services/eventService.js).
+-- NOTIFY is delivered on commit, so listeners never see rolled back changes,
+-- whichever instance or role made them.
+CREATE OR REPLACE FUNCTION notify_job_change()
+RETURNS TRIGGER AS $$
 BEGIN
-    -- Convert current time to IST for calculation
-    ist_time := from_time AT TIME ZONE 'Asia/Kolkata';
-    
-    -- This is a simplified version. In production, you'd use a proper cron library
-    -- For now, we'll handle basic cases
-    CASE 
-        WHEN cron_expr = '0 * * * *' THEN -- Every hour
-            next_run := DATE_TRUNC('hour', ist_time) + INTERVAL '1 hour';
-        WHEN cron_expr = '0 0 * * *' THEN -- Daily at midnight IST
-            next_run := DATE_TRUNC('day', ist_time) + INTERVAL '1 day';
-        WHEN cron_expr = '0 9 * * *' THEN -- Daily at 9 AM IST
-            next_run := DATE_TRUNC('day', ist_time) + INTERVAL '9 hours';
-            -- If current time is already past 9 AM today, schedule for tomorrow
-            IF ist_time >= next_run THEN
-                next_run := next_run + INTERVAL '1 day';
-            END IF;
-        WHEN cron_expr = '0 0 * * 1' THEN -- Weekly on Monday
-            next_run := DATE_TRUNC('week', ist_time) + INTERVAL '1 week';
-        WHEN cron_expr = '0 0 1 * *' THEN -- Monthly on 1st
-            next_run := DATE_TRUNC('month', ist_time) + INTERVAL '1 month';
-        ELSE
-            -- Default to 1 hour for unknown patterns
-            next_run := ist_time + INTERVAL '1 hour';
-    END CASE;
-    
-    -- Convert IST time back to UTC for storage
-    -- next_run is in IST (without timezone), so we specify it's in Asia/Kolkata timezone
-    RETURN next_run AT TIME ZONE 'Asia/Kolkata' AT TIME ZONE 'UTC';
+    IF TG_OP = 'DELETE' THEN
+        PERFORM pg_notify('scheduler_events', json_build_object(
+            'type', 'job.deleted',
+            'jobId', OLD.id,
+            'jobType', OLD.job_type,
+            'wasActive', OLD.is_active
+        )::TEXT);
+    ELSE
+        PERFORM pg_notify('scheduler_events', json_build_object(
+            'type', CASE TG_OP WHEN 'INSERT' THEN 'job.created' ELSE 'job.updated' END,
+            'jobId', NEW.id,
+            'jobType', NEW.job_type,
+            'wasActive', CASE TG_OP WHEN 'UPDATE' THEN OLD.is_active END
+        )::TEXT);
+    END IF;
+
+    RETURN NULL;
 END;
 $$ LANGUAGE plpgsql;
 
--- Trigger to automatically update next_run_at when cron_expression changes
-CREATE OR REPLACE FUNCTION update_next_run_trigger()
+-- Executions notify when they start and when they leave 'running'; the
+-- payload stays well under the 8000 byte NOTIFY limit
+CREATE OR REPLACE FUNCTION notify_execution_change()
 RETURNS TRIGGER AS $$
 BEGIN
-    IF TG_OP = 'INSERT' OR (TG_OP = 'UPDATE' AND OLD.cron_expression != NEW.cron_expression) THEN
-        NEW.next_run_at := calculate_next_run(NEW.cron_expression);
-        NEW.updated_at := NOW();
+    IF TG_OP = 'INSERT' OR (OLD.status = 'running' AND NEW.status <> 'running') THEN
+        PERFORM pg_notify('scheduler_events', json_build_object(
+            'type', CASE NEW.status WHEN 'running' THEN 'execution.started' ELSE 'execution.finished' END,
+            'execution', json_build_object(
+                'id', NEW.id,
+                'jobId', NEW.job_id,
+                'status', NEW.status,
+                'triggerSource', NEW.trigger_source,
+                'scheduledFor', NEW.scheduled_for,
+                'startedAt', NEW.started_at,
+                'completedAt', NEW.completed_at,
+                'durationMs', NEW.duration_ms,
+                'retryCount', NEW.retry_count,
+                'errorMessage', LEFT(NEW.error_message, 1000),
+                'instanceId', NEW.instance_id,
+                'logTruncated', NEW.log_truncated
+            )
+        )::TEXT);
     END IF;
-    RETURN NEW;
+
+    RETURN NULL;
 END;
 $$ LANGUAGE plpgsql;
 
-DROP TRIGGER IF EXISTS jobs_update_next_run ON jobs;
-CREATE TRIGGER jobs_update_next_run
-    BEFORE INSERT OR UPDATE ON jobs
-    FOR EACH ROW
-    EXECUTE FUNCTION update_next_run_trigger();
+DROP TRIGGER IF EXISTS jobs_notify_insert_delete ON jobs;
+CREATE TRIGGER jobs_notify_insert_delete
+    AFTER INSERT OR DELETE ON jobs
+    FOR EACH ROW EXECUTE FUNCTION notify_job_change();
+
+DROP TRIGGER IF EXISTS jobs_notify_update ON jobs;
+CREATE TRIGGER jobs_notify_update
+    AFTER UPDATE ON jobs
+    FOR EACH ROW WHEN (OLD.* IS DISTINCT FROM NEW.*)
+    EXECUTE FUNCTION notify_job_change();
+
+DROP TRIGGER IF EXISTS job_executions_notify ON job_executions;
+CREATE TRIGGER job_executions_notify
+    AFTER INSERT OR UPDATE OF status ON job_executions
+    FOR EACH ROW EXECUTE FUNCTION notify_execution_change();
 
 -- Function to clean old job executions (for maintenance)
 CREATE OR REPLACE FUNCTION cleanup_old_executions(days_to_keep INTEGER DEFAULT 30)
@@ -142,6 +448,11 @@ BEGIN
     WHERE started_at < NOW() - (days_to_keep || ' days')::INTERVAL;
     
     GET DIAGNOSTICS deleted_count = ROW_COUNT;
+
+    -- Logs age out with their executions
+    DELETE FROM execution_logs
+    WHERE created_at < NOW() - (days_to_keep || ' days')::INTERVAL;
+
     RETURN deleted_count;
 END;
 $$ LANGUAGE plpgsql;
\ No newline at end of file
@@ -0,0 +1,90 @@
+// Upper bound for any single text field an executor stores in job_executions.output
+const MAX_OUTPUT_LENGTH = parseInt(process.env.EXECUTOR_MAX_OUTPUT_LENGTH) || 10000;
+
+/**
+ * Truncate text so it can be stored safely in the execution output
+ * @param {string} text - Text to truncate
+ * @param {number} maxLength - Maximum number of characters to keep
+ * @returns {{ text: string, truncated: boolean }}
+ */
+function truncateText(text, maxLength = MAX_OUTPUT_LENGTH) {
+  const value = text == null ? "" : String(text);
+
+  if (value.length <= maxLength) {
+    return { text: value, truncated: false };
+  }
+
+  return { text: value.slice(0, maxLength), truncated: true };
+}
+
+/**
+ * Make sure a value can be stored in a JSONB column
+ * @param {any} value - Value returned by an executor
+ * @returns {any} - JSON-safe copy of the value
+ */
+function toJsonSafe(value) {
+  if (value === undefined) return null;
+
+  try {
+    return JSON.parse(JSON.stringify(value));
+  } catch (error) {
+    return { unserializable: true, description: String(value) };
+  }
+}
+
+/**
+ * Replace {{name}} placeholders with values from the execution context.
+ * Strings are rendered, arrays and objects are rendered recursively.
+ * @param {any} template - String, array or object containing placeholders
+ * @param {object} variables - Values available to the template
+ * @returns {any} - Rendered copy of the template
+ */
+function renderTemplate(template, variables) {
+  if (typeof template === "string") {
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, name) => {
+      const value = getPath(variables, name);
+      if (value === undefined || value === null) return "";
+      if (value instanceof Date) return value.toISOString();
+      return typeof value === "object" ? JSON.stringify(value) : String(value);
+    });
+  }
+
+  if (Array.isArray(template)) {
+    return template.map((item) => renderTemplate(item, variables));
+  }
+
+  if (template && typeof template === "object") {
+    return Object.fromEntries(
+      Object.entries(template).map(([key, value]) => [
+        key,
+        renderTemplate(value, variables),
+      ])
+    );
+  }
+
+  return template;
+}
+
+/**
+ * Read a dot-separated path (e.g. "data.items.0.id") from an object
+ * @param {any} source - Object to read from
+ * @param {string} path - Dot-separated path
+ * @returns {any} - Value at the path or undefined
+ */
+function getPath(source, path) {
+  return path
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value === undefined || value === null ? undefined : value[key],
+      source
+    );
+}
+
+module.exports = {
+  MAX_OUTPUT_LENGTH,
+  truncateText,
+  toJsonSafe,
+  renderTemplate,
+  getPath,
+};
@@ -0,0 +1,197 @@
+const Joi = require("joi");
+const {
+  truncateText,
+  renderTemplate,
+  getPath,
+} = require("./helpers");
+
+const statusAssertionSchema = Joi.alternatives().try(
+  Joi.number().integer().min(100).max(599),
+  Joi.array().items(Joi.number().integer().min(100).max(599)).min(1),
+  Joi.string().pattern(/^[1-5]xx$/)
+);
+
+const jsonAssertionSchema = Joi.object({
+  path: Joi.string().trim().min(1).required(),
+  equals: Joi.any().optional(),
+  exists: Joi.boolean().optional(),
+});
+
+/**
+ * HTTP executor - calls a webhook or internal endpoint
+ *
+ * The url, header values and body may contain {{placeholders}} rendered from
+ * the execution context: executionId, jobId, jobName, scheduledTime, attempt.
+ *
+ * Payload:
+ *   url        (string, required) - Request URL
+ *   method     (string)           - HTTP method (defaults to GET)
+ *   headers    (object)           - Request headers
+ *   body       (string|object)    - Request body, objects are sent as JSON
+ *   assertions (object)           - status: 200 | [200, 204] | "2xx" (defaults to "2xx")
+ *                                   json:   [{ path: "data.ok", equals: true }, { path: "id", exists: true }]
+ */
+class HttpExecutor {
+  constructor() {
+    this.type = "http";
+    this.payloadSchema = Joi.object({
+      url: Joi.string().trim().min(1).required(),
+      method: Joi.string()
+        .uppercase()
+        .valid("GET", "POST", "PUT", "PATCH", "DELETE", "HEAD")
+        .default("GET"),
+      headers: Joi.object().pattern(Joi.string(), Joi.string()).default({}),
+      body: Joi.alternatives()
+        .try(Joi.string(), Joi.object(), Joi.array())
+        .optional(),
+      assertions: Joi.object({
+        status: statusAssertionSchema.default("2xx"),
+        json: Joi.array().items(jsonAssertionSchema).default([]),
+      }).default({ status: "2xx", json: [] }),
+    }).unknown(true);
+  }
+
+  async execute(job, context) {
+    const { method, headers, body, assertions } = job.payload;
+    const variables = {
+      executionId: context.executionId,
+      jobId: job.id,
+      jobName: job.name,
+      scheduledTime: context.scheduledTime,
+      attempt: context.attempt || 0,
+    };
+
+    const url = renderTemplate(job.payload.url, variables);
+    const requestHeaders = renderTemplate(headers, variables);
+    let requestBody;
+
+    if (body !== undefined && method !== "GET" && method !== "HEAD") {
+      const renderedBody = renderTemplate(body, variables);
+
+      if (typeof renderedBody === "string") {
+        requestBody = renderedBody;
+      } else {
+        requestBody = JSON.stringify(renderedBody);
+        if (!this.hasHeader(requestHeaders, "content-type")) {
+          requestHeaders["Content-Type"] = "application/json";
+        }
+      }
+    }
+
+    context.logger?.log(`${method} ${url}`);
+
+    const startedAt = Date.now();
+    const response = await fetch(url, {
+      method,
+      headers: requestHeaders,
+      body: requestBody,
+      signal: context.signal,
+    });
+    const responseText = await response.text();
+    const { text, truncated } = truncateText(responseText);
+
+    context.logger?.log(
+      `${response.status} ${response.statusText} (${
+        Date.now() - startedAt
+      }ms)`
+    );
+
+    const output = {
+      request: { method, url },
+      status: response.status,
+      statusText: response.statusText,
+      headers: Object.fromEntries(response.headers.entries()),
+      body: text,
+      truncated,
+      durationMs: Date.now() - startedAt,
+    };
+
+    const failures = this.checkAssertions(assertions, response, responseText);
+    output.assertions = { passed: failures.length === 0, failures };
+
+    if (failures.length > 0) {
+      failures.forEach((failure) =>
+        context.logger?.log(`Assertion failed: ${failure}`)
+      );
+      const error = new Error(`HTTP assertion failed: ${failures.join("; ")}`);
+      error.output = output;
+      throw error;
+    }
+
+    return output;
+  }
+
+  /**
+   * Check the response against the configured assertions
+   * @returns {string[]} - Failure descriptions (empty when all pass)
+   */
+  checkAssertions(assertions, response, responseText) {
+    const failures = [];
+
+    if (!this.statusMatches(assertions.status, response.status)) {
+      failures.push(
+        `expected status ${JSON.stringify(assertions.status)}, got ${
+          response.status
+        }`
+      );
+    }
+
+    if (assertions.json.length === 0) {
+      return failures;
+    }
+
+    let json;
+    try {
+      json = JSON.parse(responseText);
+    } catch (error) {
+      failures.push("response body is not valid JSON");
+      return failures;
+    }
+
+    for (const assertion of assertions.json) {
+      const actual = getPath(json, assertion.path);
+
+      if (assertion.exists !== undefined) {
+        const exists = actual !== undefined;
+        if (exists !== assertion.exists) {
+          failures.push(
+            `expected "${assertion.path}" to ${
+              assertion.exists ? "exist" : "be absent"
+            }`
+          );
+        }
+      }
+
+      if (
+        "equals" in assertion &&
+        JSON.stringify(actual) !== JSON.stringify(assertion.equals)
+      ) {
+        failures.push(
+          `expected "${assertion.path}" to equal ${JSON.stringify(
+            assertion.equals
+          )}, got ${JSON.stringify(actual)}`
+        );
+      }
+    }
+
+    return failures;
+  }
+
+  statusMatches(expected, status) {
+    if (Array.isArray(expected)) {
+      return expected.includes(status);
+    }
+
+    if (typeof expected === "string") {
+      return String(status)[0] === expected[0];
+    }
+
+    return status === expected;
+  }
+
+  hasHeader(headers, name) {
+    return Object.keys(headers).some((key) => key.toLowerCase() === name);
+  }
+}
+
+module.exports = HttpExecutor;
@@ -0,0 +1,118 @@
+const NoopExecutor = require("./noopExecutor");
+const HttpExecutor = require("./httpExecutor");
+const ShellExecutor = require("./shellExecutor");
+const NodeModuleExecutor = require("./nodeModuleExecutor");
+
+/**
+ * Executor Registry - maps an executor kind to the implementation that runs it
+ *
+ * An executor is any object with:
+ *   type          - Executor kind stored on the job (jobs.executor_type)
+ *   payloadSchema - Joi schema the job payload must satisfy
+ *   execute(job, context) - Resolves with the execution output or rejects
+ *                           with an Error (optionally carrying `error.output`)
+ *
+ * The context passed to executors contains executionId, scheduledTime, an
+ * AbortSignal that fires when the execution times out and a logger
+ * (stdout/stderr/log methods) that captures output in the execution log.
+ * The logger may be absent, e.g. when an executor runs outside a worker.
+ */
+class ExecutorRegistry {
+  constructor() {
+    this.executors = new Map();
+
+    this.register(new NoopExecutor());
+    this.register(new HttpExecutor());
+    this.register(new NodeModuleExecutor());
+
+    // Shell access is opt-in since any job author could run arbitrary commands
+    if (process.env.SHELL_EXECUTOR_ENABLED === "true") {
+      this.register(new ShellExecutor());
+    }
+  }
+
+  /**
+   * Register an executor implementation
+   * @param {object} executor - Executor instance
+   */
+  register(executor) {
+    if (!executor.type || typeof executor.execute !== "function") {
+      throw new Error("Executors must define a type and an execute method");
+    }
+
+    this.executors.set(executor.type, executor);
+  }
+
+  has(type) {
+    return this.executors.has(type);
+  }
+
+  get(type) {
+    const executor = this.executors.get(type);
+
+    if (!executor) {
+      throw new Error(`Unknown executor type: ${type}`);
+    }
+
+    return executor;
+  }
+
+  /**
+   * Get the registered executor kinds
+   * @returns {string[]}
+   */
+  list() {
+    return Array.from(this.executors.keys());
+  }
+
+  /**
+   * Validate a job payload against the executor's payload schema
+   * @param {string} type - Executor kind
+   * @param {object} payload - Job payload
+   * @returns {string[]} - Validation error messages
+   */
+  validatePayload(type, payload) {
+    if (!this.has(type)) {
+      return [
+        `Executor type must be one of: ${this.list().join(", ")}`,
+      ];
+    }
+
+    const { error } = this.get(type).payloadSchema.validate(payload || {}, {
+      abortEarly: false,
+    });
+
+    return error
+      ? error.details.map((detail) => `Payload ${detail.message}`)
+      : [];
+  }
+
+  /**
+   * Run a job with its configured executor
+   * @param {Job} job - Job to execute
+   * @param {object} context - Execution context
+   * @returns {Promise<object>} - Executor output
+   */
+  async execute(job, context) {
+    const executor = this.get(job.executorType);
+
+    // Apply schema defaults so executors always see a normalized payload
+    const { value: payload } = executor.payloadSchema.validate(
+      job.payload || {}
+    );
+
+    return executor.execute({ ...job, payload }, context);
+  }
+}
+
+// Singleton pattern
+let registryInstance = null;
+
+const getExecutorRegistry = () => {
+  if (!registryInstance) {
+    registryInstance = new ExecutorRegistry();
+  }
+  return registryInstance;
+};
+
+module.exports = { ExecutorRegistry, getExecutorRegistry };
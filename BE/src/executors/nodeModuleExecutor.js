@@ -0,0 +1,78 @@
+const Joi = require("joi");
+const path = require("path");
+const { toJsonSafe } = require("./helpers");
+
+/**
+ * Node module executor - calls an exported function from a local module
+ *
+ * Modules are resolved relative to JOB_MODULES_DIR (defaults to ./jobs) and
+ * may not escape that directory. The handler is called as
+ * `handler(args, context)` and its return value becomes the execution output.
+ * `context.log(...)` adds a line to the execution log.
+ *
+ * Payload:
+ *   module (string, required) - Module path relative to JOB_MODULES_DIR
+ *   export (string)           - Named export to call (defaults to the module itself or `default`)
+ *   args   (any)              - Value passed as the first argument
+ */
+class NodeModuleExecutor {
+  constructor() {
+    this.type = "node-module";
+    this.modulesDir = path.resolve(process.env.JOB_MODULES_DIR || "jobs");
+    this.payloadSchema = Joi.object({
+      module: Joi.string().trim().min(1).required(),
+      export: Joi.string().trim().optional(),
+      args: Joi.any().optional(),
+    }).unknown(true);
+  }
+
+  async execute(job, context) {
+    const handler = this.loadHandler(job.payload);
+    const result = await handler(job.payload.args, {
+      ...context,
+      log: (...args) => context.logger?.log(...args),
+    });
+
+    return {
+      module: job.payload.module,
+      export: job.payload.export || null,
+      result: toJsonSafe(result),
+    };
+  }
+
+  /**
+   * Resolve and load the handler function for a payload
+   * @param {object} payload - Job payload
+   * @returns {Function} - Handler function
+   */
+  loadHandler(payload) {
+    const modulePath = path.resolve(this.modulesDir, payload.module);
+
+    if (!modulePath.startsWith(this.modulesDir + path.sep)) {
+      throw new Error(
+        `Module "${payload.module}" is outside the job modules directory`
+      );
+    }
+
+    const loaded = require(modulePath);
+    let handler;
+
+    if (payload.export) {
+      handler = loaded[payload.export];
+    } else {
+      handler = typeof loaded === "function" ? loaded : loaded.default;
+    }
+
+    if (typeof handler !== "function") {
+      throw new Error(
+        `Module "${payload.module}" does not export a function${
+          payload.export ? ` named "${payload.export}"` : ""
+        }`
+      );
+    }
+
+    return handler;
+  }
+}
+
+module.exports = NodeModuleExecutor;
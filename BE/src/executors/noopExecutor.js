@@ -0,0 +1,22 @@
+const Joi = require("joi");
+
+/**
+ * No-op executor - default for jobs that do not declare an executor.
+ * Completes immediately and echoes the payload back as output.
+ */
+class NoopExecutor {
+  constructor() {
+    this.type = "noop";
+    this.payloadSchema = Joi.object().unknown(true);
+  }
+
+  async execute(job, context) {
+    return {
+      message: "No executor configured, nothing was run",
+      payload: job.payload,
+      executedAt: new Date().toISOString(),
+    };
+  }
+}
+
+module.exports = NoopExecutor;
@@ -0,0 +1,108 @@
+const Joi = require("joi");
+const { spawn } = require("child_process");
+const { truncateText } = require("./helpers");
+
+/**
+ * Shell executor - runs a command in a child process
+ *
+ * stdout and stderr are streamed to the execution log as they arrive; the
+ * execution output keeps a truncated copy of each.
+ *
+ * Payload:
+ *   command (string, required) - Executable or command line to run
+ *   args    (string[])         - Arguments passed to the command
+ *   cwd     (string)           - Working directory
+ *   env     (object)           - Extra environment variables
+ *   shell   (boolean)          - Run the command through the system shell
+ */
+class ShellExecutor {
+  constructor() {
+    this.type = "shell";
+    this.payloadSchema = Joi.object({
+      command: Joi.string().trim().min(1).required(),
+      args: Joi.array().items(Joi.string()).default([]),
+      cwd: Joi.string().optional(),
+      env: Joi.object().pattern(Joi.string(), Joi.string()).optional(),
+      shell: Joi.boolean().default(false),
+    }).unknown(true);
+  }
+
+  async execute(job, context) {
+    const { command, args = [], cwd, env = {}, shell = false } = job.payload;
+
+    return new Promise((resolve, reject) => {
+      const startedAt = Date.now();
+      let stdout = "";
+      let stderr = "";
+
+      const child = spawn(command, args, {
+        cwd,
+        env: {
+          ...process.env,
+          ...env,
+          JOB_ID: job.id,
+          JOB_EXECUTION_ID: context.executionId || "",
+        },
+        shell,
+        signal: context.signal,
+      });
+
+      child.stdout.setEncoding("utf8");
+      child.stderr.setEncoding("utf8");
+
+      child.stdout.on("data", (chunk) => {
+        stdout += chunk;
+        context.logger?.stdout(chunk);
+      });
+
+      child.stderr.on("data", (chunk) => {
+        stderr += chunk;
+        context.logger?.stderr(chunk);
+      });
+
+      child.on("error", (error) => {
+        error.output = this.buildOutput(command, args, null, stdout, stderr);
+        reject(error);
+      });
+
+      child.on("close", (exitCode, signal) => {
+        const output = this.buildOutput(
+          command,
+          args,
+          exitCode,
+          stdout,
+          stderr
+        );
+        output.durationMs = Date.now() - startedAt;
+
+        if (exitCode === 0) {
+          return resolve(output);
+        }
+
+        const error = new Error(
+          signal
+            ? `Command terminated by signal ${signal}`
+            : `Command exited with code ${exitCode}`
+        );
+        error.output = output;
+        reject(error);
+      });
+    });
+  }
+
+  buildOutput(command, args, exitCode, stdout, stderr) {
+    const out = truncateText(stdout);
+    const err = truncateText(stderr);
+
+    return {
+      command,
+      args,
+      exitCode,
+      stdout: out.text,
+      stderr: err.text,
+      truncated: out.truncated || err.truncated,
+    };
+  }
+}
+
+module.exports = ShellExecutor;
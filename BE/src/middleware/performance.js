@@ -102,15 +102,23 @@ class RateLimiter {
   }
 }
 
+/**
+ * URL of a request with credentials passed in the query (stream tokens)
+ * masked, for logging
+ */
+const redactUrl = (url) =>
+  url.replace(/([?&]access_token=)[^&]*/g, "$1[REDACTED]");
+
 /**
  * Request logging middleware
  */
 const requestLogger = (req, res, next) => {
   const start = Date.now();
+  const url = redactUrl(req.url);
 
   // Log request
   console.log(
-    `${new Date().toISOString()} - ${req.method} ${req.url} - ${req.ip}`
+    `${new Date().toISOString()} - ${req.method} ${url} - ${req.ip}`
   );
 
   // Override res.end to log response
@@ -118,7 +126,7 @@ const requestLogger = (req, res, next) => {
   res.end = function (...args) {
     const duration = Date.now() - start;
     console.log(
-      `${new Date().toISOString()} - ${req.method} ${req.url} - ${
+      `${new Date().toISOString()} - ${req.method} ${url} - ${
         res.statusCode
       } - ${duration}ms`
     );
@@ -126,7 +134,7 @@ const requestLogger = (req, res, next) => {
     // Log slow requests
     if (duration > 1000) {
       console.warn(
-        `Slow request detected: ${req.method} ${req.url} took ${duration}ms`
+        `Slow request detected: ${req.method} ${url} took ${duration}ms`
       );
     }
 
@@ -140,7 +148,7 @@ const requestLogger = (req, res, next) => {
  * Error logging middleware
  */
 const errorLogger = (err, req, res, next) => {
-  console.error(`Error in ${req.method} ${req.url}:`, {
+  console.error(`Error in ${req.method} ${redactUrl(req.url)}:`, {
     error: err.message,
     stack: err.stack,
     ip: req.ip,
@@ -196,7 +204,8 @@ const globalErrorHandler = (err, req, res, next) => {
  * Health check middleware
  */
 const healthCheck = (req, res, next) => {
-  if (req.path === "/health" || req.path === "/api/health") {
+  // /health itself is served by the detailed handler in index.js
+  if (req.path === "/api/health") {
     return res.json({
       status: "healthy",
       timestamp: new Date().toISOString(),
@@ -2,8 +2,30 @@ const {
   jobCreateSchema,
   jobUpdateSchema,
   jobQuerySchema,
+  jobPauseSchema,
+  jobResumeSchema,
+  executionLogQuerySchema,
   uuidSchema,
 } = require("../validators/jobValidators");
+const {
+  workflowCreateSchema,
+  workflowUpdateSchema,
+  workflowQuerySchema,
+} = require("../validators/workflowValidators");
+const {
+  calendarCreateSchema,
+  calendarUpdateSchema,
+  calendarImportSchema,
+  calendarQuerySchema,
+} = require("../validators/calendarValidators");
+const { executionQuerySchema } = require("../validators/executionValidators");
+const { eventQuerySchema } = require("../validators/eventValidators");
+const {
+  loginSchema,
+  userCreateSchema,
+  userUpdateSchema,
+  apiKeyCreateSchema,
+} = require("../validators/authValidators");
 
 /**
  * Generic validation middleware factory
@@ -45,6 +67,25 @@ const validateRequest = (schema, source = "body") => {
 const validateJobCreate = validateRequest(jobCreateSchema, "body");
 const validateJobUpdate = validateRequest(jobUpdateSchema, "body");
 const validateJobQuery = validateRequest(jobQuerySchema, "query");
+const validateJobPause = validateRequest(jobPauseSchema, "body");
+const validateJobResume = validateRequest(jobResumeSchema, "body");
+const validateExecutionLogQuery = validateRequest(
+  executionLogQuerySchema,
+  "query"
+);
+const validateWorkflowCreate = validateRequest(workflowCreateSchema, "body");
+const validateWorkflowUpdate = validateRequest(workflowUpdateSchema, "body");
+const validateWorkflowQuery = validateRequest(workflowQuerySchema, "query");
+const validateCalendarCreate = validateRequest(calendarCreateSchema, "body");
+const validateCalendarUpdate = validateRequest(calendarUpdateSchema, "body");
+const validateCalendarImport = validateRequest(calendarImportSchema, "body");
+const validateCalendarQuery = validateRequest(calendarQuerySchema, "query");
+const validateExecutionQuery = validateRequest(executionQuerySchema, "query");
+const validateEventQuery = validateRequest(eventQuerySchema, "query");
+const validateLogin = validateRequest(loginSchema, "body");
+const validateUserCreate = validateRequest(userCreateSchema, "body");
+const validateUserUpdate = validateRequest(userUpdateSchema, "body");
+const validateApiKeyCreate = validateRequest(apiKeyCreateSchema, "body");
 // Special middleware for validating job ID parameter
 const validateJobId = (req, res, next) => {
   const { error, value } = uuidSchema.validate(req.params.id);
@@ -69,6 +110,46 @@ const validateJobId = (req, res, next) => {
   next();
 };
 
+/**
+ * Middleware factory validating a UUID route parameter
+ * @param {string} param - Route parameter name
+ * @param {string} label - What the ID identifies, for the error message
+ */
+const validateUuidParam = (param, label) => {
+  const message = `Invalid ${label} ID format`;
+  const schema = uuidSchema.messages({ "string.guid": message });
+
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.params[param]);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation Error",
+        message,
+        details: [
+          {
+            field: param,
+            message: error.message,
+            value: req.params[param],
+          },
+        ],
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    req.params[param] = value;
+    next();
+  };
+};
+
+const validateExecutionId = validateUuidParam("executionId", "execution");
+const validateWorkflowId = validateUuidParam("id", "workflow");
+const validateWorkflowRunId = validateUuidParam("runId", "workflow run");
+const validateCalendarId = validateUuidParam("id", "calendar");
+const validateUserId = validateUuidParam("id", "user");
+const validateApiKeyId = validateUuidParam("id", "API key");
+
 // Error handling middleware for validation errors
 const handleValidationError = (error, req, res, next) => {
   if (error.isJoi) {
@@ -96,12 +177,14 @@ const sanitizeRequest = (req, res, next) => {
   }
 
   // Convert string booleans
-  if (req.query.isActive) {
-    req.query.isActive = req.query.isActive === "true";
-  }
+  ["isActive", "paused"].forEach((field) => {
+    if (req.query[field]) {
+      req.query[field] = req.query[field] === "true";
+    }
+  });
 
   // Convert numeric strings
-  ["page", "limit"].forEach((field) => {
+  ["page", "limit", "minPriority", "maxPriority"].forEach((field) => {
     if (req.query[field] && typeof req.query[field] === "string") {
       const num = parseInt(req.query[field], 10);
       if (!isNaN(num)) {
@@ -118,7 +201,29 @@ module.exports = {
   validateJobCreate,
   validateJobUpdate,
   validateJobQuery,
+  validateJobPause,
+  validateJobResume,
+  validateExecutionLogQuery,
   validateJobId,
+  validateExecutionId,
+  validateWorkflowCreate,
+  validateWorkflowUpdate,
+  validateWorkflowQuery,
+  validateWorkflowId,
+  validateWorkflowRunId,
+  validateCalendarCreate,
+  validateCalendarUpdate,
+  validateCalendarImport,
+  validateCalendarQuery,
+  validateCalendarId,
+  validateExecutionQuery,
+  validateEventQuery,
+  validateLogin,
+  validateUserCreate,
+  validateUserUpdate,
+  validateUserId,
+  validateApiKeyCreate,
+  validateApiKeyId,
   handleValidationError,
   sanitizeRequest,
 };
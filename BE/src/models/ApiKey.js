@@ -0,0 +1,116 @@
+const { getDatabase } = require("../database/connection");
+
+class ApiKey {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.name = data.name;
+    // First characters of the key, enough to tell keys apart
+    this.keyPrefix = data.key_prefix || data.keyPrefix;
+    this.keyHash = data.key_hash || data.keyHash || null;
+    this.createdBy = data.created_by || data.createdBy || null;
+    this.createdAt = data.created_at || data.createdAt;
+    this.expiresAt = data.expires_at || data.expiresAt || null;
+    this.lastUsedAt = data.last_used_at || data.lastUsedAt || null;
+    this.revokedAt = data.revoked_at || data.revokedAt || null;
+  }
+
+  /**
+   * Whether the key may be used at a time
+   * @param {Date} now - Time of the request
+   */
+  isUsable(now = new Date()) {
+    return !this.revokedAt && (!this.expiresAt || new Date(this.expiresAt) > now);
+  }
+
+  // Convert to API response format (the hash stays private)
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      keyPrefix: this.keyPrefix,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      expiresAt: this.expiresAt,
+      lastUsedAt: this.lastUsedAt,
+      revokedAt: this.revokedAt,
+    };
+  }
+}
+
+class ApiKeyRepository {
+  constructor() {
+    this.db = getDatabase();
+  }
+
+  // Newest first, revoked keys included so their history stays visible
+  async findAll() {
+    const result = await this.db.query(
+      "SELECT * FROM api_keys ORDER BY created_at DESC"
+    );
+
+    return result.rows.map((row) => new ApiKey(row));
+  }
+
+  async findByHash(keyHash) {
+    const result = await this.db.query(
+      "SELECT * FROM api_keys WHERE key_hash = $1",
+      [keyHash]
+    );
+
+    return result.rows.length > 0 ? new ApiKey(result.rows[0]) : null;
+  }
+
+  /**
+   * Store a key
+   * @param {object} keyData - name, keyPrefix, keyHash, createdBy, expiresAt
+   */
+  async create(keyData) {
+    const apiKey = new ApiKey(keyData);
+
+    const result = await this.db.query(
+      `
+      INSERT INTO api_keys (name, key_prefix, key_hash, created_by, expires_at)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `,
+      [
+        apiKey.name,
+        apiKey.keyPrefix,
+        apiKey.keyHash,
+        apiKey.createdBy,
+        apiKey.expiresAt,
+      ]
+    );
+
+    return new ApiKey(result.rows[0]);
+  }
+
+  /**
+   * Revoke a key; revoking twice keeps the first revocation time
+   * @returns {Promise<ApiKey|null>} - null if no such key
+   */
+  async revoke(id) {
+    const result = await this.db.query(
+      `
+      UPDATE api_keys SET revoked_at = COALESCE(revoked_at, NOW())
+      WHERE id = $1
+      RETURNING *
+    `,
+      [id]
+    );
+
+    return result.rows.length > 0 ? new ApiKey(result.rows[0]) : null;
+  }
+
+  async recordUse(id) {
+    await this.db.query(
+      "UPDATE api_keys SET last_used_at = NOW() WHERE id = $1",
+      [id]
+    );
+  }
+}
+
+module.exports = {
+  ApiKey,
+  ApiKeyRepository,
+};
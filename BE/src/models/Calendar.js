@@ -0,0 +1,402 @@
+const { getDatabase } = require("../database/connection");
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  isValidCronExpression,
+  parseRateExpression,
+  getMissedRunTimes,
+} = require("../utils/cron");
+
+// Where an exclusion came from; imports only replace their own kind
+const EXCLUSION_SOURCES = ["manual", "ical"];
+
+class Calendar {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.name = data.name;
+    this.description = data.description;
+    this.timezone = data.timezone || DEFAULT_TIMEZONE;
+    this.createdBy = data.created_by || data.createdBy;
+    this.createdAt = data.created_at || data.createdAt;
+    this.updatedAt = data.updated_at || data.updatedAt;
+    // Jobs attached to the calendar (read-only, set through the jobs)
+    this.jobIds = data.job_ids || data.jobIds || [];
+    this.exclusions = (data.exclusions || []).map((exclusion) => {
+      // duration_ms is a BIGINT, which the driver returns as a string
+      const durationMs = exclusion.duration_ms ?? exclusion.durationMs;
+
+      return {
+        id: exclusion.id,
+        label: exclusion.label || null,
+        startsAt: exclusion.starts_at || exclusion.startsAt || null,
+        endsAt: exclusion.ends_at || exclusion.endsAt || null,
+        cronExpression:
+          exclusion.cron_expression || exclusion.cronExpression || null,
+        durationMs: durationMs != null ? Number(durationMs) : null,
+        source: exclusion.source || "manual",
+      };
+    });
+  }
+
+  // Convert to API response format
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      timezone: this.timezone,
+      exclusions: this.exclusions,
+      jobIds: this.jobIds,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+
+  /**
+   * Find the exclusion covering a time. Date ranges include their start and
+   * exclude their end; recurring exclusions cover durationMs from each
+   * occurrence of their cron expression, evaluated in the calendar timezone.
+   * @param {Date} time - Time to check (e.g. a scheduled run)
+   * @returns {object|null} - Covering exclusion, null if the time is free
+   */
+  findExclusion(time) {
+    const at = new Date(time);
+
+    return (
+      this.exclusions.find((exclusion) => {
+        if (exclusion.startsAt) {
+          return (
+            new Date(exclusion.startsAt) <= at && at < new Date(exclusion.endsAt)
+          );
+        }
+
+        const occurrences = getMissedRunTimes(
+          exclusion.cronExpression,
+          new Date(at.getTime() - exclusion.durationMs + 1),
+          at,
+          1,
+          this.timezone
+        );
+        return occurrences.length > 0;
+      }) || null
+    );
+  }
+
+  // Validation method
+  validate() {
+    const errors = [];
+
+    if (!this.name || this.name.trim().length === 0) {
+      errors.push("Name is required");
+    }
+
+    if (!isValidTimezone(this.timezone)) {
+      errors.push(`Invalid timezone: ${this.timezone}`);
+    }
+
+    this.exclusions.forEach((exclusion, index) => {
+      const which = exclusion.label || `#${index + 1}`;
+
+      if (exclusion.cronExpression) {
+        if (exclusion.startsAt || exclusion.endsAt) {
+          errors.push(
+            `Exclusion ${which} needs either a date range or a cron expression, not both`
+          );
+        }
+        if (
+          !isValidCronExpression(exclusion.cronExpression) ||
+          parseRateExpression(exclusion.cronExpression)
+        ) {
+          errors.push(
+            `Exclusion ${which} has an invalid cron expression: ${exclusion.cronExpression}`
+          );
+        }
+        if (!Number.isInteger(exclusion.durationMs) || exclusion.durationMs < 1) {
+          errors.push(`Exclusion ${which} needs a positive durationMs`);
+        }
+      } else if (!exclusion.startsAt || !exclusion.endsAt) {
+        errors.push(
+          `Exclusion ${which} needs startsAt and endsAt, or a cron expression and durationMs`
+        );
+      } else if (
+        isNaN(new Date(exclusion.startsAt).getTime()) ||
+        !(new Date(exclusion.endsAt) > new Date(exclusion.startsAt))
+      ) {
+        errors.push(`Exclusion ${which} must end after it starts`);
+      }
+
+      if (!EXCLUSION_SOURCES.includes(exclusion.source)) {
+        errors.push(
+          `Exclusion source must be one of: ${EXCLUSION_SOURCES.join(", ")}`
+        );
+      }
+    });
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+    };
+  }
+}
+
+/**
+ * Find the first exclusion covering a time across several calendars
+ * @param {Calendar[]} calendars - Calendars to check
+ * @param {Date} time - Time to check
+ * @returns {{calendar: Calendar, exclusion: object}|null}
+ */
+const findCalendarExclusion = (calendars, time) => {
+  for (const calendar of calendars) {
+    const exclusion = calendar.findExclusion(time);
+    if (exclusion) return { calendar, exclusion };
+  }
+
+  return null;
+};
+
+class CalendarRepository {
+  constructor() {
+    this.db = getDatabase();
+  }
+
+  // Calendar rows with their exclusions and attached jobs aggregated
+  baseQuery(whereClause = "") {
+    return `
+      SELECT c.*,
+        COALESCE(
+          (
+            SELECT json_agg(e ORDER BY e.starts_at NULLS FIRST, e.created_at)
+            FROM calendar_exclusions e WHERE e.calendar_id = c.id
+          ),
+          '[]'::JSON
+        ) AS exclusions,
+        COALESCE(
+          (SELECT array_agg(j.id) FROM jobs j WHERE c.id = ANY(j.calendar_ids)),
+          ARRAY[]::UUID[]
+        ) AS job_ids
+      FROM calendars c
+      ${whereClause}
+    `;
+  }
+
+  async findAll(options = {}) {
+    const { page = 1, limit = 50 } = options;
+    const offset = (page - 1) * limit;
+
+    const query = `
+      ${this.baseQuery()}
+      ORDER BY c.name ASC
+      LIMIT $1 OFFSET $2
+    `;
+
+    const [result, count] = await Promise.all([
+      this.db.query(query, [limit, offset]),
+      this.db.query("SELECT COUNT(*) FROM calendars"),
+    ]);
+
+    const total = parseInt(count.rows[0].count);
+
+    return {
+      calendars: result.rows.map((row) => new Calendar(row)),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    };
+  }
+
+  async findById(id) {
+    const result = await this.db.query(this.baseQuery("WHERE c.id = $1"), [id]);
+
+    return result.rows.length > 0 ? new Calendar(result.rows[0]) : null;
+  }
+
+  /**
+   * Load several calendars at once (e.g. the calendars of a job)
+   * @param {string[]} ids - Calendar IDs; unknown IDs are left out
+   * @param {object} client - Database client (defaults to the pool)
+   */
+  async findByIds(ids, client = this.db) {
+    if (!ids || ids.length === 0) return [];
+
+    const result = await client.query(
+      this.baseQuery("WHERE c.id = ANY($1::UUID[])"),
+      [ids]
+    );
+
+    return result.rows.map((row) => new Calendar(row));
+  }
+
+  /**
+   * Find the calendar exclusion that suppresses a run of a job
+   * @param {string[]} calendarIds - Calendars the job is attached to
+   * @param {Date} time - Scheduled time of the run
+   * @param {object} client - Database client (defaults to the pool)
+   * @returns {Promise<{calendar: Calendar, exclusion: object}|null>}
+   */
+  async findExclusion(calendarIds, time, client = this.db) {
+    const calendars = await this.findByIds(calendarIds, client);
+    return findCalendarExclusion(calendars, time);
+  }
+
+  async create(calendarData) {
+    const calendar = this.validate(new Calendar(calendarData));
+
+    const id = await this.db.transaction(async (client) => {
+      const result = await client.query(
+        `
+        INSERT INTO calendars (name, description, timezone, created_by)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id
+      `,
+        [
+          calendar.name,
+          calendar.description,
+          calendar.timezone,
+          calendar.createdBy,
+        ]
+      );
+
+      await this.saveExclusions(client, result.rows[0].id, calendar.exclusions);
+      return result.rows[0].id;
+    });
+
+    return this.findById(id);
+  }
+
+  async update(id, updateData) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      return null;
+    }
+
+    // Merge existing data with updates
+    const calendar = this.validate(
+      new Calendar({ ...existing, ...updateData, id })
+    );
+
+    await this.db.transaction(async (client) => {
+      await client.query(
+        `
+        UPDATE calendars SET
+          name = $2,
+          description = $3,
+          timezone = $4,
+          created_by = $5,
+          updated_at = NOW()
+        WHERE id = $1
+      `,
+        [
+          id,
+          calendar.name,
+          calendar.description,
+          calendar.timezone,
+          calendar.createdBy,
+        ]
+      );
+
+      // Exclusions are replaced wholesale when given
+      if (updateData.exclusions) {
+        await client.query(
+          "DELETE FROM calendar_exclusions WHERE calendar_id = $1",
+          [id]
+        );
+        await this.saveExclusions(client, id, calendar.exclusions);
+      }
+    });
+
+    return this.findById(id);
+  }
+
+  /**
+   * Delete a calendar and detach it from its jobs
+   */
+  async delete(id) {
+    return this.db.transaction(async (client) => {
+      await client.query(
+        "UPDATE jobs SET calendar_ids = array_remove(calendar_ids, $1) WHERE $1 = ANY(calendar_ids)",
+        [id]
+      );
+
+      const result = await client.query(
+        "DELETE FROM calendars WHERE id = $1 RETURNING *",
+        [id]
+      );
+
+      return result.rows.length > 0 ? new Calendar(result.rows[0]) : null;
+    });
+  }
+
+  /**
+   * Add exclusions imported from an iCalendar document
+   * @param {string} id - Calendar ID
+   * @param {object[]} exclusions - Parsed exclusions
+   * @param {boolean} replace - Remove previously imported exclusions first
+   * @returns {Promise<Calendar|null>} - Updated calendar, null if not found
+   */
+  async importExclusions(id, exclusions, replace = false) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      return null;
+    }
+
+    this.validate(new Calendar({ ...existing, exclusions }));
+
+    await this.db.transaction(async (client) => {
+      if (replace) {
+        await client.query(
+          "DELETE FROM calendar_exclusions WHERE calendar_id = $1 AND source = 'ical'",
+          [id]
+        );
+      }
+
+      await this.saveExclusions(client, id, exclusions);
+      await client.query(
+        "UPDATE calendars SET updated_at = NOW() WHERE id = $1",
+        [id]
+      );
+    });
+
+    return this.findById(id);
+  }
+
+  validate(calendar) {
+    const validation = calendar.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.join(", ")}`);
+    }
+
+    return calendar;
+  }
+
+  async saveExclusions(client, calendarId, exclusions) {
+    for (const exclusion of exclusions) {
+      await client.query(
+        `
+        INSERT INTO calendar_exclusions (
+          calendar_id, label, starts_at, ends_at, cron_expression, duration_ms, source
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `,
+        [
+          calendarId,
+          exclusion.label || null,
+          exclusion.cronExpression ? null : exclusion.startsAt,
+          exclusion.cronExpression ? null : exclusion.endsAt,
+          exclusion.cronExpression || null,
+          exclusion.cronExpression ? exclusion.durationMs : null,
+          exclusion.source || "manual",
+        ]
+      );
+    }
+  }
+}
+
+module.exports = {
+  Calendar,
+  CalendarRepository,
+  EXCLUSION_SOURCES,
+  findCalendarExclusion,
+};
@@ -0,0 +1,328 @@
+const { getDatabase } = require("../database/connection");
+const { TRIGGER_PRIORITIES } = require("../services/queueService");
+
+const EXECUTION_STATUSES = [
+  "running",
+  "completed",
+  "failed",
+  "timeout",
+  "skipped",
+  "cancelled",
+  "abandoned",
+];
+const TRIGGER_SOURCES = Object.keys(TRIGGER_PRIORITIES);
+
+/**
+ * Encode the position after an execution for keyset pagination. The start
+ * time keeps its microseconds, which JavaScript dates would drop.
+ */
+const encodeCursor = (startedAt, id) =>
+  Buffer.from(`${startedAt}|${id}`).toString("base64url");
+
+/**
+ * @returns {{startedAt: string, id: string}|null} - null when malformed
+ */
+const decodeCursor = (cursor) => {
+  const [startedAt, id] = Buffer.from(String(cursor), "base64url")
+    .toString()
+    .split("|");
+
+  if (
+    !id ||
+    isNaN(new Date(startedAt).getTime()) ||
+    !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)
+  ) {
+    return null;
+  }
+
+  return { startedAt, id };
+};
+
+class Execution {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.jobId = data.job_id || data.jobId;
+    this.jobName = data.job_name || data.jobName || null;
+    this.status = data.status;
+    this.triggerSource = data.trigger_source || data.triggerSource;
+    this.scheduledFor = data.scheduled_for || data.scheduledFor || null;
+    this.startedAt = data.started_at || data.startedAt;
+    this.completedAt = data.completed_at || data.completedAt || null;
+    this.durationMs = data.duration_ms ?? data.durationMs ?? null;
+    this.retryCount = data.retry_count ?? data.retryCount ?? 0;
+    this.errorMessage = data.error_message || data.errorMessage || null;
+    this.errorStack = data.error_stack || data.errorStack || null;
+    this.output = data.output ?? null;
+    this.instanceId = data.instance_id || data.instanceId || null;
+    this.host = data.host || null;
+    this.heartbeatAt = data.heartbeat_at || data.heartbeatAt || null;
+    this.workflowRunId = data.workflow_run_id || data.workflowRunId || null;
+    this.previousExecutionId =
+      data.previous_execution_id || data.previousExecutionId || null;
+    this.logTruncated = data.log_truncated ?? data.logTruncated ?? false;
+    // Every attempt of the run, first to last (set by findById)
+    this.retryChain = data.retryChain || [];
+  }
+
+  // Convert to API response format
+  toJSON() {
+    return {
+      id: this.id,
+      jobId: this.jobId,
+      jobName: this.jobName,
+      status: this.status,
+      triggerSource: this.triggerSource,
+      scheduledFor: this.scheduledFor,
+      startedAt: this.startedAt,
+      completedAt: this.completedAt,
+      durationMs: this.durationMs,
+      retryCount: this.retryCount,
+      errorMessage: this.errorMessage,
+      errorStack: this.errorStack,
+      output: this.output,
+      instanceId: this.instanceId,
+      host: this.host,
+      heartbeatAt: this.heartbeatAt,
+      workflowRunId: this.workflowRunId,
+      previousExecutionId: this.previousExecutionId,
+      logTruncated: this.logTruncated,
+      retryChain: this.retryChain,
+    };
+  }
+
+  // Search result format: leaves out the output, stack and retry chain
+  toSummaryJSON() {
+    const { output, errorStack, retryChain, ...summary } = this.toJSON();
+    return summary;
+  }
+}
+
+class ExecutionRepository {
+  constructor() {
+    this.db = getDatabase();
+  }
+
+  /**
+   * Search executions across all jobs, newest first. Pages are keyed on
+   * (started_at, id) rather than offsets, so they stay stable while new
+   * executions arrive and deep pages cost no more than the first.
+   * @param {object} filters - Search filters
+   * @param {string[]} filters.statuses - Any of these statuses
+   * @param {string[]} filters.triggerSources - Any of these trigger sources
+   * @param {Date} filters.from - Started at or after
+   * @param {Date} filters.to - Started before
+   * @param {string} filters.jobId - Executions of one job
+   * @param {string[]} filters.tags - Executions of jobs with any of these tags
+   * @param {number} filters.minDurationMs - Ran at least this long
+   * @param {number} filters.maxDurationMs - Ran at most this long
+   * @param {string} filters.error - Text in the error message (case-insensitive)
+   * @param {string} filters.cursor - nextCursor of the previous page
+   * @param {number} filters.limit - Page size
+   * @returns {Promise<{executions: Execution[], nextCursor: string|null}>}
+   */
+  async search(filters = {}) {
+    const {
+      statuses,
+      triggerSources,
+      from,
+      to,
+      jobId,
+      tags,
+      minDurationMs,
+      maxDurationMs,
+      error,
+      cursor,
+      limit = 50,
+    } = filters;
+
+    const conditions = [];
+    const params = [];
+    const addParam = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    if (statuses && statuses.length > 0) {
+      conditions.push(`e.status = ANY(${addParam(statuses)})`);
+    }
+
+    if (triggerSources && triggerSources.length > 0) {
+      conditions.push(`e.trigger_source = ANY(${addParam(triggerSources)})`);
+    }
+
+    // Bounds on the partition key let PostgreSQL skip whole partitions
+    if (from) {
+      conditions.push(`e.started_at >= ${addParam(from)}`);
+    }
+
+    if (to) {
+      conditions.push(`e.started_at < ${addParam(to)}`);
+    }
+
+    if (jobId) {
+      conditions.push(`e.job_id = ${addParam(jobId)}`);
+    }
+
+    if (tags && tags.length > 0) {
+      conditions.push(`j.tags && ${addParam(tags)}`);
+    }
+
+    if (minDurationMs !== undefined) {
+      conditions.push(`e.duration_ms >= ${addParam(minDurationMs)}`);
+    }
+
+    if (maxDurationMs !== undefined) {
+      conditions.push(`e.duration_ms <= ${addParam(maxDurationMs)}`);
+    }
+
+    if (error) {
+      conditions.push(`e.error_message ILIKE ${addParam(`%${error}%`)}`);
+    }
+
+    if (cursor) {
+      const position = decodeCursor(cursor);
+
+      if (!position) {
+        throw new Error("Validation failed: invalid cursor");
+      }
+
+      const startedAt = addParam(position.startedAt);
+      const id = addParam(position.id);
+      conditions.push(
+        `(e.started_at, e.id) < (${startedAt}::TIMESTAMPTZ, ${id}::UUID)`
+      );
+    }
+
+    const whereClause =
+      conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    // One extra row tells whether another page follows
+    const result = await this.db.query(
+      `
+      SELECT e.id, e.job_id, e.status, e.trigger_source, e.scheduled_for,
+        e.started_at, e.completed_at, e.duration_ms, e.retry_count,
+        e.error_message, e.instance_id, e.host, e.workflow_run_id,
+        e.previous_execution_id, e.log_truncated,
+        to_char(
+          e.started_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"'
+        ) AS cursor_started_at,
+        j.name AS job_name
+      FROM job_executions e
+      JOIN jobs j ON j.id = e.job_id
+      ${whereClause}
+      ORDER BY e.started_at DESC, e.id DESC
+      LIMIT ${addParam(limit + 1)}
+    `,
+      params
+    );
+
+    const rows = result.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+
+    return {
+      executions: rows.map((row) => new Execution(row)),
+      nextCursor:
+        result.rows.length > limit
+          ? encodeCursor(last.cursor_started_at, last.id)
+          : null,
+    };
+  }
+
+  /**
+   * Get an execution with its output, error and retry chain
+   * @param {string} id - Execution ID
+   * @returns {Promise<Execution|null>}
+   */
+  async findById(id) {
+    const result = await this.db.query(
+      `
+      SELECT e.*, j.name AS job_name
+      FROM job_executions e
+      LEFT JOIN jobs j ON j.id = e.job_id
+      WHERE e.id = $1
+    `,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const execution = new Execution(result.rows[0]);
+    execution.retryChain = await this.findRetryChain(id);
+
+    return execution;
+  }
+
+  /**
+   * Get an execution of a job, without its retry chain
+   * @param {string} jobId - Job ID
+   * @param {string} id - Execution ID
+   * @returns {Promise<Execution|null>} - null if the job has no such execution
+   */
+  async findByJob(jobId, id) {
+    const result = await this.db.query(
+      `
+      SELECT e.*, j.name AS job_name
+      FROM job_executions e
+      LEFT JOIN jobs j ON j.id = e.job_id
+      WHERE e.id = $1 AND e.job_id = $2
+    `,
+      [id, jobId]
+    );
+
+    return result.rows.length > 0 ? new Execution(result.rows[0]) : null;
+  }
+
+  /**
+   * Get the attempts linked to an execution through previous_execution_id:
+   * walk back to the first attempt still stored, then forward from it.
+   * @param {string} id - Any execution of the chain
+   * @returns {Promise<object[]>} - Attempt summaries, first to last
+   */
+  async findRetryChain(id) {
+    const result = await this.db.query(
+      `
+      WITH RECURSIVE earlier AS (
+        SELECT id, previous_execution_id, 0 AS depth
+        FROM job_executions WHERE id = $1
+        UNION ALL
+        SELECT e.id, e.previous_execution_id, earlier.depth + 1
+        FROM job_executions e
+        JOIN earlier ON e.id = earlier.previous_execution_id
+      ),
+      chain AS (
+        SELECT e.id, e.status, e.retry_count, e.trigger_source, e.started_at,
+          e.completed_at, e.duration_ms, e.error_message
+        FROM job_executions e
+        WHERE e.id = (SELECT id FROM earlier ORDER BY depth DESC LIMIT 1)
+        UNION ALL
+        SELECT e.id, e.status, e.retry_count, e.trigger_source, e.started_at,
+          e.completed_at, e.duration_ms, e.error_message
+        FROM job_executions e
+        JOIN chain ON e.previous_execution_id = chain.id
+      )
+      SELECT * FROM chain ORDER BY retry_count, started_at
+    `,
+      [id]
+    );
+
+    return result.rows.map((row) => ({
+      id: row.id,
+      status: row.status,
+      retryCount: row.retry_count,
+      triggerSource: row.trigger_source,
+      startedAt: row.started_at,
+      completedAt: row.completed_at,
+      durationMs: row.duration_ms,
+      errorMessage: row.error_message,
+    }));
+  }
+}
+
+module.exports = {
+  Execution,
+  ExecutionRepository,
+  EXECUTION_STATUSES,
+  TRIGGER_SOURCES,
+};
@@ -1,105 +1,107 @@
 const { getDatabase } = require("../database/connection");
-const cron = require("node-cron");
-
-/**
- * Calculate next run time for cron expression in IST timezone
- * @param {string} cronExpression - Cron expression
- * @param {Date} fromTime - Base time (defaults to now)
- * @returns {Date} - Next run time in UTC
- */
-function calculateNextRunTime(cronExpression, fromTime = new Date()) {
-  try {
-    // Validate the cron expression first
-    if (!cron.validate(cronExpression)) {
-      throw new Error(`Invalid cron expression: ${cronExpression}`);
-    }
-
-    // Convert current time to IST
-    const istOffset = 5.5 * 60 * 60 * 1000; // IST is UTC+5:30
-    const istTime = new Date(fromTime.getTime() + istOffset);
-
-    // Parse cron expression parts
-    const parts = cronExpression.split(" ");
-    const [minute, hour, day, month, dayOfWeek] = parts;
-
-    let nextRun = new Date(istTime);
-
-    // Handle common patterns
-    if (cronExpression === "* * * * *") {
-      // Every minute
-      nextRun.setSeconds(0, 0);
-      nextRun.setMinutes(nextRun.getMinutes() + 1);
-    } else if (minute.startsWith("*/")) {
-      // Every N minutes
-      const interval = parseInt(minute.substring(2));
-      nextRun.setSeconds(0, 0);
-      const currentMinute = nextRun.getMinutes();
-      const nextInterval = Math.ceil((currentMinute + 1) / interval) * interval;
-      if (nextInterval >= 60) {
-        nextRun.setHours(nextRun.getHours() + 1);
-        nextRun.setMinutes(nextInterval - 60);
-      } else {
-        nextRun.setMinutes(nextInterval);
-      }
-    } else if (minute !== "*" && hour === "*") {
-      // Specific minute every hour
-      const targetMinute = parseInt(minute);
-      nextRun.setMinutes(targetMinute, 0, 0);
-      if (istTime.getMinutes() >= targetMinute) {
-        nextRun.setHours(nextRun.getHours() + 1);
-      }
-    } else if (minute !== "*" && hour !== "*" && day === "*" && month === "*") {
-      // Daily at specific time
-      const targetHour = parseInt(hour);
-      const targetMinute = parseInt(minute);
-      nextRun.setHours(targetHour, targetMinute, 0, 0);
-      if (istTime >= nextRun) {
-        nextRun.setDate(nextRun.getDate() + 1);
-      }
-    } else {
-      // For complex expressions, use a simple fallback
-      // Add 1 hour as a safe default
-      nextRun.setHours(nextRun.getHours() + 1);
-      nextRun.setMinutes(0, 0, 0);
-    }
-
-    // Convert IST time back to UTC for storage
-    return new Date(nextRun.getTime() - istOffset);
-  } catch (error) {
-    console.error(
-      `Error calculating next run time for cron expression "${cronExpression}":`,
-      error.message
-    );
-
-    // Fallback: add 1 hour to current time if cron parsing fails
-    const fallbackTime = new Date(fromTime.getTime() + 60 * 60 * 1000);
-    console.warn(`Using fallback time: ${fallbackTime.toISOString()}`);
-    return fallbackTime;
-  }
-}
+const { getExecutorRegistry } = require("../executors");
+const {
+  DEFAULT_TIMEZONE,
+  MIN_INTERVAL_MS,
+  MAX_INTERVAL_MS,
+  isValidTimezone,
+  parseRateExpression,
+  isValidInterval,
+  isValidCronExpression,
+  calculateNextRunTime,
+} = require("../utils/cron");
+
+// What the scheduler does with occurrences missed while it was down
+const MISFIRE_POLICIES = ["skip", "run-once", "run-all"];
+
+// What workers do with a run that overlaps a running execution of the job
+const CONCURRENCY_POLICIES = ["forbid", "allow", "queue", "replace"];
+
+// What happens to a run orphaned by a worker that died mid-run: queue it
+// again (as a retry, while attempts remain) or leave it abandoned
+const RECOVERY_POLICIES = ["requeue", "abandon"];
+
+// Range of job priorities; queued executions of higher priority jobs are
+// claimed first
+const MIN_PRIORITY = -100;
+const MAX_PRIORITY = 100;
+
+// Columns the job list can be sorted by, keyed by API name
+const SORT_COLUMNS = {
+  createdAt: "created_at",
+  name: "name",
+  priority: "priority",
+  nextRunAt: "next_run_at",
+};
+
+// Job types that run once at runAt instead of on a cron schedule
+const ONE_OFF_JOB_TYPES = ["immediate", "delayed"];
+
+// Same instant (or both unset)
+const sameTime = (a, b) =>
+  (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
 
 class Job {
   constructor(data = {}) {
     this.id = data.id;
     this.name = data.name;
     this.description = data.description;
-    this.cronExpression = data.cron_expression || data.cronExpression;
+    this.cronExpression = data.cron_expression || data.cronExpression || null;
+    // Fixed interval schedule, the alternative to a cron expression
+    // (interval_ms is a BIGINT, which the driver returns as a string)
+    const intervalMs = data.interval_ms ?? data.intervalMs;
+    this.intervalMs = intervalMs != null ? Number(intervalMs) : null;
+    this.intervalAnchor = data.interval_anchor || data.intervalAnchor || null;
+    this.timezone = data.timezone || DEFAULT_TIMEZONE;
     this.isActive =
       data.is_active !== undefined ? data.is_active : data.isActive;
     this.jobType = data.job_type || data.jobType || "scheduled";
+    this.executorType = data.executor_type || data.executorType || "noop";
     this.payload = data.payload || {};
     this.createdAt = data.created_at || data.createdAt;
     this.updatedAt = data.updated_at || data.updatedAt;
     this.lastRunAt = data.last_run_at || data.lastRunAt;
     this.nextRunAt = data.next_run_at || data.nextRunAt;
+    // delayMs is an API shorthand for runAt = now + delayMs
+    this.runAt =
+      data.delayMs !== undefined
+        ? new Date(Date.now() + data.delayMs)
+        : data.run_at || data.runAt || null;
+    // Validity window: nothing runs before startsAt or from endsAt on
+    this.startsAt = data.starts_at || data.startsAt || null;
+    this.endsAt = data.ends_at || data.endsAt || null;
+    // Why the job is inactive: the pause reason, or why the scheduler
+    // deactivated it (read-only)
+    this.inactiveReason = data.inactive_reason || data.inactiveReason || null;
+    // Pause: who paused the job and when it resumes by itself (read-only,
+    // set through pause/resume; the reason is the inactiveReason)
+    this.pausedAt = data.paused_at || data.pausedAt || null;
+    this.pausedBy = data.paused_by || data.pausedBy || null;
+    this.resumeAt = data.resume_at || data.resumeAt || null;
     this.totalRuns = data.total_runs || data.totalRuns || 0;
     this.successfulRuns = data.successful_runs || data.successfulRuns || 0;
     this.failedRuns = data.failed_runs || data.failedRuns || 0;
     this.timeoutMs = data.timeout_ms || data.timeoutMs || 30000;
-    this.maxRetries = data.max_retries || data.maxRetries || 3;
+    // maxRetries may legitimately be 0, so only fall back when it is missing
+    this.maxRetries = data.max_retries ?? data.maxRetries ?? 3;
     this.retryDelayMs = data.retry_delay_ms || data.retryDelayMs || 5000;
+    this.misfirePolicy =
+      data.misfire_policy || data.misfirePolicy || "run-once";
+    this.misfireLimit = data.misfire_limit || data.misfireLimit || 10;
+    this.concurrencyPolicy =
+      data.concurrency_policy || data.concurrencyPolicy || "forbid";
+    this.maxConcurrency = data.max_concurrency || data.maxConcurrency || 1;
+    this.recoveryPolicy =
+      data.recovery_policy || data.recoveryPolicy || "requeue";
+    // Named concurrency limits (CONCURRENCY_LIMITS) apply by resource group
+    // as well as by tag
+    this.resourceGroup = data.resource_group || data.resourceGroup || null;
+    // Queue priority (-100 to 100, higher first); 0 is a valid priority
+    this.priority = data.priority ?? 0;
     this.createdBy = data.created_by || data.createdBy;
     this.tags = data.tags || [];
+    // Calendars whose exclusions suppress scheduled runs
+    this.calendarIds = data.calendar_ids || data.calendarIds || [];
   }
 
   // Convert to database format
@@ -109,14 +111,33 @@ class Job {
       name: this.name,
       description: this.description,
       cron_expression: this.cronExpression,
+      interval_ms: this.intervalMs,
+      interval_anchor: this.intervalAnchor,
+      timezone: this.timezone,
       is_active: this.isActive,
       job_type: this.jobType,
+      run_at: this.runAt,
+      starts_at: this.startsAt,
+      ends_at: this.endsAt,
+      inactive_reason: this.inactiveReason,
+      paused_at: this.pausedAt,
+      paused_by: this.pausedBy,
+      resume_at: this.resumeAt,
+      executor_type: this.executorType,
       payload: JSON.stringify(this.payload),
       timeout_ms: this.timeoutMs,
       max_retries: this.maxRetries,
       retry_delay_ms: this.retryDelayMs,
+      misfire_policy: this.misfirePolicy,
+      misfire_limit: this.misfireLimit,
+      concurrency_policy: this.concurrencyPolicy,
+      max_concurrency: this.maxConcurrency,
+      recovery_policy: this.recoveryPolicy,
+      resource_group: this.resourceGroup,
+      priority: this.priority,
       created_by: this.createdBy,
       tags: this.tags,
+      calendar_ids: this.calendarIds,
     };
   }
 
@@ -127,8 +148,19 @@ class Job {
       name: this.name,
       description: this.description,
       cronExpression: this.cronExpression,
+      intervalMs: this.intervalMs,
+      intervalAnchor: this.intervalAnchor,
+      timezone: this.timezone,
       isActive: this.isActive,
       jobType: this.jobType,
+      runAt: this.runAt,
+      startsAt: this.startsAt,
+      endsAt: this.endsAt,
+      inactiveReason: this.inactiveReason,
+      pausedAt: this.pausedAt,
+      pausedBy: this.pausedBy,
+      resumeAt: this.resumeAt,
+      executorType: this.executorType,
       payload: this.payload,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
@@ -147,12 +179,74 @@ class Job {
         timeoutMs: this.timeoutMs,
         maxRetries: this.maxRetries,
         retryDelayMs: this.retryDelayMs,
+        misfirePolicy: this.misfirePolicy,
+        misfireLimit: this.misfireLimit,
+        concurrencyPolicy: this.concurrencyPolicy,
+        maxConcurrency: this.maxConcurrency,
+        recoveryPolicy: this.recoveryPolicy,
+        resourceGroup: this.resourceGroup,
+        priority: this.priority,
       },
       createdBy: this.createdBy,
       tags: this.tags,
+      calendarIds: this.calendarIds,
     };
   }
 
+  // Immediate and delayed jobs run once, then deactivate
+  isOneOff() {
+    return ONE_OFF_JOB_TYPES.includes(this.jobType);
+  }
+
+  /**
+   * Recurring schedule in the form the cron utilities take: the cron
+   * expression, or { intervalMs, anchor } for intervals and rate expressions
+   * @returns {string|object}
+   */
+  getSchedule() {
+    const intervalMs =
+      this.intervalMs || parseRateExpression(this.cronExpression);
+
+    return intervalMs
+      ? { intervalMs, anchor: this.intervalAnchor }
+      : this.cronExpression;
+  }
+
+  // Paused jobs are inactive until resumed, by hand or at resumeAt
+  isPaused() {
+    return !!this.pausedAt;
+  }
+
+  // Whether the validity window is over at a time
+  hasEnded(at = new Date()) {
+    return !!this.endsAt && at >= new Date(this.endsAt);
+  }
+
+  /**
+   * Next run time after `from`: the next occurrence of the schedule, or runAt
+   * for one-off jobs (a runAt that already passed runs at `from`). Only
+   * times within the validity window count.
+   * @param {Date} from - Reference time
+   * @returns {Date|null} - null once the window is over
+   */
+  getNextRunTime(from = new Date()) {
+    const startsAt = this.startsAt ? new Date(this.startsAt) : null;
+    const waiting = startsAt && startsAt > from;
+
+    let next;
+    if (!this.isOneOff()) {
+      // An occurrence exactly at startsAt is the first run
+      const after = waiting ? new Date(startsAt.getTime() - 1) : from;
+      next = calculateNextRunTime(this.getSchedule(), after, this.timezone);
+    } else {
+      const earliest = waiting ? startsAt : from;
+      const runAt = new Date(this.runAt);
+      next = runAt > earliest ? runAt : earliest;
+    }
+
+    return this.hasEnded(next) ? null : next;
+  }
+
   // Validation method
   validate() {
     const errors = [];
@@ -161,8 +255,48 @@ class Job {
       errors.push("Name is required");
     }
 
-    if (!this.cronExpression || this.cronExpression.trim().length === 0) {
-      errors.push("Cron expression is required");
+    if (this.isOneOff()) {
+      if (!this.runAt) {
+        errors.push("Run time (runAt or delayMs) is required for one-off jobs");
+      } else if (isNaN(new Date(this.runAt).getTime())) {
+        errors.push(`Invalid run time: ${this.runAt}`);
+      }
+    } else if (!this.cronExpression && !this.intervalMs) {
+      errors.push("Cron expression or interval is required");
+    } else if (this.cronExpression && this.intervalMs) {
+      errors.push("Use either a cron expression or an interval, not both");
+    }
+
+    if (this.cronExpression && !isValidCronExpression(this.cronExpression)) {
+      errors.push(`Invalid cron expression: ${this.cronExpression}`);
+    }
+
+    if (this.intervalMs != null && !isValidInterval(this.intervalMs)) {
+      errors.push(
+        `Interval must be between ${MIN_INTERVAL_MS}ms and ${MAX_INTERVAL_MS}ms`
+      );
+    }
+
+    if (this.intervalAnchor && isNaN(new Date(this.intervalAnchor).getTime())) {
+      errors.push(`Invalid interval anchor: ${this.intervalAnchor}`);
+    }
+
+    if (this.startsAt && isNaN(new Date(this.startsAt).getTime())) {
+      errors.push(`Invalid start time: ${this.startsAt}`);
+    }
+
+    if (this.endsAt && isNaN(new Date(this.endsAt).getTime())) {
+      errors.push(`Invalid end time: ${this.endsAt}`);
+    } else if (
+      this.startsAt &&
+      this.endsAt &&
+      new Date(this.endsAt) <= new Date(this.startsAt)
+    ) {
+      errors.push("End time must be after the start time");
+    }
+
+    if (!isValidTimezone(this.timezone)) {
+      errors.push(`Invalid timezone: ${this.timezone}`);
     }
 
     if (this.timeoutMs && (this.timeoutMs < 1000 || this.timeoutMs > 300000)) {
@@ -173,6 +307,44 @@ class Job {
       errors.push("Max retries must be between 0 and 10");
     }
 
+    if (!MISFIRE_POLICIES.includes(this.misfirePolicy)) {
+      errors.push(`Misfire policy must be one of: ${MISFIRE_POLICIES.join(", ")}`);
+    }
+
+    if (this.misfireLimit < 1 || this.misfireLimit > 100) {
+      errors.push("Misfire limit must be between 1 and 100");
+    }
+
+    if (!CONCURRENCY_POLICIES.includes(this.concurrencyPolicy)) {
+      errors.push(
+        `Concurrency policy must be one of: ${CONCURRENCY_POLICIES.join(", ")}`
+      );
+    }
+
+    if (this.maxConcurrency < 1 || this.maxConcurrency > 100) {
+      errors.push("Max concurrency must be between 1 and 100");
+    }
+
+    if (!RECOVERY_POLICIES.includes(this.recoveryPolicy)) {
+      errors.push(
+        `Recovery policy must be one of: ${RECOVERY_POLICIES.join(", ")}`
+      );
+    }
+
+    if (
+      !Number.isInteger(this.priority) ||
+      this.priority < MIN_PRIORITY ||
+      this.priority > MAX_PRIORITY
+    ) {
+      errors.push(
+        `Priority must be an integer between ${MIN_PRIORITY} and ${MAX_PRIORITY}`
+      );
+    }
+
+    errors.push(
+      ...getExecutorRegistry().validatePayload(this.executorType, this.payload)
+    );
+
     return {
       isValid: errors.length === 0,
       errors,
@@ -186,7 +358,19 @@ class JobRepository {
   }
 
   async findAll(options = {}) {
-    const { page = 1, limit = 50, isActive, jobType, tags, search } = options;
+    const {
+      page = 1,
+      limit = 50,
+      isActive,
+      paused,
+      jobType,
+      tags,
+      search,
+      minPriority,
+      maxPriority,
+      sortBy = "createdAt",
+      sortOrder = "desc",
+    } = options;
 
     const offset = (page - 1) * limit;
     let whereConditions = [];
@@ -200,6 +384,10 @@ class JobRepository {
       queryParams.push(isActive);
     }
 
+    if (paused !== undefined) {
+      whereConditions.push(`paused_at IS ${paused ? "NOT NULL" : "NULL"}`);
+    }
+
     if (jobType) {
       paramCount++;
       whereConditions.push(`job_type = $${paramCount}`);
@@ -218,15 +406,35 @@ class JobRepository {
       queryParams.push(`%${search}%`);
     }
 
+    if (minPriority !== undefined) {
+      paramCount++;
+      whereConditions.push(`priority >= $${paramCount}`);
+      queryParams.push(minPriority);
+    }
+
+    if (maxPriority !== undefined) {
+      paramCount++;
+      whereConditions.push(`priority <= $${paramCount}`);
+      queryParams.push(maxPriority);
+    }
+
     const whereClause =
       whereConditions.length > 0
         ? `WHERE ${whereConditions.join(" AND ")}`
         : "";
 
+    // Column and direction come from whitelists; newest first breaks ties
+    const direction = sortOrder === "asc" ? "ASC" : "DESC";
+    const column = SORT_COLUMNS[sortBy] || SORT_COLUMNS.createdAt;
+    const orderBy =
+      column === "created_at"
+        ? `created_at ${direction}`
+        : `${column} ${direction} NULLS LAST, created_at DESC`;
+
     const query = `
       SELECT * FROM jobs
       ${whereClause}
-      ORDER BY created_at DESC
+      ORDER BY ${orderBy}
       LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
     `;
 
@@ -259,40 +467,36 @@ class JobRepository {
 
   async create(jobData) {
     const job = new Job(jobData);
+
+    // Immediate jobs run as soon as they are created
+    if (job.jobType === "immediate" && !job.runAt) {
+      job.runAt = new Date();
+    }
+
     const validation = job.validate();
 
     if (!validation.isValid) {
       throw new Error(`Validation failed: ${validation.errors.join(", ")}`);
     }
 
+    await this.checkCalendars(job.calendarIds);
+
     const dbData = job.toDatabase();
 
-    // Calculate next run time in IST
-    const nextRunAt = calculateNextRunTime(job.cronExpression);
+    const nextRunAt = job.getNextRunTime(new Date());
+
+    // Every column the model maps, in toDatabase() order
+    const columns = { ...dbData, next_run_at: nextRunAt };
+    delete columns.id;
 
+    const names = Object.keys(columns);
     const query = `
-      INSERT INTO jobs (
-        name, description, cron_expression, is_active, job_type,
-        payload, timeout_ms, max_retries, retry_delay_ms, created_by, tags, next_run_at
-      )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      INSERT INTO jobs (${names.join(", ")})
+      VALUES (${names.map((name, index) => `$${index + 1}`).join(", ")})
       RETURNING *
     `;
 
-    const values = [
-      dbData.name,
-      dbData.description,
-      dbData.cron_expression,
-      dbData.is_active,
-      dbData.job_type,
-      dbData.payload,
-      dbData.timeout_ms,
-      dbData.max_retries,
-      dbData.retry_delay_ms,
-      dbData.created_by,
-      dbData.tags,
-      nextRunAt,
-    ];
+    const values = Object.values(columns);
 
     const result = await this.db.query(query, values);
     return new Job(result.rows[0]);
@@ -306,59 +510,152 @@ class JobRepository {
 
     // Merge existing data with updates
     const updatedJob = new Job({ ...existingJob, ...updateData });
+
+    // Setting one kind of schedule replaces the other
+    if (updateData.intervalMs != null && updateData.cronExpression === undefined) {
+      updatedJob.cronExpression = null;
+    }
+    if (updateData.cronExpression != null && updateData.intervalMs === undefined) {
+      updatedJob.intervalMs = null;
+    }
+
+    if (updatedJob.jobType === "immediate" && !updatedJob.runAt) {
+      updatedJob.runAt = new Date();
+    }
+
+    // The reason and pause only describe the current deactivation
+    if (updatedJob.isActive) {
+      updatedJob.inactiveReason = null;
+      updatedJob.pausedAt = null;
+      updatedJob.pausedBy = null;
+      updatedJob.resumeAt = null;
+    }
+
     const validation = updatedJob.validate();
 
-    if (!validation.isValid) {
+    if (updatedJob.isActive && updatedJob.hasEnded()) {
+      validation.errors.push(
+        `The validity window ended at ${new Date(updatedJob.endsAt).toISOString()}, move endsAt to reactivate the job`
+      );
+    }
+
+    if (validation.errors.length > 0) {
       throw new Error(`Validation failed: ${validation.errors.join(", ")}`);
     }
 
+    await this.checkCalendars(updatedJob.calendarIds);
+
     const dbData = updatedJob.toDatabase();
 
-    // Recalculate next run time if cron expression changed
+    // Recalculate next run time if the schedule changed, or when the job is
+    // re-activated (time spent inactive is not a misfire; a finished one-off
+    // job runs again)
     let nextRunAt = existingJob.nextRunAt;
-    if (existingJob.cronExpression !== updatedJob.cronExpression) {
-      nextRunAt = calculateNextRunTime(updatedJob.cronExpression);
+    if (
+      existingJob.cronExpression !== updatedJob.cronExpression ||
+      existingJob.intervalMs !== updatedJob.intervalMs ||
+      !sameTime(existingJob.intervalAnchor, updatedJob.intervalAnchor) ||
+      existingJob.timezone !== updatedJob.timezone ||
+      existingJob.jobType !== updatedJob.jobType ||
+      !sameTime(existingJob.runAt, updatedJob.runAt) ||
+      !sameTime(existingJob.startsAt, updatedJob.startsAt) ||
+      !sameTime(existingJob.endsAt, updatedJob.endsAt) ||
+      (!existingJob.isActive && updatedJob.isActive)
+    ) {
+      nextRunAt = updatedJob.getNextRunTime(new Date());
     }
 
+    // Every column the model maps, in toDatabase() order
+    const columns = { ...dbData, next_run_at: nextRunAt };
+    delete columns.id;
+
+    const names = Object.keys(columns);
     const query = `
       UPDATE jobs SET
-        name = $2,
-        description = $3,
-        cron_expression = $4,
-        is_active = $5,
-        job_type = $6,
-        payload = $7,
-        timeout_ms = $8,
-        max_retries = $9,
-        retry_delay_ms = $10,
-        created_by = $11,
-        tags = $12,
-        next_run_at = $13,
+        ${names.map((name, index) => `${name} = $${index + 2}`).join(",\n        ")},
         updated_at = NOW()
       WHERE id = $1
       RETURNING *
     `;
 
-    const values = [
-      id,
-      dbData.name,
-      dbData.description,
-      dbData.cron_expression,
-      dbData.is_active,
-      dbData.job_type,
-      dbData.payload,
-      dbData.timeout_ms,
-      dbData.max_retries,
-      dbData.retry_delay_ms,
-      dbData.created_by,
-      dbData.tags,
-      nextRunAt,
-    ];
+    const values = [id, ...Object.values(columns)];
 
     const result = await this.db.query(query, values);
     return new Job(result.rows[0]);
   }
 
+  /**
+   * Pause a job: deactivate it and record why, by whom and when it resumes.
+   * Pausing a paused job replaces its reason and resume time.
+   * @param {string} id - Job ID
+   * @param {object} pause - { reason, pausedBy, resumeAt }
+   * @returns {Promise<Job|null>} - Paused job, null if the job is inactive
+   *   without being paused
+   */
+  async pause(id, { reason, pausedBy = null, resumeAt = null }) {
+    const query = `
+      UPDATE jobs SET
+        is_active = false,
+        next_run_at = NULL,
+        inactive_reason = $2,
+        paused_at = COALESCE(paused_at, NOW()),
+        paused_by = $3,
+        resume_at = $4,
+        updated_at = NOW()
+      WHERE id = $1
+      AND (is_active = true OR paused_at IS NOT NULL)
+      RETURNING *
+    `;
+
+    const result = await this.db.query(query, [id, reason, pausedBy, resumeAt]);
+    return result.rows.length > 0 ? new Job(result.rows[0]) : null;
+  }
+
+  /**
+   * Resume a paused job. Its schedule continues from now: occurrences that
+   * fell into the pause are not misfires.
+   * @param {string} id - Job ID
+   * @returns {Promise<Job|null>} - Resumed job, null if not found
+   */
+  async resume(id) {
+    return this.update(id, { isActive: true });
+  }
+
+  /**
+   * Paused jobs whose resume time has come
+   * @param {number} limit - Maximum number of jobs
+   */
+  async findDueResumes(limit = 100) {
+    const query = `
+      SELECT * FROM jobs
+      WHERE paused_at IS NOT NULL
+      AND resume_at <= NOW()
+      ORDER BY resume_at ASC
+      LIMIT $1
+    `;
+
+    const result = await this.db.query(query, [limit]);
+    return result.rows.map((row) => new Job(row));
+  }
+
+  /**
+   * Check that every calendar a job is attached to exists
+   */
+  async checkCalendars(calendarIds) {
+    if (calendarIds.length === 0) return;
+
+    const result = await this.db.query(
+      "SELECT id FROM calendars WHERE id = ANY($1::UUID[])",
+      [calendarIds]
+    );
+    const found = new Set(result.rows.map((row) => row.id));
+    const missing = calendarIds.filter((id) => !found.has(id));
+
+    if (missing.length > 0) {
+      throw new Error(`Validation failed: Unknown calendar(s): ${missing.join(", ")}`);
+    }
+  }
+
   async delete(id) {
     const query = "DELETE FROM jobs WHERE id = $1 RETURNING *";
     const result = await this.db.query(query, [id]);
@@ -389,6 +686,64 @@ class JobRepository {
     return result.rows.length > 0 ? new Job(result.rows[0]) : null;
   }
 
+  /**
+   * Deactivate a one-off job once its run is over: the scheduler has claimed
+   * it (no next run) and nothing of it is queued or running any more
+   * @param {string} id - Job ID
+   * @returns {Promise<boolean>} - Whether the job was deactivated
+   */
+  async deactivateFinishedOneOff(id) {
+    const query = `
+      UPDATE jobs SET
+        is_active = false,
+        inactive_reason = 'One-off run finished',
+        updated_at = NOW()
+      WHERE id = $1
+      AND is_active = true
+      AND job_type = ANY($2)
+      AND next_run_at IS NULL
+      AND NOT EXISTS (SELECT 1 FROM job_queue WHERE job_id = $1)
+      AND NOT EXISTS (
+        SELECT 1 FROM job_executions WHERE job_id = $1 AND status = 'running'
+      )
+    `;
+
+    const result = await this.db.query(query, [id, ONE_OFF_JOB_TYPES]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Deactivate a job whose validity window is over (a paused job stays
+   * inactive for good)
+   * @param {Job} job - Job with an endsAt in the past
+   * @param {object} client - Database client (defaults to the pool)
+   * @returns {Promise<Job|null>} - Deactivated job, null if it was not due
+   */
+  async deactivateEnded(job, client = this.db) {
+    const query = `
+      UPDATE jobs SET
+        is_active = false,
+        next_run_at = NULL,
+        inactive_reason = $2,
+        paused_at = NULL,
+        paused_by = NULL,
+        resume_at = NULL,
+        updated_at = NOW()
+      WHERE id = $1
+      AND (is_active = true OR paused_at IS NOT NULL)
+      AND ends_at <= NOW()
+      -- Occurrences missed before the end are left to the misfire policy
+      AND (next_run_at IS NULL OR next_run_at >= ends_at)
+      -- Queued occurrences run before it ends
+      AND NOT EXISTS (SELECT 1 FROM job_queue WHERE job_id = $1)
+      RETURNING *
+    `;
+
+    const reason = `Validity window ended at ${new Date(job.endsAt).toISOString()}`;
+    const result = await client.query(query, [job.id, reason]);
+    return result.rows.length > 0 ? new Job(result.rows[0]) : null;
+  }
+
   async getActiveJobs() {
     const query = `
       SELECT * FROM jobs 
@@ -402,4 +757,14 @@ class JobRepository {
   }
 }
 
-module.exports = { Job, JobRepository, calculateNextRunTime };
+module.exports = {
+  Job,
+  JobRepository,
+  MISFIRE_POLICIES,
+  CONCURRENCY_POLICIES,
+  RECOVERY_POLICIES,
+  ONE_OFF_JOB_TYPES,
+  MIN_PRIORITY,
+  MAX_PRIORITY,
+  SORT_COLUMNS,
+};
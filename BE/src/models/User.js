@@ -0,0 +1,113 @@
+const { getDatabase } = require("../database/connection");
+
+class User {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.username = data.username;
+    // Never part of API responses
+    this.passwordHash = data.password_hash || data.passwordHash || null;
+    this.isActive = data.is_active ?? data.isActive ?? true;
+    this.createdBy = data.created_by || data.createdBy || null;
+    this.createdAt = data.created_at || data.createdAt;
+    this.lastLoginAt = data.last_login_at || data.lastLoginAt || null;
+  }
+
+  // Convert to API response format
+  toJSON() {
+    return {
+      id: this.id,
+      username: this.username,
+      isActive: this.isActive,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      lastLoginAt: this.lastLoginAt,
+    };
+  }
+}
+
+class UserRepository {
+  constructor() {
+    this.db = getDatabase();
+  }
+
+  async findAll() {
+    const result = await this.db.query(
+      "SELECT * FROM users ORDER BY username ASC"
+    );
+
+    return result.rows.map((row) => new User(row));
+  }
+
+  async findById(id) {
+    const result = await this.db.query("SELECT * FROM users WHERE id = $1", [
+      id,
+    ]);
+
+    return result.rows.length > 0 ? new User(result.rows[0]) : null;
+  }
+
+  async findByUsername(username) {
+    const result = await this.db.query(
+      "SELECT * FROM users WHERE username = $1",
+      [username]
+    );
+
+    return result.rows.length > 0 ? new User(result.rows[0]) : null;
+  }
+
+  async count() {
+    const result = await this.db.query("SELECT COUNT(*) FROM users");
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Create a user
+   * @param {object} userData - username, passwordHash and createdBy
+   */
+  async create(userData) {
+    const user = new User(userData);
+
+    const result = await this.db.query(
+      `
+      INSERT INTO users (username, password_hash, created_by)
+      VALUES ($1, $2, $3)
+      RETURNING *
+    `,
+      [user.username, user.passwordHash, user.createdBy]
+    );
+
+    return new User(result.rows[0]);
+  }
+
+  /**
+   * Update the password and/or active flag of a user
+   * @param {string} id - User ID
+   * @param {object} updateData - passwordHash and/or isActive
+   */
+  async update(id, updateData) {
+    const result = await this.db.query(
+      `
+      UPDATE users SET
+        password_hash = COALESCE($2, password_hash),
+        is_active = COALESCE($3, is_active)
+      WHERE id = $1
+      RETURNING *
+    `,
+      [id, updateData.passwordHash ?? null, updateData.isActive ?? null]
+    );
+
+    return result.rows.length > 0 ? new User(result.rows[0]) : null;
+  }
+
+  async recordLogin(id) {
+    await this.db.query(
+      "UPDATE users SET last_login_at = NOW() WHERE id = $1",
+      [id]
+    );
+  }
+}
+
+module.exports = {
+  User,
+  UserRepository,
+};
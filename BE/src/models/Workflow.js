@@ -0,0 +1,397 @@
+const { getDatabase } = require("../database/connection");
+
+// When an edge lets its downstream job run, based on the upstream outcome
+const EDGE_CONDITIONS = ["success", "failure", "always"];
+
+class Workflow {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.name = data.name;
+    this.description = data.description;
+    this.createdBy = data.created_by || data.createdBy;
+    this.createdAt = data.created_at || data.createdAt;
+    this.updatedAt = data.updated_at || data.updatedAt;
+    this.jobIds = data.job_ids || data.jobIds || [];
+    this.edges = (data.edges || []).map((edge) => ({
+      from: edge.from_job_id || edge.from,
+      to: edge.to_job_id || edge.to,
+      condition: edge.condition || "success",
+    }));
+  }
+
+  // Convert to API response format
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      jobIds: this.jobIds,
+      edges: this.edges,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+
+  // Graph snapshot stored on each run
+  toDefinition() {
+    return { jobIds: this.jobIds, edges: this.edges };
+  }
+
+  /**
+   * Find a cycle in the graph (depth-first search)
+   * @returns {string[]|null} - Job IDs forming the cycle, null if acyclic
+   */
+  findCycle() {
+    const downstream = new Map(this.jobIds.map((jobId) => [jobId, []]));
+    for (const edge of this.edges) {
+      if (downstream.has(edge.from)) {
+        downstream.get(edge.from).push(edge.to);
+      }
+    }
+
+    const visiting = new Set();
+    const visited = new Set();
+    const path = [];
+
+    const visit = (jobId) => {
+      if (visiting.has(jobId)) {
+        return [...path.slice(path.indexOf(jobId)), jobId];
+      }
+      if (visited.has(jobId)) return null;
+
+      visiting.add(jobId);
+      path.push(jobId);
+
+      for (const next of downstream.get(jobId) || []) {
+        const cycle = visit(next);
+        if (cycle) return cycle;
+      }
+
+      path.pop();
+      visiting.delete(jobId);
+      visited.add(jobId);
+      return null;
+    };
+
+    for (const jobId of this.jobIds) {
+      const cycle = visit(jobId);
+      if (cycle) return cycle;
+    }
+
+    return null;
+  }
+
+  // Validation method
+  validate() {
+    const errors = [];
+
+    if (!this.name || this.name.trim().length === 0) {
+      errors.push("Name is required");
+    }
+
+    if (this.jobIds.length === 0) {
+      errors.push("A workflow needs at least one job");
+    }
+
+    if (new Set(this.jobIds).size !== this.jobIds.length) {
+      errors.push("Job IDs must be unique");
+    }
+
+    const nodes = new Set(this.jobIds);
+    const seen = new Set();
+
+    for (const edge of this.edges) {
+      if (!nodes.has(edge.from) || !nodes.has(edge.to)) {
+        errors.push(`Edge ${edge.from} -> ${edge.to} references a job outside the workflow`);
+      }
+
+      if (edge.from === edge.to) {
+        errors.push(`Job ${edge.from} cannot depend on itself`);
+      }
+
+      if (!EDGE_CONDITIONS.includes(edge.condition)) {
+        errors.push(`Edge condition must be one of: ${EDGE_CONDITIONS.join(", ")}`);
+      }
+
+      const key = `${edge.from}->${edge.to}`;
+      if (seen.has(key)) {
+        errors.push(`Duplicate edge ${edge.from} -> ${edge.to}`);
+      }
+      seen.add(key);
+    }
+
+    if (errors.length === 0) {
+      const cycle = this.findCycle();
+      if (cycle) {
+        errors.push(`Workflow contains a cycle: ${cycle.join(" -> ")}`);
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+    };
+  }
+}
+
+class WorkflowRepository {
+  constructor() {
+    this.db = getDatabase();
+  }
+
+  // Workflow rows with their nodes and edges aggregated
+  baseQuery(whereClause = "") {
+    return `
+      SELECT w.*,
+        COALESCE(
+          (SELECT array_agg(n.job_id) FROM workflow_nodes n WHERE n.workflow_id = w.id),
+          ARRAY[]::UUID[]
+        ) AS job_ids,
+        COALESCE(
+          (SELECT json_agg(e) FROM workflow_edges e WHERE e.workflow_id = w.id),
+          '[]'::JSON
+        ) AS edges
+      FROM workflows w
+      ${whereClause}
+    `;
+  }
+
+  async findAll(options = {}) {
+    const { page = 1, limit = 50 } = options;
+    const offset = (page - 1) * limit;
+
+    const query = `
+      ${this.baseQuery()}
+      ORDER BY w.created_at DESC
+      LIMIT $1 OFFSET $2
+    `;
+
+    const [result, count] = await Promise.all([
+      this.db.query(query, [limit, offset]),
+      this.db.query("SELECT COUNT(*) FROM workflows"),
+    ]);
+
+    const total = parseInt(count.rows[0].count);
+
+    return {
+      workflows: result.rows.map((row) => new Workflow(row)),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    };
+  }
+
+  async findById(id) {
+    const result = await this.db.query(this.baseQuery("WHERE w.id = $1"), [id]);
+
+    return result.rows.length > 0 ? new Workflow(result.rows[0]) : null;
+  }
+
+  async create(workflowData) {
+    const workflow = new Workflow(workflowData);
+    await this.validate(workflow);
+
+    const id = await this.db.transaction(async (client) => {
+      const result = await client.query(
+        `
+        INSERT INTO workflows (name, description, created_by)
+        VALUES ($1, $2, $3)
+        RETURNING id
+      `,
+        [workflow.name, workflow.description, workflow.createdBy]
+      );
+
+      await this.saveGraph(client, result.rows[0].id, workflow);
+      return result.rows[0].id;
+    });
+
+    return this.findById(id);
+  }
+
+  async update(id, updateData) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      return null;
+    }
+
+    // Merge existing data with updates
+    const workflow = new Workflow({ ...existing, ...updateData, id });
+    await this.validate(workflow);
+
+    await this.db.transaction(async (client) => {
+      await client.query(
+        `
+        UPDATE workflows SET
+          name = $2,
+          description = $3,
+          created_by = $4,
+          updated_at = NOW()
+        WHERE id = $1
+      `,
+        [id, workflow.name, workflow.description, workflow.createdBy]
+      );
+
+      // Replace the graph wholesale; edges go with their nodes
+      await client.query("DELETE FROM workflow_nodes WHERE workflow_id = $1", [
+        id,
+      ]);
+      await this.saveGraph(client, id, workflow);
+    });
+
+    return this.findById(id);
+  }
+
+  async delete(id) {
+    const result = await this.db.query(
+      "DELETE FROM workflows WHERE id = $1 RETURNING *",
+      [id]
+    );
+
+    return result.rows.length > 0 ? new Workflow(result.rows[0]) : null;
+  }
+
+  /**
+   * Validate the graph and check that every job exists
+   */
+  async validate(workflow) {
+    const validation = workflow.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.join(", ")}`);
+    }
+
+    const result = await this.db.query(
+      "SELECT id FROM jobs WHERE id = ANY($1::UUID[])",
+      [workflow.jobIds]
+    );
+    const found = new Set(result.rows.map((row) => row.id));
+    const missing = workflow.jobIds.filter((jobId) => !found.has(jobId));
+
+    if (missing.length > 0) {
+      throw new Error(`Validation failed: Unknown job(s): ${missing.join(", ")}`);
+    }
+  }
+
+  async saveGraph(client, workflowId, workflow) {
+    await client.query(
+      `
+      INSERT INTO workflow_nodes (workflow_id, job_id)
+      SELECT $1, UNNEST($2::UUID[])
+    `,
+      [workflowId, workflow.jobIds]
+    );
+
+    for (const edge of workflow.edges) {
+      await client.query(
+        `
+        INSERT INTO workflow_edges (workflow_id, from_job_id, to_job_id, condition)
+        VALUES ($1, $2, $3, $4)
+      `,
+        [workflowId, edge.from, edge.to, edge.condition]
+      );
+    }
+  }
+
+  async findRuns(workflowId, options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const offset = (page - 1) * limit;
+
+    const [result, count] = await Promise.all([
+      this.db.query(
+        `
+        SELECT id, workflow_id, status, trigger_source, started_at, completed_at
+        FROM workflow_runs
+        WHERE workflow_id = $1
+        ORDER BY started_at DESC
+        LIMIT $2 OFFSET $3
+      `,
+        [workflowId, limit, offset]
+      ),
+      this.db.query("SELECT COUNT(*) FROM workflow_runs WHERE workflow_id = $1", [
+        workflowId,
+      ]),
+    ]);
+
+    const total = parseInt(count.rows[0].count);
+
+    return {
+      runs: result.rows.map((row) => this.formatRun(row)),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Get a run with the state of each job and its linked executions
+   */
+  async findRunById(workflowId, runId) {
+    const run = await this.db.query(
+      "SELECT * FROM workflow_runs WHERE id = $1 AND workflow_id = $2",
+      [runId, workflowId]
+    );
+
+    if (run.rows.length === 0) return null;
+
+    const [nodes, executions] = await Promise.all([
+      this.db.query(
+        `
+        SELECT n.job_id, n.status, n.updated_at, j.name AS job_name
+        FROM workflow_run_nodes n
+        JOIN jobs j ON j.id = n.job_id
+        WHERE n.run_id = $1
+      `,
+        [runId]
+      ),
+      this.db.query(
+        `
+        SELECT id, job_id, status, started_at, completed_at, duration_ms,
+          error_message, retry_count
+        FROM job_executions
+        WHERE workflow_run_id = $1
+        ORDER BY started_at ASC
+      `,
+        [runId]
+      ),
+    ]);
+
+    return {
+      ...this.formatRun(run.rows[0]),
+      definition: run.rows[0].definition,
+      nodes: nodes.rows.map((row) => ({
+        jobId: row.job_id,
+        jobName: row.job_name,
+        status: row.status,
+        updatedAt: row.updated_at,
+      })),
+      executions: executions.rows.map((row) => ({
+        id: row.id,
+        jobId: row.job_id,
+        status: row.status,
+        startedAt: row.started_at,
+        completedAt: row.completed_at,
+        durationMs: row.duration_ms,
+        errorMessage: row.error_message,
+        retryCount: row.retry_count,
+      })),
+    };
+  }
+
+  formatRun(row) {
+    return {
+      id: row.id,
+      workflowId: row.workflow_id,
+      status: row.status,
+      triggerSource: row.trigger_source,
+      startedAt: row.started_at,
+      completedAt: row.completed_at,
+    };
+  }
+}
+
+module.exports = { Workflow, WorkflowRepository, EDGE_CONDITIONS };
@@ -0,0 +1,464 @@
+const express = require("express");
+const AuthController = require("../controllers/authController");
+const { authenticate, requireUser } = require("../middleware/auth");
+const {
+  validateLogin,
+  validateUserCreate,
+  validateUserUpdate,
+  validateUserId,
+  validateApiKeyCreate,
+  validateApiKeyId,
+} = require("../middleware/validation");
+
+const router = express.Router();
+const authController = new AuthController();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     User:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           readOnly: true
+ *         username:
+ *           type: string
+ *           maxLength: 100
+ *           example: "admin"
+ *         isActive:
+ *           type: boolean
+ *           description: Inactive users cannot sign in, and their tokens stop working
+ *         createdBy:
+ *           type: string
+ *           readOnly: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         lastLoginAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           readOnly: true
+ *
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           readOnly: true
+ *         name:
+ *           type: string
+ *           maxLength: 255
+ *           example: "billing-service"
+ *         keyPrefix:
+ *           type: string
+ *           description: First characters of the key
+ *           example: "sk_Qm9yZ2Fu"
+ *         createdBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Updated at most once a minute
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Sign in
+ *     description: Exchange a username and password for a JWT, sent in the Authorization header ("Bearer <token>") of later requests.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *               - password
+ *             properties:
+ *               username:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Signed in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         token:
+ *                           type: string
+ *                         expiresIn:
+ *                           type: string
+ *                           example: "12h"
+ *                         user:
+ *                           $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Invalid username or password
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Authentication is disabled (AUTH_ENABLED=false)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Too many attempts
+ */
+router.post("/login", validateLogin, authController.login.bind(authController));
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Describe the caller
+ *     description: The user or API key making the request. Succeeds without credentials when authentication is disabled, with authEnabled false.
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Caller retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         authEnabled:
+ *                           type: boolean
+ *                         principal:
+ *                           type: object
+ *                           nullable: true
+ *                           properties:
+ *                             type:
+ *                               type: string
+ *                               enum: [user, apiKey]
+ *                             id:
+ *                               type: string
+ *                               format: uuid
+ *                             name:
+ *                               type: string
+ *                               description: Recorded as createdBy, pausedBy and resumedBy
+ *                         user:
+ *                           allOf:
+ *                             - $ref: '#/components/schemas/User'
+ *                           nullable: true
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get(
+  "/me",
+  authenticate,
+  authController.getCurrentPrincipal.bind(authController)
+);
+
+// Managing credentials takes a signed-in user; API keys cannot
+router.use(["/stream-token", "/users", "/api-keys"], authenticate, requireUser);
+
+/**
+ * @swagger
+ * /api/auth/stream-token:
+ *   post:
+ *     summary: Issue a stream token
+ *     description: >
+ *       A token valid for 60 seconds that only opens the event and log
+ *       streams, passed as their access_token query parameter (EventSource
+ *       cannot send headers). Streams opened with it stay open after it
+ *       expires; reconnecting takes a new one. Session tokens are not
+ *       accepted in URLs, and stream tokens are not accepted as bearer tokens.
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Stream token issued (token is null when authentication is disabled)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         token:
+ *                           type: string
+ *                           nullable: true
+ *                         expiresIn:
+ *                           type: string
+ *                           example: "60s"
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Called with an API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/stream-token",
+  authController.createStreamToken.bind(authController)
+);
+
+/**
+ * @swagger
+ * /api/auth/users:
+ *   get:
+ *     summary: List users
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Called with an API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/users", authController.getAllUsers.bind(authController));
+
+/**
+ * @swagger
+ * /api/auth/users:
+ *   post:
+ *     summary: Create a user
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *               - password
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 minLength: 3
+ *                 maxLength: 100
+ *                 pattern: '^[a-zA-Z0-9._@-]+$'
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 8
+ *                 maxLength: 72
+ *     responses:
+ *       201:
+ *         description: User created successfully
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       409:
+ *         description: A user with this username already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/users",
+  validateUserCreate,
+  authController.createUser.bind(authController)
+);
+
+/**
+ * @swagger
+ * /api/auth/users/{id}:
+ *   put:
+ *     summary: Change a user's password or deactivate it
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             minProperties: 1
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 8
+ *                 maxLength: 72
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: User updated successfully
+ *       400:
+ *         description: Validation error, or deactivating your own account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put(
+  "/users/:id",
+  validateUserId,
+  validateUserUpdate,
+  authController.updateUser.bind(authController)
+);
+
+/**
+ * @swagger
+ * /api/auth/api-keys:
+ *   get:
+ *     summary: List API keys
+ *     description: Newest first, revoked keys included. Keys themselves are never returned.
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: API keys retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get("/api-keys", authController.getAllApiKeys.bind(authController));
+
+/**
+ * @swagger
+ * /api/auth/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: >
+ *       The response holds the key (data.key), sent as the X-API-Key header
+ *       by services. Only its hash is stored, so it cannot be shown again.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 255
+ *                 example: "billing-service"
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Never expires when left out
+ *     responses:
+ *       201:
+ *         description: API key created successfully
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post(
+  "/api-keys",
+  validateApiKeyCreate,
+  authController.createApiKey.bind(authController)
+);
+
+/**
+ * @swagger
+ * /api/auth/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: API key ID
+ *     responses:
+ *       200:
+ *         description: API key revoked successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: API key not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete(
+  "/api-keys/:id",
+  validateApiKeyId,
+  authController.revokeApiKey.bind(authController)
+);
+
+module.exports = router;
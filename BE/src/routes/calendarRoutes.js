@@ -0,0 +1,330 @@
+const express = require("express");
+const CalendarController = require("../controllers/calendarController");
+const {
+  validateCalendarCreate,
+  validateCalendarUpdate,
+  validateCalendarImport,
+  validateCalendarQuery,
+  validateCalendarId,
+  sanitizeRequest,
+} = require("../middleware/validation");
+
+const router = express.Router();
+const calendarController = new CalendarController();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CalendarExclusion:
+ *       type: object
+ *       description: A date range (startsAt and endsAt) or a recurring window (cronExpression and durationMs)
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           readOnly: true
+ *         label:
+ *           type: string
+ *           maxLength: 255
+ *           example: "Christmas Day"
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *           description: Start of the range (inclusive)
+ *           example: "2026-12-25T00:00:00Z"
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *           description: End of the range (exclusive)
+ *           example: "2026-12-26T00:00:00Z"
+ *         cronExpression:
+ *           type: string
+ *           description: Start of each recurring window, evaluated in the calendar timezone
+ *           example: "0 0 * * SAT"
+ *         durationMs:
+ *           type: integer
+ *           minimum: 1000
+ *           description: Length of each recurring window
+ *           example: 172800000
+ *         source:
+ *           type: string
+ *           enum: [manual, ical]
+ *           default: manual
+ *           description: How the exclusion was added; imports only replace ical exclusions
+ *
+ *     Calendar:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           readOnly: true
+ *         name:
+ *           type: string
+ *           maxLength: 255
+ *           example: "US holidays"
+ *         description:
+ *           type: string
+ *           maxLength: 1000
+ *         timezone:
+ *           type: string
+ *           description: IANA timezone of recurring exclusions and all-day iCal events (defaults to the service TIMEZONE)
+ *           example: "America/New_York"
+ *         exclusions:
+ *           type: array
+ *           maxItems: 1000
+ *           items:
+ *             $ref: '#/components/schemas/CalendarExclusion'
+ *         jobIds:
+ *           type: array
+ *           readOnly: true
+ *           items:
+ *             type: string
+ *             format: uuid
+ *           description: Jobs attached to the calendar (set through the job's calendarIds)
+ *         createdBy:
+ *           type: string
+ *           maxLength: 255
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ */
+
+/**
+ * @swagger
+ * /api/calendars:
+ *   get:
+ *     summary: List calendars
+ *     tags: [Calendars]
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *     responses:
+ *       200:
+ *         description: Calendars retrieved successfully
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/",
+  sanitizeRequest,
+  validateCalendarQuery,
+  calendarController.getAllCalendars.bind(calendarController)
+);
+
+/**
+ * @swagger
+ * /api/calendars:
+ *   post:
+ *     summary: Create a calendar
+ *     description: Scheduled runs of jobs attached to the calendar are suppressed while one of its exclusions covers them.
+ *     tags: [Calendars]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Calendar'
+ *     responses:
+ *       201:
+ *         description: Calendar created successfully
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: A calendar with this name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/",
+  validateCalendarCreate,
+  calendarController.createCalendar.bind(calendarController)
+);
+
+/**
+ * @swagger
+ * /api/calendars/{id}:
+ *   get:
+ *     summary: Get a calendar
+ *     tags: [Calendars]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Calendar ID
+ *     responses:
+ *       200:
+ *         description: Calendar retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Calendar'
+ *       404:
+ *         description: Calendar not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/:id",
+  validateCalendarId,
+  calendarController.getCalendarById.bind(calendarController)
+);
+
+/**
+ * @swagger
+ * /api/calendars/{id}:
+ *   put:
+ *     summary: Update a calendar
+ *     description: When exclusions are given they replace all existing ones, imported ones included.
+ *     tags: [Calendars]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Calendar ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Calendar'
+ *     responses:
+ *       200:
+ *         description: Calendar updated successfully
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Calendar not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put(
+  "/:id",
+  validateCalendarId,
+  validateCalendarUpdate,
+  calendarController.updateCalendar.bind(calendarController)
+);
+
+/**
+ * @swagger
+ * /api/calendars/{id}:
+ *   delete:
+ *     summary: Delete a calendar
+ *     description: The calendar is detached from its jobs, which then run on every occurrence again.
+ *     tags: [Calendars]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Calendar ID
+ *     responses:
+ *       200:
+ *         description: Calendar deleted successfully
+ *       404:
+ *         description: Calendar not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete(
+  "/:id",
+  validateCalendarId,
+  calendarController.deleteCalendar.bind(calendarController)
+);
+
+/**
+ * @swagger
+ * /api/calendars/{id}/import:
+ *   post:
+ *     summary: Import an iCalendar holiday list
+ *     description: Adds each VEVENT of an iCalendar (.ics) document as an exclusion. Events repeating yearly (RRULE:FREQ=YEARLY) become recurring exclusions; events with other recurrence rules are skipped. All-day and floating times are read in the calendar timezone.
+ *     tags: [Calendars]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Calendar ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ics
+ *             properties:
+ *               ics:
+ *                 type: string
+ *                 description: iCalendar document
+ *               replace:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Remove previously imported exclusions first (manual ones are kept)
+ *     responses:
+ *       200:
+ *         description: Events imported; returns the calendar and the imported and skipped counts
+ *       400:
+ *         description: Validation error or no importable events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Calendar not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/:id/import",
+  validateCalendarId,
+  validateCalendarImport,
+  calendarController.importICalendar.bind(calendarController)
+);
+
+module.exports = router;
@@ -0,0 +1,136 @@
+const express = require("express");
+const EventController = require("../controllers/eventController");
+const { validateEventQuery } = require("../middleware/validation");
+
+const router = express.Router();
+const eventController = new EventController();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LiveEvent:
+ *       type: object
+ *       description: Sent as a server-sent event named after its type
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [job.created, job.updated, job.deleted, execution.started, execution.finished, scheduler.state]
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *         jobId:
+ *           type: string
+ *           format: uuid
+ *           description: Job events
+ *         jobType:
+ *           type: string
+ *           description: Job events
+ *         wasActive:
+ *           type: boolean
+ *           nullable: true
+ *           description: Whether the job was active before the change (job.updated and job.deleted)
+ *         job:
+ *           $ref: '#/components/schemas/Job'
+ *           description: The job after the change (job.created and job.updated)
+ *         execution:
+ *           type: object
+ *           description: Execution events; output and stack are left out (see GET /api/executions/{executionId})
+ *           properties:
+ *             id:
+ *               type: string
+ *               format: uuid
+ *             jobId:
+ *               type: string
+ *               format: uuid
+ *             status:
+ *               type: string
+ *             triggerSource:
+ *               type: string
+ *             scheduledFor:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *             startedAt:
+ *               type: string
+ *               format: date-time
+ *             completedAt:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *             durationMs:
+ *               type: integer
+ *               nullable: true
+ *             retryCount:
+ *               type: integer
+ *             errorMessage:
+ *               type: string
+ *               nullable: true
+ *             instanceId:
+ *               type: string
+ *             logTruncated:
+ *               type: boolean
+ *         instanceId:
+ *           type: string
+ *           description: Instance whose state changed (scheduler.state)
+ *         role:
+ *           type: string
+ *           description: Roles of the instance (scheduler.state)
+ *         isLeader:
+ *           type: boolean
+ *           description: scheduler.state
+ *         schedulerRunning:
+ *           type: boolean
+ *           description: scheduler.state
+ *         workerRunning:
+ *           type: boolean
+ *           description: scheduler.state
+ */
+
+/**
+ * @swagger
+ * /api/events:
+ *   get:
+ *     summary: Stream live events
+ *     description: >
+ *       Server-sent event stream of job changes (job.created, job.updated,
+ *       job.deleted), executions starting and finishing (execution.started,
+ *       execution.finished) and scheduler instances starting, stopping or
+ *       changing leadership (scheduler.state), made by any instance.
+ *       Events are not stored or replayed: after reconnecting, reload the
+ *       data shown and apply events from there.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: query
+ *         name: types
+ *         schema:
+ *           type: string
+ *         description: Event types or groups (job, execution, scheduler) to receive, comma-separated
+ *         example: job,execution.finished
+ *       - in: query
+ *         name: jobId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only events of one job and its executions
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               $ref: '#/components/schemas/LiveEvent'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/",
+  validateEventQuery,
+  eventController.streamEvents.bind(eventController)
+);
+
+module.exports = router;
@@ -0,0 +1,246 @@
+const express = require("express");
+const ExecutionController = require("../controllers/executionController");
+const {
+  validateExecutionId,
+  validateExecutionQuery,
+} = require("../middleware/validation");
+
+const router = express.Router();
+const executionController = new ExecutionController();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ExecutionAttempt:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         status:
+ *           type: string
+ *           enum: [running, completed, failed, timeout, skipped, cancelled, abandoned]
+ *         retryCount:
+ *           type: integer
+ *           description: 0 for the first attempt
+ *         triggerSource:
+ *           type: string
+ *           enum: [schedule, manual, retry, catch-up, workflow]
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *         durationMs:
+ *           type: integer
+ *         errorMessage:
+ *           type: string
+ *
+ *     ExecutionDetail:
+ *       allOf:
+ *         - $ref: '#/components/schemas/JobExecution'
+ *         - type: object
+ *           properties:
+ *             jobId:
+ *               type: string
+ *               format: uuid
+ *             jobName:
+ *               type: string
+ *             errorStack:
+ *               type: string
+ *               description: Stack trace of the error that failed the execution
+ *             output:
+ *               type: object
+ *               description: Result returned by the executor (or attached to its error)
+ *             instanceId:
+ *               type: string
+ *               description: Instance that ran the execution (INSTANCE_ID)
+ *             host:
+ *               type: string
+ *               description: Hostname of the machine the instance runs on
+ *             heartbeatAt:
+ *               type: string
+ *               format: date-time
+ *               description: Last lease heartbeat of the running instance
+ *             workflowRunId:
+ *               type: string
+ *               format: uuid
+ *             previousExecutionId:
+ *               type: string
+ *               format: uuid
+ *               description: Failed attempt this execution retries
+ *             retryChain:
+ *               type: array
+ *               description: Every attempt of the run still stored, first to last (this execution included)
+ *               items:
+ *                 $ref: '#/components/schemas/ExecutionAttempt'
+ */
+
+/**
+ * @swagger
+ * /api/executions:
+ *   get:
+ *     summary: Search executions across all jobs
+ *     description: Returns executions newest first. Filters combine with AND; list filters accept a comma-separated value or a repeated parameter. Follow `pagination.nextCursor` for the next page. Bounding the search with `from`/`to` lets PostgreSQL skip whole monthly partitions.
+ *     tags: [Executions]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: One or more statuses (running, completed, failed, timeout, skipped, cancelled, abandoned)
+ *         example: failed,timeout
+ *       - in: query
+ *         name: triggerSource
+ *         schema:
+ *           type: string
+ *         description: One or more trigger sources (schedule, manual, retry, catch-up, workflow)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Started at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Started before this time
+ *       - in: query
+ *         name: jobId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Executions of one job
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Executions of jobs with any of these tags (comma-separated)
+ *       - in: query
+ *         name: minDurationMs
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Ran at least this long
+ *       - in: query
+ *         name: maxDurationMs
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Ran at most this long
+ *       - in: query
+ *         name: error
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Text contained in the error message (case-insensitive)
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor returned with the previous page
+ *       - $ref: '#/components/parameters/LimitParam'
+ *     responses:
+ *       200:
+ *         description: Executions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         executions:
+ *                           type: array
+ *                           description: Executions without output, stack and retry chain (see GET /api/executions/{executionId})
+ *                           items:
+ *                             $ref: '#/components/schemas/ExecutionDetail'
+ *                         pagination:
+ *                           type: object
+ *                           properties:
+ *                             limit:
+ *                               type: integer
+ *                             nextCursor:
+ *                               type: string
+ *                               nullable: true
+ *                             hasNext:
+ *                               type: boolean
+ *       400:
+ *         description: Validation error (including a malformed cursor)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/",
+  validateExecutionQuery,
+  executionController.searchExecutions.bind(executionController)
+);
+
+/**
+ * @swagger
+ * /api/executions/{executionId}:
+ *   get:
+ *     summary: Get an execution
+ *     description: Returns the full execution record, including the executor output, the error stack trace, where it ran and the chain of attempts it belongs to.
+ *     tags: [Executions]
+ *     parameters:
+ *       - in: path
+ *         name: executionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Execution ID
+ *     responses:
+ *       200:
+ *         description: Execution retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/ExecutionDetail'
+ *       400:
+ *         description: Invalid execution ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Execution not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/:executionId",
+  validateExecutionId,
+  executionController.getExecutionById.bind(executionController)
+);
+
+module.exports = router;
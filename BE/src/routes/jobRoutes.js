@@ -4,7 +4,11 @@ const {
   validateJobCreate,
   validateJobUpdate,
   validateJobQuery,
+  validateJobPause,
+  validateJobResume,
+  validateExecutionLogQuery,
   validateJobId,
+  validateExecutionId,
   sanitizeRequest,
 } = require("../middleware/validation");
 
@@ -19,7 +23,6 @@ const jobController = new JobController();
  *       type: object
  *       required:
  *         - name
- *         - cronExpression
  *       properties:
  *         id:
  *           type: string
@@ -38,9 +41,23 @@ const jobController = new JobController();
  *           example: "Backup user data every day at midnight"
  *         cronExpression:
  *           type: string
- *           pattern: '^(\*|[0-5]?[0-9]|\*\/[0-9]+) (\*|[01]?[0-9]|2[0-3]|\*\/[0-9]+) (\*|[12]?[0-9]|3[01]|\*\/[0-9]+) (\*|[01]?[0-9]|1[0-2]|\*\/[0-9]+) (\*|[0-6]|\*\/[0-9]+)$'
- *           description: Cron expression for scheduling
- *           example: "0 0 * * *"
+ *           description: Cron expression with 5 fields or 6 with leading seconds (ranges, lists, steps, JAN-DEC and SUN-SAT names, L, W, # and ?), a macro such as "@daily", or a rate expression such as "rate(90 seconds)" (units second, minute, hour, day). Recurring jobs need either this or intervalMs; immediate and delayed jobs need neither
+ *           example: "0 9 * * MON-FRI"
+ *         intervalMs:
+ *           type: integer
+ *           minimum: 1000
+ *           maximum: 31536000000
+ *           description: Run every this many milliseconds, the alternative to cronExpression
+ *           example: 129600000
+ *         intervalAnchor:
+ *           type: string
+ *           format: date-time
+ *           description: First run of an interval or rate schedule; later runs follow at fixed intervals (defaults to the Unix epoch)
+ *           example: "2025-01-01T06:00:00Z"
+ *         timezone:
+ *           type: string
+ *           description: IANA timezone the cron expression is evaluated in
+ *           example: "America/New_York"
  *         isActive:
  *           type: boolean
  *           description: Whether the job is active
@@ -48,8 +65,52 @@ const jobController = new JobController();
  *         jobType:
  *           type: string
  *           enum: [scheduled, immediate, recurring, delayed]
- *           description: Type of job
+ *           description: Type of job. Immediate jobs run once right after creation and delayed jobs once at runAt; both are deactivated when their run is over
  *           example: "scheduled"
+ *         runAt:
+ *           type: string
+ *           format: date-time
+ *           description: When an immediate or delayed job runs (a time in the past runs right away)
+ *           example: "2025-01-01T09:00:00Z"
+ *         delayMs:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 31536000000
+ *           writeOnly: true
+ *           description: Alternative to runAt for delayed jobs - run this many milliseconds from now
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *           description: Start of the validity window; nothing runs before it
+ *           example: "2026-11-01T00:00:00Z"
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *           description: End of the validity window (exclusive); once it passes the job is deactivated
+ *           example: "2026-12-01T00:00:00Z"
+ *         inactiveReason:
+ *           type: string
+ *           readOnly: true
+ *           description: Why the job is inactive (the pause reason, or e.g. that its validity window ended)
+ *         pausedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: When the job was paused, null unless it is paused
+ *         pausedBy:
+ *           type: string
+ *           readOnly: true
+ *           description: Who paused the job
+ *         resumeAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: When the scheduler resumes the paused job
+ *         executorType:
+ *           type: string
+ *           enum: [noop, http, shell, node-module]
+ *           description: Executor that runs the job; the payload carries its configuration
+ *           example: "node-module"
  *         payload:
  *           type: object
  *           description: Job configuration payload
@@ -103,6 +164,41 @@ const jobController = new JobController();
  *               minimum: 1000
  *               maximum: 60000
  *               description: Delay between retries in milliseconds
+ *             misfirePolicy:
+ *               type: string
+ *               enum: [skip, run-once, run-all]
+ *               description: What to do with occurrences missed while no scheduler was running
+ *             misfireLimit:
+ *               type: integer
+ *               minimum: 1
+ *               maximum: 100
+ *               description: Maximum catch-up runs for the run-all policy
+ *             concurrencyPolicy:
+ *               type: string
+ *               enum: [forbid, allow, queue, replace]
+ *               description: What to do with a run that overlaps a running execution
+ *             maxConcurrency:
+ *               type: integer
+ *               minimum: 1
+ *               maximum: 100
+ *               description: Parallel executions allowed by the allow policy
+ *             recoveryPolicy:
+ *               type: string
+ *               enum: [requeue, abandon]
+ *               description: What to do with a run orphaned by a worker that died mid-run (it is marked abandoned either way)
+ *             resourceGroup:
+ *               type: string
+ *               maxLength: 100
+ *               pattern: '^[A-Za-z0-9_.-]+$'
+ *               nullable: true
+ *               description: Resource group the job counts against; named limits in CONCURRENCY_LIMITS apply by resource group or tag
+ *               example: "warehouse"
+ *             priority:
+ *               type: integer
+ *               minimum: -100
+ *               maximum: 100
+ *               default: 0
+ *               description: Queue priority; waiting executions of higher priority jobs are claimed first, and waiting entries gain priority over time
  *         createdBy:
  *           type: string
  *           maxLength: 255
@@ -114,6 +210,13 @@ const jobController = new JobController();
  *             maxLength: 50
  *           maxItems: 10
  *           description: Job tags for categorization
+ *         calendarIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *             format: uuid
+ *           maxItems: 20
+ *           description: Calendars whose exclusions suppress the job's scheduled runs (recorded as skipped executions)
  *
  *     JobExecution:
  *       type: object
@@ -124,7 +227,7 @@ const jobController = new JobController();
  *           description: Execution ID
  *         status:
  *           type: string
- *           enum: [running, completed, failed, timeout]
+ *           enum: [running, completed, failed, timeout, skipped, cancelled, abandoned]
  *           description: Execution status
  *         startedAt:
  *           type: string
@@ -143,6 +246,33 @@ const jobController = new JobController();
  *         retryCount:
  *           type: integer
  *           description: Number of retry attempts
+ *         triggerSource:
+ *           type: string
+ *           enum: [schedule, manual, retry, catch-up, workflow]
+ *           description: What started the execution (catch-up runs replay missed occurrences)
+ *         scheduledFor:
+ *           type: string
+ *           format: date-time
+ *           description: Scheduled occurrence this execution ran for
+ *         logTruncated:
+ *           type: boolean
+ *           description: The execution wrote more output than EXECUTION_LOG_MAX_BYTES; the rest was dropped
+ *
+ *     ExecutionLogChunk:
+ *       type: object
+ *       properties:
+ *         seq:
+ *           type: integer
+ *           description: Position of the chunk in the execution log, from 1
+ *         stream:
+ *           type: string
+ *           enum: [stdout, stderr, log]
+ *           description: Where the output came from (log holds worker notes and context.log lines of node-module handlers)
+ *         content:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
  *
  *     ApiResponse:
  *       type: object
@@ -217,6 +347,11 @@ const jobController = new JobController();
  *           type: boolean
  *         description: Filter by active status
  *       - in: query
+ *         name: paused
+ *         schema:
+ *           type: boolean
+ *         description: Only paused (true) or not paused (false) jobs
+ *       - in: query
  *         name: jobType
  *         schema:
  *           type: string
@@ -233,6 +368,32 @@ const jobController = new JobController();
  *           type: string
  *           maxLength: 255
  *         description: Search in job names
+ *       - in: query
+ *         name: minPriority
+ *         schema:
+ *           type: integer
+ *           minimum: -100
+ *           maximum: 100
+ *         description: Only jobs with at least this priority
+ *       - in: query
+ *         name: maxPriority
+ *         schema:
+ *           type: integer
+ *           minimum: -100
+ *           maximum: 100
+ *         description: Only jobs with at most this priority
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, name, priority, nextRunAt]
+ *           default: createdAt
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
  *     responses:
  *       200:
  *         description: List of jobs retrieved successfully
@@ -441,6 +602,10 @@ router.get("/:id", validateJobId, jobController.getJobById.bind(jobController));
  *               cronExpression:
  *                 type: string
  *                 example: "0 0 * * *"
+ *               timezone:
+ *                 type: string
+ *                 description: IANA timezone, defaults to the service TIMEZONE
+ *                 example: "America/New_York"
  *               isActive:
  *                 type: boolean
  *                 default: true
@@ -448,6 +613,10 @@ router.get("/:id", validateJobId, jobController.getJobById.bind(jobController));
  *                 type: string
  *                 enum: [scheduled, immediate, recurring, delayed]
  *                 default: "scheduled"
+ *               executorType:
+ *                 type: string
+ *                 enum: [noop, http, shell, node-module]
+ *                 default: "noop"
  *               payload:
  *                 type: object
  *                 example: { "database": "users", "format": "json" }
@@ -466,15 +635,58 @@ router.get("/:id", validateJobId, jobController.getJobById.bind(jobController));
  *                 minimum: 1000
  *                 maximum: 60000
  *                 default: 5000
+ *               misfirePolicy:
+ *                 type: string
+ *                 enum: [skip, run-once, run-all]
+ *                 default: run-once
+ *               misfireLimit:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 100
+ *                 default: 10
+ *               concurrencyPolicy:
+ *                 type: string
+ *                 enum: [forbid, allow, queue, replace]
+ *                 default: forbid
+ *               maxConcurrency:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 100
+ *                 default: 1
+ *               recoveryPolicy:
+ *                 type: string
+ *                 enum: [requeue, abandon]
+ *                 default: requeue
  *               createdBy:
  *                 type: string
  *                 maxLength: 255
+ *                 description: Ignored when authentication is enabled; the caller is recorded
  *               tags:
  *                 type: array
  *                 items:
  *                   type: string
  *                   maxLength: 50
  *                 maxItems: 10
+ *               resourceGroup:
+ *                 type: string
+ *                 maxLength: 100
+ *                 nullable: true
+ *               priority:
+ *                 type: integer
+ *                 minimum: -100
+ *                 maximum: 100
+ *               calendarIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *                 maxItems: 20
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
  *     responses:
  *       201:
  *         description: Job created successfully
@@ -535,11 +747,16 @@ router.post(
  *                 maxLength: 1000
  *               cronExpression:
  *                 type: string
+ *               timezone:
+ *                 type: string
  *               isActive:
  *                 type: boolean
  *               jobType:
  *                 type: string
  *                 enum: [scheduled, immediate, recurring, delayed]
+ *               executorType:
+ *                 type: string
+ *                 enum: [noop, http, shell, node-module]
  *               payload:
  *                 type: object
  *               timeoutMs:
@@ -554,15 +771,53 @@ router.post(
  *                 type: integer
  *                 minimum: 1000
  *                 maximum: 60000
+ *               misfirePolicy:
+ *                 type: string
+ *                 enum: [skip, run-once, run-all]
+ *               misfireLimit:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 100
+ *               concurrencyPolicy:
+ *                 type: string
+ *                 enum: [forbid, allow, queue, replace]
+ *               maxConcurrency:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 100
+ *               recoveryPolicy:
+ *                 type: string
+ *                 enum: [requeue, abandon]
  *               createdBy:
  *                 type: string
  *                 maxLength: 255
+ *                 description: Ignored when authentication is enabled
  *               tags:
  *                 type: array
  *                 items:
  *                   type: string
  *                   maxLength: 50
  *                 maxItems: 10
+ *               resourceGroup:
+ *                 type: string
+ *                 maxLength: 100
+ *                 nullable: true
+ *               priority:
+ *                 type: integer
+ *                 minimum: -100
+ *                 maximum: 100
+ *               calendarIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *                 maxItems: 20
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
  *     responses:
  *       200:
  *         description: Job updated successfully
@@ -700,6 +955,144 @@ router.post(
   jobController.triggerJob.bind(jobController)
 );
 
+/**
+ * @swagger
+ * /api/jobs/{id}/pause:
+ *   post:
+ *     summary: Pause a job
+ *     description: Deactivates the job and records the reason, who paused it and optionally when the scheduler resumes it. Pausing a paused job replaces its reason and resume time. Running executions finish; queued runs other than those of workflow runs are dropped.
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Job ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 255
+ *                 example: "Upstream API maintenance"
+ *               pausedBy:
+ *                 type: string
+ *                 maxLength: 255
+ *                 description: Ignored when authentication is enabled; the caller is recorded
+ *                 example: "ops@example.com"
+ *               resumeAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Resume automatically at this time (must be in the future)
+ *     responses:
+ *       200:
+ *         description: Job paused successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Job not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Job is inactive without being paused
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/:id/pause",
+  validateJobId,
+  validateJobPause,
+  jobController.pauseJob.bind(jobController)
+);
+
+/**
+ * @swagger
+ * /api/jobs/{id}/resume:
+ *   post:
+ *     summary: Resume a paused job
+ *     description: Re-activates the job and clears its pause. The schedule continues from now; occurrences that fell into the pause are not run as misfires.
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Job ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               resumedBy:
+ *                 type: string
+ *                 maxLength: 255
+ *                 description: Ignored when authentication is enabled; the caller is recorded
+ *     responses:
+ *       200:
+ *         description: Job resumed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: The job cannot run any more (its validity window ended)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Job not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Job is not paused
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/:id/resume",
+  validateJobId,
+  validateJobResume,
+  jobController.resumeJob.bind(jobController)
+);
+
 /**
  * @swagger
  * /api/jobs/{id}/executions:
@@ -770,12 +1163,189 @@ router.get(
   jobController.getJobExecutions.bind(jobController)
 );
 
+/**
+ * @swagger
+ * /api/jobs/{id}/executions/{executionId}/logs:
+ *   get:
+ *     summary: Get the log of an execution
+ *     description: |
+ *       Returns the stdout, stderr and log output captured from the execution, in chunks ordered by seq. Page through it with `after` set to the returned `nextSeq`.
+ *
+ *       With `follow=true` (or `Accept: text/event-stream`) the response is a server-sent event stream instead: a `chunk` event per chunk, whose event ID is the chunk seq (reconnects resume after `Last-Event-ID`), and a final `end` event with the execution status once it ended and all its output was sent.
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Job ID
+ *       - in: path
+ *         name: executionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Execution ID
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         description: Only return chunks after this seq
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 500
+ *         description: Maximum number of chunks (ignored when following)
+ *       - in: query
+ *         name: stream
+ *         schema:
+ *           type: string
+ *           enum: [stdout, stderr, log]
+ *         description: Only return chunks of one stream
+ *       - in: query
+ *         name: follow
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Stream the log as server-sent events until the execution ends
+ *     responses:
+ *       200:
+ *         description: Log chunks retrieved successfully (or an event stream when following)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         executionId:
+ *                           type: string
+ *                           format: uuid
+ *                         jobId:
+ *                           type: string
+ *                           format: uuid
+ *                         status:
+ *                           type: string
+ *                           description: Current execution status
+ *                         chunks:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/ExecutionLogChunk'
+ *                         nextSeq:
+ *                           type: integer
+ *                           description: Pass as `after` to get the following chunks
+ *                         truncated:
+ *                           type: boolean
+ *                           description: Output past EXECUTION_LOG_MAX_BYTES was dropped
+ *                         complete:
+ *                           type: boolean
+ *                           description: The execution ended and no chunks follow this page
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Execution not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/:id/executions/:executionId/logs",
+  validateJobId,
+  validateExecutionId,
+  validateExecutionLogQuery,
+  jobController.getExecutionLogs.bind(jobController)
+);
+
+/**
+ * @swagger
+ * /api/jobs/{id}/executions/{executionId}/cancel:
+ *   post:
+ *     summary: Cancel a running execution
+ *     description: Marks the execution cancelled and aborts the executor through its AbortSignal. The worker running it stops immediately when it is the same instance, otherwise on its next heartbeat.
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Job ID
+ *       - in: path
+ *         name: executionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Execution ID
+ *     responses:
+ *       200:
+ *         description: Execution cancelled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/JobExecution'
+ *       404:
+ *         description: Execution not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Execution is not running
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/:id/executions/:executionId/cancel",
+  validateJobId,
+  validateExecutionId,
+  jobController.cancelExecution.bind(jobController)
+);
+
 /**
  * @swagger
  * /jobs/validate-cron:
  *   post:
  *     summary: Validate cron expression
- *     description: Validates a cron expression and returns next execution times
+ *     description: Validates a cron or rate expression, or an interval, and returns next execution times
  *     tags: [Jobs]
  *     requestBody:
  *       required: true
@@ -783,13 +1353,29 @@ router.get(
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - cronExpression
  *             properties:
  *               cronExpression:
  *                 type: string
- *                 description: Cron expression to validate
+ *                 description: Cron or rate expression to validate
  *                 example: "* * * * *"
+ *               intervalMs:
+ *                 type: integer
+ *                 description: Interval to preview instead of an expression
+ *                 example: 90000
+ *               intervalAnchor:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Anchor of the interval or rate schedule
+ *               calendarIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *                 description: Calendars whose exclusions the preview skips
+ *               timezone:
+ *                 type: string
+ *                 description: IANA timezone to preview the runs in (defaults to the service TIMEZONE)
+ *                 example: "Asia/Kolkata"
  *     responses:
  *       200:
  *         description: Cron expression validation result
@@ -807,6 +1393,9 @@ router.get(
  *                     expression:
  *                       type: string
  *                       example: "* * * * *"
+ *                     intervalMs:
+ *                       type: integer
+ *                       description: Interval of a rate expression or intervalMs schedule
  *                     isValid:
  *                       type: boolean
  *                       example: true
@@ -815,15 +1404,28 @@ router.get(
  *                       items:
  *                         type: string
  *                         format: date-time
- *                       description: Next 5 execution times
+ *                       description: Next 5 execution times (occurrences excluded by the calendars are left out)
+ *                     excludedRuns:
+ *                       type: array
+ *                       description: Occurrences the calendars suppress before the last returned run (only with calendarIds, at most 20)
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           time:
+ *                             type: string
+ *                             format: date-time
+ *                           calendar:
+ *                             type: string
+ *                           label:
+ *                             type: string
  *                     timezone:
  *                       type: string
- *                       example: "Asia/Kolkata (IST)"
+ *                       example: "Asia/Kolkata"
  *                     message:
  *                       type: string
  *                       example: "Valid cron expression"
  *       400:
- *         description: Invalid cron expression
+ *         description: Invalid cron expression, timezone or calendars
  *         content:
  *           application/json:
  *             schema:
@@ -0,0 +1,384 @@
+const express = require("express");
+const WorkflowController = require("../controllers/workflowController");
+const {
+  validateWorkflowCreate,
+  validateWorkflowUpdate,
+  validateWorkflowQuery,
+  validateWorkflowId,
+  validateWorkflowRunId,
+  sanitizeRequest,
+} = require("../middleware/validation");
+
+const router = express.Router();
+const workflowController = new WorkflowController();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WorkflowEdge:
+ *       type: object
+ *       required:
+ *         - from
+ *         - to
+ *       properties:
+ *         from:
+ *           type: string
+ *           format: uuid
+ *           description: Upstream job ID
+ *         to:
+ *           type: string
+ *           format: uuid
+ *           description: Downstream job ID
+ *         condition:
+ *           type: string
+ *           enum: [success, failure, always]
+ *           default: success
+ *           description: Upstream outcome that lets the downstream job run (always means succeeded or failed; a skipped upstream job satisfies no edge)
+ *
+ *     Workflow:
+ *       type: object
+ *       required:
+ *         - name
+ *         - jobIds
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           readOnly: true
+ *         name:
+ *           type: string
+ *           maxLength: 255
+ *           example: "Nightly pipeline"
+ *         description:
+ *           type: string
+ *           maxLength: 1000
+ *         jobIds:
+ *           type: array
+ *           minItems: 1
+ *           maxItems: 100
+ *           items:
+ *             type: string
+ *             format: uuid
+ *           description: Jobs in the workflow (graph nodes)
+ *         edges:
+ *           type: array
+ *           maxItems: 500
+ *           items:
+ *             $ref: '#/components/schemas/WorkflowEdge'
+ *           description: Dependencies between the jobs; must not form a cycle
+ *         createdBy:
+ *           type: string
+ *           maxLength: 255
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *
+ *     WorkflowRun:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         workflowId:
+ *           type: string
+ *           format: uuid
+ *         status:
+ *           type: string
+ *           enum: [running, completed, failed]
+ *         triggerSource:
+ *           type: string
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/workflows:
+ *   get:
+ *     summary: List workflows
+ *     tags: [Workflows]
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *     responses:
+ *       200:
+ *         description: Workflows retrieved successfully
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/",
+  sanitizeRequest,
+  validateWorkflowQuery,
+  workflowController.getAllWorkflows.bind(workflowController)
+);
+
+/**
+ * @swagger
+ * /api/workflows:
+ *   post:
+ *     summary: Create a workflow
+ *     description: Defines a directed acyclic graph of existing jobs. Cycles, unknown jobs and edges to jobs outside the workflow are rejected.
+ *     tags: [Workflows]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Workflow'
+ *     responses:
+ *       201:
+ *         description: Workflow created successfully
+ *       400:
+ *         description: Validation error (including cycles)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/",
+  validateWorkflowCreate,
+  workflowController.createWorkflow.bind(workflowController)
+);
+
+/**
+ * @swagger
+ * /api/workflows/{id}:
+ *   get:
+ *     summary: Get a workflow
+ *     tags: [Workflows]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Workflow ID
+ *     responses:
+ *       200:
+ *         description: Workflow retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Workflow'
+ *       404:
+ *         description: Workflow not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/:id",
+  validateWorkflowId,
+  workflowController.getWorkflowById.bind(workflowController)
+);
+
+/**
+ * @swagger
+ * /api/workflows/{id}:
+ *   put:
+ *     summary: Update a workflow
+ *     description: Runs in progress keep the graph they started with.
+ *     tags: [Workflows]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Workflow ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Workflow'
+ *     responses:
+ *       200:
+ *         description: Workflow updated successfully
+ *       400:
+ *         description: Validation error (including cycles)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Workflow not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put(
+  "/:id",
+  validateWorkflowId,
+  validateWorkflowUpdate,
+  workflowController.updateWorkflow.bind(workflowController)
+);
+
+/**
+ * @swagger
+ * /api/workflows/{id}:
+ *   delete:
+ *     summary: Delete a workflow and its run history
+ *     tags: [Workflows]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Workflow ID
+ *     responses:
+ *       200:
+ *         description: Workflow deleted successfully
+ *       404:
+ *         description: Workflow not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete(
+  "/:id",
+  validateWorkflowId,
+  workflowController.deleteWorkflow.bind(workflowController)
+);
+
+/**
+ * @swagger
+ * /api/workflows/{id}/run:
+ *   post:
+ *     summary: Start a workflow run
+ *     description: Queues every job without upstream edges. Each job is queued once all its upstream jobs have finished and skipped when one of its edges is not satisfied.
+ *     tags: [Workflows]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Workflow ID
+ *     responses:
+ *       201:
+ *         description: Workflow run started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/WorkflowRun'
+ *       404:
+ *         description: Workflow not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/:id/run",
+  validateWorkflowId,
+  workflowController.runWorkflow.bind(workflowController)
+);
+
+/**
+ * @swagger
+ * /api/workflows/{id}/runs:
+ *   get:
+ *     summary: Get workflow run history
+ *     tags: [Workflows]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Workflow ID
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *     responses:
+ *       200:
+ *         description: Workflow runs retrieved successfully
+ */
+router.get(
+  "/:id/runs",
+  validateWorkflowId,
+  validateWorkflowQuery,
+  workflowController.getWorkflowRuns.bind(workflowController)
+);
+
+/**
+ * @swagger
+ * /api/workflows/{id}/runs/{runId}:
+ *   get:
+ *     summary: Get a workflow run
+ *     description: Returns the run with the state of each job (pending, queued, succeeded, failed, skipped) and the job executions it created.
+ *     tags: [Workflows]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Workflow ID
+ *       - in: path
+ *         name: runId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Workflow run ID
+ *     responses:
+ *       200:
+ *         description: Workflow run retrieved successfully
+ *       404:
+ *         description: Workflow run not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/:id/runs/:runId",
+  validateWorkflowId,
+  validateWorkflowRunId,
+  workflowController.getWorkflowRun.bind(workflowController)
+);
+
+module.exports = router;
@@ -0,0 +1,254 @@
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const jwt = require("jsonwebtoken");
+const { UserRepository } = require("../models/User");
+const { ApiKeyRepository } = require("../models/ApiKey");
+
+// Set AUTH_ENABLED=false to serve the API without credentials (development)
+const AUTH_ENABLED = process.env.AUTH_ENABLED !== "false";
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "12h";
+// Tokens for EventSource, which can only pass them in the URL. Checked when
+// a stream opens; an open stream outlives its token.
+const STREAM_TOKEN_EXPIRES_IN = "60s";
+const STREAM_SCOPE = "stream";
+const BCRYPT_ROUNDS = 12;
+const API_KEY_PREFIX = "sk_";
+// Characters of a key kept in clear to tell keys apart in listings
+const API_KEY_VISIBLE_LENGTH = 11;
+// last_used_at of an API key is written at most this often per instance
+const KEY_USE_RECORD_INTERVAL_MS = 60000;
+// PostgreSQL unique_violation (usernames are unique)
+const UNIQUE_VIOLATION = "23505";
+
+const isAuthEnabled = () => AUTH_ENABLED;
+
+const hashApiKey = (key) =>
+  crypto.createHash("sha256").update(key).digest("hex");
+
+/**
+ * Auth Service - Users signing in with a password and receiving a JWT, and
+ * API keys for services. Both resolve to a principal, the caller of a
+ * request: { type: "user"|"apiKey", id, name }.
+ */
+class AuthService {
+  constructor() {
+    this.userRepository = new UserRepository();
+    this.apiKeyRepository = new ApiKeyRepository();
+    this.keyUseRecordedAt = new Map(); // API key id -> ms
+    this.dummyHash = null;
+  }
+
+  /**
+   * Check the configuration and create the first user from ADMIN_USERNAME
+   * and ADMIN_PASSWORD when there is none (instances serving the API)
+   */
+  async initialize() {
+    if (!AUTH_ENABLED) {
+      console.warn("Authentication is disabled (AUTH_ENABLED=false)");
+      return;
+    }
+
+    if (!process.env.JWT_SECRET) {
+      throw new Error(
+        "JWT_SECRET is required when authentication is enabled"
+      );
+    }
+
+    // Compared against for unknown usernames, so they take as long as
+    // wrong passwords
+    this.dummyHash = await bcrypt.hash(
+      crypto.randomBytes(16).toString("hex"),
+      BCRYPT_ROUNDS
+    );
+
+    if ((await this.userRepository.count()) > 0) return;
+
+    const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+
+    if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+      console.warn(
+        "No users exist; set ADMIN_USERNAME and ADMIN_PASSWORD to create the first one"
+      );
+      return;
+    }
+
+    try {
+      await this.createUser(
+        { username: ADMIN_USERNAME, password: ADMIN_PASSWORD },
+        "system"
+      );
+      console.log(`Created initial user ${ADMIN_USERNAME}`);
+    } catch (error) {
+      // Another instance starting at the same time created it
+      if (error.code !== UNIQUE_VIOLATION) throw error;
+    }
+  }
+
+  /**
+   * Check a username and password
+   * @returns {Promise<{token: string, expiresIn: string, user: User}|null>} -
+   *   null if the credentials are wrong or the user is inactive
+   */
+  async login(username, password) {
+    const user = await this.userRepository.findByUsername(username);
+
+    const matches = await bcrypt.compare(
+      password,
+      user ? user.passwordHash : this.dummyHash
+    );
+
+    if (!user || !matches || !user.isActive) {
+      return null;
+    }
+
+    await this.userRepository.recordLogin(user.id);
+
+    const token = jwt.sign(
+      { sub: user.id, username: user.username },
+      process.env.JWT_SECRET,
+      { expiresIn: JWT_EXPIRES_IN }
+    );
+
+    return { token, expiresIn: JWT_EXPIRES_IN, user };
+  }
+
+  /**
+   * Issue a short-lived token that only opens event and log streams, so
+   * URLs (and the logs recording them) never hold a session token
+   * @param {object} principal - Signed-in user (req.auth)
+   * @returns {{token: string, expiresIn: string}}
+   */
+  issueStreamToken(principal) {
+    const token = jwt.sign(
+      { sub: principal.id, username: principal.name, scope: STREAM_SCOPE },
+      process.env.JWT_SECRET,
+      { expiresIn: STREAM_TOKEN_EXPIRES_IN }
+    );
+
+    return { token, expiresIn: STREAM_TOKEN_EXPIRES_IN };
+  }
+
+  /**
+   * Resolve a JWT to its user. Deactivated users are refused even while
+   * their tokens have not expired.
+   * @param {string} token - JWT
+   * @param {boolean} stream - Whether a stream token is expected; session
+   *   and stream tokens are not accepted in place of each other
+   * @returns {Promise<object|null>} - Principal, null if invalid
+   */
+  async verifyToken(token, stream = false) {
+    let payload;
+
+    try {
+      payload = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return null;
+    }
+
+    if ((payload.scope === STREAM_SCOPE) !== stream) {
+      return null;
+    }
+
+    const user = await this.userRepository.findById(payload.sub);
+
+    if (!user || !user.isActive) {
+      return null;
+    }
+
+    return { type: "user", id: user.id, name: user.username };
+  }
+
+  /**
+   * Resolve an API key to its principal
+   * @returns {Promise<object|null>} - Principal, null if unknown, revoked or
+   *   expired
+   */
+  async verifyApiKey(key) {
+    if (!key.startsWith(API_KEY_PREFIX)) return null;
+
+    const apiKey = await this.apiKeyRepository.findByHash(hashApiKey(key));
+
+    if (!apiKey || !apiKey.isUsable()) {
+      return null;
+    }
+
+    const now = Date.now();
+    const recordedAt = this.keyUseRecordedAt.get(apiKey.id) || 0;
+
+    if (now - recordedAt >= KEY_USE_RECORD_INTERVAL_MS) {
+      this.keyUseRecordedAt.set(apiKey.id, now);
+      this.apiKeyRepository.recordUse(apiKey.id).catch((error) => {
+        console.error(`Failed to record use of API key ${apiKey.id}:`, error);
+      });
+    }
+
+    return { type: "apiKey", id: apiKey.id, name: `api-key:${apiKey.name}` };
+  }
+
+  /**
+   * Create a user
+   * @param {object} userData - username and password
+   * @param {string} createdBy - Name of the caller
+   */
+  async createUser(userData, createdBy) {
+    const passwordHash = await bcrypt.hash(userData.password, BCRYPT_ROUNDS);
+
+    return this.userRepository.create({
+      username: userData.username,
+      passwordHash,
+      createdBy,
+    });
+  }
+
+  /**
+   * Change the password and/or active flag of a user
+   * @returns {Promise<User|null>} - null if no such user
+   */
+  async updateUser(id, updateData) {
+    const passwordHash = updateData.password
+      ? await bcrypt.hash(updateData.password, BCRYPT_ROUNDS)
+      : null;
+
+    return this.userRepository.update(id, {
+      passwordHash,
+      isActive: updateData.isActive,
+    });
+  }
+
+  /**
+   * Create an API key. The key itself is returned only here; just its hash
+   * is stored.
+   * @param {object} keyData - name and optional expiresAt
+   * @param {string} createdBy - Name of the caller
+   * @returns {Promise<{apiKey: ApiKey, key: string}>}
+   */
+  async createApiKey(keyData, createdBy) {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+
+    const apiKey = await this.apiKeyRepository.create({
+      name: keyData.name,
+      keyPrefix: key.slice(0, API_KEY_VISIBLE_LENGTH),
+      keyHash: hashApiKey(key),
+      createdBy,
+      expiresAt: keyData.expiresAt || null,
+    });
+
+    return { apiKey, key };
+  }
+}
+
+// Singleton pattern
+let authInstance = null;
+
+const getAuth = () => {
+  if (!authInstance) {
+    authInstance = new AuthService();
+  }
+  return authInstance;
+};
+
+module.exports = {
+  AuthService,
+  getAuth,
+  isAuthEnabled,
+};
@@ -0,0 +1,241 @@
+const { getDatabase } = require("../database/connection");
+const { getCache } = require("./cacheService");
+const { JobRepository } = require("../models/Job");
+
+// Channel shared with the notify_*_change() triggers in schema.sql
+const CHANNEL = "scheduler_events";
+// Job changes arriving within this window are sent once, with one lookup
+const JOB_EVENT_DELAY_MS = 100;
+const RECONNECT_DELAY_MS = 5000;
+
+const EVENT_TYPES = [
+  "job.created",
+  "job.updated",
+  "job.deleted",
+  "execution.started",
+  "execution.finished",
+  "scheduler.state",
+];
+
+/**
+ * Event Service - Live changes of jobs, executions and scheduler instances.
+ * Changes are published with Postgres NOTIFY, by table triggers or by
+ * publish(), so every instance that LISTENs sees them whichever instance
+ * made them. Subscribers receive each event as a plain object with a type.
+ */
+class EventService {
+  constructor() {
+    this.db = getDatabase();
+    this.cache = getCache();
+    this.jobRepository = new JobRepository();
+    this.subscribers = new Map(); // listener -> onClose
+    this.pendingJobEvents = new Map();
+    this.jobEventTimer = null;
+    this.client = null;
+    this.isListening = false;
+  }
+
+  /**
+   * Start listening for notifications (instances serving the API)
+   */
+  async start() {
+    if (this.isListening) return;
+    this.isListening = true;
+
+    await this.connect();
+  }
+
+  async connect() {
+    try {
+      const client = await this.db.getClient();
+
+      client.on("notification", (message) => this.handleNotification(message));
+      client.on("error", (error) => this.handleConnectionError(client, error));
+
+      await client.query(`LISTEN ${CHANNEL}`);
+      this.client = client;
+      console.log(`Listening for ${CHANNEL} notifications`);
+    } catch (error) {
+      console.error("Failed to listen for events:", error);
+      this.scheduleReconnect();
+    }
+  }
+
+  handleConnectionError(client, error) {
+    console.error("Event listener connection lost:", error);
+
+    if (this.client === client) {
+      this.client = null;
+      client.release(error);
+      this.scheduleReconnect();
+    }
+  }
+
+  scheduleReconnect() {
+    if (!this.isListening) return;
+
+    setTimeout(async () => {
+      if (!this.isListening) return;
+
+      // Changes made while disconnected were not seen
+      this.invalidateJobsCache();
+      await this.connect();
+    }, RECONNECT_DELAY_MS).unref();
+  }
+
+  /**
+   * Stop listening and end every subscription
+   */
+  async stop() {
+    if (!this.isListening) return;
+    this.isListening = false;
+
+    clearTimeout(this.jobEventTimer);
+    this.pendingJobEvents.clear();
+
+    this.subscribers.forEach((onClose) => onClose && onClose());
+    this.subscribers.clear();
+
+    if (this.client) {
+      const client = this.client;
+      this.client = null;
+
+      try {
+        await client.query(`UNLISTEN ${CHANNEL}`);
+      } catch (error) {
+        console.error("Failed to stop listening for events:", error);
+      } finally {
+        client.release();
+      }
+    }
+  }
+
+  /**
+   * Receive events from now on
+   * @param {Function} listener - Called with each event
+   * @param {Function} onClose - Called if the service stops first
+   * @returns {Function} - Ends the subscription
+   */
+  subscribe(listener, onClose = null) {
+    this.subscribers.set(listener, onClose);
+    return () => this.subscribers.delete(listener);
+  }
+
+  /**
+   * Send an event to the listeners of every instance. Never throws: a lost
+   * event must not fail the change it reports.
+   * @param {string} type - Event type
+   * @param {object} data - Event fields
+   */
+  async publish(type, data = {}) {
+    try {
+      await this.db.query("SELECT pg_notify($1, $2)", [
+        CHANNEL,
+        JSON.stringify({ type, ...data }),
+      ]);
+    } catch (error) {
+      console.error(`Failed to publish ${type} event:`, error);
+    }
+  }
+
+  handleNotification(message) {
+    let event;
+
+    try {
+      event = JSON.parse(message.payload);
+    } catch (error) {
+      console.error("Ignoring malformed event:", message.payload);
+      return;
+    }
+
+    if (event.type.startsWith("job.")) {
+      // Cached job lists and stats would otherwise lag behind
+      this.cache.delete(`job:${event.jobId}`);
+      this.invalidateJobsCache();
+      this.queueJobEvent(event);
+    } else {
+      this.dispatch(event);
+    }
+  }
+
+  /**
+   * Hold job changes briefly: an execution touches its job several times,
+   * and subscribers need the job only once
+   */
+  queueJobEvent(event) {
+    const pending = this.pendingJobEvents.get(event.jobId);
+
+    if (event.type === "job.deleted") {
+      this.pendingJobEvents.delete(event.jobId);
+      this.dispatch(event);
+      return;
+    }
+
+    // A job created or reactivated in the window keeps its first event
+    this.pendingJobEvents.set(event.jobId, pending || event);
+
+    if (!this.jobEventTimer) {
+      this.jobEventTimer = setTimeout(
+        () => this.flushJobEvents(),
+        JOB_EVENT_DELAY_MS
+      );
+    }
+  }
+
+  async flushJobEvents() {
+    const events = Array.from(this.pendingJobEvents.values());
+    this.pendingJobEvents.clear();
+    this.jobEventTimer = null;
+
+    if (this.subscribers.size === 0) return;
+
+    for (const event of events) {
+      try {
+        const job = await this.jobRepository.findById(event.jobId);
+
+        // Deleted meanwhile: its job.deleted event was already sent
+        if (job) {
+          this.dispatch({ ...event, job: job.toJSON() });
+        }
+      } catch (error) {
+        console.error(`Failed to load job ${event.jobId} for an event:`, error);
+      }
+    }
+  }
+
+  dispatch(event) {
+    const timestamped = { ...event, timestamp: new Date().toISOString() };
+
+    this.subscribers.forEach((onClose, listener) => {
+      try {
+        listener(timestamped);
+      } catch (error) {
+        console.error("Event listener failed:", error);
+      }
+    });
+  }
+
+  invalidateJobsCache() {
+    this.cache.keys().forEach((key) => {
+      if (key.startsWith("jobs:")) {
+        this.cache.delete(key);
+      }
+    });
+  }
+}
+
+// Singleton pattern
+let eventInstance = null;
+
+const getEvents = () => {
+  if (!eventInstance) {
+    eventInstance = new EventService();
+  }
+  return eventInstance;
+};
+
+module.exports = {
+  EventService,
+  getEvents,
+  EVENT_TYPES,
+};
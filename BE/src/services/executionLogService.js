@@ -0,0 +1,266 @@
+const util = require("util");
+const { getDatabase } = require("../database/connection");
+
+// Log output kept per execution; anything past it is dropped
+const MAX_BYTES = parseInt(process.env.EXECUTION_LOG_MAX_BYTES) || 1048576;
+// Buffered output is written at least this often while an execution runs,
+// and as soon as FLUSH_BYTES are waiting
+const FLUSH_INTERVAL_MS =
+  parseInt(process.env.EXECUTION_LOG_FLUSH_INTERVAL_MS) || 1000;
+const FLUSH_BYTES = 65536;
+
+const LOG_STREAMS = ["stdout", "stderr", "log"];
+
+/**
+ * Buffers the output of one execution and writes it to execution_logs in
+ * numbered chunks. Consecutive writes to the same stream share a chunk.
+ * Writes never throw: losing log lines must not fail the execution.
+ */
+class ExecutionLogWriter {
+  constructor(service, executionId, jobId) {
+    this.service = service;
+    this.executionId = executionId;
+    this.jobId = jobId;
+    this.buffer = [];
+    this.bufferedBytes = 0;
+    this.totalBytes = 0;
+    this.seq = 0;
+    this.truncated = false;
+    this.truncationSaved = false;
+    this.closed = false;
+    this.timer = null;
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Add output to the log
+   * @param {string} stream - stdout, stderr or log
+   * @param {string|Buffer} text - Output to add
+   */
+  write(stream, text) {
+    if (this.closed || this.truncated) return;
+
+    // PostgreSQL TEXT cannot hold NUL characters
+    let content = String(text).replace(/\u0000/g, "");
+    let bytes = Buffer.byteLength(content);
+    if (bytes === 0) return;
+
+    if (this.totalBytes + bytes > MAX_BYTES) {
+      const remaining = MAX_BYTES - this.totalBytes;
+      content = Buffer.from(content).subarray(0, remaining).toString();
+      bytes = remaining;
+      this.truncated = true;
+    }
+
+    this.append(stream, content, bytes);
+
+    if (this.truncated) {
+      this.append(
+        "log",
+        `\n[Log truncated at ${MAX_BYTES} bytes (EXECUTION_LOG_MAX_BYTES)]\n`,
+        0
+      );
+    }
+
+    if (this.bufferedBytes >= FLUSH_BYTES || this.truncated) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), FLUSH_INTERVAL_MS);
+      this.timer.unref();
+    }
+  }
+
+  stdout(text) {
+    this.write("stdout", text);
+  }
+
+  stderr(text) {
+    this.write("stderr", text);
+  }
+
+  /**
+   * Add a line to the log stream, formatted like console.log
+   */
+  log(...args) {
+    this.write("log", `${util.format(...args)}\n`);
+  }
+
+  append(stream, content, bytes) {
+    const last = this.buffer[this.buffer.length - 1];
+
+    if (last && last.stream === stream) {
+      last.content += content;
+    } else if (content.length > 0) {
+      this.buffer.push({ stream, content });
+    }
+
+    this.bufferedBytes += bytes;
+    this.totalBytes += bytes;
+  }
+
+  /**
+   * Write the buffered output. Flushes run one after another so chunks are
+   * numbered in the order they were written.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const chunks = this.buffer.map((chunk) => ({
+      ...chunk,
+      seq: ++this.seq,
+    }));
+    const markTruncated = this.truncated && !this.truncationSaved;
+    this.buffer = [];
+    this.bufferedBytes = 0;
+    this.truncationSaved = this.truncated;
+
+    if (chunks.length === 0 && !markTruncated) {
+      return this.pending;
+    }
+
+    this.pending = this.pending.then(async () => {
+      try {
+        await this.service.insertChunks(this.executionId, this.jobId, chunks);
+
+        if (markTruncated) {
+          await this.service.markTruncated(this.executionId);
+        }
+      } catch (error) {
+        console.error(
+          `Failed to write logs of execution ${this.executionId}:`,
+          error
+        );
+      }
+    });
+
+    return this.pending;
+  }
+
+  /**
+   * Write what is left and stop accepting output. Call it before the
+   * execution row is finished so log readers see all of it once it is.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.closed) return this.pending;
+
+    const done = this.flush();
+    this.closed = true;
+    return done;
+  }
+}
+
+/**
+ * Execution Log Service - Output captured from executions (execution_logs)
+ */
+class ExecutionLogService {
+  constructor() {
+    this.db = getDatabase();
+  }
+
+  /**
+   * Start capturing the output of an execution
+   * @param {string} executionId - Execution the output belongs to
+   * @param {string} jobId - Job of the execution
+   * @returns {ExecutionLogWriter}
+   */
+  createWriter(executionId, jobId) {
+    return new ExecutionLogWriter(this, executionId, jobId);
+  }
+
+  async insertChunks(executionId, jobId, chunks) {
+    if (chunks.length === 0) return;
+
+    await this.db.query(
+      `
+      INSERT INTO execution_logs (execution_id, job_id, seq, stream, content)
+      SELECT $1, $2, chunk.seq, chunk.stream, chunk.content
+      FROM unnest($3::INTEGER[], $4::VARCHAR[], $5::TEXT[])
+        AS chunk(seq, stream, content)
+    `,
+      [
+        executionId,
+        jobId,
+        chunks.map((chunk) => chunk.seq),
+        chunks.map((chunk) => chunk.stream),
+        chunks.map((chunk) => chunk.content),
+      ]
+    );
+  }
+
+  async markTruncated(executionId) {
+    await this.db.query(
+      "UPDATE job_executions SET log_truncated = true WHERE id = $1",
+      [executionId]
+    );
+  }
+
+  /**
+   * Get the state of an execution of a job
+   * @returns {Promise<object|null>} - id, job_id, status and log_truncated
+   */
+  async findExecution(jobId, executionId) {
+    const result = await this.db.query(
+      `
+      SELECT id, job_id, status, log_truncated
+      FROM job_executions
+      WHERE id = $1 AND job_id = $2
+    `,
+      [executionId, jobId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get the log chunks of an execution in order
+   * @param {string} executionId - Execution ID
+   * @param {object} options - Query options
+   * @param {number} options.after - Only chunks with a higher seq
+   * @param {number} options.limit - Maximum number of chunks
+   * @param {string} options.stream - Only chunks of this stream
+   * @returns {Promise<object[]>} - Chunks with seq, stream, content and createdAt
+   */
+  async findChunks(executionId, options = {}) {
+    const { after = 0, limit = 500, stream = null } = options;
+
+    const result = await this.db.query(
+      `
+      SELECT seq, stream, content, created_at
+      FROM execution_logs
+      WHERE execution_id = $1
+        AND seq > $2
+        AND ($3::VARCHAR IS NULL OR stream = $3)
+      ORDER BY seq
+      LIMIT $4
+    `,
+      [executionId, after, stream, limit]
+    );
+
+    return result.rows.map((row) => ({
+      seq: row.seq,
+      stream: row.stream,
+      content: row.content,
+      createdAt: row.created_at,
+    }));
+  }
+}
+
+// Singleton pattern
+let executionLogInstance = null;
+
+const getExecutionLogs = () => {
+  if (!executionLogInstance) {
+    executionLogInstance = new ExecutionLogService();
+  }
+  return executionLogInstance;
+};
+
+module.exports = {
+  ExecutionLogService,
+  ExecutionLogWriter,
+  getExecutionLogs,
+  LOG_STREAMS,
+};
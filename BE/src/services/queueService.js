@@ -0,0 +1,229 @@
+const { getDatabase } = require("../database/connection");
+
+// Queue priority bonus of an entry by what started it, added to the job
+// priority: someone is waiting on a manual run, retries and workflow steps
+// continue work already under way, and catch-up runs replay old occurrences
+const TRIGGER_PRIORITIES = {
+  manual: 20,
+  retry: 10,
+  workflow: 10,
+  schedule: 0,
+  "catch-up": -10,
+};
+
+// Waiting entries gain a point of priority per interval, so low priority
+// work still runs while higher priority work keeps arriving
+const PRIORITY_AGING_MS =
+  parseInt(process.env.QUEUE_PRIORITY_AGING_MS) || 10000;
+
+/**
+ * Queue Service - Executions waiting for a worker (job_queue table)
+ *
+ * The scheduler enqueues due occurrences, the API enqueues manual triggers and
+ * workers enqueue retries. Workers claim rows with FOR UPDATE SKIP LOCKED,
+ * highest effective priority first (job priority, trigger bonus and aging),
+ * and only as many as they have free slots; the rest wait here.
+ */
+class QueueService {
+  constructor() {
+    this.db = getDatabase();
+  }
+
+  /**
+   * Add an execution to the queue
+   * @param {string} jobId - Job to run
+   * @param {object} options - Queue options
+   * @param {Date} options.scheduledFor - Occurrence being run, if any
+   * @param {Date} options.availableAt - Earliest time a worker may claim it
+   * @param {number} options.attempt - Retry attempt (0 for the first run)
+   * @param {string} options.triggerSource - schedule, manual, retry, catch-up or workflow
+   * @param {string} options.workflowRunId - Workflow run the execution belongs to
+   * @param {string} options.previousExecutionId - Failed attempt a retry follows
+   * @param {number} options.priority - Bonus over the job priority (defaults
+   *   by trigger source)
+   * @param {object} client - Client to run on (to join a transaction)
+   * @returns {Promise<object>} - Queue entry
+   */
+  async enqueue(jobId, options = {}, client = this.db) {
+    const {
+      scheduledFor = null,
+      availableAt = new Date(),
+      attempt = 0,
+      triggerSource = "schedule",
+      workflowRunId = null,
+      previousExecutionId = null,
+    } = options;
+    const priority = options.priority ?? TRIGGER_PRIORITIES[triggerSource] ?? 0;
+
+    const query = `
+      INSERT INTO job_queue (
+        job_id, scheduled_for, available_at, attempt, trigger_source,
+        workflow_run_id, priority, previous_execution_id
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      jobId,
+      scheduledFor,
+      availableAt,
+      attempt,
+      triggerSource,
+      workflowRunId,
+      priority,
+      previousExecutionId,
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Lock the next available entries together with their jobs. Must run inside
+   * a transaction; locked rows are skipped by other workers, and locking the
+   * job row keeps two workers from applying its concurrency policy at once.
+   *
+   * Entries that can only wait for a running execution of their job (retries,
+   * workflow steps, and every entry of a "queue" policy job) are left out while
+   * the job has no free slot, and so are entries of jobs under a named
+   * concurrency limit that is used up, so they cannot hold up other jobs.
+   *
+   * Entries are taken by effective priority: the job priority plus the entry
+   * bonus, plus a point for every PRIORITY_AGING_MS the entry has been
+   * available, so no entry waits forever.
+   * @param {object} client - Transaction client
+   * @param {number} limit - Maximum number of entries
+   * @param {Map<string, number>} namedLimits - Named concurrency limits
+   * @returns {Promise<object[]>} - Job rows with queue_* columns
+   */
+  async lockAvailable(client, limit, namedLimits = new Map()) {
+    const query = `
+      SELECT j.*,
+        q.id AS queue_id,
+        q.scheduled_for AS queue_scheduled_for,
+        q.attempt AS queue_attempt,
+        q.trigger_source AS queue_trigger_source,
+        q.workflow_run_id AS queue_workflow_run_id,
+        q.previous_execution_id AS queue_previous_execution_id,
+        j.priority + q.priority + FLOOR(
+          EXTRACT(EPOCH FROM NOW() - q.available_at) * 1000 / $4
+        ) AS queue_effective_priority
+      FROM job_queue q
+      JOIN jobs j ON j.id = q.job_id
+      WHERE q.available_at <= NOW()
+      AND (
+        (q.trigger_source NOT IN ('retry', 'workflow', 'catch-up') AND j.concurrency_policy <> 'queue')
+        OR (
+          SELECT COUNT(*) FROM job_executions e
+          WHERE e.job_id = j.id AND e.status = 'running'
+        ) < CASE WHEN j.concurrency_policy = 'allow' THEN j.max_concurrency ELSE 1 END
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM unnest($2::TEXT[], $3::INTEGER[]) AS l(name, max_running)
+        WHERE (l.name = j.resource_group OR l.name = ANY(j.tags))
+        AND (
+          SELECT COUNT(*) FROM job_executions e
+          JOIN jobs rj ON rj.id = e.job_id
+          WHERE e.status = 'running'
+          AND (rj.resource_group = l.name OR l.name = ANY(rj.tags))
+        ) >= l.max_running
+      )
+      ORDER BY queue_effective_priority DESC, q.available_at ASC, q.enqueued_at ASC
+      LIMIT $1
+      FOR UPDATE OF q, j SKIP LOCKED
+    `;
+
+    const result = await client.query(query, [
+      limit,
+      Array.from(namedLimits.keys()),
+      Array.from(namedLimits.values()),
+      PRIORITY_AGING_MS,
+    ]);
+    return result.rows;
+  }
+
+  /**
+   * Remove an entry once it has been claimed
+   */
+  async remove(queueId, client = this.db) {
+    await client.query("DELETE FROM job_queue WHERE id = $1", [queueId]);
+  }
+
+  /**
+   * Drop the entries of a job that have not started yet, except those of
+   * workflow runs (steps and their retries; the run waits for them)
+   * @param {string} jobId - Job ID
+   * @returns {Promise<number>} - Number of entries dropped
+   */
+  async removePending(jobId) {
+    const result = await this.db.query(
+      "DELETE FROM job_queue WHERE job_id = $1 AND workflow_run_id IS NULL",
+      [jobId]
+    );
+
+    return result.rowCount;
+  }
+
+  /**
+   * Count waiting entries
+   * @returns {Promise<{depth: number, ready: number, pendingRetries: number}>}
+   *   - All entries, entries waiting only for a worker slot, and retries
+   */
+  async getStats() {
+    const result = await this.db.query(`
+      SELECT
+        COUNT(*) AS depth,
+        COUNT(*) FILTER (WHERE available_at <= NOW()) AS ready,
+        COUNT(*) FILTER (WHERE trigger_source = 'retry') AS pending_retries
+      FROM job_queue
+    `);
+
+    return {
+      depth: parseInt(result.rows[0].depth),
+      ready: parseInt(result.rows[0].ready),
+      pendingRetries: parseInt(result.rows[0].pending_retries),
+    };
+  }
+
+  /**
+   * Running executions under each named concurrency limit, across workers
+   * @param {Map<string, number>} namedLimits - Named concurrency limits
+   * @returns {Promise<{name: string, max: number, running: number}[]>}
+   */
+  async getLimitUsage(namedLimits) {
+    if (namedLimits.size === 0) return [];
+
+    const result = await this.db.query(
+      `
+      SELECT l.name, COUNT(e.id) AS running
+      FROM unnest($1::TEXT[]) AS l(name)
+      LEFT JOIN jobs j ON j.resource_group = l.name OR l.name = ANY(j.tags)
+      LEFT JOIN job_executions e ON e.job_id = j.id AND e.status = 'running'
+      GROUP BY l.name
+    `,
+      [Array.from(namedLimits.keys())]
+    );
+
+    const running = new Map(
+      result.rows.map((row) => [row.name, parseInt(row.running)])
+    );
+
+    return Array.from(namedLimits, ([name, max]) => ({
+      name,
+      max,
+      running: running.get(name) || 0,
+    }));
+  }
+}
+
+// Singleton pattern
+let queueInstance = null;
+
+const getQueue = () => {
+  if (!queueInstance) {
+    queueInstance = new QueueService();
+  }
+  return queueInstance;
+};
+
+module.exports = { QueueService, getQueue, TRIGGER_PRIORITIES };
@@ -1,87 +1,26 @@
-const cron = require("node-cron");
-const { JobRepository } = require("../models/Job");
+const { Job, JobRepository } = require("../models/Job");
 const { getDatabase } = require("../database/connection");
 const { getCache } = require("./cacheService");
+const { getQueue } = require("./queueService");
+const { getWorker } = require("./workerService");
+const { getEvents } = require("./eventService");
+const { INSTANCE_ID } = require("../utils/instance");
+const { describeServiceRoles } = require("../utils/serviceRole");
+const { isValidCronExpression, getMissedRunTimes } = require("../utils/cron");
+
+// Schedule evaluation: only the elected leader turns due occurrences into
+// queue entries, workers (on any instance) run them
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS) || 1000;
+const CLAIM_BATCH_SIZE = parseInt(process.env.SCHEDULER_CLAIM_BATCH_SIZE) || 100;
+const LEADER_LEASE_NAME = "scheduler";
+const LEADER_LEASE_TTL_MS = parseInt(process.env.LEADER_LEASE_TTL_MS) || 15000;
+
+// Occurrences older than this were missed (no leader was running) and are
+// handled by the job's misfire policy instead of the regular poll
+const MISFIRE_THRESHOLD_MS = parseInt(process.env.MISFIRE_THRESHOLD_MS) || 60000;
 
 /**
- * Calculate next run time for cron expression in IST timezone
- * @param {string} cronExpression - Cron expression
- * @param {Date} fromTime - Base time (defaults to now)
- * @returns {Date} - Next run time in UTC
- */
-function calculateNextRunTime(cronExpression, fromTime = new Date()) {
-  try {
-    // Validate the cron expression first
-    if (!cron.validate(cronExpression)) {
-      throw new Error(`Invalid cron expression: ${cronExpression}`);
-    }
-
-    // Convert current time to IST
-    const istOffset = 5.5 * 60 * 60 * 1000; // IST is UTC+5:30
-    const istTime = new Date(fromTime.getTime() + istOffset);
-
-    // Parse cron expression parts
-    const parts = cronExpression.split(" ");
-    const [minute, hour, day, month, dayOfWeek] = parts;
-
-    let nextRun = new Date(istTime);
-
-    // Handle common patterns
-    if (cronExpression === "* * * * *") {
-      // Every minute
-      nextRun.setSeconds(0, 0);
-      nextRun.setMinutes(nextRun.getMinutes() + 1);
-    } else if (minute.startsWith("*/")) {
-      // Every N minutes
-      const interval = parseInt(minute.substring(2));
-      nextRun.setSeconds(0, 0);
-      const currentMinute = nextRun.getMinutes();
-      const nextInterval = Math.ceil((currentMinute + 1) / interval) * interval;
-      if (nextInterval >= 60) {
-        nextRun.setHours(nextRun.getHours() + 1);
-        nextRun.setMinutes(nextInterval - 60);
-      } else {
-        nextRun.setMinutes(nextInterval);
-      }
-    } else if (minute !== "*" && hour === "*") {
-      // Specific minute every hour
-      const targetMinute = parseInt(minute);
-      nextRun.setMinutes(targetMinute, 0, 0);
-      if (istTime.getMinutes() >= targetMinute) {
-        nextRun.setHours(nextRun.getHours() + 1);
-      }
-    } else if (minute !== "*" && hour !== "*" && day === "*" && month === "*") {
-      // Daily at specific time
-      const targetHour = parseInt(hour);
-      const targetMinute = parseInt(minute);
-      nextRun.setHours(targetHour, targetMinute, 0, 0);
-      if (istTime >= nextRun) {
-        nextRun.setDate(nextRun.getDate() + 1);
-      }
-    } else {
-      // For complex expressions, use a simple fallback
-      // Add 1 hour as a safe default
-      nextRun.setHours(nextRun.getHours() + 1);
-      nextRun.setMinutes(0, 0, 0);
-    }
-
-    // Convert IST time back to UTC for storage
-    return new Date(nextRun.getTime() - istOffset);
-  } catch (error) {
-    console.error(
-      `Error calculating next run time for cron expression "${cronExpression}":`,
-      error.message
-    );
-
-    // Fallback: add 1 hour to current time if cron parsing fails
-    const fallbackTime = new Date(fromTime.getTime() + 60 * 60 * 1000);
-    console.warn(`Using fallback time: ${fallbackTime.toISOString()}`);
-    return fallbackTime;
-  }
-}
-
-/**
- * Job Scheduler Service - Handles job scheduling and execution
+ * Job Scheduler Service - Evaluates schedules and enqueues due executions
  * Follows Single Responsibility Principle and Dependency Injection
  */
 class SchedulerService {
@@ -89,15 +28,12 @@ class SchedulerService {
     this.jobRepository = new JobRepository();
     this.db = getDatabase();
     this.cache = getCache();
-    this.activeTasks = new Map(); // Store active cron tasks
-    this.executionQueue = new Map(); // Track running executions
+    this.queue = getQueue();
+    this.instanceId = INSTANCE_ID;
+    this.activeTasks = new Map(); // Active jobs known to this instance
     this.isRunning = false;
-    this.stats = {
-      totalExecutions: 0,
-      successfulExecutions: 0,
-      failedExecutions: 0,
-      averageExecutionTime: 0,
-    };
+    this.isLeader = false;
+    this.isPolling = false;
   }
 
   /**
@@ -110,10 +46,21 @@ class SchedulerService {
     }
 
     this.isRunning = true;
-    console.log("Starting Job Scheduler Service...");
+    console.log(`Starting Job Scheduler Service (instance ${this.instanceId})...`);
 
     try {
       await this.loadAndScheduleJobs();
+      await this.renewLeadership();
+
+      // Leadership is a lease in Postgres; renew well before it expires
+      this.leaderInterval = setInterval(async () => {
+        await this.renewLeadership();
+      }, Math.floor(LEADER_LEASE_TTL_MS / 3));
+
+      // Enqueue due occurrences while this instance is the leader
+      this.pollInterval = setInterval(async () => {
+        await this.enqueueDueJobs();
+      }, POLL_INTERVAL_MS);
 
       // Set up periodic job sync (every 30 seconds)
       this.syncInterval = setInterval(async () => {
@@ -140,24 +87,103 @@ class SchedulerService {
     console.log("Stopping Job Scheduler Service...");
     this.isRunning = false;
 
-    // Clear sync interval
-    if (this.syncInterval) {
-      clearInterval(this.syncInterval);
-    }
+    clearInterval(this.pollInterval);
+    clearInterval(this.leaderInterval);
+    clearInterval(this.syncInterval);
 
-    // Stop all active cron tasks
-    for (const [jobId, task] of this.activeTasks) {
-      task.destroy();
-      console.log(`Stopped job: ${jobId}`);
-    }
     this.activeTasks.clear();
 
-    // Wait for running executions to complete (with timeout)
-    await this.waitForExecutionsToComplete(30000); // 30 seconds timeout
+    // Hand leadership over right away instead of waiting for the lease to expire
+    await this.releaseLeadership();
 
     console.log("Job Scheduler Service stopped");
   }
 
+  /**
+   * Acquire or renew the scheduler leader lease. Succeeds when nobody holds
+   * it, this instance already holds it, or the holder let it expire.
+   */
+  async renewLeadership() {
+    if (!this.isRunning) return;
+
+    const wasLeader = this.isLeader;
+
+    try {
+      const result = await this.db.query(
+        `
+        INSERT INTO service_leases (name, holder, acquired_at, expires_at)
+        VALUES ($1, $2, NOW(), NOW() + ($3 * INTERVAL '1 millisecond'))
+        ON CONFLICT (name) DO UPDATE SET
+          holder = EXCLUDED.holder,
+          acquired_at = CASE
+            WHEN service_leases.holder = EXCLUDED.holder THEN service_leases.acquired_at
+            ELSE NOW()
+          END,
+          expires_at = EXCLUDED.expires_at
+        WHERE service_leases.holder = EXCLUDED.holder
+        OR service_leases.expires_at < NOW()
+        RETURNING holder
+      `,
+        [LEADER_LEASE_NAME, this.instanceId, LEADER_LEASE_TTL_MS]
+      );
+
+      this.isLeader = result.rows.length > 0;
+    } catch (error) {
+      // Without the database we cannot prove we still hold the lease
+      console.error("Failed to renew scheduler leadership:", error);
+      this.isLeader = false;
+    }
+
+    if (this.isLeader && !wasLeader) {
+      console.log(`Instance ${this.instanceId} is now the scheduler leader`);
+
+      await this.publishState();
+
+      // Catch up on whatever was missed while no leader was running
+      await this.handleMisfires();
+    } else if (!this.isLeader && wasLeader) {
+      console.warn(`Instance ${this.instanceId} lost scheduler leadership`);
+      await this.publishState();
+    }
+  }
+
+  /**
+   * Give up the leader lease (on shutdown)
+   */
+  async releaseLeadership() {
+    if (!this.isLeader) return;
+
+    try {
+      await this.db.query(
+        "DELETE FROM service_leases WHERE name = $1 AND holder = $2",
+        [LEADER_LEASE_NAME, this.instanceId]
+      );
+    } catch (error) {
+      console.error("Failed to release scheduler leadership:", error);
+    } finally {
+      this.isLeader = false;
+    }
+  }
+
+  /**
+   * Get the current scheduler leader, whichever instance it is
+   * @returns {Promise<{instanceId: string, acquiredAt: Date, expiresAt: Date}|null>}
+   */
+  async getLeader() {
+    const result = await this.db.query(
+      `
+      SELECT holder, acquired_at, expires_at FROM service_leases
+      WHERE name = $1 AND expires_at > NOW()
+    `,
+      [LEADER_LEASE_NAME]
+    );
+
+    if (result.rows.length === 0) return null;
+
+    const { holder, acquired_at, expires_at } = result.rows[0];
+    return { instanceId: holder, acquiredAt: acquired_at, expiresAt: expires_at };
+  }
+
   /**
    * Load all active jobs from database and schedule them
    */
@@ -182,39 +208,46 @@ class SchedulerService {
   }
 
   /**
-   * Schedule an individual job
+   * Schedule an individual job. Occurrences are driven by jobs.next_run_at,
+   * which the leader enqueues, so this only tracks the job locally.
    * @param {Job} job - Job instance to schedule
    */
   async scheduleJob(job) {
     try {
-      // Validate cron expression
-      if (!cron.validate(job.cronExpression)) {
-        console.error(
-          `Invalid cron expression for job ${job.id}: ${job.cronExpression}`
+      if (job.hasEnded()) {
+        await this.endJob(job);
+        return;
+      }
+
+      if (job.isOneOff()) {
+        this.activeTasks.set(job.id, job);
+        console.log(
+          `Scheduled one-off job: ${job.name} (${job.id}) to run at ${
+            job.nextRunAt ? new Date(job.nextRunAt).toISOString() : "its claimed time"
+          }`
         );
         return;
       }
 
-      // Remove existing task if any
-      if (this.activeTasks.has(job.id)) {
-        this.activeTasks.get(job.id).destroy();
+      if (job.intervalMs) {
+        this.activeTasks.set(job.id, job);
+        console.log(
+          `Scheduled job: ${job.name} (${job.id}) every ${job.intervalMs}ms`
+        );
+        return;
       }
 
-      // Create new cron task
-      const task = cron.schedule(
-        job.cronExpression,
-        async () => {
-          await this.executeJob(job);
-        },
-        {
-          scheduled: true,
-          timezone: process.env.TIMEZONE || "UTC",
-        }
-      );
+      // Validate cron expression
+      if (!isValidCronExpression(job.cronExpression)) {
+        console.error(
+          `Invalid cron expression for job ${job.id}: ${job.cronExpression}`
+        );
+        return;
+      }
 
-      this.activeTasks.set(job.id, task);
+      this.activeTasks.set(job.id, job);
       console.log(
-        `Scheduled job: ${job.name} (${job.id}) with cron: ${job.cronExpression}`
+        `Scheduled job: ${job.name} (${job.id}) with cron: ${job.cronExpression} (${job.timezone})`
       );
     } catch (error) {
       console.error(`Failed to schedule job ${job.id}:`, error);
@@ -222,182 +255,267 @@ class SchedulerService {
   }
 
   /**
-   * Unschedule a job
+   * Deactivate a job whose validity window is over, recording why
+   * @param {Job} job - Job past its endsAt
+   */
+  async endJob(job) {
+    try {
+      const ended = await this.jobRepository.deactivateEnded(job);
+
+      if (ended) {
+        this.activeTasks.delete(job.id);
+        console.log(`Job ${job.name} (${job.id}): ${ended.inactiveReason}, deactivated`);
+        this.invalidateJobsCache();
+      }
+    } catch (error) {
+      console.error(`Failed to deactivate ended job ${job.id}:`, error);
+    }
+  }
+
+  /**
+   * Unschedule a job and drop its queued runs that have not started yet
+   * (those of workflow runs excepted)
    * @param {string} jobId - Job ID to unschedule
    */
-  unscheduleJob(jobId) {
+  async unscheduleJob(jobId) {
+    try {
+      await this.queue.removePending(jobId);
+    } catch (error) {
+      console.error(`Failed to drop queued runs of job ${jobId}:`, error);
+    }
+
     if (this.activeTasks.has(jobId)) {
-      this.activeTasks.get(jobId).destroy();
       this.activeTasks.delete(jobId);
       console.log(`Unscheduled job: ${jobId}`);
     }
   }
 
   /**
-   * Execute a job
-   * @param {Job} job - Job to execute
+   * Queue a manual run of a job for the next free worker
+   * @param {Job} job - Job to run
+   * @returns {Promise<object>} - Queue entry
    */
-  async executeJob(job) {
-    const startTime = Date.now();
-    let executionId = null;
-
-    // Check if job is already running
-    if (this.executionQueue.has(job.id)) {
-      console.log(`Job ${job.id} is already running, skipping execution`);
-      return;
-    }
-
-    console.log(`🔄 Executing job: ${job.name} (${job.id})`);
-
-    // Record execution start
-    const execution = {
-      jobId: job.id,
-      startTime,
-      status: "running",
-    };
+  async triggerJob(job) {
+    return this.queue.enqueue(job.id, { triggerSource: "manual" });
+  }
 
-    this.executionQueue.set(job.id, execution);
+  /**
+   * Resume paused jobs whose time has come, then move due occurrences of
+   * active jobs to the queue (leader only)
+   */
+  async enqueueDueJobs() {
+    if (!this.isRunning || !this.isLeader || this.isPolling) return;
+    this.isPolling = true;
 
     try {
-      // Create execution record in database and get the UUID
-      executionId = await this.createExecutionRecord(job.id, "running");
-      execution.id = executionId;
-
-      // Simulate job execution based on job type
-      const result = await this.performJobExecution(job);
-
-      const endTime = Date.now();
-      const duration = endTime - startTime;
-
-      // Update execution record
-      await this.updateExecutionRecord(
-        executionId,
-        "completed",
-        duration,
-        null,
-        result
-      );
-
-      // Update job statistics
-      await this.jobRepository.updateJobStats(job.id, { success: true });
-
-      // Update next run time
-      await this.updateNextRunTime(job);
+      const resumed = await this.resumeDueJobs();
+      const enqueued = await this.claimDueJobs();
 
-      // Invalidate cache to ensure fresh data is returned
-      this.invalidateJobsCache();
-
-      // Update service statistics
-      this.updateServiceStats(duration, true);
-
-      console.log(`Job completed: ${job.name} (${duration}ms)`);
+      if (resumed + enqueued > 0) {
+        this.invalidateJobsCache();
+      }
     } catch (error) {
-      const endTime = Date.now();
-      const duration = endTime - startTime;
+      console.error("Failed to enqueue due jobs:", error);
+    } finally {
+      this.isPolling = false;
+    }
+  }
 
-      console.error(`Job failed: ${job.name} - ${error.message}`);
+  /**
+   * Resume paused jobs whose resumeAt has passed. A job whose validity window
+   * ended during the pause is deactivated for good instead.
+   * @returns {Promise<number>} - Number of jobs handled
+   */
+  async resumeDueJobs() {
+    const jobs = await this.jobRepository.findDueResumes(CLAIM_BATCH_SIZE);
+
+    for (const job of jobs) {
+      try {
+        if (job.hasEnded()) {
+          await this.endJob(job);
+          continue;
+        }
 
-      // Update execution record only if we have a valid execution ID
-      if (executionId) {
-        await this.updateExecutionRecord(
-          executionId,
-          "failed",
-          duration,
-          error.message
+        const resumed = await this.jobRepository.resume(job.id);
+        console.log(
+          `Resumed job ${job.name} (${job.id}) at its resume time ${new Date(
+            job.resumeAt
+          ).toISOString()}`
         );
+        await this.scheduleJob(resumed);
+      } catch (error) {
+        console.error(`Failed to resume job ${job.id}:`, error);
       }
+    }
+
+    return jobs.length;
+  }
+
+  /**
+   * Claim the due occurrences of active jobs. Each claimed job's next_run_at
+   * is advanced and its queue entry inserted in the same transaction, so an
+   * occurrence is enqueued once even if two leaders briefly overlap.
+   * @returns {Promise<number>} - Number of occurrences enqueued
+   */
+  async claimDueJobs() {
+    return this.db.transaction(async (client) => {
+      const result = await client.query(
+        `
+        SELECT * FROM jobs
+        WHERE is_active = true
+        AND next_run_at <= NOW()
+        AND next_run_at >= NOW() - ($2 * INTERVAL '1 millisecond')
+        ORDER BY next_run_at ASC
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      `,
+        [CLAIM_BATCH_SIZE, MISFIRE_THRESHOLD_MS]
+      );
 
-      // Update job statistics
-      await this.jobRepository.updateJobStats(job.id, { success: false });
+      for (const row of result.rows) {
+        const job = new Job(row);
+        const scheduledFor = job.nextRunAt;
+        let nextRunAt = null;
+
+        // One-off jobs have no next run once claimed
+        if (!job.isOneOff()) {
+          try {
+            // Never earlier than the claimed occurrence, even with clock skew
+            nextRunAt = job.getNextRunTime(
+              new Date(Math.max(Date.now(), scheduledFor.getTime()))
+            );
+          } catch (error) {
+            console.error(
+              `Cannot calculate next run for job ${job.id}, pausing its schedule:`,
+              error.message
+            );
+          }
+        }
 
-      // Invalidate cache to ensure fresh data is returned
-      this.invalidateJobsCache();
+        await client.query(
+          `UPDATE jobs SET next_run_at = $2, updated_at = NOW() WHERE id = $1`,
+          [job.id, nextRunAt]
+        );
 
-      // Update service statistics
-      this.updateServiceStats(duration, false);
+        await this.queue.enqueue(
+          job.id,
+          { scheduledFor, triggerSource: "schedule" },
+          client
+        );
+      }
 
-      // Handle retries if configured
-      await this.handleJobRetry(job, error);
-    } finally {
-      // Remove from execution queue
-      this.executionQueue.delete(job.id);
-    }
+      return result.rows.length;
+    });
   }
 
   /**
-   * Perform actual job execution based on job type
-   * @param {Job} job - Job to execute
-   * @returns {object} - Execution result
+   * Apply each job's misfire policy to occurrences missed by more than
+   * MISFIRE_THRESHOLD_MS (leader only). Catch-up runs are queued with
+   * trigger source "catch-up".
+   *   skip     - drop the missed occurrences
+   *   run-once - run the most recent missed occurrence
+   *   run-all  - run every missed occurrence, up to the job's misfireLimit
+   *              (the most recent ones are kept)
+   * A missed one-off job runs once late, or is deactivated under "skip".
    */
-  async performJobExecution(job) {
-    // This is where you would implement actual job logic
-    // For now, we'll simulate different job types
-
-    const timeout = job.timeoutMs || 30000;
-
-    return new Promise((resolve, reject) => {
-      const timer = setTimeout(() => {
-        reject(new Error("Job execution timeout"));
-      }, timeout);
-
-      // Simulate job execution based on type
-      setTimeout(() => {
-        clearTimeout(timer);
-
-        switch (job.jobType) {
-          case "scheduled":
-            resolve({
-              type: "scheduled",
-              message: "Scheduled job completed successfully",
-              payload: job.payload,
-              executedAt: new Date().toISOString(),
-            });
-            break;
-
-          case "immediate":
-            resolve({
-              type: "immediate",
-              message: "Immediate job completed successfully",
-              payload: job.payload,
-              executedAt: new Date().toISOString(),
-            });
-            break;
-
-          case "recurring":
-            resolve({
-              type: "recurring",
-              message: "Recurring job completed successfully",
-              payload: job.payload,
-              executedAt: new Date().toISOString(),
-            });
-            break;
-
-          default:
-            resolve({
-              type: "default",
-              message: "Job completed successfully",
-              payload: job.payload,
-              executedAt: new Date().toISOString(),
-            });
+  async handleMisfires() {
+    if (!this.isRunning || !this.isLeader) return;
+
+    try {
+      let handled;
+      do {
+        handled = await this.db.transaction(async (client) => {
+          const result = await client.query(
+            `
+            SELECT * FROM jobs
+            WHERE is_active = true
+            AND next_run_at < NOW() - ($1 * INTERVAL '1 millisecond')
+            ORDER BY next_run_at ASC
+            LIMIT $2
+            FOR UPDATE SKIP LOCKED
+          `,
+            [MISFIRE_THRESHOLD_MS, CLAIM_BATCH_SIZE]
+          );
+
+          for (const row of result.rows) {
+            await this.applyMisfirePolicy(new Job(row), client);
+          }
+
+          return result.rows.length;
+        });
+
+        if (handled > 0) {
+          this.invalidateJobsCache();
         }
-      }, Math.random() * 2000 + 500); // Random execution time between 500ms-2.5s
-    });
+      } while (handled === CLAIM_BATCH_SIZE);
+    } catch (error) {
+      console.error("Failed to handle misfired jobs:", error);
+    }
   }
 
   /**
-   * Handle job retry logic
-   * @param {Job} job - Failed job
-   * @param {Error} error - Execution error
+   * Queue the catch-up runs of one misfired job and move its schedule on
+   * @param {Job} job - Job whose next_run_at is in the past
+   * @param {object} client - Transaction client (the job row is locked)
    */
-  async handleJobRetry(job, error) {
-    // For now, we'll just log the retry logic
-    // In a full implementation, you'd implement exponential backoff
-    console.log(`Retry logic for job ${job.id}: ${error.message}`);
-
-    // Could implement retry scheduling here
-    if (job.maxRetries > 0) {
-      console.log(`Job ${job.id} has ${job.maxRetries} retries remaining`);
+  async applyMisfirePolicy(job, client) {
+    const now = new Date();
+    let catchUps = [];
+    let nextRunAt = null;
+    // A skipped one-off job has nothing left to run
+    const isActive = !(job.isOneOff() && job.misfirePolicy === "skip");
+
+    if (job.isOneOff()) {
+      if (job.misfirePolicy !== "skip") {
+        catchUps = [job.nextRunAt];
+      }
+    } else {
+      try {
+        if (job.misfirePolicy !== "skip") {
+          // Occurrences from endsAt on are outside the validity window
+          const until = job.hasEnded(now)
+            ? new Date(new Date(job.endsAt).getTime() - 1)
+            : now;
+          catchUps = getMissedRunTimes(
+            job.getSchedule(),
+            job.nextRunAt,
+            until,
+            job.misfirePolicy === "run-all" ? job.misfireLimit : 1,
+            job.timezone
+          );
+        }
+
+        nextRunAt = job.getNextRunTime(now);
+      } catch (error) {
+        console.error(
+          `Cannot calculate runs for job ${job.id}, pausing its schedule:`,
+          error.message
+        );
+      }
     }
+
+    await client.query(
+      `UPDATE jobs SET next_run_at = $2, is_active = $3, inactive_reason = $4, updated_at = NOW() WHERE id = $1`,
+      [
+        job.id,
+        nextRunAt,
+        isActive,
+        isActive ? null : "Missed one-off run skipped (misfire policy skip)",
+      ]
+    );
+
+    for (const scheduledFor of catchUps) {
+      await this.queue.enqueue(
+        job.id,
+        { scheduledFor, triggerSource: "catch-up" },
+        client
+      );
+    }
+
+    console.log(
+      `Job ${job.name} (${job.id}) misfired since ${job.nextRunAt.toISOString()}: ` +
+        `policy ${job.misfirePolicy}, queued ${catchUps.length} catch-up run(s)`
+    );
   }
 
   /**
@@ -415,147 +533,61 @@ class SchedulerService {
       const activeJobIds = new Set(result.jobs.map((job) => job.id));
       const scheduledJobIds = new Set(this.activeTasks.keys());
 
-      // Schedule new jobs
+      // Schedule new jobs, retire jobs whose validity window is over
       for (const job of result.jobs) {
-        if (!scheduledJobIds.has(job.id)) {
+        if (job.hasEnded()) {
+          await this.endJob(job);
+        } else if (!scheduledJobIds.has(job.id)) {
           await this.scheduleJob(job);
         }
       }
 
-      // Unschedule deleted/inactive jobs
+      // Forget deleted/inactive jobs
       for (const jobId of scheduledJobIds) {
         if (!activeJobIds.has(jobId)) {
-          this.unscheduleJob(jobId);
+          this.activeTasks.delete(jobId);
+          console.log(`Unscheduled job: ${jobId}`);
         }
       }
+
+      await this.handleMisfires();
     } catch (error) {
       console.error("Job sync failed:", error);
     }
   }
 
   /**
-   * Create execution record in database
-   */
-  async createExecutionRecord(jobId, status) {
-    const query = `
-      INSERT INTO job_executions (job_id, status, started_at)
-      VALUES ($1, $2, NOW())
-      RETURNING id
-    `;
-
-    const result = await this.db.query(query, [jobId, status]);
-    return result.rows[0].id;
-  }
-
-  /**
-   * Update execution record in database
-   */
-  async updateExecutionRecord(
-    executionId,
-    status,
-    duration,
-    errorMessage = null,
-    output = null
-  ) {
-    const query = `
-      UPDATE job_executions SET
-        status = $2,
-        completed_at = NOW(),
-        duration_ms = $3,
-        error_message = $4,
-        output = $5
-      WHERE id = $1
-    `;
-
-    await this.db.query(query, [
-      executionId,
-      status,
-      duration,
-      errorMessage,
-      output ? JSON.stringify(output) : null,
-    ]);
-  }
-
-  /**
-   * Update service statistics
-   */
-  updateServiceStats(duration, success) {
-    this.stats.totalExecutions++;
-
-    if (success) {
-      this.stats.successfulExecutions++;
-    } else {
-      this.stats.failedExecutions++;
-    }
-
-    // Update average execution time
-    this.stats.averageExecutionTime =
-      (this.stats.averageExecutionTime * (this.stats.totalExecutions - 1) +
-        duration) /
-      this.stats.totalExecutions;
-  }
-
-  /**
-   * Wait for running executions to complete
-   */
-  async waitForExecutionsToComplete(timeoutMs) {
-    const startTime = Date.now();
-
-    while (this.executionQueue.size > 0 && Date.now() - startTime < timeoutMs) {
-      console.log(
-        `Waiting for ${this.executionQueue.size} executions to complete...`
-      );
-      await new Promise((resolve) => setTimeout(resolve, 1000));
-    }
-
-    if (this.executionQueue.size > 0) {
-      console.warn(
-        `${this.executionQueue.size} executions did not complete within timeout`
-      );
-    }
-  }
-
-  /**
-   * Get scheduler statistics
+   * Get scheduler statistics, including this instance's worker
    */
   getStats() {
+    const workerStats = getWorker().getStats();
+
     return {
-      ...this.stats,
-      isRunning: this.isRunning,
+      ...workerStats,
+      isRunning: this.isRunning || workerStats.isRunning,
+      role: describeServiceRoles(),
+      instanceId: this.instanceId,
+      isLeader: this.isLeader,
+      schedulerRunning: this.isRunning,
+      workerRunning: workerStats.isRunning,
       activeJobs: this.activeTasks.size,
-      runningExecutions: this.executionQueue.size,
-      successRate:
-        this.stats.totalExecutions > 0
-          ? (
-              (this.stats.successfulExecutions / this.stats.totalExecutions) *
-              100
-            ).toFixed(2)
-          : 0,
     };
   }
 
   /**
-   * Update next run time for a job after execution
-   * @param {Job} job - Job to update
+   * Announce what this instance runs to live event subscribers (on start,
+   * stop and leadership changes)
    */
-  async updateNextRunTime(job) {
-    try {
-      const nextRunAt = calculateNextRunTime(job.cronExpression);
-
-      const query = `
-        UPDATE jobs SET 
-          next_run_at = $2,
-          updated_at = NOW()
-        WHERE id = $1
-      `;
-
-      await this.db.query(query, [job.id, nextRunAt]);
-      console.log(
-        `Updated next run time for job ${job.id}: ${nextRunAt.toISOString()}`
-      );
-    } catch (error) {
-      console.error(`Failed to update next run time for job ${job.id}:`, error);
-    }
+  async publishState() {
+    const stats = this.getStats();
+
+    await getEvents().publish("scheduler.state", {
+      instanceId: this.instanceId,
+      role: stats.role,
+      isLeader: this.isLeader,
+      schedulerRunning: stats.schedulerRunning,
+      workerRunning: stats.workerRunning,
+    });
   }
 
   /**
@@ -0,0 +1,982 @@
+const { Job, JobRepository } = require("../models/Job");
+const { CalendarRepository } = require("../models/Calendar");
+const { getDatabase } = require("../database/connection");
+const { getCache } = require("./cacheService");
+const { getQueue } = require("./queueService");
+const { getWorkflowService } = require("./workflowService");
+const { getExecutionLogs } = require("./executionLogService");
+const { getExecutorRegistry } = require("../executors");
+const { INSTANCE_ID, HOSTNAME } = require("../utils/instance");
+const {
+  concurrencyLimits,
+  getJobLimits,
+} = require("../utils/concurrencyLimits");
+
+// Retry backoff tuning (delay = retryDelayMs * 2^attempt, capped, plus jitter)
+const RETRY_MAX_DELAY_MS = parseInt(process.env.RETRY_MAX_DELAY_MS) || 3600000;
+const RETRY_JITTER_RATIO = 0.2;
+
+// Workers claim queued executions and hold a lease on each execution row,
+// kept alive by heartbeats
+const POLL_INTERVAL_MS = parseInt(process.env.WORKER_POLL_INTERVAL_MS) || 1000;
+const CLAIM_BATCH_SIZE = parseInt(process.env.WORKER_CLAIM_BATCH_SIZE) || 10;
+// Executions this instance runs at once; the rest wait in the queue
+const POOL_SIZE = parseInt(process.env.WORKER_POOL_SIZE) || 10;
+const HEARTBEAT_INTERVAL_MS =
+  parseInt(process.env.EXECUTION_HEARTBEAT_INTERVAL_MS) || 10000;
+const LEASE_TTL_MS = parseInt(process.env.EXECUTION_LEASE_TTL_MS) || 60000;
+
+// Runs that calendar exclusions suppress; manual triggers, retries and
+// workflow steps always run
+const CALENDAR_TRIGGER_SOURCES = ["schedule", "catch-up"];
+
+/**
+ * Worker Service - Pulls queued executions and runs them through executors
+ */
+class WorkerService {
+  constructor() {
+    this.jobRepository = new JobRepository();
+    this.calendarRepository = new CalendarRepository();
+    this.db = getDatabase();
+    this.cache = getCache();
+    this.queue = getQueue();
+    this.workflows = getWorkflowService();
+    this.executionLogs = getExecutionLogs();
+    this.executors = getExecutorRegistry();
+    this.instanceId = INSTANCE_ID;
+    this.executionQueue = new Map(); // Running executions by execution ID
+    this.poolSize = POOL_SIZE;
+    this.queueStats = { depth: 0, ready: 0, pendingRetries: 0 };
+    this.limitStats = []; // Usage of the named concurrency limits
+    this.isRunning = false;
+    this.isPolling = false;
+    this.stats = {
+      totalExecutions: 0,
+      successfulExecutions: 0,
+      failedExecutions: 0,
+      averageExecutionTime: 0,
+    };
+  }
+
+  /**
+   * Start pulling work from the queue
+   */
+  async start() {
+    if (this.isRunning) {
+      console.log("Worker is already running");
+      return;
+    }
+
+    this.isRunning = true;
+    console.log(`Starting Job Worker (instance ${this.instanceId})...`);
+
+    // Take over executions orphaned by instances that went away, including
+    // a previous run of this one. Queued executions stay in job_queue across
+    // restarts and are claimed by the first poll.
+    await this.recoverOrphanedExecutions(this.instanceId);
+
+    // Claim queued executions; SKIP LOCKED lets workers poll side by side
+    this.pollInterval = setInterval(async () => {
+      await this.pollQueue();
+    }, POLL_INTERVAL_MS);
+
+    // Keep the leases of running executions alive
+    this.heartbeatInterval = setInterval(async () => {
+      await this.sendHeartbeat();
+    }, HEARTBEAT_INTERVAL_MS);
+
+    // Periodic lease recovery (every 30 seconds)
+    this.recoveryInterval = setInterval(async () => {
+      await this.recoverOrphanedExecutions();
+    }, 30000);
+
+    console.log("Job Worker started successfully");
+  }
+
+  /**
+   * Stop the worker, letting running executions finish
+   */
+  async stop() {
+    if (!this.isRunning) {
+      console.log("Worker is not running");
+      return;
+    }
+
+    console.log("Stopping Job Worker...");
+    this.isRunning = false;
+
+    // Stop claiming new work
+    clearInterval(this.pollInterval);
+    clearInterval(this.recoveryInterval);
+
+    // Wait for running executions to complete (with timeout). Heartbeats keep
+    // running meanwhile; executions still running afterwards have their
+    // leases expire and are recovered by another instance.
+    await this.waitForExecutionsToComplete(30000); // 30 seconds timeout
+
+    clearInterval(this.heartbeatInterval);
+
+    console.log("Job Worker stopped");
+  }
+
+  /**
+   * Claim queued executions for the free slots of the worker pool and run
+   * them on this instance
+   */
+  async pollQueue() {
+    if (!this.isRunning || this.isPolling) return;
+    this.isPolling = true;
+
+    try {
+      const freeSlots = this.poolSize - this.executionQueue.size;
+      const { claims, replaced, suppressed } =
+        freeSlots > 0
+          ? await this.claimQueuedExecutions(Math.min(CLAIM_BATCH_SIZE, freeSlots))
+          : { claims: [], replaced: [], suppressed: [] };
+
+      // Replaced executions running elsewhere stop on their next heartbeat
+      for (const executionId of replaced) {
+        this.stopExecution(executionId, "Replaced by a newer run");
+      }
+
+      // A one-off job whose only run was suppressed is done
+      for (const job of suppressed) {
+        await this.finishOneOffJob(job);
+      }
+
+      if (claims.length > 0) {
+        this.invalidateJobsCache();
+      }
+
+      // Run in the background so one slow job does not hold up the loop
+      for (const { job, ...options } of claims) {
+        this.executeJob(job, options).catch((error) =>
+          console.error(`Failed to run job ${job.id}:`, error)
+        );
+      }
+
+      this.queueStats = await this.queue.getStats();
+      this.limitStats = await this.queue.getLimitUsage(concurrencyLimits);
+    } catch (error) {
+      console.error("Failed to claim queued executions:", error);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Claim available queue entries. Each entry is removed from the queue and
+   * its execution row (the lease) is inserted in the same transaction, so
+   * exactly one worker runs it.
+   *
+   * When the job is already running at its limit (maxConcurrency for the
+   * allow policy, otherwise 1) the job's concurrency policy decides:
+   *   forbid, allow - the run is skipped and recorded as a skipped execution
+   *   queue         - the entry waits until a running execution finishes
+   *   replace       - running executions are ended and the new run starts
+   * Retries, workflow steps and catch-up runs always wait for a free slot,
+   * so a run-all misfire replays every missed occurrence.
+   *
+   * Scheduled runs whose time falls in an exclusion of one of the job's
+   * calendars are dropped and recorded as skipped executions, and so are
+   * entries of a job paused or deactivated after they were queued (other
+   * than manual runs and those of workflow runs).
+   *
+   * Entries of jobs under a named concurrency limit (CONCURRENCY_LIMITS) that
+   * is used up stay queued. The limits involved are locked for the rest of
+   * the transaction, so workers claiming side by side cannot overshoot them.
+   * @param {number} batchSize - Maximum number of entries to take
+   * @returns {Promise<{claims: object[], replaced: string[], suppressed: Job[]}>}
+   *   - Claims ({ job, executionId, scheduledTime, attempt, workflowRunId }),
+   *   replaced execution IDs and one-off jobs whose run was suppressed
+   */
+  async claimQueuedExecutions(batchSize = CLAIM_BATCH_SIZE) {
+    const replaced = [];
+    const suppressed = [];
+
+    const claims = await this.db.transaction(async (client) => {
+      const rows = await this.queue.lockAvailable(
+        client,
+        batchSize,
+        concurrencyLimits
+      );
+      const claims = [];
+
+      // Lock in name order so two workers never wait on each other
+      const limitNames = new Set(
+        rows.flatMap((row) => getJobLimits(new Job(row)))
+      );
+      for (const name of Array.from(limitNames).sort()) {
+        await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [
+          `concurrency-limit:${name}`,
+        ]);
+      }
+
+      for (const row of rows) {
+        const job = new Job(row);
+
+        // Pausing drops queued runs, but not those being claimed meanwhile.
+        // Manual runs were asked for explicitly, and workflow runs wait for
+        // their steps and retries.
+        if (
+          !job.isActive &&
+          row.queue_trigger_source !== "manual" &&
+          !row.queue_workflow_run_id
+        ) {
+          await this.queue.remove(row.queue_id, client);
+          await this.recordSkippedExecution(
+            job,
+            row,
+            `Skipped: job is ${job.pausedAt ? "paused" : "inactive"}`,
+            client
+          );
+          continue;
+        }
+
+        if (
+          job.calendarIds.length > 0 &&
+          CALENDAR_TRIGGER_SOURCES.includes(row.queue_trigger_source)
+        ) {
+          const blackout = await this.calendarRepository.findExclusion(
+            job.calendarIds,
+            row.queue_scheduled_for,
+            client
+          );
+
+          if (blackout) {
+            const { calendar, exclusion } = blackout;
+            await this.queue.remove(row.queue_id, client);
+            await this.recordSkippedExecution(
+              job,
+              row,
+              `Suppressed by calendar ${calendar.name}${
+                exclusion.label ? ` (${exclusion.label})` : ""
+              }`,
+              client
+            );
+            if (job.isOneOff()) suppressed.push(job);
+            continue;
+          }
+        }
+
+        const usedUp = await this.findUsedUpLimit(job, client);
+        if (usedUp) {
+          // Runs once an execution under the limit finishes
+          continue;
+        }
+
+        const running = await this.countRunningExecutions(job.id, client);
+        const limit =
+          job.concurrencyPolicy === "allow" ? job.maxConcurrency : 1;
+        const replacing =
+          running >= limit && job.concurrencyPolicy === "replace";
+
+        if (running >= limit && !replacing) {
+          if (
+            !["retry", "workflow", "catch-up"].includes(
+              row.queue_trigger_source
+            ) &&
+            job.concurrencyPolicy !== "queue"
+          ) {
+            await this.queue.remove(row.queue_id, client);
+            await this.recordSkippedExecution(
+              job,
+              row,
+              `Skipped: ${running} execution(s) already running (concurrency policy ${job.concurrencyPolicy})`,
+              client
+            );
+          }
+          continue;
+        }
+
+        await this.queue.remove(row.queue_id, client);
+
+        const execution = await client.query(
+          `
+          INSERT INTO job_executions (
+            job_id, status, started_at, retry_count, instance_id, host,
+            heartbeat_at, scheduled_for, trigger_source, workflow_run_id,
+            previous_execution_id
+          )
+          VALUES ($1, 'running', NOW(), $2, $3, $4, NOW(), $5, $6, $7, $8)
+          RETURNING id
+        `,
+          [
+            job.id,
+            row.queue_attempt,
+            this.instanceId,
+            HOSTNAME,
+            row.queue_scheduled_for,
+            row.queue_trigger_source,
+            row.queue_workflow_run_id,
+            row.queue_previous_execution_id,
+          ]
+        );
+
+        const executionId = execution.rows[0].id;
+
+        if (replacing) {
+          replaced.push(
+            ...(await this.replaceRunningExecutions(job, executionId, client))
+          );
+        }
+
+        claims.push({
+          job,
+          executionId,
+          scheduledTime: row.queue_scheduled_for,
+          attempt: row.queue_attempt,
+          workflowRunId: row.queue_workflow_run_id,
+        });
+      }
+
+      return claims;
+    });
+
+    return { claims, replaced, suppressed };
+  }
+
+  /**
+   * Count running executions of a job across all instances
+   */
+  async countRunningExecutions(jobId, client = this.db) {
+    const result = await client.query(
+      "SELECT COUNT(*) FROM job_executions WHERE job_id = $1 AND status = 'running'",
+      [jobId]
+    );
+
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Find a named concurrency limit of a job that has no free slot. Counts
+   * the executions claimed earlier in the same transaction too.
+   * @param {Job} job - Job about to be claimed
+   * @param {object} client - Transaction client
+   * @returns {Promise<string|null>} - Name of the limit, null if all have room
+   */
+  async findUsedUpLimit(job, client) {
+    for (const name of getJobLimits(job)) {
+      const result = await client.query(
+        `
+        SELECT COUNT(*) FROM job_executions e
+        JOIN jobs j ON j.id = e.job_id
+        WHERE e.status = 'running'
+        AND (j.resource_group = $1 OR $1 = ANY(j.tags))
+      `,
+        [name]
+      );
+
+      if (parseInt(result.rows[0].count) >= concurrencyLimits.get(name)) {
+        return name;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Record a run dropped by the job's concurrency policy, one of its
+   * calendars or its deactivation, so it shows up in the execution history
+   * @param {string} reason - Why the run was skipped (stored as the error message)
+   */
+  async recordSkippedExecution(job, row, reason, client) {
+    await client.query(
+      `
+      INSERT INTO job_executions (
+        job_id, status, started_at, completed_at, duration_ms, error_message,
+        retry_count, instance_id, host, scheduled_for, trigger_source,
+        previous_execution_id
+      )
+      VALUES ($1, 'skipped', NOW(), NOW(), 0, $2, $3, $4, $5, $6, $7, $8)
+    `,
+      [
+        job.id,
+        reason,
+        row.queue_attempt,
+        this.instanceId,
+        HOSTNAME,
+        row.queue_scheduled_for,
+        row.queue_trigger_source,
+        row.queue_previous_execution_id,
+      ]
+    );
+
+    console.log(
+      `Job ${job.name} (${job.id}), ${row.queue_trigger_source} run: ${reason}`
+    );
+  }
+
+  /**
+   * End the running executions of a job in favour of a new one. The owning
+   * workers notice on their next heartbeat and abort the executor.
+   * @returns {Promise<string[]>} - Replaced execution IDs
+   */
+  async replaceRunningExecutions(job, executionId, client) {
+    const result = await client.query(
+      `
+      UPDATE job_executions SET
+        status = 'cancelled',
+        completed_at = NOW(),
+        duration_ms = (EXTRACT(EPOCH FROM (NOW() - started_at)) * 1000)::INTEGER,
+        error_message = $3
+      WHERE job_id = $1 AND status = 'running' AND id <> $2
+      RETURNING id
+    `,
+      [job.id, executionId, `Replaced by execution ${executionId}`]
+    );
+
+    console.log(
+      `Job ${job.name} (${job.id}): replaced ${result.rows.length} running execution(s) with ${executionId}`
+    );
+
+    return result.rows.map((row) => row.id);
+  }
+
+  /**
+   * Cancel a running execution on whichever instance runs it. The row is
+   * marked cancelled right away; the owning worker aborts the executor (via
+   * its AbortSignal) immediately when it is this instance, otherwise on its
+   * next heartbeat.
+   * @param {string} jobId - Job the execution belongs to
+   * @param {string} executionId - Execution to cancel
+   * @returns {Promise<object|null>} - Cancelled row, null if it was not running
+   */
+  async cancelExecution(jobId, executionId) {
+    const result = await this.db.query(
+      `
+      UPDATE job_executions SET
+        status = 'cancelled',
+        completed_at = NOW(),
+        duration_ms = (EXTRACT(EPOCH FROM (NOW() - started_at)) * 1000)::INTEGER,
+        error_message = 'Cancelled via API'
+      WHERE id = $1 AND job_id = $2 AND status = 'running'
+      RETURNING id, job_id, status, started_at, completed_at, duration_ms, instance_id
+    `,
+      [executionId, jobId]
+    );
+
+    if (result.rows.length === 0) return null;
+
+    this.stopExecution(executionId, "Execution cancelled");
+    console.log(
+      `Cancelled execution ${executionId} of job ${jobId} (instance ${result.rows[0].instance_id})`
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Abort an execution running on this instance whose row was already ended
+   * elsewhere. Its result is discarded and it is not retried.
+   * @param {string} executionId - Execution to stop
+   * @param {string} reason - Why it is stopped (logged)
+   */
+  stopExecution(executionId, reason) {
+    const execution = this.executionQueue.get(executionId);
+    if (!execution || execution.stopped) return;
+
+    execution.stopped = true;
+    execution.controller.abort(new Error(reason));
+  }
+
+  /**
+   * Refresh the leases of executions running on this instance, and stop
+   * those whose row is no longer running (e.g. replaced by another worker)
+   */
+  async sendHeartbeat() {
+    if (this.executionQueue.size === 0) return;
+
+    try {
+      const result = await this.db.query(
+        `
+        UPDATE job_executions SET heartbeat_at = NOW()
+        WHERE instance_id = $1 AND status = 'running'
+        RETURNING id
+      `,
+        [this.instanceId]
+      );
+
+      const stillRunning = new Set(result.rows.map((row) => row.id));
+      for (const executionId of this.executionQueue.keys()) {
+        if (!stillRunning.has(executionId)) {
+          this.stopExecution(executionId, "Execution was ended elsewhere");
+        }
+      }
+    } catch (error) {
+      console.error("Failed to send execution heartbeat:", error);
+    }
+  }
+
+  /**
+   * Mark executions orphaned by a dead instance abandoned and apply each
+   * job's recovery policy: "requeue" queues a retry while attempts remain,
+   * "abandon" leaves the run as it is.
+   *
+   * An execution is orphaned once its lease expired (the owning instance
+   * crashed or lost its database connection). On start an instance also
+   * takes back the executions still held under its own ID: they belong to a
+   * previous run of it (e.g. a container restarted with a fixed INSTANCE_ID).
+   * The UPDATE is atomic, so only one instance recovers each execution.
+   * @param {string} ownedBy - Instance whose executions are orphaned for sure
+   */
+  async recoverOrphanedExecutions(ownedBy = null) {
+    try {
+      const result = await this.db.query(
+        `
+        UPDATE job_executions SET
+          status = 'abandoned',
+          completed_at = NOW(),
+          duration_ms = (EXTRACT(EPOCH FROM (NOW() - started_at)) * 1000)::INTEGER,
+          error_message = CASE
+            WHEN instance_id = $2 THEN
+              'Execution abandoned: instance ' || instance_id || ' restarted mid-run'
+            ELSE
+              'Execution lease expired: instance ' ||
+              COALESCE(instance_id, 'unknown') || ' stopped sending heartbeats'
+          END
+        WHERE status = 'running'
+        AND (
+          COALESCE(heartbeat_at, started_at) < NOW() - ($1 * INTERVAL '1 millisecond')
+          OR instance_id = $2
+        )
+        RETURNING id, job_id, retry_count, instance_id, scheduled_for,
+          error_message, workflow_run_id
+      `,
+        [LEASE_TTL_MS, ownedBy]
+      );
+
+      for (const row of result.rows) {
+        const job = await this.jobRepository.findById(row.job_id);
+        if (!job) continue;
+
+        const requeue =
+          job.recoveryPolicy === "requeue" && row.retry_count < job.maxRetries;
+
+        console.warn(
+          `Recovered execution ${row.id} of job ${row.job_id} from instance ${
+            row.instance_id
+          }: ${requeue ? "requeued" : "abandoned"}`
+        );
+
+        if (requeue) {
+          await this.handleJobRetry(
+            job,
+            new Error(row.error_message),
+            row.retry_count,
+            row.scheduled_for,
+            row.workflow_run_id,
+            row.id
+          );
+        } else {
+          await this.jobRepository.updateJobStats(job.id, { success: false });
+
+          if (row.workflow_run_id) {
+            await this.workflows.completeNode(row.workflow_run_id, job.id, false);
+          }
+
+          if (job.isOneOff()) {
+            await this.finishOneOffJob(job);
+          }
+        }
+      }
+
+      if (result.rows.length > 0) {
+        this.invalidateJobsCache();
+      }
+    } catch (error) {
+      console.error("Failed to recover orphaned executions:", error);
+    }
+  }
+
+  /**
+   * Execute a claimed job
+   * @param {Job} job - Job to execute
+   * @param {object} options - Execution options
+   * @param {string} options.executionId - Execution row created by the claim
+   * @param {number} options.attempt - Retry attempt (0 for the first run)
+   * @param {Date} options.scheduledTime - Occurrence being run (null for manual runs)
+   * @param {string} options.workflowRunId - Workflow run the execution belongs to
+   */
+  async executeJob(job, options = {}) {
+    const {
+      executionId,
+      attempt = 0,
+      scheduledTime = null,
+      workflowRunId = null,
+    } = options;
+    const startTime = Date.now();
+
+    console.log(
+      `🔄 Executing job: ${job.name} (${job.id})${
+        attempt > 0 ? ` - retry ${attempt}/${job.maxRetries}` : ""
+      }`
+    );
+
+    // Record execution start
+    const execution = {
+      id: executionId,
+      jobId: job.id,
+      startTime,
+      status: "running",
+      controller: new AbortController(),
+      stopped: false,
+    };
+    this.executionQueue.set(executionId, execution);
+
+    // Captures executor output and our own notes in execution_logs
+    const logger = this.executionLogs.createWriter(executionId, job.id);
+    logger.log(
+      `Attempt ${attempt + 1} of ${job.name} started on ${this.instanceId}`
+    );
+
+    try {
+      // Run the job through its configured executor
+      const result = await this.performJobExecution(
+        job,
+        {
+          executionId,
+          scheduledTime: scheduledTime || new Date(startTime),
+          attempt,
+          logger,
+        },
+        execution.controller
+      );
+
+      const endTime = Date.now();
+      const duration = endTime - startTime;
+
+      logger.log(`Completed in ${duration}ms`);
+      await logger.close();
+
+      // Update execution record
+      await this.updateExecutionRecord(
+        executionId,
+        "completed",
+        duration,
+        null,
+        result
+      );
+
+      // Update job statistics
+      await this.jobRepository.updateJobStats(job.id, { success: true });
+
+      // Invalidate cache to ensure fresh data is returned
+      this.invalidateJobsCache();
+
+      // Update service statistics
+      this.updateServiceStats(duration, true);
+
+      console.log(`Job completed: ${job.name} (${duration}ms)`);
+
+      if (workflowRunId) {
+        await this.workflows.completeNode(workflowRunId, job.id, true);
+      }
+    } catch (error) {
+      const endTime = Date.now();
+      const duration = endTime - startTime;
+
+      // The execution row was already ended (e.g. replaced by a newer run)
+      if (execution.stopped) {
+        console.log(`Job stopped: ${job.name} - ${error.message}`);
+        logger.log(`Stopped: ${error.message}`);
+        await logger.close();
+
+        if (workflowRunId) {
+          await this.workflows.completeNode(workflowRunId, job.id, false);
+        }
+        return;
+      }
+
+      console.error(`Job failed: ${job.name} - ${error.message}`);
+      logger.log(`Failed after ${duration}ms: ${error.message}`);
+      await logger.close();
+
+      await this.updateExecutionRecord(
+        executionId,
+        "failed",
+        duration,
+        error.message,
+        error.output || null,
+        error.stack || null
+      );
+
+      // Only the final attempt counts as a failed run
+      const willRetry = attempt < job.maxRetries;
+      if (!willRetry) {
+        await this.jobRepository.updateJobStats(job.id, { success: false });
+      }
+
+      // Invalidate cache to ensure fresh data is returned
+      this.invalidateJobsCache();
+
+      // Update service statistics
+      this.updateServiceStats(duration, false);
+
+      if (willRetry) {
+        await this.handleJobRetry(
+          job,
+          error,
+          attempt,
+          scheduledTime,
+          workflowRunId,
+          executionId
+        );
+      } else {
+        if (job.maxRetries > 0) {
+          console.error(
+            `Job ${job.name} failed after ${attempt + 1} attempts, giving up`
+          );
+        }
+
+        if (workflowRunId) {
+          await this.workflows.completeNode(workflowRunId, job.id, false);
+        }
+      }
+    } finally {
+      // Remove from execution queue
+      this.executionQueue.delete(executionId);
+      await logger.close();
+
+      if (job.isOneOff()) {
+        await this.finishOneOffJob(job);
+      }
+    }
+  }
+
+  /**
+   * Deactivate a one-off job whose run is over (no retry left pending)
+   * @param {Job} job - Immediate or delayed job
+   */
+  async finishOneOffJob(job) {
+    try {
+      if (await this.jobRepository.deactivateFinishedOneOff(job.id)) {
+        console.log(`One-off job ${job.name} (${job.id}) finished, deactivated`);
+        this.invalidateJobsCache();
+      }
+    } catch (error) {
+      console.error(`Failed to deactivate one-off job ${job.id}:`, error);
+    }
+  }
+
+  /**
+   * Perform actual job execution using the job's executor
+   * @param {Job} job - Job to execute
+   * @param {object} context - Execution context (executionId, scheduledTime,
+   *   attempt, logger)
+   * @param {AbortController} controller - Aborts the run (timeout or stop)
+   * @returns {object} - Execution result
+   */
+  async performJobExecution(job, context = {}, controller = new AbortController()) {
+    const timeout = job.timeoutMs || 30000;
+
+    // Abort the executor's work on timeout
+    const timer = setTimeout(() => {
+      controller.abort(new Error("Job execution timeout"));
+    }, timeout);
+
+    // Stop waiting for the executor once the run is aborted
+    const abortPromise = new Promise((resolve, reject) => {
+      controller.signal.addEventListener(
+        "abort",
+        () => reject(controller.signal.reason),
+        { once: true }
+      );
+    });
+
+    try {
+      return await Promise.race([
+        this.executors.execute(job, {
+          ...context,
+          jobId: job.id,
+          signal: controller.signal,
+        }),
+        abortPromise,
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Queue the next attempt of a failed job with exponential backoff. Any
+   * worker may pick it up, so retries survive this instance going away.
+   * @param {Job} job - Failed job
+   * @param {Error} error - Execution error
+   * @param {number} attempt - Attempt that just failed
+   * @param {Date} scheduledFor - Occurrence being retried, if any
+   * @param {string} workflowRunId - Workflow run the execution belongs to
+   * @param {string} previousExecutionId - Execution that failed, linked from
+   *   the retry so the attempts form a chain
+   */
+  async handleJobRetry(
+    job,
+    error,
+    attempt,
+    scheduledFor = null,
+    workflowRunId = null,
+    previousExecutionId = null
+  ) {
+    const delay = this.calculateRetryDelay(job, attempt);
+
+    console.log(
+      `Retrying job ${job.id} in ${delay}ms (attempt ${attempt + 1}/${
+        job.maxRetries
+      }): ${error.message}`
+    );
+
+    try {
+      await this.queue.enqueue(job.id, {
+        scheduledFor,
+        availableAt: new Date(Date.now() + delay),
+        attempt: attempt + 1,
+        triggerSource: "retry",
+        workflowRunId,
+        previousExecutionId,
+      });
+    } catch (queueError) {
+      console.error(`Failed to queue retry of job ${job.id}:`, queueError);
+    }
+  }
+
+  /**
+   * Calculate the delay before the next attempt
+   * @param {Job} job - Failed job
+   * @param {number} attempt - Attempt that just failed (0-based)
+   * @returns {number} - Delay in milliseconds
+   */
+  calculateRetryDelay(job, attempt) {
+    const exponential = Math.min(
+      job.retryDelayMs * Math.pow(2, attempt),
+      RETRY_MAX_DELAY_MS
+    );
+    const jitter = Math.random() * exponential * RETRY_JITTER_RATIO;
+
+    return Math.round(exponential + jitter);
+  }
+
+  /**
+   * Update execution record in database
+   */
+  async updateExecutionRecord(
+    executionId,
+    status,
+    duration,
+    errorMessage = null,
+    output = null,
+    errorStack = null
+  ) {
+    const query = `
+      UPDATE job_executions SET
+        status = $2,
+        completed_at = NOW(),
+        duration_ms = $3,
+        error_message = $4,
+        output = $5,
+        error_stack = $6
+      WHERE id = $1 AND status = 'running'
+    `;
+
+    await this.db.query(query, [
+      executionId,
+      status,
+      duration,
+      errorMessage,
+      output ? JSON.stringify(output) : null,
+      errorStack,
+    ]);
+  }
+
+  /**
+   * Update service statistics
+   */
+  updateServiceStats(duration, success) {
+    this.stats.totalExecutions++;
+
+    if (success) {
+      this.stats.successfulExecutions++;
+    } else {
+      this.stats.failedExecutions++;
+    }
+
+    // Update average execution time
+    this.stats.averageExecutionTime =
+      (this.stats.averageExecutionTime * (this.stats.totalExecutions - 1) +
+        duration) /
+      this.stats.totalExecutions;
+  }
+
+  /**
+   * Wait for running executions to complete
+   */
+  async waitForExecutionsToComplete(timeoutMs) {
+    const startTime = Date.now();
+
+    while (this.executionQueue.size > 0 && Date.now() - startTime < timeoutMs) {
+      console.log(
+        `Waiting for ${this.executionQueue.size} executions to complete...`
+      );
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+    }
+
+    if (this.executionQueue.size > 0) {
+      console.warn(
+        `${this.executionQueue.size} executions did not complete within timeout`
+      );
+    }
+  }
+
+  /**
+   * Get worker statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      isRunning: this.isRunning,
+      runningExecutions: this.executionQueue.size,
+      poolSize: this.poolSize,
+      freeSlots: Math.max(this.poolSize - this.executionQueue.size, 0),
+      queueDepth: this.queueStats.depth,
+      readyQueueDepth: this.queueStats.ready,
+      pendingRetries: this.queueStats.pendingRetries,
+      concurrencyLimits: this.limitStats,
+      successRate:
+        this.stats.totalExecutions > 0
+          ? (
+              (this.stats.successfulExecutions / this.stats.totalExecutions) *
+              100
+            ).toFixed(2)
+          : 0,
+    };
+  }
+
+  /**
+   * Invalidate jobs cache to ensure fresh data is returned
+   */
+  invalidateJobsCache() {
+    try {
+      // Remove all jobs list cache entries
+      const keys = this.cache.keys();
+      keys.forEach((key) => {
+        if (key.startsWith("jobs:")) {
+          this.cache.delete(key);
+        }
+      });
+      console.log("Jobs cache invalidated");
+    } catch (error) {
+      console.error("Error invalidating jobs cache:", error);
+    }
+  }
+}
+
+// Singleton pattern
+let workerInstance = null;
+
+const getWorker = () => {
+  if (!workerInstance) {
+    workerInstance = new WorkerService();
+  }
+  return workerInstance;
+};
+
+module.exports = { WorkerService, getWorker };
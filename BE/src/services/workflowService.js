@@ -0,0 +1,198 @@
+const { getDatabase } = require("../database/connection");
+const { getQueue } = require("./queueService");
+
+// Node states that no longer change within a run
+const FINISHED_NODE_STATES = ["succeeded", "failed", "skipped"];
+
+/**
+ * Workflow Service - Runs workflow graphs
+ *
+ * A run starts by queueing every job without upstream edges. Whenever a job of
+ * the run finishes for good (after its last retry), the jobs downstream of it
+ * are evaluated: once all their upstream jobs are finished, they are queued if
+ * every incoming edge is satisfied and skipped otherwise. Independent branches
+ * are queued together, so workers run them in parallel.
+ */
+class WorkflowService {
+  constructor() {
+    this.db = getDatabase();
+    this.queue = getQueue();
+  }
+
+  /**
+   * Start a run of a workflow
+   * @param {Workflow} workflow - Workflow to run
+   * @param {string} triggerSource - What started the run
+   * @returns {Promise<object>} - Workflow run row
+   */
+  async startRun(workflow, triggerSource = "manual") {
+    return this.db.transaction(async (client) => {
+      const result = await client.query(
+        `
+        INSERT INTO workflow_runs (workflow_id, definition, trigger_source)
+        VALUES ($1, $2, $3)
+        RETURNING *
+      `,
+        [workflow.id, JSON.stringify(workflow.toDefinition()), triggerSource]
+      );
+      const run = result.rows[0];
+
+      await client.query(
+        `
+        INSERT INTO workflow_run_nodes (run_id, job_id)
+        SELECT $1, UNNEST($2::UUID[])
+      `,
+        [run.id, workflow.jobIds]
+      );
+
+      console.log(`Started workflow ${workflow.name} (${workflow.id}), run ${run.id}`);
+
+      return this.advanceRun(client, run);
+    });
+  }
+
+  /**
+   * Record the final outcome of a job in a run and move the run forward
+   * @param {string} runId - Workflow run ID
+   * @param {string} jobId - Job that finished
+   * @param {boolean} success - Whether its last attempt succeeded
+   */
+  async completeNode(runId, jobId, success) {
+    try {
+      await this.db.transaction(async (client) => {
+        // Serializes concurrent completions within the same run
+        const result = await client.query(
+          "SELECT * FROM workflow_runs WHERE id = $1 FOR UPDATE",
+          [runId]
+        );
+        const run = result.rows[0];
+        if (!run || run.status !== "running") return;
+
+        await client.query(
+          `
+          UPDATE workflow_run_nodes SET status = $3, updated_at = NOW()
+          WHERE run_id = $1 AND job_id = $2 AND status = 'queued'
+        `,
+          [runId, jobId, success ? "succeeded" : "failed"]
+        );
+
+        await this.advanceRun(client, run);
+      });
+    } catch (error) {
+      console.error(`Failed to advance workflow run ${runId}:`, error);
+    }
+  }
+
+  /**
+   * Queue or skip every pending job whose upstream jobs are finished, and
+   * close the run once all jobs are finished
+   * @param {object} client - Transaction client (the run row is locked)
+   * @param {object} run - Workflow run row
+   * @returns {Promise<object>} - Updated run row
+   */
+  async advanceRun(client, run) {
+    const { jobIds, edges } = run.definition;
+
+    const result = await client.query(
+      "SELECT job_id, status FROM workflow_run_nodes WHERE run_id = $1",
+      [run.id]
+    );
+    // Jobs deleted since the run started count as skipped
+    const states = new Map(jobIds.map((jobId) => [jobId, "skipped"]));
+    for (const row of result.rows) {
+      states.set(row.job_id, row.status);
+    }
+
+    // Skipping a job can unblock jobs further down, so repeat until stable
+    let changed = true;
+    while (changed) {
+      changed = false;
+
+      for (const jobId of jobIds) {
+        if (states.get(jobId) !== "pending") continue;
+
+        const upstream = edges.filter((edge) => edge.to === jobId);
+        const ready = upstream.every((edge) =>
+          FINISHED_NODE_STATES.includes(states.get(edge.from))
+        );
+        if (!ready) continue;
+
+        const runnable = upstream.every((edge) =>
+          this.isEdgeSatisfied(edge, states.get(edge.from))
+        );
+        const state = runnable ? "queued" : "skipped";
+
+        await client.query(
+          `
+          UPDATE workflow_run_nodes SET status = $3, updated_at = NOW()
+          WHERE run_id = $1 AND job_id = $2
+        `,
+          [run.id, jobId, state]
+        );
+
+        if (runnable) {
+          await this.queue.enqueue(
+            jobId,
+            { triggerSource: "workflow", workflowRunId: run.id },
+            client
+          );
+        }
+
+        states.set(jobId, state);
+        changed = true;
+      }
+    }
+
+    const finished = Array.from(states.values()).every((state) =>
+      FINISHED_NODE_STATES.includes(state)
+    );
+    if (!finished) return run;
+
+    const status = Array.from(states.values()).includes("failed")
+      ? "failed"
+      : "completed";
+
+    const updated = await client.query(
+      `
+      UPDATE workflow_runs SET status = $2, completed_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `,
+      [run.id, status]
+    );
+
+    console.log(`Workflow run ${run.id} ${status}`);
+    return updated.rows[0];
+  }
+
+  /**
+   * Whether an edge lets its downstream job run
+   * @param {object} edge - { from, to, condition }
+   * @param {string} upstreamState - Final state of the upstream job
+   */
+  isEdgeSatisfied(edge, upstreamState) {
+    // A skipped job never ran, so not even an "always" edge follows it
+    if (upstreamState === "skipped") return false;
+
+    switch (edge.condition) {
+      case "failure":
+        return upstreamState === "failed";
+      case "always":
+        return true;
+      default:
+        return upstreamState === "succeeded";
+    }
+  }
+}
+
+// Singleton pattern
+let workflowServiceInstance = null;
+
+const getWorkflowService = () => {
+  if (!workflowServiceInstance) {
+    workflowServiceInstance = new WorkflowService();
+  }
+  return workflowServiceInstance;
+};
+
+module.exports = { WorkflowService, getWorkflowService };
@@ -0,0 +1,51 @@
+// Limit names share the charset of tags and resource groups
+const LIMIT_ENTRY = /^([A-Za-z0-9_.-]+)\s*[:=]\s*(\d+)$/;
+
+/**
+ * Parse CONCURRENCY_LIMITS, e.g. "reports:2,warehouse:5". Each named limit
+ * caps the executions running at once, across all workers, of the jobs that
+ * have a tag or resource group of that name.
+ * @param {string} value - Raw setting
+ * @returns {Map<string, number>} - Maximum running executions by name
+ */
+function parseConcurrencyLimits(value = "") {
+  const limits = new Map();
+
+  value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter((entry) => entry.length > 0)
+    .forEach((entry) => {
+      const match = entry.match(LIMIT_ENTRY);
+
+      if (!match || parseInt(match[2]) < 1) {
+        throw new Error(
+          `Invalid CONCURRENCY_LIMITS entry "${entry}". Use a comma-separated list of name:max, e.g. "reports:2,warehouse:5"`
+        );
+      }
+
+      limits.set(match[1], parseInt(match[2]));
+    });
+
+  return limits;
+}
+
+const concurrencyLimits = parseConcurrencyLimits(
+  process.env.CONCURRENCY_LIMITS
+);
+
+/**
+ * Named limits that apply to a job
+ * @param {{tags: string[], resourceGroup: string}} job - Job to check
+ * @returns {string[]} - Names of the limits, in configuration order
+ */
+const getJobLimits = (job) =>
+  Array.from(concurrencyLimits.keys()).filter(
+    (name) => job.resourceGroup === name || (job.tags || []).includes(name)
+  );
+
+module.exports = {
+  concurrencyLimits,
+  parseConcurrencyLimits,
+  getJobLimits,
+};
@@ -0,0 +1,272 @@
+const { CronExpressionParser } = require("cron-parser");
+
+// Timezone for jobs that do not set their own
+const DEFAULT_TIMEZONE = process.env.TIMEZONE || "UTC";
+
+// Rate expressions, e.g. "rate(90 seconds)" or "rate(36 hours)"
+const RATE_EXPRESSION = /^rate\((\d+) (second|minute|hour|day)s?\)$/;
+const RATE_UNIT_MS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+};
+
+// Macros and the expressions they stand for
+const CRON_MACROS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+
+// Shape of every accepted schedule expression: a macro, 5 fields (or 6 with
+// seconds first) of numbers, names, ranges, lists, steps and L/W/#/?, or a
+// rate expression. The valid_cron_expression CHECK in schema.sql and the
+// frontend use the same pattern, so whatever passes here can be stored.
+const NAMES =
+  "JAN|FEB|MAR|APR|MAY|JUN|JUL|AUG|SEP|OCT|NOV|DEC|SUN|MON|TUE|WED|THU|FRI|SAT";
+const FIELD = `(?:[0-9*?/,#LW-]|${NAMES})+`;
+const CRON_SHAPE = new RegExp(
+  `^(@(yearly|annually|monthly|weekly|daily|midnight|hourly)|${FIELD}( ${FIELD}){4,5}|rate\\([0-9]+ (second|minute|hour|day)s?\\))$`,
+  "i"
+);
+
+// Explains the accepted formats in validation errors
+const CRON_FORMAT_HINT =
+  'Use 5 fields (minute hour day month dayOfWeek), 6 with seconds first, a macro such as "@daily", or a rate expression such as "rate(90 seconds)"';
+
+// Bounds for interval schedules (rate expressions and intervalMs)
+const MIN_INTERVAL_MS = 1000;
+const MAX_INTERVAL_MS = 365 * RATE_UNIT_MS.day;
+
+/**
+ * Check whether a string is a valid IANA timezone (e.g. "Europe/Berlin")
+ * @param {string} timezone - Timezone name
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  if (typeof timezone !== "string" || timezone.trim().length === 0) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the interval of a rate expression
+ * @param {string} expression - Expression such as "rate(5 minutes)"
+ * @returns {number|null} - Interval in milliseconds, null if not a rate expression
+ */
+function parseRateExpression(expression) {
+  const match =
+    typeof expression === "string" && expression.match(RATE_EXPRESSION);
+
+  return match ? parseInt(match[1]) * RATE_UNIT_MS[match[2]] : null;
+}
+
+/**
+ * Check whether an interval length is within the supported bounds
+ * @param {number} intervalMs - Interval in milliseconds
+ * @returns {boolean}
+ */
+function isValidInterval(intervalMs) {
+  return (
+    Number.isInteger(intervalMs) &&
+    intervalMs >= MIN_INTERVAL_MS &&
+    intervalMs <= MAX_INTERVAL_MS
+  );
+}
+
+/**
+ * Resolve a schedule to an interval
+ * @param {string|object} schedule - Cron or rate expression, or { intervalMs, anchor }
+ * @returns {{intervalMs: number, anchor: Date}|null} - null for cron expressions
+ */
+function toInterval(schedule) {
+  if (schedule && typeof schedule === "object") {
+    if (!isValidInterval(schedule.intervalMs)) {
+      throw new Error(`Invalid interval: ${schedule.intervalMs}ms`);
+    }
+
+    return {
+      intervalMs: schedule.intervalMs,
+      anchor: schedule.anchor ? new Date(schedule.anchor) : new Date(0),
+    };
+  }
+
+  const intervalMs = parseRateExpression(schedule);
+  return intervalMs ? { intervalMs, anchor: new Date(0) } : null;
+}
+
+/**
+ * Parse a cron expression, expanding macros such as "@daily"
+ * @param {string} cronExpression - Cron expression (5 or 6 fields) or macro
+ * @param {object} options - cron-parser options (currentDate, tz)
+ */
+function parseCron(cronExpression, options = {}) {
+  return CronExpressionParser.parse(
+    CRON_MACROS[cronExpression.toLowerCase()] || cronExpression,
+    options
+  );
+}
+
+/**
+ * Check whether a cron or rate expression can be both scheduled and previewed
+ * @param {string} cronExpression - Cron expression, macro or rate expression
+ * @returns {boolean}
+ */
+function isValidCronExpression(cronExpression) {
+  if (typeof cronExpression !== "string" || !CRON_SHAPE.test(cronExpression)) {
+    return false;
+  }
+
+  const intervalMs = parseRateExpression(cronExpression);
+  if (intervalMs !== null) {
+    return isValidInterval(intervalMs);
+  }
+
+  try {
+    parseCron(cronExpression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the next occurrences of a schedule
+ *
+ * Interval schedules run every intervalMs counted from their anchor (the Unix
+ * epoch when unset, so every instance computes the same occurrences). They
+ * are fixed durations: the timezone and DST do not affect them, and nothing
+ * runs before the anchor.
+ * @param {string|object} cronExpression - Cron or rate expression, or { intervalMs, anchor }
+ * @param {number} count - Number of occurrences to return
+ * @param {Date} fromTime - Occurrences strictly after this time are returned
+ * @param {string} timezone - IANA timezone the expression is evaluated in
+ * @returns {Date[]} - Occurrences in ascending order
+ */
+function getNextRunTimes(
+  cronExpression,
+  count = 1,
+  fromTime = new Date(),
+  timezone = DEFAULT_TIMEZONE
+) {
+  const fixed = toInterval(cronExpression);
+  if (fixed) {
+    const anchor = fixed.anchor.getTime();
+    const first =
+      fromTime.getTime() < anchor
+        ? 0
+        : Math.floor((fromTime.getTime() - anchor) / fixed.intervalMs) + 1;
+
+    return Array.from(
+      { length: count },
+      (_, index) => new Date(anchor + (first + index) * fixed.intervalMs)
+    );
+  }
+
+  if (!isValidCronExpression(cronExpression)) {
+    throw new Error(`Invalid cron expression: ${cronExpression}`);
+  }
+
+  const interval = parseCron(cronExpression, {
+    currentDate: fromTime,
+    tz: timezone,
+  });
+
+  return interval.take(count).map((date) => date.toDate());
+}
+
+/**
+ * Calculate the next run time for a schedule
+ * @param {string|object} cronExpression - Cron or rate expression, or { intervalMs, anchor }
+ * @param {Date} fromTime - Base time (defaults to now)
+ * @param {string} timezone - IANA timezone the expression is evaluated in
+ * @returns {Date} - Next run time
+ */
+function calculateNextRunTime(
+  cronExpression,
+  fromTime = new Date(),
+  timezone = DEFAULT_TIMEZONE
+) {
+  return getNextRunTimes(cronExpression, 1, fromTime, timezone)[0];
+}
+
+/**
+ * Get the most recent occurrences within a time window, e.g. the runs missed
+ * while the scheduler was down
+ * @param {string|object} cronExpression - Cron or rate expression, or { intervalMs, anchor }
+ * @param {Date} since - Window start (inclusive)
+ * @param {Date} until - Window end (inclusive)
+ * @param {number} limit - Maximum number of occurrences (the latest are kept)
+ * @param {string} timezone - IANA timezone the expression is evaluated in
+ * @returns {Date[]} - Occurrences in ascending order
+ */
+function getMissedRunTimes(
+  cronExpression,
+  since,
+  until = new Date(),
+  limit = 1,
+  timezone = DEFAULT_TIMEZONE
+) {
+  const fixed = toInterval(cronExpression);
+  if (fixed) {
+    const anchor = fixed.anchor.getTime();
+    const last = Math.floor((until.getTime() - anchor) / fixed.intervalMs);
+    const first = Math.max(
+      0,
+      Math.ceil((since.getTime() - anchor) / fixed.intervalMs),
+      last - limit + 1
+    );
+
+    const missed = [];
+    for (let index = first; index <= last; index++) {
+      missed.push(new Date(anchor + index * fixed.intervalMs));
+    }
+    return missed;
+  }
+
+  if (!isValidCronExpression(cronExpression)) {
+    throw new Error(`Invalid cron expression: ${cronExpression}`);
+  }
+
+  // prev() is exclusive, start just after the window end
+  const interval = parseCron(cronExpression, {
+    currentDate: new Date(until.getTime() + 1),
+    tz: timezone,
+  });
+
+  const missed = [];
+  while (missed.length < limit) {
+    const occurrence = interval.prev().toDate();
+    if (occurrence < since) break;
+    missed.unshift(occurrence);
+  }
+
+  return missed;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  CRON_SHAPE,
+  CRON_FORMAT_HINT,
+  MIN_INTERVAL_MS,
+  MAX_INTERVAL_MS,
+  isValidTimezone,
+  parseRateExpression,
+  isValidInterval,
+  isValidCronExpression,
+  getNextRunTimes,
+  calculateNextRunTime,
+  getMissedRunTimes,
+};
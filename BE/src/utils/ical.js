@@ -0,0 +1,207 @@
+const { DEFAULT_TIMEZONE } = require("./cron");
+
+// DATE (20261225) or DATE-TIME (20261225T090000, optionally UTC with "Z")
+const ICAL_DATE = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/;
+
+// Durations such as P1D, PT2H30M or P1W
+const ICAL_DURATION =
+  /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+
+/**
+ * Offset of a timezone from UTC at an instant
+ * @returns {number} - Offset in milliseconds (positive east of UTC)
+ */
+function getTimezoneOffset(timestamp, timezone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(new Date(timestamp));
+
+  const value = (type) =>
+    parseInt(parts.find((part) => part.type === type).value);
+
+  const wallClock = Date.UTC(
+    value("year"),
+    value("month") - 1,
+    value("day"),
+    value("hour"),
+    value("minute"),
+    value("second")
+  );
+
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to an instant
+ */
+function fromWallClock(year, month, day, hour, minute, second, timezone) {
+  const utc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Apply the offset, then correct it when it differs at the result (DST)
+  let timestamp = utc - getTimezoneOffset(utc, timezone);
+  timestamp = utc - getTimezoneOffset(timestamp, timezone);
+
+  return new Date(timestamp);
+}
+
+/**
+ * Split an iCalendar document into content lines, unfolding continuations
+ * @returns {{name: string, params: object, value: string}[]}
+ */
+function parseContentLines(text) {
+  return text
+    .replace(/\r\n/g, "\n")
+    .replace(/\n[ \t]/g, "")
+    .split("\n")
+    .filter((line) => line.includes(":"))
+    .map((line) => {
+      const separator = line.indexOf(":");
+      const [name, ...params] = line.slice(0, separator).split(";");
+
+      return {
+        name: name.toUpperCase(),
+        params: Object.fromEntries(
+          params.map((param) => {
+            const [key, value = ""] = param.split("=");
+            return [key.toUpperCase(), value.replace(/"/g, "")];
+          })
+        ),
+        value: line.slice(separator + 1),
+      };
+    });
+}
+
+/**
+ * Parse a DTSTART/DTEND property. Floating times and all-day dates are read
+ * in the calendar timezone.
+ * @returns {{time: Date, allDay: boolean, parts: number[]}|null}
+ */
+function parseDateProperty(property, timezone) {
+  const match = property && property.value.trim().match(ICAL_DATE);
+  if (!match) return null;
+
+  const [year, month, day, hour = 0, minute = 0, second = 0] = match
+    .slice(1, 7)
+    .map((part) => part && parseInt(part));
+  const allDay = match[4] === undefined;
+
+  let time;
+  if (match[7]) {
+    time = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  } else {
+    let zone = property.params.TZID || timezone;
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: zone });
+    } catch (error) {
+      // Custom VTIMEZONE names are not resolved
+      zone = timezone;
+    }
+    time = fromWallClock(year, month, day, hour, minute, second, zone);
+  }
+
+  return { time, allDay, parts: [year, month, day, hour, minute, second] };
+}
+
+function parseDuration(value) {
+  const match = value && value.trim().match(ICAL_DURATION);
+  if (!match) return null;
+
+  const [weeks, days, hours, minutes, seconds] = match
+    .slice(1)
+    .map((part) => parseInt(part || "0"));
+
+  return (
+    (((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60000 + seconds * 1000
+  );
+}
+
+function unescapeText(value) {
+  return value
+    .replace(/\\n/gi, " ")
+    .replace(/\\([,;\\])/g, "$1")
+    .trim();
+}
+
+/**
+ * Convert the events of an iCalendar document (e.g. a public holiday list)
+ * to calendar exclusions.
+ *
+ * Each VEVENT becomes a date range. Events repeating every year
+ * (RRULE:FREQ=YEARLY without other rules) become recurring exclusions;
+ * events with any other RRULE, and events without a duration, are skipped.
+ * @param {string} text - iCalendar (.ics) content
+ * @param {string} timezone - Zone for all-day and floating times
+ * @returns {{exclusions: object[], skipped: number}}
+ */
+function parseICalendar(text, timezone = DEFAULT_TIMEZONE) {
+  const exclusions = [];
+  let skipped = 0;
+  let event = null;
+
+  for (const line of parseContentLines(text)) {
+    if (line.name === "BEGIN" && line.value.toUpperCase() === "VEVENT") {
+      event = {};
+    } else if (line.name === "END" && line.value.toUpperCase() === "VEVENT") {
+      const exclusion = event && toExclusion(event, timezone);
+      if (exclusion) {
+        exclusions.push(exclusion);
+      } else {
+        skipped++;
+      }
+      event = null;
+    } else if (event && !event[line.name]) {
+      event[line.name] = line;
+    }
+  }
+
+  return { exclusions, skipped };
+}
+
+function toExclusion(event, timezone) {
+  const start = parseDateProperty(event.DTSTART, timezone);
+  if (!start) return null;
+
+  let endsAt;
+  if (event.DTEND) {
+    const end = parseDateProperty(event.DTEND, timezone);
+    endsAt = end && end.time;
+  } else if (event.DURATION) {
+    const durationMs = parseDuration(event.DURATION.value);
+    endsAt = durationMs !== null && new Date(start.time.getTime() + durationMs);
+  } else if (start.allDay) {
+    // An all-day event without an end lasts the day
+    const [year, month, day] = start.parts;
+    endsAt = fromWallClock(year, month, day + 1, 0, 0, 0, timezone);
+  }
+
+  if (!endsAt || endsAt <= start.time) return null;
+
+  const label = event.SUMMARY ? unescapeText(event.SUMMARY.value) : null;
+
+  if (!event.RRULE) {
+    return { label, startsAt: start.time, endsAt, source: "ical" };
+  }
+
+  if (event.RRULE.value.toUpperCase().replace(/;$/, "") !== "FREQ=YEARLY") {
+    return null;
+  }
+
+  // The wall-clock start repeats every year in the calendar timezone
+  const [, month, day, hour, minute] = start.parts;
+
+  return {
+    label,
+    cronExpression: `${minute} ${hour} ${day} ${month} *`,
+    durationMs: endsAt.getTime() - start.time.getTime(),
+    source: "ical",
+  };
+}
+
+module.exports = { parseICalendar };
@@ -0,0 +1,10 @@
+const os = require("os");
+
+// Identifies this process in execution leases and scheduler leadership
+const INSTANCE_ID =
+  process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`;
+
+// Recorded on executions, since INSTANCE_ID may not name the machine
+const HOSTNAME = os.hostname();
+
+module.exports = { INSTANCE_ID, HOSTNAME };
@@ -0,0 +1,53 @@
+// Roles an instance can take on. "all" runs every role in one process.
+const SERVICE_ROLES = ["api", "scheduler", "worker"];
+
+/**
+ * Parse SERVICE_ROLE, e.g. "all", "api", "scheduler,worker"
+ * @param {string} value - Raw setting
+ * @returns {Set<string>} - Roles this instance runs
+ */
+function parseServiceRoles(value = "all") {
+  const roles = value
+    .split(",")
+    .map((role) => role.trim().toLowerCase())
+    .filter((role) => role.length > 0);
+
+  if (roles.length === 0 || roles.includes("all")) {
+    return new Set(SERVICE_ROLES);
+  }
+
+  const unknown = roles.filter((role) => !SERVICE_ROLES.includes(role));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Invalid SERVICE_ROLE "${value}". Use "all" or a comma-separated list of: ${SERVICE_ROLES.join(
+        ", "
+      )}`
+    );
+  }
+
+  return new Set(roles);
+}
+
+const serviceRoles = parseServiceRoles(process.env.SERVICE_ROLE);
+
+const runsApi = () => serviceRoles.has("api");
+const runsScheduler = () => serviceRoles.has("scheduler");
+const runsWorker = () => serviceRoles.has("worker");
+
+/**
+ * Describe the configured roles for logs and stats
+ * @returns {string} - "all" or e.g. "scheduler,worker"
+ */
+const describeServiceRoles = () =>
+  serviceRoles.size === SERVICE_ROLES.length
+    ? "all"
+    : Array.from(serviceRoles).join(",");
+
+module.exports = {
+  SERVICE_ROLES,
+  parseServiceRoles,
+  runsApi,
+  runsScheduler,
+  runsWorker,
+  describeServiceRoles,
+};
@@ -59,10 +59,30 @@ const options = {
       },
     ],
     tags: [
+      {
+        name: "Auth",
+        description: "Sign-in, users and API keys",
+      },
       {
         name: "Jobs",
         description: "Job management operations",
       },
+      {
+        name: "Workflows",
+        description: "Job dependency graphs and their runs",
+      },
+      {
+        name: "Calendars",
+        description: "Blackout windows and holidays that suppress scheduled runs",
+      },
+      {
+        name: "Executions",
+        description: "Individual runs of jobs, across all jobs",
+      },
+      {
+        name: "Events",
+        description: "Live changes of jobs, executions and schedulers",
+      },
       {
         name: "Statistics",
         description: "System statistics and monitoring",
@@ -252,10 +272,14 @@ const options = {
         },
       },
     },
+    // Either a JWT (POST /api/auth/login) or an API key
     security: [
       {
         bearerAuth: [],
       },
+      {
+        apiKeyAuth: [],
+      },
     ],
   },
   apis: ["./src/routes/*.js", "./src/controllers/*.js", "./src/models/*.js"],
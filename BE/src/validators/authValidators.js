@@ -0,0 +1,69 @@
+const Joi = require("joi");
+
+// bcrypt ignores anything past 72 bytes
+const passwordSchema = Joi.string().min(8).max(72).messages({
+  "string.min": "Password must be at least 8 characters long",
+  "string.max": "Password must not exceed 72 characters",
+});
+
+const loginSchema = Joi.object({
+  username: Joi.string().trim().required().messages({
+    "string.empty": "Username is required",
+    "any.required": "Username is required",
+  }),
+
+  password: Joi.string().required().messages({
+    "string.empty": "Password is required",
+    "any.required": "Password is required",
+  }),
+});
+
+const userCreateSchema = Joi.object({
+  username: Joi.string()
+    .trim()
+    .min(3)
+    .max(100)
+    .pattern(/^[a-zA-Z0-9._@-]+$/)
+    .required()
+    .messages({
+      "string.min": "Username must be at least 3 characters long",
+      "string.max": "Username must not exceed 100 characters",
+      "string.pattern.base":
+        "Username may contain only letters, digits, '.', '_', '@' and '-'",
+      "any.required": "Username is required",
+    }),
+
+  password: passwordSchema.required().messages({
+    "any.required": "Password is required",
+  }),
+});
+
+const userUpdateSchema = Joi.object({
+  password: passwordSchema.optional(),
+
+  isActive: Joi.boolean().optional(),
+})
+  .min(1)
+  .messages({
+    "object.min": "Provide a password and/or isActive",
+  });
+
+const apiKeyCreateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(255).required().messages({
+    "string.empty": "API key name is required",
+    "any.required": "API key name is required",
+    "string.max": "API key name must not exceed 255 characters",
+  }),
+
+  expiresAt: Joi.date().iso().greater("now").optional().messages({
+    "date.format": "expiresAt must be an ISO 8601 timestamp",
+    "date.greater": "expiresAt must be in the future",
+  }),
+});
+
+module.exports = {
+  loginSchema,
+  userCreateSchema,
+  userUpdateSchema,
+  apiKeyCreateSchema,
+};
@@ -0,0 +1,111 @@
+const Joi = require("joi");
+const { EXCLUSION_SOURCES } = require("../models/Calendar");
+const { DEFAULT_TIMEZONE } = require("../utils/cron");
+const {
+  validateCronExpression,
+  validateTimezone,
+} = require("./jobValidators");
+
+// A date range (startsAt to endsAt) or a recurring window (cronExpression
+// occurrences lasting durationMs)
+const exclusionSchema = Joi.object({
+  label: Joi.string().trim().max(255).allow("", null).optional().messages({
+    "string.max": "Exclusion label must not exceed 255 characters",
+  }),
+
+  startsAt: Joi.date().iso().optional().messages({
+    "date.format": "startsAt must be an ISO 8601 date-time",
+  }),
+
+  endsAt: Joi.date().iso().greater(Joi.ref("startsAt")).optional().messages({
+    "date.format": "endsAt must be an ISO 8601 date-time",
+    "date.greater": "endsAt must be after startsAt",
+  }),
+
+  cronExpression: Joi.string().custom(validateCronExpression).optional(),
+
+  durationMs: Joi.number().integer().min(1000).optional().messages({
+    "number.min": "Exclusion duration must be at least 1000ms",
+  }),
+
+  source: Joi.string()
+    .valid(...EXCLUSION_SOURCES)
+    .default("manual")
+    .optional(),
+})
+  .and("startsAt", "endsAt")
+  .and("cronExpression", "durationMs")
+  .xor("startsAt", "cronExpression")
+  .messages({
+    "object.and": "An exclusion needs startsAt with endsAt, or cronExpression with durationMs",
+    "object.xor": "An exclusion is either a date range (startsAt, endsAt) or recurring (cronExpression, durationMs)",
+    "object.missing": "An exclusion is either a date range (startsAt, endsAt) or recurring (cronExpression, durationMs)",
+  });
+
+const exclusionsSchema = Joi.array().items(exclusionSchema).max(1000).messages({
+  "array.max": "A calendar cannot have more than 1000 exclusions",
+});
+
+const calendarCreateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(255).required().messages({
+    "string.empty": "Calendar name is required",
+    "string.max": "Calendar name must not exceed 255 characters",
+  }),
+
+  description: Joi.string().trim().max(1000).allow("").optional().messages({
+    "string.max": "Description must not exceed 1000 characters",
+  }),
+
+  timezone: Joi.string()
+    .trim()
+    .custom(validateTimezone)
+    .default(DEFAULT_TIMEZONE)
+    .optional(),
+
+  exclusions: exclusionsSchema.default([]).optional(),
+
+  createdBy: Joi.string().trim().max(255).optional().messages({
+    "string.max": "Created by field must not exceed 255 characters",
+  }),
+});
+
+const calendarUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(255).optional().messages({
+    "string.empty": "Calendar name cannot be empty",
+    "string.max": "Calendar name must not exceed 255 characters",
+  }),
+
+  description: Joi.string().trim().max(1000).allow("").optional().messages({
+    "string.max": "Description must not exceed 1000 characters",
+  }),
+
+  timezone: Joi.string().trim().custom(validateTimezone).optional(),
+
+  exclusions: exclusionsSchema.optional(),
+
+  createdBy: Joi.string().trim().max(255).optional().messages({
+    "string.max": "Created by field must not exceed 255 characters",
+  }),
+});
+
+const calendarImportSchema = Joi.object({
+  ics: Joi.string().min(1).required().messages({
+    "string.empty": "iCalendar content (ics) is required",
+    "any.required": "iCalendar content (ics) is required",
+  }),
+
+  replace: Joi.boolean().default(false).optional(),
+});
+
+const calendarQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1).optional(),
+
+  limit: Joi.number().integer().min(1).max(100).default(50).optional(),
+});
+
+module.exports = {
+  calendarCreateSchema,
+  calendarUpdateSchema,
+  calendarImportSchema,
+  calendarQuerySchema,
+};
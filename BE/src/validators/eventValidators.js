@@ -0,0 +1,22 @@
+const Joi = require("joi");
+const { EVENT_TYPES } = require("../services/eventService");
+const { listSchema } = require("./executionValidators");
+
+// A type ("job.updated") or every type of a group ("job")
+const EVENT_FILTERS = [
+  ...new Set(EVENT_TYPES.map((type) => type.split(".")[0])),
+  ...EVENT_TYPES,
+];
+
+const eventQuerySchema = Joi.object({
+  types: listSchema(EVENT_FILTERS, "types").optional(),
+
+  jobId: Joi.string().uuid().optional().messages({
+    "string.guid": "Invalid job ID format",
+  }),
+});
+
+module.exports = {
+  eventQuerySchema,
+  EVENT_FILTERS,
+};
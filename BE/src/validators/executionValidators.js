@@ -0,0 +1,76 @@
+const Joi = require("joi");
+const { EXECUTION_STATUSES, TRIGGER_SOURCES } = require("../models/Execution");
+
+/**
+ * A filter accepting one value, a comma-separated list or a repeated
+ * query parameter (?status=failed&status=timeout)
+ */
+const listSchema = (values, field) => {
+  const message = `${field} must be one or more of: ${values.join(", ")}`;
+
+  return Joi.alternatives()
+    .try(
+      Joi.array().items(Joi.string().trim().valid(...values)),
+      Joi.string().custom((value, helpers) =>
+        value
+          .split(",")
+          .every((item) => values.includes(item.trim()))
+          ? value
+          : helpers.error("any.invalid")
+      )
+    )
+    .messages({
+      "any.invalid": message,
+      "any.only": message,
+      "alternatives.match": message,
+    });
+};
+
+const executionQuerySchema = Joi.object({
+  status: listSchema(EXECUTION_STATUSES, "status").optional(),
+
+  triggerSource: listSchema(TRIGGER_SOURCES, "triggerSource").optional(),
+
+  from: Joi.date().iso().optional().messages({
+    "date.format": "from must be an ISO 8601 timestamp",
+  }),
+
+  to: Joi.date().iso().greater(Joi.ref("from")).optional().messages({
+    "date.format": "to must be an ISO 8601 timestamp",
+    "date.greater": "to must be after from",
+  }),
+
+  jobId: Joi.string().uuid({ version: "uuidv4" }).optional().messages({
+    "string.guid": "Invalid job ID format",
+  }),
+
+  tags: Joi.alternatives()
+    .try(Joi.string().trim(), Joi.array().items(Joi.string().trim()))
+    .optional(),
+
+  minDurationMs: Joi.number().integer().min(0).optional(),
+
+  maxDurationMs: Joi.number()
+    .integer()
+    .min(0)
+    .when("minDurationMs", {
+      is: Joi.exist(),
+      then: Joi.number().min(Joi.ref("minDurationMs")).messages({
+        "number.min": "maxDurationMs must not be less than minDurationMs",
+      }),
+    })
+    .optional(),
+
+  error: Joi.string().trim().max(255).optional().messages({
+    "string.max": "Error search text must not exceed 255 characters",
+  }),
+
+  cursor: Joi.string().trim().max(200).optional(),
+
+  limit: Joi.number().integer().min(1).max(100).default(50).optional(),
+});
+
+module.exports = {
+  executionQuerySchema,
+  listSchema,
+};
@@ -1,24 +1,92 @@
 const Joi = require("joi");
-const cron = require("node-cron");
-
-// Custom cron expression validation using node-cron
+const { getExecutorRegistry } = require("../executors");
+const {
+  MISFIRE_POLICIES,
+  CONCURRENCY_POLICIES,
+  RECOVERY_POLICIES,
+  ONE_OFF_JOB_TYPES,
+  MIN_PRIORITY,
+  MAX_PRIORITY,
+  SORT_COLUMNS,
+} = require("../models/Job");
+const { LOG_STREAMS } = require("../services/executionLogService");
+const {
+  DEFAULT_TIMEZONE,
+  CRON_FORMAT_HINT,
+  MIN_INTERVAL_MS,
+  MAX_INTERVAL_MS,
+  isValidTimezone,
+  isValidCronExpression,
+} = require("../utils/cron");
+
+const executorTypes = getExecutorRegistry().list();
+
+// Longest delay accepted for delayed jobs (one year)
+const MAX_DELAY_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Custom cron expression validation using the shared cron engine
 const validateCronExpression = (value, helpers) => {
   try {
-    // Validate with node-cron
-    if (!cron.validate(value)) {
+    if (!isValidCronExpression(value)) {
       return helpers.message(
-        "Invalid cron expression format. Please use a valid 5-field cron expression (minute hour day month dayOfWeek)"
+        `Invalid cron expression format. ${CRON_FORMAT_HINT}`
       );
     }
 
     return value;
   } catch (error) {
     return helpers.message(
-      "Invalid cron expression format. Please use a valid 5-field cron expression (minute hour day month dayOfWeek)"
+      `Invalid cron expression format. ${CRON_FORMAT_HINT}`
     );
   }
 };
 
+// Custom IANA timezone validation (e.g. "America/New_York")
+const validateTimezone = (value, helpers) => {
+  if (!isValidTimezone(value)) {
+    return helpers.message(
+      `Invalid timezone "${value}". Use an IANA timezone name such as "Europe/London"`
+    );
+  }
+
+  return value;
+};
+
+// Calendars whose exclusions suppress the job's scheduled runs
+const calendarIdsSchema = Joi.array()
+  .items(
+    Joi.string().uuid({ version: "uuidv4" }).messages({
+      "string.guid": "Invalid calendar ID format",
+    })
+  )
+  .max(20)
+  .unique()
+  .messages({
+    "array.max": "Cannot attach more than 20 calendars",
+    "array.unique": "Calendar IDs must be unique",
+  });
+
+// Resource groups are named in CONCURRENCY_LIMITS, so share its charset
+const resourceGroupSchema = Joi.string()
+  .trim()
+  .max(100)
+  .pattern(/^[A-Za-z0-9_.-]+$/)
+  .messages({
+    "string.max": "Resource group must not exceed 100 characters",
+    "string.pattern.base":
+      "Resource group may only contain letters, digits, '_', '.' and '-'",
+  });
+
+// Higher priority executions are claimed from the queue first
+const prioritySchema = Joi.number()
+  .integer()
+  .min(MIN_PRIORITY)
+  .max(MAX_PRIORITY)
+  .messages({
+    "number.min": `Priority must be at least ${MIN_PRIORITY}`,
+    "number.max": `Priority cannot exceed ${MAX_PRIORITY}`,
+  });
+
 const jobCreateSchema = Joi.object({
   name: Joi.string().trim().min(1).max(255).required().messages({
     "string.empty": "Job name is required",
@@ -29,7 +97,84 @@ const jobCreateSchema = Joi.object({
     "string.max": "Description must not exceed 1000 characters",
   }),
 
-  cronExpression: Joi.string().custom(validateCronExpression).required(),
+  // Recurring jobs need a cron/rate expression or an interval; one-off jobs
+  // run at runAt instead
+  cronExpression: Joi.string().custom(validateCronExpression).optional(),
+
+  intervalMs: Joi.number()
+    .integer()
+    .min(MIN_INTERVAL_MS)
+    .max(MAX_INTERVAL_MS)
+    .when("jobType", {
+      is: Joi.valid(...ONE_OFF_JOB_TYPES),
+      then: Joi.forbidden(),
+    })
+    .messages({
+      "number.min": `Interval must be at least ${MIN_INTERVAL_MS}ms`,
+      "number.max": "Interval cannot exceed one year",
+      "any.unknown": "intervalMs does not apply to immediate and delayed jobs",
+    }),
+
+  intervalAnchor: Joi.date()
+    .iso()
+    .when("jobType", {
+      is: Joi.valid(...ONE_OFF_JOB_TYPES),
+      then: Joi.forbidden(),
+    })
+    .messages({
+      "date.format": "intervalAnchor must be an ISO 8601 timestamp",
+      "any.unknown": "intervalAnchor does not apply to immediate and delayed jobs",
+    }),
+
+  runAt: Joi.date()
+    .iso()
+    .when("jobType", {
+      is: Joi.valid(...ONE_OFF_JOB_TYPES),
+      then: Joi.optional(),
+      otherwise: Joi.forbidden(),
+    })
+    .messages({
+      "date.format": "runAt must be an ISO 8601 timestamp",
+      "any.unknown": "runAt only applies to immediate and delayed jobs",
+    }),
+
+  delayMs: Joi.number()
+    .integer()
+    .min(0)
+    .max(MAX_DELAY_MS)
+    .when("jobType", {
+      is: "delayed",
+      then: Joi.optional(),
+      otherwise: Joi.forbidden(),
+    })
+    .messages({
+      "number.min": "Delay cannot be negative",
+      "number.max": "Delay cannot exceed one year",
+      "any.unknown": "delayMs only applies to delayed jobs",
+    }),
+
+  startsAt: Joi.date().iso().optional().messages({
+    "date.format": "startsAt must be an ISO 8601 timestamp",
+  }),
+
+  endsAt: Joi.date()
+    .iso()
+    .greater("now")
+    .when("startsAt", {
+      is: Joi.exist(),
+      then: Joi.date().greater(Joi.ref("startsAt")),
+    })
+    .optional()
+    .messages({
+      "date.format": "endsAt must be an ISO 8601 timestamp",
+      "date.greater": "endsAt must be in the future and after startsAt",
+    }),
+
+  timezone: Joi.string()
+    .trim()
+    .custom(validateTimezone)
+    .default(DEFAULT_TIMEZONE)
+    .optional(),
 
   isActive: Joi.boolean().default(true).optional(),
 
@@ -38,6 +183,14 @@ const jobCreateSchema = Joi.object({
     .default("scheduled")
     .optional(),
 
+  executorType: Joi.string()
+    .valid(...executorTypes)
+    .default("noop")
+    .optional()
+    .messages({
+      "any.only": `Executor type must be one of: ${executorTypes.join(", ")}`,
+    }),
+
   payload: Joi.object().default({}).optional().messages({
     "object.base": "Payload must be a valid JSON object",
   }),
@@ -75,6 +228,60 @@ const jobCreateSchema = Joi.object({
       "number.max": "Retry delay must not exceed 60000ms",
     }),
 
+  misfirePolicy: Joi.string()
+    .valid(...MISFIRE_POLICIES)
+    .default("run-once")
+    .optional()
+    .messages({
+      "any.only": `Misfire policy must be one of: ${MISFIRE_POLICIES.join(", ")}`,
+    }),
+
+  misfireLimit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(10)
+    .optional()
+    .messages({
+      "number.min": "Misfire limit must be at least 1",
+      "number.max": "Misfire limit cannot exceed 100",
+    }),
+
+  concurrencyPolicy: Joi.string()
+    .valid(...CONCURRENCY_POLICIES)
+    .default("forbid")
+    .optional()
+    .messages({
+      "any.only": `Concurrency policy must be one of: ${CONCURRENCY_POLICIES.join(
+        ", "
+      )}`,
+    }),
+
+  recoveryPolicy: Joi.string()
+    .valid(...RECOVERY_POLICIES)
+    .default("requeue")
+    .optional()
+    .messages({
+      "any.only": `Recovery policy must be one of: ${RECOVERY_POLICIES.join(
+        ", "
+      )}`,
+    }),
+
+  maxConcurrency: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(1)
+    .optional()
+    .messages({
+      "number.min": "Max concurrency must be at least 1",
+      "number.max": "Max concurrency cannot exceed 100",
+    }),
+
+  resourceGroup: resourceGroupSchema.optional(),
+
+  priority: prioritySchema.default(0).optional(),
+
   createdBy: Joi.string().trim().max(255).optional().messages({
     "string.max": "Created by field must not exceed 255 characters",
   }),
@@ -88,7 +295,27 @@ const jobCreateSchema = Joi.object({
       "array.max": "Cannot have more than 10 tags",
       "string.max": "Each tag must not exceed 50 characters",
     }),
-});
+
+  calendarIds: calendarIdsSchema.default([]).optional(),
+})
+  .oxor("runAt", "delayMs")
+  .when(
+    Joi.object({ jobType: Joi.valid(...ONE_OFF_JOB_TYPES).required() }).unknown(),
+    {
+      otherwise: Joi.object().xor("cronExpression", "intervalMs").messages({
+        "object.xor": "Provide either cronExpression or intervalMs, not both",
+        "object.missing": "cronExpression or intervalMs is required",
+      }),
+    }
+  )
+  .when(Joi.object({ jobType: Joi.valid("delayed").required() }).unknown(), {
+    then: Joi.object().or("runAt", "delayMs").messages({
+      "object.missing": "Delayed jobs require runAt or delayMs",
+    }),
+  })
+  .messages({
+    "object.oxor": "Provide either runAt or delayMs, not both",
+  });
 
 const jobUpdateSchema = Joi.object({
   name: Joi.string().trim().min(1).max(255).optional().messages({
@@ -100,7 +327,44 @@ const jobUpdateSchema = Joi.object({
     "string.max": "Description must not exceed 1000 characters",
   }),
 
-  cronExpression: Joi.string().custom(validateCronExpression).optional(),
+  cronExpression: Joi.string()
+    .custom(validateCronExpression)
+    .allow(null)
+    .optional(),
+
+  intervalMs: Joi.number()
+    .integer()
+    .min(MIN_INTERVAL_MS)
+    .max(MAX_INTERVAL_MS)
+    .allow(null)
+    .optional()
+    .messages({
+      "number.min": `Interval must be at least ${MIN_INTERVAL_MS}ms`,
+      "number.max": "Interval cannot exceed one year",
+    }),
+
+  intervalAnchor: Joi.date().iso().allow(null).optional().messages({
+    "date.format": "intervalAnchor must be an ISO 8601 timestamp",
+  }),
+
+  runAt: Joi.date().iso().optional().messages({
+    "date.format": "runAt must be an ISO 8601 timestamp",
+  }),
+
+  delayMs: Joi.number().integer().min(0).max(MAX_DELAY_MS).optional().messages({
+    "number.min": "Delay cannot be negative",
+    "number.max": "Delay cannot exceed one year",
+  }),
+
+  startsAt: Joi.date().iso().allow(null).optional().messages({
+    "date.format": "startsAt must be an ISO 8601 timestamp",
+  }),
+
+  endsAt: Joi.date().iso().allow(null).optional().messages({
+    "date.format": "endsAt must be an ISO 8601 timestamp",
+  }),
+
+  timezone: Joi.string().trim().custom(validateTimezone).optional(),
 
   isActive: Joi.boolean().optional(),
 
@@ -108,6 +372,13 @@ const jobUpdateSchema = Joi.object({
     .valid("scheduled", "immediate", "recurring", "delayed")
     .optional(),
 
+  executorType: Joi.string()
+    .valid(...executorTypes)
+    .optional()
+    .messages({
+      "any.only": `Executor type must be one of: ${executorTypes.join(", ")}`,
+    }),
+
   payload: Joi.object().optional().messages({
     "object.base": "Payload must be a valid JSON object",
   }),
@@ -132,6 +403,45 @@ const jobUpdateSchema = Joi.object({
       "number.max": "Retry delay must not exceed 60000ms",
     }),
 
+  misfirePolicy: Joi.string()
+    .valid(...MISFIRE_POLICIES)
+    .optional()
+    .messages({
+      "any.only": `Misfire policy must be one of: ${MISFIRE_POLICIES.join(", ")}`,
+    }),
+
+  misfireLimit: Joi.number().integer().min(1).max(100).optional().messages({
+    "number.min": "Misfire limit must be at least 1",
+    "number.max": "Misfire limit cannot exceed 100",
+  }),
+
+  concurrencyPolicy: Joi.string()
+    .valid(...CONCURRENCY_POLICIES)
+    .optional()
+    .messages({
+      "any.only": `Concurrency policy must be one of: ${CONCURRENCY_POLICIES.join(
+        ", "
+      )}`,
+    }),
+
+  recoveryPolicy: Joi.string()
+    .valid(...RECOVERY_POLICIES)
+    .optional()
+    .messages({
+      "any.only": `Recovery policy must be one of: ${RECOVERY_POLICIES.join(
+        ", "
+      )}`,
+    }),
+
+  maxConcurrency: Joi.number().integer().min(1).max(100).optional().messages({
+    "number.min": "Max concurrency must be at least 1",
+    "number.max": "Max concurrency cannot exceed 100",
+  }),
+
+  resourceGroup: resourceGroupSchema.allow(null).optional(),
+
+  priority: prioritySchema.optional(),
+
   createdBy: Joi.string().trim().max(255).optional().messages({
     "string.max": "Created by field must not exceed 255 characters",
   }),
@@ -144,7 +454,13 @@ const jobUpdateSchema = Joi.object({
       "array.max": "Cannot have more than 10 tags",
       "string.max": "Each tag must not exceed 50 characters",
     }),
-});
+
+  calendarIds: calendarIdsSchema.optional(),
+})
+  .oxor("runAt", "delayMs")
+  .messages({
+    "object.oxor": "Provide either runAt or delayMs, not both",
+  });
 
 const jobQuerySchema = Joi.object({
   page: Joi.number().integer().min(1).default(1).optional(),
@@ -153,6 +469,8 @@ const jobQuerySchema = Joi.object({
 
   isActive: Joi.boolean().optional(),
 
+  paused: Joi.boolean().optional(),
+
   jobType: Joi.string()
     .valid("scheduled", "immediate", "recurring", "delayed")
     .optional(),
@@ -164,6 +482,54 @@ const jobQuerySchema = Joi.object({
   search: Joi.string().trim().max(255).optional().messages({
     "string.max": "Search term must not exceed 255 characters",
   }),
+
+  minPriority: prioritySchema.optional(),
+
+  maxPriority: prioritySchema.optional(),
+
+  sortBy: Joi.string()
+    .valid(...Object.keys(SORT_COLUMNS))
+    .default("createdAt")
+    .optional(),
+
+  sortOrder: Joi.string().valid("asc", "desc").default("desc").optional(),
+});
+
+const jobPauseSchema = Joi.object({
+  reason: Joi.string().trim().min(1).max(255).required().messages({
+    "string.empty": "A reason is required to pause a job",
+    "any.required": "A reason is required to pause a job",
+    "string.max": "Reason must not exceed 255 characters",
+  }),
+
+  pausedBy: Joi.string().trim().max(255).optional().messages({
+    "string.max": "Paused by field must not exceed 255 characters",
+  }),
+
+  resumeAt: Joi.date().iso().greater("now").optional().messages({
+    "date.format": "resumeAt must be an ISO 8601 timestamp",
+    "date.greater": "resumeAt must be in the future",
+  }),
+});
+
+const jobResumeSchema = Joi.object({
+  resumedBy: Joi.string().trim().max(255).optional().messages({
+    "string.max": "Resumed by field must not exceed 255 characters",
+  }),
+});
+
+const executionLogQuerySchema = Joi.object({
+  after: Joi.number().integer().min(0).default(0).optional().messages({
+    "number.min": "after must be a chunk sequence number (0 or more)",
+  }),
+
+  limit: Joi.number().integer().min(1).max(1000).default(500).optional(),
+
+  stream: Joi.string()
+    .valid(...LOG_STREAMS)
+    .optional(),
+
+  follow: Joi.boolean().default(false).optional(),
 });
 
 const uuidSchema = Joi.string()
@@ -175,6 +541,7 @@ const uuidSchema = Joi.string()
 
 // Common cron expressions for reference
 const commonCronExpressions = {
+  "every-30-seconds": "*/30 * * * * *",
   "every-minute": "* * * * *",
   "every-5-minutes": "*/5 * * * *",
   "every-hour": "0 * * * *",
@@ -183,12 +550,19 @@ const commonCronExpressions = {
   "every-month-first": "0 0 1 * *",
   "workdays-9am": "0 9 * * 1-5",
   "weekends-10am": "0 10 * * 6,0",
+  "daily": "@daily",
+  "every-90-seconds": "rate(90 seconds)",
 };
 
 module.exports = {
   jobCreateSchema,
   jobUpdateSchema,
   jobQuerySchema,
+  jobPauseSchema,
+  jobResumeSchema,
+  executionLogQuerySchema,
   uuidSchema,
   commonCronExpressions,
+  validateCronExpression,
+  validateTimezone,
 };
@@ -0,0 +1,80 @@
+const Joi = require("joi");
+const { EDGE_CONDITIONS } = require("../models/Workflow");
+
+const jobIdSchema = Joi.string().uuid({ version: "uuidv4" }).messages({
+  "string.guid": "Invalid job ID format",
+});
+
+const edgeSchema = Joi.object({
+  from: jobIdSchema.required(),
+  to: jobIdSchema.required(),
+  condition: Joi.string()
+    .valid(...EDGE_CONDITIONS)
+    .default("success")
+    .optional()
+    .messages({
+      "any.only": `Edge condition must be one of: ${EDGE_CONDITIONS.join(", ")}`,
+    }),
+});
+
+const workflowCreateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(255).required().messages({
+    "string.empty": "Workflow name is required",
+    "string.max": "Workflow name must not exceed 255 characters",
+  }),
+
+  description: Joi.string().trim().max(1000).allow("").optional().messages({
+    "string.max": "Description must not exceed 1000 characters",
+  }),
+
+  jobIds: Joi.array().items(jobIdSchema).min(1).max(100).unique().required().messages({
+    "array.min": "A workflow needs at least one job",
+    "array.max": "A workflow cannot have more than 100 jobs",
+    "array.unique": "Job IDs must be unique",
+  }),
+
+  edges: Joi.array().items(edgeSchema).max(500).default([]).optional().messages({
+    "array.max": "A workflow cannot have more than 500 edges",
+  }),
+
+  createdBy: Joi.string().trim().max(255).optional().messages({
+    "string.max": "Created by field must not exceed 255 characters",
+  }),
+});
+
+const workflowUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(255).optional().messages({
+    "string.empty": "Workflow name cannot be empty",
+    "string.max": "Workflow name must not exceed 255 characters",
+  }),
+
+  description: Joi.string().trim().max(1000).allow("").optional().messages({
+    "string.max": "Description must not exceed 1000 characters",
+  }),
+
+  jobIds: Joi.array().items(jobIdSchema).min(1).max(100).unique().optional().messages({
+    "array.min": "A workflow needs at least one job",
+    "array.max": "A workflow cannot have more than 100 jobs",
+    "array.unique": "Job IDs must be unique",
+  }),
+
+  edges: Joi.array().items(edgeSchema).max(500).optional().messages({
+    "array.max": "A workflow cannot have more than 500 edges",
+  }),
+
+  createdBy: Joi.string().trim().max(255).optional().messages({
+    "string.max": "Created by field must not exceed 255 characters",
+  }),
+});
+
+const workflowQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1).optional(),
+
+  limit: Joi.number().integer().min(1).max(100).default(50).optional(),
+});
+
+module.exports = {
+  workflowCreateSchema,
+  workflowUpdateSchema,
+  workflowQuerySchema,
+};
@@ -4,19 +4,63 @@ import Layout from "./components/Layout";
 import Dashboard from "./components/Dashboard";
 import JobList from "./components/JobList";
 import JobDetail from "./components/JobDetail";
+import Executions from "./components/Executions";
+import ExecutionDetail from "./components/ExecutionDetail";
+import Login from "./components/Login";
+import { useCurrentUser } from "./hooks/useAuth";
 import "./App.css";
 
+// Wait for the API to accept the stored token; without a valid one it
+// answers 401 and the browser is sent to /login
+function RequireAuth({ children }) {
+  const { isLoading, error } = useCurrentUser();
+
+  if (isLoading || error?.status === 401) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="relative">
+          <div className="w-16 h-16 border-4 border-blue-200 rounded-full animate-spin"></div>
+          <div className="absolute top-0 left-0 w-16 h-16 border-4 border-blue-600 rounded-full animate-spin border-t-transparent"></div>
+        </div>
+      </div>
+    );
+  }
+
+  return children;
+}
+
 function App() {
   return (
-    <Layout>
-      <Routes>
-        <Route path="/" element={<Navigate to="/dashboard" replace />} />
-        <Route path="/dashboard" element={<Dashboard />} />
-        <Route path="/jobs" element={<JobList />} />
-        <Route path="/jobs/:id" element={<JobDetail />} />
-        <Route path="*" element={<Navigate to="/dashboard" replace />} />
-      </Routes>
-    </Layout>
+    <Routes>
+      <Route path="/login" element={<Login />} />
+      <Route
+        path="*"
+        element={
+          <RequireAuth>
+            <Layout>
+              <Routes>
+                <Route
+                  path="/"
+                  element={<Navigate to="/dashboard" replace />}
+                />
+                <Route path="/dashboard" element={<Dashboard />} />
+                <Route path="/jobs" element={<JobList />} />
+                <Route path="/jobs/:id" element={<JobDetail />} />
+                <Route path="/executions" element={<Executions />} />
+                <Route
+                  path="/executions/:executionId"
+                  element={<ExecutionDetail />}
+                />
+                <Route
+                  path="*"
+                  element={<Navigate to="/dashboard" replace />}
+                />
+              </Routes>
+            </Layout>
+          </RequireAuth>
+        }
+      />
+    </Routes>
   );
 }
 
@@ -1,39 +1,12 @@
 "use client";
-import { useJobStats } from "../hooks/useJobs";
+import { Link } from "react-router-dom";
+import { useJobStats, useJobs, useJobMutations } from "../hooks/useJobs";
+import { formatDateTime } from "../utils/dateUtils";
 
 const Dashboard = () => {
   const { stats, isLoading, isError, error } = useJobStats();
-
-  const formatDateTime = (dateString) => {
-    if (!dateString) return null;
-    try {
-      const date = new Date(dateString);
-      if (isNaN(date.getTime())) {
-        return "Invalid date";
-      }
-      const formatter = new Intl.DateTimeFormat("en-US", {
-        timeZone: "Asia/Kolkata",
-        month: "short",
-        day: "2-digit",
-        year: "numeric",
-        hour: "2-digit",
-        minute: "2-digit",
-        second: "2-digit",
-        hour12: false,
-      });
-      const parts = formatter.formatToParts(date);
-      const month = parts.find((part) => part.type === "month")?.value;
-      const day = parts.find((part) => part.type === "day")?.value;
-      const year = parts.find((part) => part.type === "year")?.value;
-      const hour = parts.find((part) => part.type === "hour")?.value;
-      const minute = parts.find((part) => part.type === "minute")?.value;
-      const second = parts.find((part) => part.type === "second")?.value;
-      return `${month} ${day}, ${year} ${hour}:${minute}:${second}`;
-    } catch (error) {
-      console.error("Date formatting error:", error);
-      return "Invalid date";
-    }
-  };
+  const { jobs: pausedJobs } = useJobs({ paused: true, limit: 20 });
+  const { resumeJob, isResuming } = useJobMutations();
 
   if (isLoading) {
     return (
@@ -94,7 +67,11 @@ const Dashboard = () => {
     );
   }
 
-  const { scheduler = {}, cache = {}, database = {} } = stats;
+  const { scheduler = {}, cluster = {}, cache = {}, database = {} } = stats;
+
+  // The API instance may not run the scheduler itself; a live leader lease
+  // means some instance is scheduling
+  const schedulerRunning = scheduler.isRunning || Boolean(cluster.leader);
 
   const StatCard = ({
     title,
@@ -222,7 +199,7 @@ const Dashboard = () => {
       {/* Scheduler Status Banner */}
       <div
         className={`rounded-xl p-6 ${
-          scheduler.isRunning
+          schedulerRunning
             ? "bg-gradient-to-r from-green-50 to-emerald-50 border border-green-200"
             : "bg-gradient-to-r from-red-50 to-pink-50 border border-red-200"
         }`}
@@ -231,24 +208,30 @@ const Dashboard = () => {
           <div className="flex items-center space-x-4">
             <div
               className={`p-3 rounded-full ${
-                scheduler.isRunning ? "bg-green-100" : "bg-red-100"
+                schedulerRunning ? "bg-green-100" : "bg-red-100"
               }`}
             >
               <div
                 className={`w-4 h-4 rounded-full ${
-                  scheduler.isRunning ? "bg-green-500" : "bg-red-500"
-                } ${scheduler.isRunning ? "animate-pulse" : ""}`}
+                  schedulerRunning ? "bg-green-500" : "bg-red-500"
+                } ${schedulerRunning ? "animate-pulse" : ""}`}
               ></div>
             </div>
             <div>
               <h3 className="text-xl font-semibold text-gray-900">
-                Scheduler Status: {scheduler.isRunning ? "Running" : "Stopped"}
+                Scheduler Status: {schedulerRunning ? "Running" : "Stopped"}
               </h3>
               <p className="text-gray-600 mt-1">
-                {scheduler.isRunning
+                {schedulerRunning
                   ? "All systems operational and processing jobs"
                   : "Scheduler is currently stopped - no jobs will execute"}
               </p>
+              {cluster.leader && (
+                <p className="text-sm text-gray-500 mt-1">
+                  Leader: {cluster.leader.instanceId} &middot; Queue depth:{" "}
+                  {cluster.queueDepth || 0}
+                </p>
+              )}
             </div>
           </div>
         </div>
@@ -553,6 +536,71 @@ const Dashboard = () => {
         </div>
       )}
 
+      {/* Paused Jobs */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
+        <div className="bg-gradient-to-r from-orange-50 to-yellow-50 px-6 py-4 border-b border-gray-100">
+          <div className="flex items-center space-x-3">
+            <div className="p-2 bg-orange-100 rounded-lg">
+              <svg
+                className="w-5 h-5 text-orange-600"
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M10 9v6m4-6v6m7-3a9 9 0 11-18 0 9 9 0 0118 0z"
+                />
+              </svg>
+            </div>
+            <h3 className="text-lg font-semibold text-gray-900">
+              Paused Jobs
+            </h3>
+          </div>
+        </div>
+        <div className="p-6">
+          {pausedJobs.length === 0 ? (
+            <p className="text-sm text-gray-500">No jobs are paused.</p>
+          ) : (
+            <div className="divide-y divide-gray-100">
+              {pausedJobs.map((job) => (
+                <div
+                  key={job.id}
+                  className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 py-3"
+                >
+                  <div>
+                    <Link
+                      to={`/jobs/${job.id}`}
+                      className="font-medium text-gray-900 hover:text-blue-600"
+                    >
+                      {job.name}
+                    </Link>
+                    <p className="text-sm text-gray-600">{job.inactiveReason}</p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      Paused {formatDateTime(job.pausedAt, job.timezone)}
+                      {job.pausedBy && ` by ${job.pausedBy}`}
+                      {" · "}
+                      {job.resumeAt
+                        ? `resumes ${formatDateTime(job.resumeAt, job.timezone)}`
+                        : "until resumed"}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => resumeJob(job.id)}
+                    disabled={isResuming}
+                    className="self-start sm:self-center bg-green-600 hover:bg-green-700 disabled:bg-green-400 text-white px-3 py-1.5 rounded-lg text-sm font-medium transition-colors"
+                  >
+                    Resume
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
       {/* System Health */}
       <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
         <div className="bg-gradient-to-r from-green-50 to-teal-50 px-6 py-4 border-b border-gray-100">
@@ -603,18 +651,18 @@ const Dashboard = () => {
 
             <div
               className={`flex items-center space-x-4 p-4 rounded-lg ${
-                scheduler.isRunning ? "bg-green-50" : "bg-red-50"
+                schedulerRunning ? "bg-green-50" : "bg-red-50"
               }`}
             >
               <div className="flex-shrink-0">
                 <div
                   className={`w-10 h-10 rounded-full flex items-center justify-center ${
-                    scheduler.isRunning ? "bg-green-100" : "bg-red-100"
+                    schedulerRunning ? "bg-green-100" : "bg-red-100"
                   }`}
                 >
                   <svg
                     className={`w-6 h-6 ${
-                      scheduler.isRunning ? "text-green-600" : "text-red-600"
+                      schedulerRunning ? "text-green-600" : "text-red-600"
                     }`}
                     fill="currentColor"
                     viewBox="0 0 20 20"
@@ -631,10 +679,10 @@ const Dashboard = () => {
                 <p className="font-semibold text-gray-900">Scheduler</p>
                 <p
                   className={`text-sm ${
-                    scheduler.isRunning ? "text-green-600" : "text-red-600"
+                    schedulerRunning ? "text-green-600" : "text-red-600"
                   }`}
                 >
-                  {scheduler.isRunning ? "Running" : "Stopped"}
+                  {schedulerRunning ? "Running" : "Stopped"}
                 </p>
               </div>
             </div>
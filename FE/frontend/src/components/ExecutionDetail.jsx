@@ -0,0 +1,312 @@
+"use client";
+
+import { useState } from "react";
+import { useParams, Link } from "react-router-dom";
+import { useExecution } from "../hooks/useExecutions";
+import ExecutionLogs from "./ExecutionLogs";
+import { formatDateTime } from "../utils/dateUtils";
+
+const ExecutionDetail = () => {
+  const { executionId } = useParams();
+  const [showLogs, setShowLogs] = useState(false);
+
+  const { execution, isLoading, isError, error } = useExecution(executionId);
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <div className="flex flex-col items-center space-y-4">
+          <div className="relative">
+            <div className="w-16 h-16 border-4 border-blue-200 rounded-full animate-spin"></div>
+            <div className="absolute top-0 left-0 w-16 h-16 border-4 border-blue-600 rounded-full animate-spin border-t-transparent"></div>
+          </div>
+          <div className="text-center">
+            <h3 className="text-lg font-medium text-gray-900">
+              Loading Execution
+            </h3>
+            <p className="text-gray-600">
+              Please wait while we fetch the execution details...
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (isError || !execution) {
+    return (
+      <div className="max-w-2xl mx-auto mt-8">
+        <div className="bg-red-50 border-l-4 border-red-400 p-6 rounded-lg shadow-sm">
+          <h3 className="text-lg font-medium text-red-800">
+            Error Loading Execution
+          </h3>
+          <p className="text-red-700 mt-1">
+            {error?.message || "Execution not found"}
+          </p>
+          <div className="mt-4">
+            <Link
+              to="/jobs"
+              className="bg-red-100 hover:bg-red-200 text-red-800 px-4 py-2 rounded-md text-sm font-medium transition-colors"
+            >
+              ← Back to Jobs
+            </Link>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const getStatusBadge = (status) => {
+    const styles = {
+      running: "bg-yellow-100 text-yellow-800 border-yellow-200",
+      completed: "bg-green-100 text-green-800 border-green-200",
+      failed: "bg-red-100 text-red-800 border-red-200",
+      timeout: "bg-red-100 text-red-800 border-red-200",
+      skipped: "bg-gray-100 text-gray-600 border-gray-200",
+      cancelled: "bg-orange-100 text-orange-800 border-orange-200",
+      abandoned: "bg-purple-100 text-purple-800 border-purple-200",
+    };
+    return (
+      <span
+        className={`px-3 py-1 rounded-full text-xs font-medium border ${
+          styles[status] || "bg-gray-100 text-gray-800 border-gray-200"
+        }`}
+      >
+        {status}
+      </span>
+    );
+  };
+
+  const details = [
+    { label: "Job", value: execution.jobName || execution.jobId },
+    { label: "Trigger Source", value: execution.triggerSource },
+    {
+      label: "Attempt",
+      value:
+        execution.retryCount > 0 ? `Retry ${execution.retryCount}` : "Initial",
+    },
+    {
+      label: "Scheduled For",
+      value: execution.scheduledFor && formatDateTime(execution.scheduledFor),
+    },
+    { label: "Started At", value: formatDateTime(execution.startedAt) },
+    { label: "Completed At", value: formatDateTime(execution.completedAt) },
+    {
+      label: "Duration",
+      value: execution.durationMs != null && `${execution.durationMs}ms`,
+    },
+    { label: "Instance", value: execution.instanceId, mono: true },
+    { label: "Host", value: execution.host, mono: true },
+    {
+      label: "Last Heartbeat",
+      value:
+        execution.status === "running" &&
+        formatDateTime(execution.heartbeatAt),
+    },
+    { label: "Workflow Run", value: execution.workflowRunId, mono: true },
+  ].filter((detail) => detail.value);
+
+  const hasOutput =
+    execution.output && Object.keys(execution.output).length > 0;
+
+  return (
+    <div className="space-y-8 p-4 sm:p-6 lg:p-8">
+      {/* Header */}
+      <div className="space-y-4">
+        <Link
+          to={`/jobs/${execution.jobId}`}
+          className="inline-flex items-center text-blue-600 hover:text-blue-800 text-sm font-medium transition-colors"
+        >
+          <svg
+            className="w-4 h-4 mr-2"
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+          >
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth={2}
+              d="M15 19l-7-7 7-7"
+            />
+          </svg>
+          Back to {execution.jobName || "Job"}
+        </Link>
+
+        <div className="flex flex-col lg:flex-row lg:items-start lg:justify-between space-y-4 lg:space-y-0">
+          <div className="flex-1">
+            <h1 className="text-3xl font-bold text-gray-900">Execution</h1>
+            <p className="text-gray-600 mt-2 font-mono text-sm">
+              {execution.id}
+            </p>
+            <div className="flex flex-wrap items-center gap-3 mt-4">
+              {getStatusBadge(execution.status)}
+              {execution.logTruncated && (
+                <span className="px-3 py-1 rounded-full text-xs font-medium border bg-amber-50 text-amber-700 border-amber-200">
+                  Log truncated
+                </span>
+              )}
+            </div>
+          </div>
+
+          <button
+            onClick={() => setShowLogs(true)}
+            className="bg-gray-800 hover:bg-gray-900 text-white px-4 py-2 rounded-lg font-medium transition-colors"
+          >
+            {execution.status === "running" ? "Tail Log" : "View Log"}
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 xl:grid-cols-3 gap-8">
+        {/* Execution Details */}
+        <div className="bg-white shadow-sm rounded-xl border border-gray-100 overflow-hidden">
+          <div className="bg-gradient-to-r from-blue-50 to-indigo-50 px-6 py-4 border-b border-gray-100">
+            <h3 className="text-lg font-semibold text-gray-900">Details</h3>
+          </div>
+          <div className="p-6 space-y-4">
+            {details.map((detail) => (
+              <div key={detail.label}>
+                <label className="block text-sm font-medium text-gray-500 mb-1">
+                  {detail.label}
+                </label>
+                <p
+                  className={`text-sm text-gray-900 break-all ${
+                    detail.mono ? "font-mono" : ""
+                  }`}
+                >
+                  {detail.value}
+                </p>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="xl:col-span-2 space-y-8">
+          {/* Error */}
+          {(execution.errorMessage || execution.errorStack) && (
+            <div className="bg-white shadow-sm rounded-xl border border-gray-100 overflow-hidden">
+              <div className="bg-gradient-to-r from-red-50 to-orange-50 px-6 py-4 border-b border-gray-100">
+                <h3 className="text-lg font-semibold text-gray-900">Error</h3>
+              </div>
+              <div className="p-6 space-y-4">
+                {execution.errorMessage && (
+                  <p className="text-sm text-red-700">
+                    {execution.errorMessage}
+                  </p>
+                )}
+                {execution.errorStack && (
+                  <pre className="text-xs font-mono bg-gray-50 border rounded-lg p-4 overflow-x-auto whitespace-pre">
+                    {execution.errorStack}
+                  </pre>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Output */}
+          <div className="bg-white shadow-sm rounded-xl border border-gray-100 overflow-hidden">
+            <div className="bg-gradient-to-r from-green-50 to-emerald-50 px-6 py-4 border-b border-gray-100">
+              <h3 className="text-lg font-semibold text-gray-900">Output</h3>
+            </div>
+            <div className="p-6">
+              {hasOutput ? (
+                <pre className="text-xs font-mono bg-gray-50 border rounded-lg p-4 overflow-x-auto max-h-96">
+                  {JSON.stringify(execution.output, null, 2)}
+                </pre>
+              ) : (
+                <p className="text-sm text-gray-500">
+                  {execution.status === "running"
+                    ? "The output is stored once the execution ends."
+                    : "The executor returned no output."}
+                </p>
+              )}
+            </div>
+          </div>
+
+          {/* Retry Chain */}
+          {execution.retryChain.length > 1 && (
+            <div className="bg-white shadow-sm rounded-xl border border-gray-100 overflow-hidden">
+              <div className="bg-gradient-to-r from-purple-50 to-pink-50 px-6 py-4 border-b border-gray-100">
+                <h3 className="text-lg font-semibold text-gray-900">
+                  Retry Chain
+                </h3>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Attempt
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Status
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Started At
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Error Message
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {execution.retryChain.map((attempt) => (
+                      <tr
+                        key={attempt.id}
+                        className={
+                          attempt.id === execution.id
+                            ? "bg-blue-50"
+                            : "hover:bg-gray-50 transition-colors"
+                        }
+                      >
+                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                          {attempt.id === execution.id ? (
+                            <span className="font-medium text-gray-900">
+                              {attempt.retryCount > 0
+                                ? `Retry ${attempt.retryCount}`
+                                : "Initial"}
+                            </span>
+                          ) : (
+                            <Link
+                              to={`/executions/${attempt.id}`}
+                              className="text-blue-600 hover:text-blue-800 font-medium"
+                            >
+                              {attempt.retryCount > 0
+                                ? `Retry ${attempt.retryCount}`
+                                : "Initial"}
+                            </Link>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          {getStatusBadge(attempt.status)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {formatDateTime(attempt.startedAt)}
+                        </td>
+                        <td className="px-6 py-4 text-sm text-red-600 max-w-xs truncate">
+                          {attempt.errorMessage || "-"}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Execution Log Modal */}
+      {showLogs && (
+        <ExecutionLogs
+          job={{ id: execution.jobId, name: execution.jobName }}
+          execution={execution}
+          onClose={() => setShowLogs(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ExecutionDetail;
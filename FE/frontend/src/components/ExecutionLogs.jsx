@@ -0,0 +1,153 @@
+"use client";
+
+import { useState, useEffect, useRef } from "react";
+import { useExecutionLogs } from "../hooks/useJobs";
+import { formatDateTime } from "../utils/dateUtils";
+
+const STREAM_FILTERS = [
+  { value: "", label: "All" },
+  { value: "stdout", label: "stdout" },
+  { value: "stderr", label: "stderr" },
+  { value: "log", label: "log" },
+];
+
+const STREAM_STYLES = {
+  stdout: "text-gray-100",
+  stderr: "text-red-400",
+  log: "text-sky-300",
+};
+
+const ExecutionLogs = ({ job, execution, onClose }) => {
+  const [streamFilter, setStreamFilter] = useState("");
+  const [autoScroll, setAutoScroll] = useState(true);
+  const logRef = useRef(null);
+
+  const { chunks, status, truncated, isLoading, isStreaming, error } =
+    useExecutionLogs(job.id, execution.id, execution.status === "running");
+
+  const visibleChunks = streamFilter
+    ? chunks.filter((chunk) => chunk.stream === streamFilter)
+    : chunks;
+
+  // Keep the newest output in view while tailing
+  useEffect(() => {
+    if (autoScroll && logRef.current) {
+      logRef.current.scrollTop = logRef.current.scrollHeight;
+    }
+  }, [visibleChunks.length, autoScroll]);
+
+  const handleScroll = () => {
+    const element = logRef.current;
+    setAutoScroll(
+      element.scrollHeight - element.scrollTop - element.clientHeight < 20
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 overflow-y-auto h-full w-full z-50 flex items-center justify-center p-4">
+      <div className="relative bg-white rounded-xl shadow-2xl w-full max-w-5xl max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="bg-white border-b border-gray-200 px-6 py-4 rounded-t-xl">
+          <div className="flex items-center justify-between">
+            <div>
+              <h3 className="text-xl font-semibold text-gray-900 flex items-center">
+                Execution Log
+                {isStreaming && (
+                  <span className="ml-3 inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800 border border-green-200">
+                    <span className="w-2 h-2 mr-1 rounded-full bg-green-500 animate-pulse" />
+                    Live
+                  </span>
+                )}
+              </h3>
+              <p className="text-sm text-gray-600 mt-1">
+                {job.name} · started{" "}
+                {execution.startedAt
+                  ? formatDateTime(execution.startedAt, job.timezone)
+                  : "-"}{" "}
+                · {status || execution.status}
+              </p>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors p-2 hover:bg-gray-100 rounded-lg"
+            >
+              <svg
+                className="w-6 h-6"
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M6 18L18 6M6 6l12 12"
+                />
+              </svg>
+            </button>
+          </div>
+
+          <div className="flex items-center space-x-2 mt-4">
+            {STREAM_FILTERS.map((filter) => (
+              <button
+                key={filter.value}
+                onClick={() => setStreamFilter(filter.value)}
+                className={`px-3 py-1 rounded-lg text-xs font-medium border transition-colors ${
+                  streamFilter === filter.value
+                    ? "bg-blue-600 text-white border-blue-600"
+                    : "bg-white text-gray-700 border-gray-300 hover:bg-gray-50"
+                }`}
+              >
+                {filter.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Log output */}
+        <div
+          ref={logRef}
+          onScroll={handleScroll}
+          className="flex-1 overflow-y-auto bg-gray-900 px-6 py-4 min-h-[20rem]"
+        >
+          {isLoading ? (
+            <p className="text-sm text-gray-400">Loading log...</p>
+          ) : visibleChunks.length > 0 ? (
+            <pre className="text-xs font-mono whitespace-pre-wrap break-words">
+              {visibleChunks.map((chunk) => (
+                <span
+                  key={chunk.seq}
+                  className={STREAM_STYLES[chunk.stream]}
+                  title={`${chunk.stream} · ${formatDateTime(
+                    chunk.createdAt,
+                    job.timezone
+                  )}`}
+                >
+                  {chunk.content}
+                </span>
+              ))}
+            </pre>
+          ) : (
+            <p className="text-sm text-gray-400">
+              {isStreaming
+                ? "Waiting for output..."
+                : "No output was captured for this execution."}
+            </p>
+          )}
+          {error && (
+            <p className="mt-2 text-sm text-red-400">{error.message}</p>
+          )}
+        </div>
+
+        {truncated && (
+          <div className="px-6 py-3 border-t border-gray-200 bg-amber-50 text-sm text-amber-800 rounded-b-xl">
+            The execution wrote more output than the log size limit; the rest
+            was dropped.
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ExecutionLogs;
@@ -0,0 +1,395 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { useExecutions } from "../hooks/useExecutions";
+import { formatDateTimeShort } from "../utils/dateUtils";
+
+const EMPTY_FILTERS = {
+  status: "",
+  triggerSource: "",
+  from: "",
+  to: "",
+  jobId: "",
+  tags: "",
+  minDurationMs: "",
+  maxDurationMs: "",
+  error: "",
+};
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Turn the form values into search parameters, leaving out the ones the
+// API would reject while they are still being typed
+const toSearchParams = (filters) => ({
+  ...filters,
+  from: filters.from ? new Date(filters.from).toISOString() : "",
+  to: filters.to ? new Date(filters.to).toISOString() : "",
+  jobId: UUID_PATTERN.test(filters.jobId.trim()) ? filters.jobId.trim() : "",
+});
+
+const Executions = () => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+
+  const {
+    executions,
+    pageNumber,
+    hasNext,
+    hasPrev,
+    isLoading,
+    isFetching,
+    isError,
+    error,
+    updateParams,
+    nextPage,
+    previousPage,
+  } = useExecutions();
+
+  // Apply filters with debounce
+  useEffect(() => {
+    const timeoutId = setTimeout(() => {
+      updateParams(toSearchParams(filters));
+    }, 500);
+    return () => clearTimeout(timeoutId);
+  }, [filters, updateParams]);
+
+  const handleFilterChange = (field, value) => {
+    setFilters((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const getStatusBadge = (status) => {
+    const styles = {
+      running: "bg-yellow-100 text-yellow-800 border-yellow-200",
+      completed: "bg-green-100 text-green-800 border-green-200",
+      failed: "bg-red-100 text-red-800 border-red-200",
+      timeout: "bg-red-100 text-red-800 border-red-200",
+      skipped: "bg-gray-100 text-gray-600 border-gray-200",
+      cancelled: "bg-orange-100 text-orange-800 border-orange-200",
+      abandoned: "bg-purple-100 text-purple-800 border-purple-200",
+    };
+    return (
+      <span
+        className={`px-3 py-1 rounded-full text-xs font-medium border ${
+          styles[status] || "bg-gray-100 text-gray-800 border-gray-200"
+        }`}
+      >
+        {status}
+      </span>
+    );
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <div className="flex flex-col items-center space-y-4">
+          <div className="relative">
+            <div className="w-16 h-16 border-4 border-blue-200 rounded-full animate-spin"></div>
+            <div className="absolute top-0 left-0 w-16 h-16 border-4 border-blue-600 rounded-full animate-spin border-t-transparent"></div>
+          </div>
+          <div className="text-center">
+            <h3 className="text-lg font-medium text-gray-900">
+              Loading Executions
+            </h3>
+            <p className="text-gray-600">
+              Please wait while we fetch the executions...
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const hasActiveFilters = Object.values(filters).some((value) => value !== "");
+  const inputClassName =
+    "w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors";
+
+  return (
+    <div className="space-y-8 p-4 sm:p-6 lg:p-8">
+      {/* Header */}
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Executions</h1>
+        <p className="text-gray-600 mt-1">
+          Search the runs of every job, newest first
+        </p>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
+        <div className="bg-gradient-to-r from-gray-50 to-blue-50 px-6 py-4 border-b border-gray-100">
+          <div className="flex items-center justify-between">
+            <h3 className="text-lg font-medium text-gray-900">Filters</h3>
+            {hasActiveFilters && (
+              <button
+                onClick={() => setFilters(EMPTY_FILTERS)}
+                className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+              >
+                Clear All
+              </button>
+            )}
+          </div>
+        </div>
+        <div className="p-6">
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Status
+              </label>
+              <select
+                value={filters.status}
+                onChange={(e) => handleFilterChange("status", e.target.value)}
+                className={inputClassName}
+              >
+                <option value="">All Statuses</option>
+                <option value="failed,timeout">Failed or timed out</option>
+                <option value="running">Running</option>
+                <option value="completed">Completed</option>
+                <option value="failed">Failed</option>
+                <option value="timeout">Timeout</option>
+                <option value="skipped">Skipped</option>
+                <option value="cancelled">Cancelled</option>
+                <option value="abandoned">Abandoned</option>
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Trigger Source
+              </label>
+              <select
+                value={filters.triggerSource}
+                onChange={(e) =>
+                  handleFilterChange("triggerSource", e.target.value)
+                }
+                className={inputClassName}
+              >
+                <option value="">All Sources</option>
+                <option value="schedule">Schedule</option>
+                <option value="manual">Manual</option>
+                <option value="retry">Retry</option>
+                <option value="catch-up">Catch-up</option>
+                <option value="workflow">Workflow</option>
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Started From
+              </label>
+              <input
+                type="datetime-local"
+                value={filters.from}
+                onChange={(e) => handleFilterChange("from", e.target.value)}
+                className={inputClassName}
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Started Before
+              </label>
+              <input
+                type="datetime-local"
+                value={filters.to}
+                onChange={(e) => handleFilterChange("to", e.target.value)}
+                className={inputClassName}
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Job ID
+              </label>
+              <input
+                type="text"
+                placeholder="Job UUID"
+                value={filters.jobId}
+                onChange={(e) => handleFilterChange("jobId", e.target.value)}
+                className={`${inputClassName} font-mono text-sm`}
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Job Tags
+              </label>
+              <input
+                type="text"
+                placeholder="production, daily, backup"
+                value={filters.tags}
+                onChange={(e) => handleFilterChange("tags", e.target.value)}
+                className={inputClassName}
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Duration (ms)
+              </label>
+              <div className="flex items-center space-x-2">
+                <input
+                  type="number"
+                  min="0"
+                  placeholder="Min"
+                  value={filters.minDurationMs}
+                  onChange={(e) =>
+                    handleFilterChange("minDurationMs", e.target.value)
+                  }
+                  className={inputClassName}
+                />
+                <input
+                  type="number"
+                  min="0"
+                  placeholder="Max"
+                  value={filters.maxDurationMs}
+                  onChange={(e) =>
+                    handleFilterChange("maxDurationMs", e.target.value)
+                  }
+                  className={inputClassName}
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Error Message
+              </label>
+              <input
+                type="text"
+                placeholder="Text in the error..."
+                value={filters.error}
+                onChange={(e) => handleFilterChange("error", e.target.value)}
+                className={inputClassName}
+              />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {isError && (
+        <div className="bg-red-50 border-l-4 border-red-400 p-4 rounded-lg text-sm text-red-700">
+          {error?.message}
+        </div>
+      )}
+
+      {/* Results */}
+      <div className="bg-white shadow-sm rounded-xl border border-gray-100 overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Started At
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Job
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Status
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Trigger
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Duration
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Error Message
+                </th>
+              </tr>
+            </thead>
+            <tbody
+              className={`bg-white divide-y divide-gray-200 ${
+                isFetching ? "opacity-60" : ""
+              }`}
+            >
+              {executions.map((execution) => (
+                <tr
+                  key={execution.id}
+                  className="hover:bg-gray-50 transition-colors"
+                >
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <Link
+                      to={`/executions/${execution.id}`}
+                      className="text-blue-600 hover:text-blue-800 font-medium"
+                    >
+                      {formatDateTimeShort(execution.startedAt)}
+                    </Link>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <Link
+                      to={`/jobs/${execution.jobId}`}
+                      className="text-gray-900 hover:text-blue-600"
+                    >
+                      {execution.jobName}
+                    </Link>
+                    {execution.retryCount > 0 && (
+                      <span className="ml-2 text-xs text-gray-500">
+                        retry {execution.retryCount}
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    {getStatusBadge(execution.status)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                    {execution.triggerSource}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {execution.durationMs != null
+                      ? `${execution.durationMs}ms`
+                      : "-"}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-red-600 max-w-xs truncate">
+                    {execution.errorMessage || "-"}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {executions.length === 0 && (
+          <div className="text-center py-12">
+            <h3 className="text-sm font-medium text-gray-900">
+              No executions found
+            </h3>
+            <p className="mt-1 text-sm text-gray-500">
+              {hasActiveFilters
+                ? "Try adjusting your filters"
+                : "Executions appear here once jobs start running"}
+            </p>
+          </div>
+        )}
+      </div>
+
+      {/* Pagination */}
+      {(hasPrev || hasNext) && (
+        <div className="flex items-center justify-between bg-white rounded-xl border border-gray-100 px-6 py-4">
+          <div className="text-sm text-gray-700">
+            Page <span className="font-medium">{pageNumber}</span>
+          </div>
+
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={previousPage}
+              disabled={!hasPrev}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              Previous
+            </button>
+            <button
+              onClick={nextPage}
+              disabled={!hasNext}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Executions;
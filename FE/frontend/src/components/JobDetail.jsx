@@ -4,11 +4,17 @@ import { useState } from "react";
 import { useParams, Link } from "react-router-dom";
 import { useJob, useJobExecutions, useJobMutations } from "../hooks/useJobs";
 import JobForm from "./JobForm";
+import ExecutionLogs from "./ExecutionLogs";
+import { formatDateTime, toRateExpression } from "../utils/dateUtils";
 
 const JobDetail = () => {
   const { id } = useParams();
   const [showEditForm, setShowEditForm] = useState(false);
   const [executionPage, setExecutionPage] = useState(1);
+  const [showPauseForm, setShowPauseForm] = useState(false);
+  const [pauseReason, setPauseReason] = useState("");
+  const [pauseResumeAt, setPauseResumeAt] = useState("");
+  const [logExecution, setLogExecution] = useState(null);
 
   const { job, executionHistory, isScheduled, isLoading, isError, error } =
     useJob(id);
@@ -18,12 +24,40 @@ const JobDetail = () => {
   const {
     deleteJob,
     triggerJob,
+    cancelExecution,
     toggleJobStatus,
+    pauseJob,
+    resumeJob,
     isDeleting,
     isTriggering,
+    isCancellingExecution,
     isTogglingStatus,
+    isPausing,
+    isResuming,
   } = useJobMutations();
 
+  const handlePause = (event) => {
+    event.preventDefault();
+    pauseJob(
+      {
+        jobId: job.id,
+        pause: {
+          reason: pauseReason.trim(),
+          resumeAt: pauseResumeAt
+            ? new Date(pauseResumeAt).toISOString()
+            : undefined,
+        },
+      },
+      {
+        onSuccess: () => {
+          setShowPauseForm(false);
+          setPauseReason("");
+          setPauseResumeAt("");
+        },
+      }
+    );
+  };
+
   if (isLoading) {
     return (
       <div className="flex items-center justify-center min-h-[400px]">
@@ -99,6 +133,9 @@ const JobDetail = () => {
       completed: "bg-green-100 text-green-800 border-green-200",
       failed: "bg-red-100 text-red-800 border-red-200",
       timeout: "bg-red-100 text-red-800 border-red-200",
+      skipped: "bg-gray-100 text-gray-600 border-gray-200",
+      cancelled: "bg-orange-100 text-orange-800 border-orange-200",
+      abandoned: "bg-purple-100 text-purple-800 border-purple-200",
     };
     return (
       <span
@@ -129,37 +166,6 @@ const JobDetail = () => {
     );
   };
 
-  const formatDateTime = (dateString) => {
-    if (!dateString) return null;
-    try {
-      const date = new Date(dateString);
-      if (isNaN(date.getTime())) {
-        return "Invalid date";
-      }
-      const formatter = new Intl.DateTimeFormat("en-US", {
-        timeZone: "Asia/Kolkata",
-        month: "short",
-        day: "2-digit",
-        year: "numeric",
-        hour: "2-digit",
-        minute: "2-digit",
-        second: "2-digit",
-        hour12: false,
-      });
-      const parts = formatter.formatToParts(date);
-      const month = parts.find((part) => part.type === "month")?.value;
-      const day = parts.find((part) => part.type === "day")?.value;
-      const year = parts.find((part) => part.type === "year")?.value;
-      const hour = parts.find((part) => part.type === "hour")?.value;
-      const minute = parts.find((part) => part.type === "minute")?.value;
-      const second = parts.find((part) => part.type === "second")?.value;
-      return `${month} ${day}, ${year} ${hour}:${minute}:${second}`;
-    } catch (error) {
-      console.error("Date formatting error:", error);
-      return "Invalid date";
-    }
-  };
-
   return (
     <div className="space-y-8 p-4 sm:p-6 lg:p-8">
       {/* Header */}
@@ -196,8 +202,16 @@ const JobDetail = () => {
                     : "bg-red-100 text-red-800 border border-red-200"
                 }`}
               >
-                {job.isActive ? "Active" : "Inactive"}
+                {job.isActive ? "Active" : job.pausedAt ? "Paused" : "Inactive"}
               </span>
+              {!job.isActive && job.inactiveReason && (
+                <span className="text-sm text-gray-600">
+                  {job.inactiveReason}
+                  {job.pausedBy && ` (paused by ${job.pausedBy})`}
+                  {job.resumeAt &&
+                    ` · resumes ${formatDateTime(job.resumeAt, job.timezone)}`}
+                </span>
+              )}
               {isScheduled && (
                 <span className="px-3 py-1 bg-blue-100 text-blue-800 border border-blue-200 rounded-full text-sm font-medium">
                   Scheduled
@@ -238,6 +252,25 @@ const JobDetail = () => {
               )}
             </button>
 
+            {job.pausedAt ? (
+              <button
+                onClick={() => resumeJob(job.id)}
+                disabled={isResuming}
+                className="bg-green-600 hover:bg-green-700 disabled:bg-green-400 text-white px-4 py-2 rounded-lg font-medium transition-colors"
+              >
+                {isResuming ? "Resuming..." : "Resume"}
+              </button>
+            ) : (
+              job.isActive && (
+                <button
+                  onClick={() => setShowPauseForm(!showPauseForm)}
+                  className="bg-orange-500 hover:bg-orange-600 text-white px-4 py-2 rounded-lg font-medium transition-colors"
+                >
+                  Pause
+                </button>
+              )
+            )}
+
             <button
               onClick={() => toggleJobStatus(job.id, !job.isActive)}
               disabled={isTogglingStatus}
@@ -308,6 +341,55 @@ const JobDetail = () => {
             </button>
           </div>
         </div>
+
+        {showPauseForm && (
+          <form
+            onSubmit={handlePause}
+            className="mt-6 p-4 bg-orange-50 border border-orange-200 rounded-lg grid grid-cols-1 md:grid-cols-3 gap-4 items-end"
+          >
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Reason <span className="text-red-500">*</span>
+              </label>
+              <input
+                type="text"
+                value={pauseReason}
+                onChange={(e) => setPauseReason(e.target.value)}
+                maxLength={255}
+                required
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500"
+                placeholder="e.g. Upstream API maintenance"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Resume At (optional)
+              </label>
+              <input
+                type="datetime-local"
+                value={pauseResumeAt}
+                onChange={(e) => setPauseResumeAt(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500"
+              />
+            </div>
+            <div className="md:col-span-3 flex justify-end gap-3">
+              <button
+                type="button"
+                onClick={() => setShowPauseForm(false)}
+                className="px-4 py-2 rounded-lg font-medium text-gray-700 bg-white border border-gray-300 hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isPausing || !pauseReason.trim()}
+                className="bg-orange-500 hover:bg-orange-600 disabled:bg-orange-300 text-white px-4 py-2 rounded-lg font-medium transition-colors"
+              >
+                {isPausing ? "Pausing..." : "Pause Job"}
+              </button>
+            </div>
+          </form>
+        )}
       </div>
 
       {/* Job Overview */}
@@ -320,12 +402,60 @@ const JobDetail = () => {
           <div className="p-6">
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
               <div className="space-y-4">
+                {job.jobType === "immediate" || job.jobType === "delayed" ? (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-500 mb-2">
+                      Runs Once At
+                    </label>
+                    <p className="text-sm bg-gray-50 px-3 py-2 rounded-lg border">
+                      {formatDateTime(job.runAt, job.timezone)}
+                    </p>
+                  </div>
+                ) : (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-500 mb-2">
+                      {job.cronExpression ? "Cron Expression" : "Interval"}
+                    </label>
+                    <p className="text-sm font-mono bg-gray-50 px-3 py-2 rounded-lg border">
+                      {job.cronExpression || toRateExpression(job.intervalMs)}
+                    </p>
+                    {job.intervalAnchor && (
+                      <p className="mt-1 text-xs text-gray-500">
+                        Starting {formatDateTime(job.intervalAnchor, job.timezone)}
+                      </p>
+                    )}
+                  </div>
+                )}
+                {(job.startsAt || job.endsAt) && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-500 mb-2">
+                      Validity Window
+                    </label>
+                    <p className="text-sm bg-gray-50 px-3 py-2 rounded-lg border">
+                      {job.startsAt
+                        ? formatDateTime(job.startsAt, job.timezone)
+                        : "Any time"}
+                      {" – "}
+                      {job.endsAt
+                        ? formatDateTime(job.endsAt, job.timezone)
+                        : "no end"}
+                    </p>
+                  </div>
+                )}
+                <div>
+                  <label className="block text-sm font-medium text-gray-500 mb-2">
+                    Executor
+                  </label>
+                  <p className="text-sm font-mono bg-gray-50 px-3 py-2 rounded-lg border">
+                    {job.executorType || "noop"}
+                  </p>
+                </div>
                 <div>
                   <label className="block text-sm font-medium text-gray-500 mb-2">
-                    Cron Expression
+                    Timezone
                   </label>
                   <p className="text-sm font-mono bg-gray-50 px-3 py-2 rounded-lg border">
-                    {job.cronExpression}
+                    {job.timezone || "UTC"}
                   </p>
                 </div>
                 <div>
@@ -363,12 +493,60 @@ const JobDetail = () => {
                     {job.configuration?.retryDelayMs || 5000}ms
                   </p>
                 </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-500 mb-2">
+                    Misfire Policy
+                  </label>
+                  <p className="text-sm bg-gray-50 px-3 py-2 rounded-lg border">
+                    {job.configuration?.misfirePolicy || "run-once"}
+                    {job.configuration?.misfirePolicy === "run-all" &&
+                      ` (max ${job.configuration?.misfireLimit || 10})`}
+                  </p>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-500 mb-2">
+                    Concurrency Policy
+                  </label>
+                  <p className="text-sm bg-gray-50 px-3 py-2 rounded-lg border">
+                    {job.configuration?.concurrencyPolicy || "forbid"}
+                    {job.configuration?.concurrencyPolicy === "allow" &&
+                      ` (max ${job.configuration?.maxConcurrency || 1} parallel)`}
+                  </p>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-500 mb-2">
+                    Recovery Policy
+                  </label>
+                  <p className="text-sm bg-gray-50 px-3 py-2 rounded-lg border">
+                    {job.configuration?.recoveryPolicy || "requeue"}
+                  </p>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-500 mb-2">
+                    Priority
+                  </label>
+                  <p className="text-sm bg-gray-50 px-3 py-2 rounded-lg border">
+                    {job.configuration?.priority ?? 0}
+                  </p>
+                </div>
+                {job.configuration?.resourceGroup && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-500 mb-2">
+                      Resource Group
+                    </label>
+                    <p className="text-sm bg-gray-50 px-3 py-2 rounded-lg border">
+                      {job.configuration.resourceGroup}
+                    </p>
+                  </div>
+                )}
                 <div>
                   <label className="block text-sm font-medium text-gray-500 mb-2">
                     Created At
                   </label>
                   <p className="text-sm bg-gray-50 px-3 py-2 rounded-lg border">
-                    {job.createdAt ? formatDateTime(job.createdAt) : "Unknown"}
+                    {job.createdAt
+                      ? formatDateTime(job.createdAt, job.timezone)
+                      : "Unknown"}
                   </p>
                 </div>
                 {job.lastRunAt && (
@@ -377,7 +555,7 @@ const JobDetail = () => {
                       Last Run
                     </label>
                     <p className="text-sm bg-gray-50 px-3 py-2 rounded-lg border">
-                      {formatDateTime(job.lastRunAt)}
+                      {formatDateTime(job.lastRunAt, job.timezone)}
                     </p>
                   </div>
                 )}
@@ -387,7 +565,7 @@ const JobDetail = () => {
                       Next Run
                     </label>
                     <p className="text-sm bg-green-50 px-3 py-2 rounded-lg border border-green-200 text-green-800">
-                      {formatDateTime(job.nextRunAt)}
+                      {formatDateTime(job.nextRunAt, job.timezone)}
                     </p>
                   </div>
                 )}
@@ -491,9 +669,15 @@ const JobDetail = () => {
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Duration
                     </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Attempt
+                    </th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Error Message
                     </th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Actions
+                    </th>
                   </tr>
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
@@ -505,20 +689,19 @@ const JobDetail = () => {
                       <td className="px-6 py-4 whitespace-nowrap">
                         {getStatusBadge(execution.status)}
                       </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                        {execution.startedAt
-                          ? format(
-                              new Date(execution.startedAt),
-                              "MMM dd, HH:mm:ss"
-                            )
-                          : "-"}
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        <Link
+                          to={`/executions/${execution.id}`}
+                          className="text-blue-600 hover:text-blue-800 font-medium"
+                        >
+                          {execution.startedAt
+                            ? formatDateTime(execution.startedAt, job.timezone)
+                            : "-"}
+                        </Link>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                         {execution.completedAt
-                          ? format(
-                              new Date(execution.completedAt),
-                              "MMM dd, HH:mm:ss"
-                            )
+                          ? formatDateTime(execution.completedAt, job.timezone)
                           : "-"}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
@@ -530,9 +713,51 @@ const JobDetail = () => {
                           "-"
                         )}
                       </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {execution.retryCount > 0
+                          ? `Retry ${execution.retryCount}`
+                          : "Initial"}
+                        {execution.triggerSource === "catch-up" && (
+                          <span
+                            className="ml-2 bg-amber-50 text-amber-700 px-2 py-1 rounded text-xs font-medium"
+                            title={
+                              execution.scheduledFor
+                                ? `Missed run for ${formatDateTime(
+                                    execution.scheduledFor,
+                                    job.timezone
+                                  )}`
+                                : undefined
+                            }
+                          >
+                            Catch-up
+                          </span>
+                        )}
+                      </td>
                       <td className="px-6 py-4 text-sm text-red-600 max-w-xs truncate">
                         {execution.errorMessage || "-"}
                       </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm space-x-2">
+                        <button
+                          onClick={() => setLogExecution(execution)}
+                          className="px-3 py-1 rounded-lg text-xs font-medium border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors"
+                        >
+                          Logs
+                        </button>
+                        {execution.status === "running" && (
+                          <button
+                            onClick={() =>
+                              cancelExecution({
+                                jobId: job.id,
+                                executionId: execution.id,
+                              })
+                            }
+                            disabled={isCancellingExecution}
+                            className="px-3 py-1 rounded-lg text-xs font-medium border border-red-200 text-red-700 hover:bg-red-50 disabled:opacity-50 transition-colors"
+                          >
+                            Cancel
+                          </button>
+                        )}
+                      </td>
                     </tr>
                   ))}
                 </tbody>
@@ -598,6 +823,16 @@ const JobDetail = () => {
       {showEditForm && (
         <JobForm job={job} onClose={() => setShowEditForm(false)} />
       )}
+
+      {/* Execution Log Modal */}
+      {logExecution && (
+        <ExecutionLogs
+          key={logExecution.id}
+          job={job}
+          execution={logExecution}
+          onClose={() => setLogExecution(null)}
+        />
+      )}
     </div>
   );
 };
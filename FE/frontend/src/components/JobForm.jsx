@@ -3,6 +3,24 @@
 import { useState, useEffect } from "react";
 import { useForm } from "react-hook-form";
 import { useJobMutations } from "../hooks/useJobs";
+import jobService from "../services/jobService";
+import {
+  getLocalTimeZone,
+  getSupportedTimeZones,
+  isValidTimeZone,
+  toDateTimeLocalValue,
+  toRateExpression,
+} from "../utils/dateUtils";
+
+// Client-side shape check, same pattern as the API and the jobs table; the API
+// then validates the values with the scheduler's engine
+const CRON_NAMES =
+  "JAN|FEB|MAR|APR|MAY|JUN|JUL|AUG|SEP|OCT|NOV|DEC|SUN|MON|TUE|WED|THU|FRI|SAT";
+const CRON_FIELD = `(?:[0-9*?/,#LW-]|${CRON_NAMES})+`;
+const CRON_SHAPE = new RegExp(
+  `^(@(yearly|annually|monthly|weekly|daily|midnight|hourly)|${CRON_FIELD}( ${CRON_FIELD}){4,5}|rate\\([0-9]+ (second|minute|hour|day)s?\\))$`,
+  "i"
+);
 
 const JobForm = ({ job, onClose }) => {
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -11,7 +29,7 @@ const JobForm = ({ job, onClose }) => {
   const {
     register,
     handleSubmit,
-    formState: { errors },
+    formState: { errors, dirtyFields },
     setValue,
     watch,
     reset,
@@ -20,12 +38,24 @@ const JobForm = ({ job, onClose }) => {
       name: "",
       description: "",
       cronExpression: "0 0 * * *",
+      runAt: "",
+      startsAt: "",
+      endsAt: "",
+      timezone: getLocalTimeZone(),
       isActive: true,
       jobType: "scheduled",
+      executorType: "noop",
       payload: "{}",
       timeoutMs: 30000,
       maxRetries: 3,
       retryDelayMs: 5000,
+      misfirePolicy: "run-once",
+      misfireLimit: 10,
+      concurrencyPolicy: "forbid",
+      maxConcurrency: 1,
+      recoveryPolicy: "requeue",
+      resourceGroup: "",
+      priority: 0,
       createdBy: "",
       tags: "",
     },
@@ -33,17 +63,46 @@ const JobForm = ({ job, onClose }) => {
 
   const { createJob, updateJob } = useJobMutations();
 
+  // Immediate and delayed jobs run once instead of on a cron schedule
+  const jobType = watch("jobType");
+  const isOneOff = jobType === "immediate" || jobType === "delayed";
+
   useEffect(() => {
     if (job) {
       setValue("name", job.name || "");
       setValue("description", job.description || "");
-      setValue("cronExpression", job.cronExpression || "0 0 * * *");
+      setValue(
+        "cronExpression",
+        job.cronExpression ||
+          (job.intervalMs ? toRateExpression(job.intervalMs) : "0 0 * * *")
+      );
+      setValue("runAt", toDateTimeLocalValue(job.runAt));
+      setValue("startsAt", toDateTimeLocalValue(job.startsAt));
+      setValue("endsAt", toDateTimeLocalValue(job.endsAt));
+      setValue("timezone", job.timezone || getLocalTimeZone());
       setValue("isActive", job.isActive ?? true);
       setValue("jobType", job.jobType || "scheduled");
+      setValue("executorType", job.executorType || "noop");
       setValue("payload", JSON.stringify(job.payload || {}, null, 2));
       setValue("timeoutMs", job.configuration?.timeoutMs || 30000);
       setValue("maxRetries", job.configuration?.maxRetries || 3);
       setValue("retryDelayMs", job.configuration?.retryDelayMs || 5000);
+      setValue(
+        "misfirePolicy",
+        job.configuration?.misfirePolicy || "run-once"
+      );
+      setValue("misfireLimit", job.configuration?.misfireLimit || 10);
+      setValue(
+        "concurrencyPolicy",
+        job.configuration?.concurrencyPolicy || "forbid"
+      );
+      setValue("maxConcurrency", job.configuration?.maxConcurrency || 1);
+      setValue(
+        "recoveryPolicy",
+        job.configuration?.recoveryPolicy || "requeue"
+      );
+      setValue("resourceGroup", job.configuration?.resourceGroup || "");
+      setValue("priority", job.configuration?.priority ?? 0);
       setValue("createdBy", job.createdBy || "");
       setValue("tags", job.tags ? job.tags.join(", ") : "");
     }
@@ -69,13 +128,47 @@ const JobForm = ({ job, onClose }) => {
       const jobData = {
         name: data.name,
         description: data.description,
-        cronExpression: data.cronExpression,
+        // An untouched interval schedule is left as it is
+        cronExpression:
+          isOneOff ||
+          (isEditing && job.intervalMs && !dirtyFields.cronExpression)
+            ? undefined
+            : data.cronExpression,
+        runAt:
+          data.jobType === "delayed"
+            ? new Date(data.runAt).toISOString()
+            : undefined,
+        // A cleared window bound is removed from an existing job
+        startsAt: data.startsAt
+          ? new Date(data.startsAt).toISOString()
+          : isEditing
+          ? null
+          : undefined,
+        endsAt: data.endsAt
+          ? new Date(data.endsAt).toISOString()
+          : isEditing
+          ? null
+          : undefined,
+        timezone: data.timezone.trim(),
         isActive: data.isActive,
         jobType: data.jobType,
+        executorType: data.executorType,
         payload,
         timeoutMs: Number.parseInt(data.timeoutMs),
         maxRetries: Number.parseInt(data.maxRetries),
         retryDelayMs: Number.parseInt(data.retryDelayMs),
+        misfirePolicy: data.misfirePolicy,
+        misfireLimit: Number.parseInt(data.misfireLimit),
+        concurrencyPolicy: data.concurrencyPolicy,
+        maxConcurrency: Number.parseInt(data.maxConcurrency),
+        recoveryPolicy: data.recoveryPolicy,
+        // A cleared resource group is removed from an existing job
+        resourceGroup: data.resourceGroup.trim()
+          ? data.resourceGroup.trim()
+          : isEditing
+          ? null
+          : undefined,
+        priority: Number.parseInt(data.priority),
         createdBy: data.createdBy,
         tags: tags.length > 0 ? tags : undefined,
       };
@@ -97,13 +190,18 @@ const JobForm = ({ job, onClose }) => {
   const cronPresets = [
     { label: "Every minute", value: "* * * * *" },
     { label: "Every 5 minutes", value: "*/5 * * * *" },
+    { label: "Every 30 seconds", value: "*/30 * * * * *" },
+    { label: "Every 90 seconds", value: "rate(90 seconds)" },
     { label: "Every hour", value: "0 * * * *" },
     { label: "Daily at midnight", value: "0 0 * * *" },
     { label: "Daily at 9 AM", value: "0 9 * * *" },
+    { label: "Weekdays at 9 AM", value: "0 9 * * MON-FRI" },
     { label: "Weekly (Sunday)", value: "0 0 * * 0" },
     { label: "Monthly (1st)", value: "0 0 1 * *" },
   ];
 
+  const timeZones = getSupportedTimeZones();
+
   const jobTypes = [
     { value: "scheduled", label: "Scheduled" },
     { value: "immediate", label: "Immediate" },
@@ -111,6 +209,31 @@ const JobForm = ({ job, onClose }) => {
     { value: "delayed", label: "Delayed" },
   ];
 
+  const executorTypes = [
+    { value: "noop", label: "No-op (echo payload)" },
+    { value: "http", label: "HTTP request" },
+    { value: "node-module", label: "Node module" },
+    { value: "shell", label: "Shell command" },
+  ];
+
+  const misfirePolicies = [
+    { value: "skip", label: "Skip missed runs" },
+    { value: "run-once", label: "Run once" },
+    { value: "run-all", label: "Run all (up to limit)" },
+  ];
+
+  const concurrencyPolicies = [
+    { value: "forbid", label: "Forbid (skip overlapping runs)" },
+    { value: "allow", label: "Allow (up to max parallel)" },
+    { value: "queue", label: "Queue (wait for the running one)" },
+    { value: "replace", label: "Replace (stop the running one)" },
+  ];
+
+  const recoveryPolicies = [
+    { value: "requeue", label: "Requeue (retry while attempts remain)" },
+    { value: "abandon", label: "Abandon (never run again)" },
+  ];
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 overflow-y-auto h-full w-full z-50 flex items-center justify-center p-4">
       <div className="relative bg-white rounded-xl shadow-2xl w-full max-w-5xl max-h-[90vh] overflow-y-auto">
@@ -234,6 +357,25 @@ const JobForm = ({ job, onClose }) => {
                     </select>
                   </div>
 
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Executor
+                    </label>
+                    <select
+                      {...register("executorType")}
+                      className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                    >
+                      {executorTypes.map((type) => (
+                        <option key={type.value} value={type.value}>
+                          {type.label}
+                        </option>
+                      ))}
+                    </select>
+                    <p className="mt-1 text-xs text-gray-500">
+                      The payload below holds the executor's configuration
+                    </p>
+                  </div>
+
                   <div className="flex items-center space-x-3 p-3 bg-gray-50 rounded-lg">
                     <input
                       type="checkbox"
@@ -320,55 +462,174 @@ const JobForm = ({ job, onClose }) => {
                 </h4>
 
                 <div className="space-y-4">
+                  {jobType === "immediate" && (
+                    <p className="text-sm text-gray-700 p-3 bg-white rounded-lg border border-green-200">
+                      Runs once as soon as it is saved, then the job is
+                      deactivated.
+                    </p>
+                  )}
+
+                  {jobType === "delayed" && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Run At <span className="text-red-500">*</span>
+                      </label>
+                      <input
+                        type="datetime-local"
+                        {...register("runAt", {
+                          required: "Run time is required for delayed jobs",
+                        })}
+                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                      />
+                      {errors.runAt && (
+                        <p className="mt-1 text-sm text-red-600">
+                          {errors.runAt.message}
+                        </p>
+                      )}
+                      <p className="mt-1 text-xs text-gray-500">
+                        Runs once at this time (your local time), then the job
+                        is deactivated
+                      </p>
+                    </div>
+                  )}
+
+                  {!isOneOff && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Cron Expression <span className="text-red-500">*</span>
+                      </label>
+                      <input
+                        type="text"
+                        {...register("cronExpression", {
+                          required: "Cron expression is required",
+                          validate: async (value) => {
+                            if (!CRON_SHAPE.test(value)) {
+                              return "Invalid cron or rate expression format";
+                            }
+                            const timezone = watch("timezone").trim();
+                            try {
+                              const result =
+                                await jobService.validateCronExpression(
+                                  value,
+                                  isValidTimeZone(timezone) ? timezone : undefined
+                                );
+                              return result.data.isValid || result.data.message;
+                            } catch {
+                              // Unreachable API: leave the check to the save
+                              return true;
+                            }
+                          },
+                        })}
+                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 font-mono transition-colors"
+                        placeholder="0 9 * * 1-5, @daily or rate(90 seconds)"
+                      />
+                      {errors.cronExpression && (
+                        <p className="mt-1 text-sm text-red-600">
+                          {errors.cronExpression.message}
+                        </p>
+                      )}
+
+                      {/* Cron Presets */}
+                      <div className="mt-3">
+                        <p className="text-xs text-gray-600 mb-2">
+                          Quick presets:
+                        </p>
+                        <div className="grid grid-cols-2 gap-2">
+                          {cronPresets.map((preset, index) => (
+                            <button
+                              key={index}
+                              type="button"
+                              onClick={() =>
+                                setValue("cronExpression", preset.value)
+                              }
+                              className="px-3 py-2 text-xs bg-white hover:bg-blue-50 border border-gray-200 hover:border-blue-300 rounded-lg transition-colors text-left"
+                            >
+                              <div className="font-medium text-gray-900">
+                                {preset.label}
+                              </div>
+                              <div className="font-mono text-gray-500">
+                                {preset.value}
+                              </div>
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+                    </div>
+                  )}
+
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Cron Expression <span className="text-red-500">*</span>
+                      Timezone
                     </label>
                     <input
                       type="text"
-                      {...register("cronExpression", {
-                        required: "Cron expression is required",
-                        pattern: {
-                          value:
-                            /^(\*|[0-5]?[0-9]|\*\/[0-9]+) (\*|[01]?[0-9]|2[0-3]|\*\/[0-9]+) (\*|[12]?[0-9]|3[01]|\*\/[0-9]+) (\*|[01]?[0-9]|1[0-2]|\*\/[0-9]+) (\*|[0-6]|\*\/[0-9]+)$/,
-                          message: "Invalid cron expression format",
-                        },
+                      list="job-timezones"
+                      {...register("timezone", {
+                        required: "Timezone is required",
+                        validate: (value) =>
+                          isValidTimeZone(value.trim()) ||
+                          "Unknown timezone, use a name like Europe/London",
                       })}
                       className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 font-mono transition-colors"
-                      placeholder="0 0 * * *"
+                      placeholder="Europe/London"
                     />
-                    {errors.cronExpression && (
+                    <datalist id="job-timezones">
+                      {timeZones.map((timeZone) => (
+                        <option key={timeZone} value={timeZone} />
+                      ))}
+                    </datalist>
+                    {errors.timezone && (
                       <p className="mt-1 text-sm text-red-600">
-                        {errors.cronExpression.message}
+                        {errors.timezone.message}
                       </p>
                     )}
+                    <p className="mt-1 text-xs text-gray-500">
+                      The cron expression runs on this timezone's wall clock
+                    </p>
+                  </div>
 
-                    {/* Cron Presets */}
-                    <div className="mt-3">
-                      <p className="text-xs text-gray-600 mb-2">
-                        Quick presets:
-                      </p>
-                      <div className="grid grid-cols-2 gap-2">
-                        {cronPresets.map((preset, index) => (
-                          <button
-                            key={index}
-                            type="button"
-                            onClick={() =>
-                              setValue("cronExpression", preset.value)
-                            }
-                            className="px-3 py-2 text-xs bg-white hover:bg-blue-50 border border-gray-200 hover:border-blue-300 rounded-lg transition-colors text-left"
-                          >
-                            <div className="font-medium text-gray-900">
-                              {preset.label}
-                            </div>
-                            <div className="font-mono text-gray-500">
-                              {preset.value}
-                            </div>
-                          </button>
-                        ))}
-                      </div>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Starts At
+                      </label>
+                      <input
+                        type="datetime-local"
+                        {...register("startsAt")}
+                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                      />
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Ends At
+                      </label>
+                      <input
+                        type="datetime-local"
+                        {...register("endsAt", {
+                          validate: (value) => {
+                            const startsAt = watch("startsAt");
+                            return (
+                              !value ||
+                              !startsAt ||
+                              new Date(value) > new Date(startsAt) ||
+                              "Must be after the start"
+                            );
+                          },
+                        })}
+                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                      />
+                      {errors.endsAt && (
+                        <p className="mt-1 text-sm text-red-600">
+                          {errors.endsAt.message}
+                        </p>
+                      )}
                     </div>
                   </div>
+                  <p className="-mt-2 text-xs text-gray-500">
+                    Optional window (your local time): no runs before the
+                    start, and the job is deactivated once the end has passed
+                  </p>
 
                   <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
                     <div>
@@ -441,6 +702,167 @@ const JobForm = ({ job, onClose }) => {
                     )}
                   </div>
 
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Misfire Policy
+                      </label>
+                      <select
+                        {...register("misfirePolicy")}
+                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                      >
+                        {misfirePolicies.map((policy) => (
+                          <option key={policy.value} value={policy.value}>
+                            {policy.label}
+                          </option>
+                        ))}
+                      </select>
+                      <p className="mt-1 text-xs text-gray-500">
+                        Runs missed while the scheduler was down
+                      </p>
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Misfire Limit
+                      </label>
+                      <input
+                        type="number"
+                        {...register("misfireLimit", {
+                          min: { value: 1, message: "Minimum limit is 1" },
+                          max: { value: 100, message: "Maximum limit is 100" },
+                        })}
+                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                      />
+                      {errors.misfireLimit && (
+                        <p className="mt-1 text-sm text-red-600">
+                          {errors.misfireLimit.message}
+                        </p>
+                      )}
+                      <p className="mt-1 text-xs text-gray-500">
+                        Maximum catch-up runs for "Run all"
+                      </p>
+                    </div>
+                  </div>
+
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Concurrency Policy
+                      </label>
+                      <select
+                        {...register("concurrencyPolicy")}
+                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                      >
+                        {concurrencyPolicies.map((policy) => (
+                          <option key={policy.value} value={policy.value}>
+                            {policy.label}
+                          </option>
+                        ))}
+                      </select>
+                      <p className="mt-1 text-xs text-gray-500">
+                        Runs due while the job is still running
+                      </p>
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Max Parallel Runs
+                      </label>
+                      <input
+                        type="number"
+                        {...register("maxConcurrency", {
+                          min: { value: 1, message: "Minimum is 1" },
+                          max: { value: 100, message: "Maximum is 100" },
+                        })}
+                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                      />
+                      {errors.maxConcurrency && (
+                        <p className="mt-1 text-sm text-red-600">
+                          {errors.maxConcurrency.message}
+                        </p>
+                      )}
+                      <p className="mt-1 text-xs text-gray-500">
+                        Only used by "Allow"
+                      </p>
+                    </div>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Recovery Policy
+                    </label>
+                    <select
+                      {...register("recoveryPolicy")}
+                      className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                    >
+                      {recoveryPolicies.map((policy) => (
+                        <option key={policy.value} value={policy.value}>
+                          {policy.label}
+                        </option>
+                      ))}
+                    </select>
+                    <p className="mt-1 text-xs text-gray-500">
+                      Runs left behind by a worker that crashed mid-run
+                    </p>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Priority
+                    </label>
+                    <input
+                      type="number"
+                      min="-100"
+                      max="100"
+                      {...register("priority", {
+                        min: { value: -100, message: "Minimum is -100" },
+                        max: { value: 100, message: "Maximum is 100" },
+                      })}
+                      className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                    />
+                    {errors.priority && (
+                      <p className="mt-1 text-sm text-red-600">
+                        {errors.priority.message}
+                      </p>
+                    )}
+                    <p className="mt-1 text-xs text-gray-500">
+                      Higher priority runs leave the queue first when workers
+                      are busy
+                    </p>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Resource Group
+                    </label>
+                    <input
+                      type="text"
+                      {...register("resourceGroup", {
+                        pattern: {
+                          value: /^[A-Za-z0-9_.-]*$/,
+                          message:
+                            "Use letters, digits, '_', '.' and '-' only",
+                        },
+                        maxLength: {
+                          value: 100,
+                          message: "Maximum is 100 characters",
+                        },
+                      })}
+                      className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                      placeholder="warehouse"
+                    />
+                    {errors.resourceGroup && (
+                      <p className="mt-1 text-sm text-red-600">
+                        {errors.resourceGroup.message}
+                      </p>
+                    )}
+                    <p className="mt-1 text-xs text-gray-500">
+                      Runs count against the named concurrency limit of this
+                      group (like tags do)
+                    </p>
+                  </div>
+
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
                       Job Payload (JSON)
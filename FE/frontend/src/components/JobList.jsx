@@ -4,6 +4,7 @@ import { useState, useEffect } from "react";
 import { Link } from "react-router-dom";
 import { useJobs, useJobMutations } from "../hooks/useJobs";
 import JobForm from "./JobForm";
+import { formatDateTimeShort, toRateExpression } from "../utils/dateUtils";
 
 const JobList = () => {
   const [filters, setFilters] = useState({
@@ -11,11 +12,13 @@ const JobList = () => {
     jobType: "",
     isActive: "",
     tags: "",
+    minPriority: "",
   });
   const [selectedJobs, setSelectedJobs] = useState(new Set());
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [editingJob, setEditingJob] = useState(null);
   const [viewMode, setViewMode] = useState("table"); // 'table' or 'grid'
+  const [sort, setSort] = useState("createdAt:desc"); // 'sortBy:sortOrder'
 
   const {
     jobs,
@@ -50,6 +53,12 @@ const JobList = () => {
     setFilters((prev) => ({ ...prev, [field]: value }));
   };
 
+  const handleSortChange = (value) => {
+    const [sortBy, sortOrder] = value.split(":");
+    setSort(value);
+    updateParams({ sortBy, sortOrder, page: 1 });
+  };
+
   const handlePageChange = (newPage) => {
     updateParams({ page: newPage });
   };
@@ -85,6 +94,7 @@ const JobList = () => {
       jobType: "",
       isActive: "",
       tags: "",
+      minPriority: "",
     });
   };
 
@@ -105,6 +115,44 @@ const JobList = () => {
     </span>
   );
 
+  // One-off jobs have a run time instead of a cron expression
+  const getScheduleLabel = (job) =>
+    job.jobType === "immediate" || job.jobType === "delayed"
+      ? `Once at ${formatDateTimeShort(job.runAt, job.timezone)}`
+      : job.cronExpression || toRateExpression(job.intervalMs);
+
+  // Validity window of the job, null when it has none
+  const getWindowLabel = (job) => {
+    const from = job.startsAt
+      ? `From ${formatDateTimeShort(job.startsAt, job.timezone)}`
+      : null;
+    const until = job.endsAt
+      ? `until ${formatDateTimeShort(job.endsAt, job.timezone)}`
+      : null;
+
+    if (!from && !until) return null;
+    if (!from) return `Until ${formatDateTimeShort(job.endsAt, job.timezone)}`;
+    return until ? `${from} ${until}` : from;
+  };
+
+  // Only non-default priorities are worth a badge
+  const getPriorityBadge = (job) => {
+    const priority = job.configuration?.priority ?? 0;
+    if (priority === 0) return null;
+
+    return (
+      <span
+        className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-medium border ${
+          priority > 0
+            ? "bg-red-50 text-red-700 border-red-200"
+            : "bg-gray-100 text-gray-600 border-gray-200"
+        }`}
+      >
+        Priority {priority > 0 ? `+${priority}` : priority}
+      </span>
+    );
+  };
+
   const getJobTypeBadge = (jobType) => {
     const styles = {
       scheduled: "bg-blue-100 text-blue-800 border-blue-200",
@@ -123,33 +171,6 @@ const JobList = () => {
     );
   };
 
-  const formatDateTime = (dateString) => {
-    if (!dateString) return null;
-    try {
-      const date = new Date(dateString);
-      if (isNaN(date.getTime())) {
-        return "Invalid date";
-      }
-      const formatter = new Intl.DateTimeFormat("en-US", {
-        timeZone: "Asia/Kolkata",
-        month: "short",
-        day: "2-digit",
-        hour: "2-digit",
-        minute: "2-digit",
-        hour12: false,
-      });
-      const parts = formatter.formatToParts(date);
-      const month = parts.find((part) => part.type === "month")?.value;
-      const day = parts.find((part) => part.type === "day")?.value;
-      const hour = parts.find((part) => part.type === "hour")?.value;
-      const minute = parts.find((part) => part.type === "minute")?.value;
-      return `${month} ${day}, ${hour}:${minute}`;
-    } catch (error) {
-      console.error("Date formatting error:", error);
-      return "Invalid date";
-    }
-  };
-
   if (isLoading) {
     return (
       <div className="flex items-center justify-center min-h-[400px]">
@@ -322,7 +343,7 @@ const JobList = () => {
           </div>
         </div>
         <div className="p-6">
-          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
                 Search Jobs
@@ -395,6 +416,24 @@ const JobList = () => {
                 className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
               />
             </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Priority
+              </label>
+              <select
+                value={filters.minPriority}
+                onChange={(e) =>
+                  handleFilterChange("minPriority", e.target.value)
+                }
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+              >
+                <option value="">Any Priority</option>
+                <option value="50">High (50 and up)</option>
+                <option value="1">Above normal (1 and up)</option>
+                <option value="0">Normal and up (0 and up)</option>
+              </select>
+            </div>
           </div>
         </div>
       </div>
@@ -428,6 +467,21 @@ const JobList = () => {
             </span>
           )}
         </div>
+        <div className="flex items-center space-x-2">
+          <label className="text-sm text-gray-600">Sort by</label>
+          <select
+            value={sort}
+            onChange={(e) => handleSortChange(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+          >
+            <option value="createdAt:desc">Newest first</option>
+            <option value="createdAt:asc">Oldest first</option>
+            <option value="priority:desc">Highest priority</option>
+            <option value="priority:asc">Lowest priority</option>
+            <option value="nextRunAt:asc">Next run</option>
+            <option value="name:asc">Name</option>
+          </select>
+        </div>
       </div>
 
       {/* Bulk Actions */}
@@ -585,6 +639,7 @@ const JobList = () => {
                         </div>
                         <div className="flex flex-wrap items-center gap-2">
                           {getJobTypeBadge(job.jobType)}
+                          {getPriorityBadge(job)}
                           {job.tags && job.tags.length > 0 && (
                             <div className="flex flex-wrap gap-1">
                               {job.tags.slice(0, 2).map((tag, index) => (
@@ -608,16 +663,21 @@ const JobList = () => {
                     <td className="px-6 py-4">
                       <div className="space-y-1">
                         <div className="text-sm font-mono bg-gray-50 px-2 py-1 rounded border">
-                          {job.cronExpression}
+                          {getScheduleLabel(job)}
                         </div>
+                        {getWindowLabel(job) && (
+                          <div className="text-xs text-gray-600">
+                            {getWindowLabel(job)}
+                          </div>
+                        )}
                         {job.nextRunAt && (
                           <div className="text-xs text-green-600 bg-green-50 px-2 py-1 rounded">
-                            Next: {formatDateTime(job.nextRunAt)}
+                            Next: {formatDateTimeShort(job.nextRunAt, job.timezone)}
                           </div>
                         )}
                         {job.lastRunAt && (
                           <div className="text-xs text-gray-500">
-                            Last: {formatDateTime(job.lastRunAt)}
+                            Last: {formatDateTimeShort(job.lastRunAt, job.timezone)}
                           </div>
                         )}
                       </div>
@@ -739,6 +799,7 @@ const JobList = () => {
                     <div className="flex flex-wrap gap-2 mb-4">
                       {getStatusBadge(job.isActive)}
                       {getJobTypeBadge(job.jobType)}
+                      {getPriorityBadge(job)}
                     </div>
                   </div>
                 </div>
@@ -749,8 +810,13 @@ const JobList = () => {
                       Schedule
                     </label>
                     <p className="text-sm font-mono bg-gray-50 px-2 py-1 rounded mt-1">
-                      {job.cronExpression}
+                      {getScheduleLabel(job)}
                     </p>
+                    {getWindowLabel(job) && (
+                      <p className="text-xs text-gray-600 mt-1">
+                        {getWindowLabel(job)}
+                      </p>
+                    )}
                   </div>
 
                   {job.nextRunAt && (
@@ -759,7 +825,7 @@ const JobList = () => {
                         Next Run
                       </label>
                       <p className="text-sm text-green-600 mt-1">
-                        {formatDateTime(job.nextRunAt)}
+                        {formatDateTimeShort(job.nextRunAt, job.timezone)}
                       </p>
                     </div>
                   )}
@@ -1,21 +1,35 @@
 "use client";
 
 import { useState } from "react";
-import { Link, useLocation } from "react-router-dom";
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import { useLiveUpdates } from "../hooks/useJobs";
+import { useCurrentUser, useLogout } from "../hooks/useAuth";
 
 const Layout = ({ children }) => {
   const location = useLocation();
+  const navigate = useNavigate();
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+  const { isConnected } = useLiveUpdates();
+  const { user, authEnabled } = useCurrentUser();
+  const logout = useLogout();
+
+  const username = user?.username || "User";
+
+  const handleLogout = () => {
+    logout();
+    navigate("/login", { replace: true });
+  };
 
   const navigation = [
     { name: "Dashboard", href: "/dashboard", icon: "📊" },
     { name: "Jobs", href: "/jobs", icon: "⚙️" },
+    { name: "Executions", href: "/executions", icon: "📜" },
   ];
 
   const isActive = (href) => {
     return (
       location.pathname === href ||
-      (href === "/jobs" && location.pathname.startsWith("/jobs"))
+      location.pathname.startsWith(`${href}/`)
     );
   };
 
@@ -60,21 +74,50 @@ const Layout = ({ children }) => {
             {/* Right side */}
             <div className="flex items-center space-x-4">
               {/* Status Indicator */}
-              <div className="hidden sm:flex items-center space-x-2 bg-green-50 px-3 py-1 rounded-full border border-green-200">
-                <div className="w-2 h-2 bg-green-400 rounded-full animate-pulse"></div>
-                <span className="text-sm font-medium text-green-700">
-                  Online
+              <div
+                className={`hidden sm:flex items-center space-x-2 px-3 py-1 rounded-full border ${
+                  isConnected
+                    ? "bg-green-50 border-green-200"
+                    : "bg-gray-50 border-gray-200"
+                }`}
+                title={
+                  isConnected
+                    ? "Changes appear as they happen"
+                    : "Reconnecting to live updates..."
+                }
+              >
+                <div
+                  className={`w-2 h-2 rounded-full ${
+                    isConnected ? "bg-green-400 animate-pulse" : "bg-gray-400"
+                  }`}
+                ></div>
+                <span
+                  className={`text-sm font-medium ${
+                    isConnected ? "text-green-700" : "text-gray-600"
+                  }`}
+                >
+                  {isConnected ? "Live" : "Offline"}
                 </span>
               </div>
 
               {/* User Menu */}
               <div className="flex items-center space-x-3">
                 <div className="w-8 h-8 bg-gradient-to-br from-gray-400 to-gray-600 rounded-full flex items-center justify-center">
-                  <span className="text-sm font-medium text-white">U</span>
+                  <span className="text-sm font-medium text-white">
+                    {username.charAt(0).toUpperCase()}
+                  </span>
                 </div>
                 <span className="text-sm font-medium text-gray-700 hidden sm:block">
-                  User
+                  {username}
                 </span>
+                {authEnabled && (
+                  <button
+                    onClick={handleLogout}
+                    className="text-sm text-gray-600 hover:text-gray-900 font-medium px-3 py-1 rounded-lg hover:bg-gray-100 transition-colors"
+                  >
+                    Sign Out
+                  </button>
+                )}
               </div>
 
               {/* Mobile menu button */}
@@ -0,0 +1,112 @@
+"use client";
+
+import { useState } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { useLogin } from "../hooks/useAuth";
+
+// Only return to paths of this app after signing in
+const getReturnPath = (from) =>
+  from && from.startsWith("/") && !from.startsWith("//") && from !== "/login"
+    ? from
+    : "/dashboard";
+
+const Login = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+
+  const loginMutation = useLogin();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    loginMutation.mutate(
+      { username: username.trim(), password },
+      {
+        onSuccess: () => {
+          navigate(getReturnPath(searchParams.get("from")), { replace: true });
+        },
+      }
+    );
+  };
+
+  const inputClassName =
+    "w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors";
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+      <div className="w-full max-w-md space-y-8">
+        {/* Logo */}
+        <div className="flex flex-col items-center space-y-3">
+          <div className="w-12 h-12 bg-gradient-to-br from-blue-500 to-purple-600 rounded-xl flex items-center justify-center">
+            <span className="text-white font-bold">JS</span>
+          </div>
+          <h1 className="text-3xl font-bold text-gray-900">Job Scheduler</h1>
+          <p className="text-gray-600">Sign in to manage your jobs</p>
+        </div>
+
+        <form
+          onSubmit={handleSubmit}
+          className="bg-white rounded-xl shadow-sm border border-gray-100 p-8 space-y-6"
+        >
+          {loginMutation.isError && (
+            <div className="bg-red-50 border-l-4 border-red-400 p-4 rounded-lg text-sm text-red-700">
+              {loginMutation.error?.status === 401
+                ? "Invalid username or password"
+                : loginMutation.error?.originalMessage ||
+                  loginMutation.error?.message}
+            </div>
+          )}
+
+          <div>
+            <label
+              htmlFor="username"
+              className="block text-sm font-medium text-gray-700 mb-2"
+            >
+              Username
+            </label>
+            <input
+              id="username"
+              type="text"
+              autoComplete="username"
+              autoFocus
+              required
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+
+          <div>
+            <label
+              htmlFor="password"
+              className="block text-sm font-medium text-gray-700 mb-2"
+            >
+              Password
+            </label>
+            <input
+              id="password"
+              type="password"
+              autoComplete="current-password"
+              required
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={loginMutation.isLoading}
+            className="w-full bg-blue-600 hover:bg-blue-700 text-white px-4 py-3 rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {loginMutation.isLoading ? "Signing in..." : "Sign In"}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Login;
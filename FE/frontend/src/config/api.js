@@ -4,6 +4,23 @@ import axios from "axios";
 const API_BASE_URL =
   import.meta.env.VITE_API_BASE_URL || "http://localhost:3000/api";
 
+// localStorage key of the JWT from POST /auth/login
+const AUTH_TOKEN_KEY = "auth_token";
+
+/**
+ * Add a stream token (POST /auth/stream-token) to a stream URL as
+ * access_token: EventSource cannot send an Authorization header
+ * @param {string} url - Stream URL
+ * @param {string|null} token - Stream token, null when auth is disabled
+ * @returns {string} URL with the token
+ */
+const withAccessToken = (url, token) => {
+  if (!token) return url;
+
+  const separator = url.includes("?") ? "&" : "?";
+  return `${url}${separator}access_token=${encodeURIComponent(token)}`;
+};
+
 // Create axios instance with default configuration
 const apiClient = axios.create({
   baseURL: API_BASE_URL,
@@ -17,7 +34,7 @@ const apiClient = axios.create({
 apiClient.interceptors.request.use(
   (config) => {
     // Add authentication token if available
-    const token = localStorage.getItem("auth_token");
+    const token = localStorage.getItem(AUTH_TOKEN_KEY);
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -60,9 +77,15 @@ apiClient.interceptors.response.use(
 
       switch (status) {
         case 401:
-          // Unauthorized - redirect to login
-          localStorage.removeItem("auth_token");
-          window.location.href = "/login";
+          // Unauthorized - redirect to login, unless signing in failed
+          localStorage.removeItem(AUTH_TOKEN_KEY);
+          if (
+            error.config?.url !== "/auth/login" &&
+            window.location.pathname !== "/login"
+          ) {
+            const from = window.location.pathname + window.location.search;
+            window.location.href = `/login?from=${encodeURIComponent(from)}`;
+          }
           break;
         case 403:
           // Forbidden
@@ -112,4 +135,4 @@ apiClient.interceptors.response.use(
 );
 
 export default apiClient;
-export { API_BASE_URL };
+export { API_BASE_URL, AUTH_TOKEN_KEY, withAccessToken };
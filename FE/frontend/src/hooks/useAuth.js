@@ -0,0 +1,56 @@
+import { useQuery, useMutation, useQueryClient } from "react-query";
+import authService from "../services/authService";
+
+/**
+ * Custom hook for the signed-in user. A 401 from the API sends the browser
+ * to /login (see config/api.js).
+ */
+export const useCurrentUser = () => {
+  const { data, isLoading, isError, error } = useQuery(
+    ["currentUser"],
+    () => authService.getCurrentUser(),
+    {
+      staleTime: Infinity,
+      retry: false,
+    }
+  );
+
+  return {
+    user: data?.data?.user || null,
+    principal: data?.data?.principal || null,
+    authEnabled: data?.data?.authEnabled ?? true,
+    isLoading,
+    isError,
+    error,
+  };
+};
+
+/**
+ * Custom hook for signing in
+ */
+export const useLogin = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    ({ username, password }) => authService.login(username, password),
+    {
+      onSuccess: () => {
+        // Data loaded for another user, or none, must not be shown
+        queryClient.clear();
+      },
+    }
+  );
+};
+
+/**
+ * Custom hook for signing out
+ * @returns {Function} Signs out and drops every cached query
+ */
+export const useLogout = () => {
+  const queryClient = useQueryClient();
+
+  return () => {
+    authService.logout();
+    queryClient.clear();
+  };
+};
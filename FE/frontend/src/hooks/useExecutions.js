@@ -0,0 +1,101 @@
+import { useState, useCallback } from "react";
+import { useQuery } from "react-query";
+import executionService from "../services/executionService";
+import { toast } from "react-toastify";
+
+/**
+ * Custom hook for searching executions across jobs. Pages are reached
+ * through cursors, so the cursors of the pages already seen are kept to
+ * step back.
+ */
+export const useExecutions = (initialParams = {}) => {
+  const [params, setParams] = useState({ limit: 50, ...initialParams });
+  const [cursors, setCursors] = useState([]);
+
+  const cursor = cursors[cursors.length - 1];
+
+  const {
+    data: executionsData,
+    isLoading,
+    isFetching,
+    isError,
+    error,
+    refetch,
+  } = useQuery(
+    ["executions", params, cursor],
+    () => executionService.searchExecutions({ ...params, cursor }),
+    {
+      keepPreviousData: true,
+      staleTime: 15000,
+      onError: (error) => {
+        toast.error(`Failed to search executions: ${error.message}`);
+      },
+    }
+  );
+
+  const pagination = executionsData?.data?.pagination || {};
+
+  // New filters start again from the newest executions
+  const updateParams = useCallback((newParams) => {
+    setParams((prev) => ({ ...prev, ...newParams }));
+    setCursors([]);
+  }, []);
+
+  const nextPage = useCallback(() => {
+    if (pagination.nextCursor) {
+      setCursors((prev) => [...prev, pagination.nextCursor]);
+    }
+  }, [pagination.nextCursor]);
+
+  const previousPage = useCallback(() => {
+    setCursors((prev) => prev.slice(0, -1));
+  }, []);
+
+  return {
+    executions: executionsData?.data?.executions || [],
+    pageNumber: cursors.length + 1,
+    hasNext: !!pagination.hasNext,
+    hasPrev: cursors.length > 0,
+    isLoading,
+    isFetching,
+    isError,
+    error,
+    params,
+    updateParams,
+    nextPage,
+    previousPage,
+    refetch,
+  };
+};
+
+/**
+ * Custom hook for a single execution. It is reloaded when the live event
+ * stream reports it finished (see utils/liveEvents.js).
+ */
+export const useExecution = (executionId) => {
+  const {
+    data: executionData,
+    isLoading,
+    isError,
+    error,
+    refetch,
+  } = useQuery(
+    ["execution", executionId],
+    () => executionService.getExecution(executionId),
+    {
+      enabled: !!executionId,
+      staleTime: 10000,
+      onError: (error) => {
+        toast.error(`Failed to load execution: ${error.message}`);
+      },
+    }
+  );
+
+  return {
+    execution: executionData?.data,
+    isLoading,
+    isError,
+    error,
+    refetch,
+  };
+};
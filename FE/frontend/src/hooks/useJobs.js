@@ -1,6 +1,7 @@
 import { useState, useEffect, useCallback } from "react";
 import { useQuery, useMutation, useQueryClient } from "react-query";
 import jobService from "../services/jobService";
+import { applyLiveEvent, LIVE_EVENT_TYPES } from "../utils/liveEvents";
 import { toast } from "react-toastify";
 
 /**
@@ -96,7 +97,7 @@ export const useJobStats = () => {
     error,
     refetch,
   } = useQuery(["jobStats"], () => jobService.getJobStats(), {
-    refetchInterval: 30000, // Auto-refresh every 30 seconds
+    // Kept current by live events (see utils/liveEvents.js)
     staleTime: 10000, // Consider data fresh for 10 seconds
     onError: (error) => {
       toast.error(`Failed to load statistics: ${error.message}`);
@@ -157,8 +158,212 @@ export const useJobExecutions = (jobId, initialParams = {}) => {
   };
 };
 
+// Chunks fetched per request when loading a finished log
+const LOG_PAGE_SIZE = 1000;
+// Wait before reopening a stream the server closed or rejected
+const STREAM_RETRY_MS = 3000;
+
+/**
+ * Custom hook for the log of an execution. Running executions are tailed over
+ * server-sent events; finished ones are loaded page by page.
+ * @param {string} jobId - Job UUID
+ * @param {string} executionId - Execution UUID
+ * @param {boolean} follow - Tail the log until the execution ends
+ */
+export const useExecutionLogs = (jobId, executionId, follow = false) => {
+  const [chunks, setChunks] = useState([]);
+  const [status, setStatus] = useState(null);
+  const [truncated, setTruncated] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isStreaming, setIsStreaming] = useState(follow);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!jobId || !executionId) return undefined;
+
+    let cancelled = false;
+
+    if (follow) {
+      let source = null;
+      let retryTimer = null;
+      let lastSeq = 0;
+
+      const fail = (err) => {
+        setError(err);
+        setIsLoading(false);
+        setIsStreaming(false);
+      };
+
+      const connect = async () => {
+        let url;
+        try {
+          url = await jobService.getExecutionLogStreamUrl(
+            jobId,
+            executionId,
+            lastSeq
+          );
+        } catch (err) {
+          if (!cancelled) fail(err);
+          return;
+        }
+        if (cancelled) return;
+
+        const current = new EventSource(url);
+        let opened = false;
+        source = current;
+
+        current.onopen = () => {
+          opened = true;
+          setIsLoading(false);
+        };
+
+        current.addEventListener("chunk", (event) => {
+          const chunk = JSON.parse(event.data);
+          lastSeq = chunk.seq;
+          setChunks((prev) => [...prev, chunk]);
+        });
+
+        current.addEventListener("end", (event) => {
+          const data = JSON.parse(event.data);
+          setStatus(data.status);
+          setTruncated(data.truncated);
+          setIsStreaming(false);
+          current.close();
+        });
+
+        // EventSource reconnects by itself, but with the token it was opened
+        // with: once that has expired the reconnect is rejected, so open a
+        // new stream after the last chunk received
+        current.onerror = () => {
+          if (current.readyState !== EventSource.CLOSED) return;
+
+          if (opened) {
+            retryTimer = setTimeout(connect, STREAM_RETRY_MS);
+          } else {
+            fail(new Error("Lost the connection to the log stream"));
+          }
+        };
+      };
+
+      connect();
+
+      return () => {
+        cancelled = true;
+        clearTimeout(retryTimer);
+        if (source) source.close();
+      };
+    }
+
+    const loadLog = async () => {
+      try {
+        let after = 0;
+        let loaded = [];
+
+        for (;;) {
+          const response = await jobService.getExecutionLogs(
+            jobId,
+            executionId,
+            { after, limit: LOG_PAGE_SIZE }
+          );
+          if (cancelled) return;
+
+          const data = response.data;
+          loaded = loaded.concat(data.chunks);
+          setChunks(loaded);
+          setStatus(data.status);
+          setTruncated(data.truncated);
+
+          if (data.chunks.length < LOG_PAGE_SIZE) break;
+          after = data.nextSeq;
+        }
+      } catch (err) {
+        if (!cancelled) setError(err);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    loadLog();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [jobId, executionId, follow]);
+
+  return { chunks, status, truncated, isLoading, isStreaming, error };
+};
+
+/**
+ * Custom hook keeping cached jobs, executions and statistics current from
+ * the live event stream. Mount it once, for the whole app.
+ * @returns {{isConnected: boolean}} Whether the stream is open
+ */
+export const useLiveUpdates = () => {
+  const queryClient = useQueryClient();
+  const [isConnected, setIsConnected] = useState(false);
+
+  useEffect(() => {
+    let source = null;
+    let retryTimer = null;
+    let cancelled = false;
+    let hasConnected = false;
+
+    const retry = () => {
+      retryTimer = setTimeout(connect, STREAM_RETRY_MS);
+    };
+
+    const connect = async () => {
+      let url;
+      try {
+        url = await jobService.getEventStreamUrl();
+      } catch {
+        // A signed-out session is sent to /login by the API client
+        if (!cancelled) retry();
+        return;
+      }
+      if (cancelled) return;
+
+      const current = new EventSource(url);
+      source = current;
+
+      current.onopen = () => {
+        // Events are not replayed: reload whatever changed while disconnected
+        if (hasConnected) {
+          queryClient.invalidateQueries();
+        }
+        hasConnected = true;
+        setIsConnected(true);
+      };
+
+      // EventSource reconnects by itself, but with the token it was opened
+      // with: once that has expired the reconnect is rejected, so open a new
+      // stream with a fresh token
+      current.onerror = () => {
+        setIsConnected(false);
+        if (current.readyState === EventSource.CLOSED) retry();
+      };
+
+      LIVE_EVENT_TYPES.forEach((type) => {
+        current.addEventListener(type, (event) => {
+          applyLiveEvent(queryClient, JSON.parse(event.data));
+        });
+      });
+    };
+
+    connect();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(retryTimer);
+      if (source) source.close();
+    };
+  }, [queryClient]);
+
+  return { isConnected };
+};
+
 /**
- * Custom hook for job mutations (create, update, delete, trigger)
+ * Custom hook for job mutations (create, update, delete, trigger, pause)
  */
 export const useJobMutations = () => {
   const queryClient = useQueryClient();
@@ -217,6 +422,50 @@ export const useJobMutations = () => {
     },
   });
 
+  // Cancel execution mutation
+  const cancelExecutionMutation = useMutation(
+    ({ jobId, executionId }) => jobService.cancelExecution(jobId, executionId),
+    {
+      onSuccess: (data, variables) => {
+        queryClient.invalidateQueries(["jobExecutions", variables.jobId]);
+        queryClient.invalidateQueries(["job", variables.jobId]);
+        toast.success("Execution cancelled");
+      },
+      onError: (error) => {
+        toast.error(`Failed to cancel execution: ${error.message}`);
+      },
+    }
+  );
+
+  // Pause job mutation
+  const pauseMutation = useMutation(
+    ({ jobId, pause }) => jobService.pauseJob(jobId, pause),
+    {
+      onSuccess: (data) => {
+        queryClient.invalidateQueries(["jobs"]);
+        queryClient.invalidateQueries(["job", data.data.id]);
+        queryClient.invalidateQueries(["jobStats"]);
+        toast.success(`Job "${data.data.name}" paused`);
+      },
+      onError: (error) => {
+        toast.error(`Failed to pause job: ${error.message}`);
+      },
+    }
+  );
+
+  // Resume job mutation
+  const resumeMutation = useMutation((jobId) => jobService.resumeJob(jobId), {
+    onSuccess: (data) => {
+      queryClient.invalidateQueries(["jobs"]);
+      queryClient.invalidateQueries(["job", data.data.id]);
+      queryClient.invalidateQueries(["jobStats"]);
+      toast.success(`Job "${data.data.name}" resumed`);
+    },
+    onError: (error) => {
+      toast.error(`Failed to resume job: ${error.message}`);
+    },
+  });
+
   // Toggle job status mutation
   const toggleStatusMutation = useMutation(
     ({ jobId, isActive }) => jobService.toggleJobStatus(jobId, isActive),
@@ -265,6 +514,9 @@ export const useJobMutations = () => {
     updateJob: updateMutation.mutate,
     deleteJob: deleteMutation.mutate,
     triggerJob: triggerMutation.mutate,
+    cancelExecution: cancelExecutionMutation.mutate,
+    pauseJob: pauseMutation.mutate,
+    resumeJob: resumeMutation.mutate,
     toggleJobStatus: toggleStatusMutation.mutate,
     bulkOperation: bulkOperationMutation.mutate,
 
@@ -273,6 +525,9 @@ export const useJobMutations = () => {
     isUpdating: updateMutation.isLoading,
     isDeleting: deleteMutation.isLoading,
     isTriggering: triggerMutation.isLoading,
+    isCancellingExecution: cancelExecutionMutation.isLoading,
+    isPausing: pauseMutation.isLoading,
+    isResuming: resumeMutation.isLoading,
     isTogglingStatus: toggleStatusMutation.isLoading,
     isBulkOperating: bulkOperationMutation.isLoading,
 
@@ -281,6 +536,9 @@ export const useJobMutations = () => {
     updateError: updateMutation.error,
     deleteError: deleteMutation.error,
     triggerError: triggerMutation.error,
+    cancelExecutionError: cancelExecutionMutation.error,
+    pauseError: pauseMutation.error,
+    resumeError: resumeMutation.error,
     toggleStatusError: toggleStatusMutation.error,
     bulkOperationError: bulkOperationMutation.error,
   };
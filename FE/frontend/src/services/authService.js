@@ -0,0 +1,80 @@
+import apiClient, { AUTH_TOKEN_KEY } from "../config/api";
+
+/**
+ * Auth Service - Handles sign-in and the stored token
+ */
+class AuthService {
+  /**
+   * Sign in and keep the token for later requests
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Promise<Object>} Token and user data
+   */
+  async login(username, password) {
+    try {
+      const response = await apiClient.post("/auth/login", {
+        username,
+        password,
+      });
+      localStorage.setItem(AUTH_TOKEN_KEY, response.data.data.token);
+      return response.data;
+    } catch (error) {
+      throw this.handleApiError("Failed to sign in", error);
+    }
+  }
+
+  /**
+   * Forget the token. JWTs cannot be revoked; it stays valid until it
+   * expires.
+   */
+  logout() {
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+  }
+
+  /**
+   * Get the caller: the signed-in user, or nobody when the API has
+   * authentication disabled
+   * @returns {Promise<Object>} authEnabled, principal and user
+   */
+  async getCurrentUser() {
+    try {
+      const response = await apiClient.get("/auth/me");
+      return response.data;
+    } catch (error) {
+      throw this.handleApiError("Failed to fetch current user", error);
+    }
+  }
+
+  /**
+   * Get a short-lived token for opening an event or log stream
+   * @returns {Promise<string|null>} Token, null when the API has
+   *   authentication disabled
+   */
+  async getStreamToken() {
+    try {
+      const response = await apiClient.post("/auth/stream-token");
+      return response.data.data.token;
+    } catch (error) {
+      throw this.handleApiError("Failed to get stream token", error);
+    }
+  }
+
+  /**
+   * Handle API errors consistently
+   * @private
+   */
+  handleApiError(message, error) {
+    console.error(`AuthService Error: ${message}`, error);
+
+    return {
+      message,
+      originalMessage: error.message || "Unknown error",
+      status: error.status || 0,
+      details: error.details || [],
+      timestamp: error.timestamp || new Date().toISOString(),
+    };
+  }
+}
+
+// Export singleton instance
+export default new AuthService();
@@ -0,0 +1,67 @@
+import apiClient from "../config/api";
+
+/**
+ * Execution Service - Handles execution-related API operations
+ */
+class ExecutionService {
+  /**
+   * Search executions across all jobs, newest first
+   * @param {Object} params - Filters, limit and the cursor of the page
+   * @returns {Promise<Object>} Executions and the cursor of the next page
+   */
+  async searchExecutions(params = {}) {
+    try {
+      const queryParams = new URLSearchParams();
+
+      // Add parameters if they exist
+      Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== "") {
+          queryParams.append(key, value);
+        }
+      });
+
+      const response = await apiClient.get(
+        `/executions?${queryParams.toString()}`
+      );
+      return response.data;
+    } catch (error) {
+      throw this.handleApiError("Failed to search executions", error);
+    }
+  }
+
+  /**
+   * Get an execution with its output, error stack and retry chain
+   * @param {string} executionId - Execution UUID
+   * @returns {Promise<Object>} Execution data
+   */
+  async getExecution(executionId) {
+    try {
+      const response = await apiClient.get(`/executions/${executionId}`);
+      return response.data;
+    } catch (error) {
+      throw this.handleApiError(
+        `Failed to fetch execution ${executionId}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Handle API errors consistently
+   * @private
+   */
+  handleApiError(message, error) {
+    console.error(`ExecutionService Error: ${message}`, error);
+
+    return {
+      message,
+      originalMessage: error.message || "Unknown error",
+      status: error.status || 0,
+      details: error.details || [],
+      timestamp: error.timestamp || new Date().toISOString(),
+    };
+  }
+}
+
+// Export singleton instance
+export default new ExecutionService();
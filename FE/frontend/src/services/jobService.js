@@ -1,4 +1,5 @@
-import apiClient from "../config/api";
+import apiClient, { API_BASE_URL, withAccessToken } from "../config/api";
+import authService from "./authService";
 
 /**
  * Job Service - Handles all job-related API operations
@@ -10,9 +11,14 @@ class JobService {
    * @param {number} params.page - Page number (default: 1)
    * @param {number} params.limit - Items per page (default: 50)
    * @param {boolean} params.isActive - Filter by active status
+   * @param {boolean} params.paused - Only paused (true) or not paused (false) jobs
    * @param {string} params.jobType - Filter by job type
    * @param {string} params.tags - Filter by tags (comma-separated)
    * @param {string} params.search - Search in job names
+   * @param {number} params.minPriority - Only jobs with at least this priority
+   * @param {number} params.maxPriority - Only jobs with at most this priority
+   * @param {string} params.sortBy - createdAt, name, priority or nextRunAt
+   * @param {string} params.sortOrder - asc or desc
    * @returns {Promise<Object>} Jobs list with pagination
    */
   async getAllJobs(params = {}) {
@@ -51,16 +57,23 @@ class JobService {
    * Create a new job
    * @param {Object} jobData - Job creation data
    * @param {string} jobData.name - Job name (required)
-   * @param {string} jobData.cronExpression - Cron expression (required)
+   * @param {string} jobData.cronExpression - Cron expression (required unless the job is immediate or delayed)
+   * @param {string} jobData.runAt - ISO time a delayed job runs once
+   * @param {string} jobData.startsAt - ISO start of the validity window (optional)
+   * @param {string} jobData.endsAt - ISO end of the validity window (optional)
    * @param {string} jobData.description - Job description
    * @param {boolean} jobData.isActive - Whether job is active (default: true)
    * @param {string} jobData.jobType - Job type (scheduled, immediate, recurring, delayed)
-   * @param {Object} jobData.payload - Job configuration payload
+   * @param {string} jobData.executorType - Executor kind (noop, http, node-module, shell)
+   * @param {Object} jobData.payload - Executor configuration payload
    * @param {number} jobData.timeoutMs - Execution timeout in ms
    * @param {number} jobData.maxRetries - Maximum retry attempts
    * @param {number} jobData.retryDelayMs - Delay between retries in ms
    * @param {string} jobData.createdBy - Creator username
    * @param {Array<string>} jobData.tags - Job tags
+   * @param {string} jobData.resourceGroup - Resource group for named concurrency limits (optional)
+   * @param {number} jobData.priority - Queue priority from -100 to 100 (default: 0)
+   * @param {string} jobData.recoveryPolicy - requeue or abandon runs orphaned by a crashed worker (default: requeue)
    * @returns {Promise<Object>} Created job data
    */
   async createJob(jobData) {
@@ -115,6 +128,58 @@ class JobService {
     }
   }
 
+  /**
+   * Pause a job
+   * @param {string} jobId - Job UUID
+   * @param {Object} pause - Pause details
+   * @param {string} pause.reason - Why the job is paused (required)
+   * @param {string} pause.pausedBy - Who pauses it
+   * @param {string} pause.resumeAt - ISO time the scheduler resumes it
+   * @returns {Promise<Object>} Paused job data
+   */
+  async pauseJob(jobId, pause) {
+    try {
+      const response = await apiClient.post(`/jobs/${jobId}/pause`, pause);
+      return response.data;
+    } catch (error) {
+      throw this.handleApiError(`Failed to pause job ${jobId}`, error);
+    }
+  }
+
+  /**
+   * Resume a paused job
+   * @param {string} jobId - Job UUID
+   * @returns {Promise<Object>} Resumed job data
+   */
+  async resumeJob(jobId) {
+    try {
+      const response = await apiClient.post(`/jobs/${jobId}/resume`);
+      return response.data;
+    } catch (error) {
+      throw this.handleApiError(`Failed to resume job ${jobId}`, error);
+    }
+  }
+
+  /**
+   * Cancel a running execution
+   * @param {string} jobId - Job UUID
+   * @param {string} executionId - Execution UUID
+   * @returns {Promise<Object>} Cancelled execution
+   */
+  async cancelExecution(jobId, executionId) {
+    try {
+      const response = await apiClient.post(
+        `/jobs/${jobId}/executions/${executionId}/cancel`
+      );
+      return response.data;
+    } catch (error) {
+      throw this.handleApiError(
+        `Failed to cancel execution ${executionId}`,
+        error
+      );
+    }
+  }
+
   /**
    * Get job execution history
    * @param {string} jobId - Job UUID
@@ -146,6 +211,65 @@ class JobService {
     }
   }
 
+  /**
+   * Get a page of the log captured from an execution
+   * @param {string} jobId - Job UUID
+   * @param {string} executionId - Execution UUID
+   * @param {Object} params - Query parameters
+   * @param {number} params.after - Only chunks after this seq (default: 0)
+   * @param {number} params.limit - Maximum number of chunks (default: 500)
+   * @param {string} params.stream - Only stdout, stderr or log chunks
+   * @returns {Promise<Object>} Chunks with status, nextSeq, truncated and complete
+   */
+  async getExecutionLogs(jobId, executionId, params = {}) {
+    try {
+      const queryParams = new URLSearchParams();
+
+      Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== "") {
+          queryParams.append(key, value);
+        }
+      });
+
+      const response = await apiClient.get(
+        `/jobs/${jobId}/executions/${executionId}/logs?${queryParams.toString()}`
+      );
+      return response.data;
+    } catch (error) {
+      throw this.handleApiError(
+        `Failed to fetch logs of execution ${executionId}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * URL of the server-sent event stream tailing an execution log, for
+   * EventSource ("chunk" events, then an "end" event)
+   * @param {string} jobId - Job UUID
+   * @param {string} executionId - Execution UUID
+   * @param {number} after - Resume after this chunk sequence number
+   * @returns {Promise<string>} Stream URL, with a fresh stream token
+   */
+  async getExecutionLogStreamUrl(jobId, executionId, after = 0) {
+    return withAccessToken(
+      `${API_BASE_URL}/jobs/${jobId}/executions/${executionId}/logs?follow=true&after=${after}`,
+      await authService.getStreamToken()
+    );
+  }
+
+  /**
+   * URL of the server-sent event stream of job, execution and scheduler
+   * changes, for EventSource (one event per change, named after its type)
+   * @returns {Promise<string>} Stream URL, with a fresh stream token
+   */
+  async getEventStreamUrl() {
+    return withAccessToken(
+      `${API_BASE_URL}/events`,
+      await authService.getStreamToken()
+    );
+  }
+
   /**
    * Get comprehensive job statistics
    * @returns {Promise<Object>} Job statistics including scheduler, cache, and database stats
@@ -204,29 +328,30 @@ class JobService {
   }
 
   /**
-   * Validate cron expression
-   * @param {string} cronExpression - Cron expression to validate
-   * @returns {Promise<Object>} Validation result
+   * Validate cron expression with the scheduler's engine
+   * @param {string} cronExpression - Cron or rate expression to validate
+   * @param {string} timezone - IANA timezone to preview the next runs in
+   * @returns {Promise<Object>} Validation result with the next runs
    */
-  async validateCronExpression(cronExpression) {
+  async validateCronExpression(cronExpression, timezone) {
     try {
-      // For now, we'll do basic client-side validation
-      // In a real implementation, you might want to send this to the backend
-      const cronRegex =
-        /^(\*|[0-5]?[0-9]|\*\/[0-9]+) (\*|[01]?[0-9]|2[0-3]|\*\/[0-9]+) (\*|[12]?[0-9]|3[01]|\*\/[0-9]+) (\*|[01]?[0-9]|1[0-2]|\*\/[0-9]+) (\*|[0-6]|\*\/[0-9]+)$/;
-
-      const isValid = cronRegex.test(cronExpression);
-      return {
-        success: true,
-        data: {
-          isValid,
-          expression: cronExpression,
-          message: isValid
-            ? "Valid cron expression"
-            : "Invalid cron expression format",
-        },
-      };
+      const response = await apiClient.post("/jobs/validate-cron", {
+        cronExpression,
+        timezone,
+      });
+      return response.data;
     } catch (error) {
+      // Invalid expressions come back as 400 with the reason in details
+      if (error.status === 400) {
+        return {
+          success: false,
+          data: {
+            isValid: false,
+            expression: cronExpression,
+            message: error.details?.message || "Invalid cron expression",
+          },
+        };
+      }
       throw this.handleApiError("Failed to validate cron expression", error);
     }
   }
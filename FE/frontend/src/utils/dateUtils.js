@@ -1,14 +1,49 @@
 /**
  * Date utility functions for consistent timezone handling
- * All dates are displayed in IST (Asia/Kolkata) timezone
+ * Job times are displayed in the job's own timezone, everything else in the
+ * browser's timezone. Formatted values carry a short zone label (e.g. "EST").
  */
 
 /**
- * Format a date string to IST timezone with full date and time
+ * Get the browser's IANA timezone
+ * @returns {string} - Timezone name, e.g. "Europe/Berlin"
+ */
+export const getLocalTimeZone = () => {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+};
+
+/**
+ * Get the IANA timezones supported by the browser
+ * @returns {string[]} - Timezone names
+ */
+export const getSupportedTimeZones = () => {
+  if (typeof Intl.supportedValuesOf === "function") {
+    return Intl.supportedValuesOf("timeZone");
+  }
+  return [getLocalTimeZone()];
+};
+
+/**
+ * Check whether a string is a timezone the browser can format in
+ * @param {string} timeZone - IANA timezone name
+ * @returns {boolean}
+ */
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Format a date string in a timezone with full date and time
  * @param {string} dateString - ISO date string
- * @returns {string} - Formatted date string in IST
+ * @param {string} timeZone - IANA timezone (defaults to the browser's)
+ * @returns {string} - Formatted date string with zone label
  */
-export const formatDateTime = (dateString) => {
+export const formatDateTime = (dateString, timeZone = getLocalTimeZone()) => {
   if (!dateString) return null;
   try {
     const date = new Date(dateString);
@@ -16,7 +51,7 @@ export const formatDateTime = (dateString) => {
       return "Invalid date";
     }
     const formatter = new Intl.DateTimeFormat("en-US", {
-      timeZone: "Asia/Kolkata",
+      timeZone,
       month: "short",
       day: "2-digit",
       year: "numeric",
@@ -24,6 +59,7 @@ export const formatDateTime = (dateString) => {
       minute: "2-digit",
       second: "2-digit",
       hour12: false,
+      timeZoneName: "short",
     });
     const parts = formatter.formatToParts(date);
     const month = parts.find((part) => part.type === "month")?.value;
@@ -32,7 +68,8 @@ export const formatDateTime = (dateString) => {
     const hour = parts.find((part) => part.type === "hour")?.value;
     const minute = parts.find((part) => part.type === "minute")?.value;
     const second = parts.find((part) => part.type === "second")?.value;
-    return `${month} ${day}, ${year} ${hour}:${minute}:${second}`;
+    const zone = parts.find((part) => part.type === "timeZoneName")?.value;
+    return `${month} ${day}, ${year} ${hour}:${minute}:${second} ${zone}`;
   } catch (error) {
     console.error("Date formatting error:", error);
     return "Invalid date";
@@ -40,11 +77,15 @@ export const formatDateTime = (dateString) => {
 };
 
 /**
- * Format a date string to IST timezone with short format (no seconds)
+ * Format a date string in a timezone with short format (no year or seconds)
  * @param {string} dateString - ISO date string
- * @returns {string} - Formatted date string in IST
+ * @param {string} timeZone - IANA timezone (defaults to the browser's)
+ * @returns {string} - Formatted date string with zone label
  */
-export const formatDateTimeShort = (dateString) => {
+export const formatDateTimeShort = (
+  dateString,
+  timeZone = getLocalTimeZone()
+) => {
   if (!dateString) return null;
   try {
     const date = new Date(dateString);
@@ -52,19 +93,21 @@ export const formatDateTimeShort = (dateString) => {
       return "Invalid date";
     }
     const formatter = new Intl.DateTimeFormat("en-US", {
-      timeZone: "Asia/Kolkata",
+      timeZone,
       month: "short",
       day: "2-digit",
       hour: "2-digit",
       minute: "2-digit",
       hour12: false,
+      timeZoneName: "short",
     });
     const parts = formatter.formatToParts(date);
     const month = parts.find((part) => part.type === "month")?.value;
     const day = parts.find((part) => part.type === "day")?.value;
     const hour = parts.find((part) => part.type === "hour")?.value;
     const minute = parts.find((part) => part.type === "minute")?.value;
-    return `${month} ${day}, ${hour}:${minute}`;
+    const zone = parts.find((part) => part.type === "timeZoneName")?.value;
+    return `${month} ${day}, ${hour}:${minute} ${zone}`;
   } catch (error) {
     console.error("Date formatting error:", error);
     return "Invalid date";
@@ -72,9 +115,32 @@ export const formatDateTimeShort = (dateString) => {
 };
 
 /**
- * Get current time in IST
- * @returns {string} - Current time formatted in IST
+ * Convert a date string to a datetime-local input value in the browser's timezone
+ * @param {string} dateString - ISO date string
+ * @returns {string} - Value like "2025-01-31T09:30", empty when unset
+ */
+export const toDateTimeLocalValue = (dateString) => {
+  if (!dateString) return "";
+  const date = new Date(dateString);
+  if (isNaN(date.getTime())) return "";
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+/**
+ * Express an interval schedule as a rate expression in its largest whole unit
+ * @param {number} intervalMs - Interval in milliseconds
+ * @returns {string} - Expression like "rate(36 hours)"
  */
-export const getCurrentTimeIST = () => {
-  return formatDateTime(new Date().toISOString());
+export const toRateExpression = (intervalMs) => {
+  const units = [
+    ["day", 24 * 60 * 60 * 1000],
+    ["hour", 60 * 60 * 1000],
+    ["minute", 60 * 1000],
+    ["second", 1000],
+  ];
+  const [unit, unitMs] =
+    units.find(([, ms]) => intervalMs % ms === 0) || units[units.length - 1];
+  const value = Math.round(intervalMs / unitMs);
+  return `rate(${value} ${unit}${value === 1 ? "" : "s"})`;
 };
@@ -0,0 +1,258 @@
+/**
+ * Apply live events (GET /api/events) to the React Query cache, so pages
+ * showing jobs, executions and statistics change without refetching.
+ * Lists whose membership depends on server-side filters, sorting or paging
+ * (a new job, a job switched on or off) are invalidated instead.
+ */
+
+/**
+ * Update the cached data of every query matching a key that has data
+ * @param {QueryClient} queryClient - React Query client
+ * @param {Array} queryKey - Query key prefix
+ * @param {Function} updater - Receives the data and query key, returns new data
+ */
+const updateQueries = (queryClient, queryKey, updater) => {
+  queryClient.getQueriesData(queryKey).forEach(([key, data]) => {
+    if (data?.data) {
+      queryClient.setQueryData(key, updater(data, key));
+    }
+  });
+};
+
+const withData = (response, data) => ({
+  ...response,
+  data: { ...response.data, ...data },
+});
+
+/**
+ * Add or replace an execution in a page of execution history. New
+ * executions only go on the first page, which lists the newest.
+ */
+const mergeExecutionPage = (page, execution) => {
+  const { executions = [], pagination = {} } = page;
+  const index = executions.findIndex((item) => item.id === execution.id);
+
+  if (index >= 0) {
+    const updated = [...executions];
+    updated[index] = { ...updated[index], ...execution };
+    return { ...page, executions: updated };
+  }
+
+  if ((pagination.page || 1) !== 1) return page;
+
+  const total = (pagination.total || 0) + 1;
+  return {
+    ...page,
+    executions: [execution, ...executions].slice(0, pagination.limit || 20),
+    pagination: {
+      ...pagination,
+      total,
+      totalPages: Math.ceil(total / (pagination.limit || 20)),
+    },
+  };
+};
+
+const adjustDatabaseStats = (queryClient, changes) => {
+  updateQueries(queryClient, ["jobStats"], (response) => {
+    const database = { ...response.data.database };
+
+    Object.entries(changes).forEach(([field, delta]) => {
+      if (field === "jobsByType") {
+        const [type, count] = delta;
+        database.jobsByType = {
+          ...database.jobsByType,
+          [type]: Math.max((database.jobsByType?.[type] || 0) + count, 0),
+        };
+      } else {
+        database[field] = Math.max((database[field] || 0) + delta, 0);
+      }
+    });
+
+    return withData(response, { database });
+  });
+};
+
+// Worker figures in the stats belong to the API instance that served them
+const adjustInstanceStats = (queryClient, execution, finished) => {
+  updateQueries(queryClient, ["jobStats"], (response) => {
+    const scheduler = response.data.scheduler || {};
+    if (scheduler.instanceId !== execution.instanceId) return response;
+
+    if (!finished) {
+      return withData(response, {
+        scheduler: {
+          ...scheduler,
+          runningExecutions: (scheduler.runningExecutions || 0) + 1,
+        },
+      });
+    }
+
+    const totalExecutions = (scheduler.totalExecutions || 0) + 1;
+    const successfulExecutions =
+      (scheduler.successfulExecutions || 0) +
+      (execution.status === "completed" ? 1 : 0);
+
+    return withData(response, {
+      scheduler: {
+        ...scheduler,
+        runningExecutions: Math.max((scheduler.runningExecutions || 0) - 1, 0),
+        totalExecutions,
+        successfulExecutions,
+        failedExecutions: totalExecutions - successfulExecutions,
+        averageExecutionTime:
+          ((scheduler.averageExecutionTime || 0) * (totalExecutions - 1) +
+            (execution.durationMs || 0)) /
+          totalExecutions,
+        successRate: ((successfulExecutions / totalExecutions) * 100).toFixed(
+          2
+        ),
+      },
+    });
+  });
+};
+
+const handleJobCreated = (queryClient, event) => {
+  queryClient.invalidateQueries(["jobs"]);
+  adjustDatabaseStats(queryClient, {
+    totalJobs: 1,
+    activeJobs: event.job.isActive ? 1 : 0,
+    jobsByType: [event.jobType, 1],
+  });
+};
+
+const handleJobUpdated = (queryClient, event) => {
+  const { job, wasActive } = event;
+
+  if (wasActive !== job.isActive) {
+    // Active, inactive and paused filters may now match differently
+    queryClient.invalidateQueries(["jobs"]);
+    adjustDatabaseStats(queryClient, { activeJobs: job.isActive ? 1 : -1 });
+  } else {
+    updateQueries(queryClient, ["jobs"], (response) =>
+      withData(response, {
+        jobs: response.data.jobs.map((item) =>
+          item.id === job.id ? job : item
+        ),
+      })
+    );
+  }
+
+  updateQueries(queryClient, ["job", job.id], (response) =>
+    withData(response, { job })
+  );
+};
+
+const handleJobDeleted = (queryClient, event) => {
+  updateQueries(queryClient, ["jobs"], (response) => {
+    const jobs = response.data.jobs.filter((item) => item.id !== event.jobId);
+    if (jobs.length === response.data.jobs.length) return response;
+
+    return withData(response, {
+      jobs,
+      pagination: {
+        ...response.data.pagination,
+        total: Math.max((response.data.pagination?.total || 1) - 1, 0),
+      },
+    });
+  });
+
+  // A page showing the job turns into its not-found state
+  queryClient.invalidateQueries(["job", event.jobId]);
+  adjustDatabaseStats(queryClient, {
+    totalJobs: -1,
+    activeJobs: event.wasActive ? -1 : 0,
+    jobsByType: [event.jobType, -1],
+  });
+};
+
+const handleExecution = (queryClient, event) => {
+  const { execution } = event;
+  const finished = event.type === "execution.finished";
+
+  updateQueries(queryClient, ["job", execution.jobId], (response) =>
+    response.data.executionHistory
+      ? withData(response, {
+          executionHistory: mergeExecutionPage(
+            response.data.executionHistory,
+            execution
+          ),
+        })
+      : response
+  );
+
+  updateQueries(queryClient, ["jobExecutions", execution.jobId], (response) =>
+    withData(response, mergeExecutionPage(response.data, execution))
+  );
+
+  // Searches filter and page on the server
+  queryClient.invalidateQueries(["executions"]);
+
+  // Output and stack are not part of the event
+  if (finished) {
+    queryClient.invalidateQueries(["execution", execution.id]);
+  }
+
+  // Skipped runs are recorded finished, without a started event
+  if (!finished || execution.status === "skipped") {
+    adjustDatabaseStats(queryClient, {
+      totalExecutions: 1,
+      recentExecutions: 1,
+    });
+  }
+
+  if (execution.status !== "skipped") {
+    adjustInstanceStats(queryClient, execution, finished);
+  }
+
+  // Runs are claimed from and retried through the queue, whose figures are
+  // not part of the event
+  queryClient.invalidateQueries(["jobStats"]);
+};
+
+const handleSchedulerState = (queryClient, event) => {
+  updateQueries(queryClient, ["jobStats"], (response) => {
+    const { scheduler = {}, cluster = {} } = response.data;
+    let { leader } = cluster;
+
+    if (event.isLeader) {
+      leader = { instanceId: event.instanceId, acquiredAt: event.timestamp };
+    } else if (leader?.instanceId === event.instanceId) {
+      leader = null;
+    }
+
+    return withData(response, {
+      cluster: { ...cluster, leader },
+      scheduler:
+        scheduler.instanceId === event.instanceId
+          ? {
+              ...scheduler,
+              isLeader: event.isLeader,
+              schedulerRunning: event.schedulerRunning,
+              workerRunning: event.workerRunning,
+              isRunning: event.schedulerRunning || event.workerRunning,
+            }
+          : scheduler,
+    });
+  });
+};
+
+const EVENT_HANDLERS = {
+  "job.created": handleJobCreated,
+  "job.updated": handleJobUpdated,
+  "job.deleted": handleJobDeleted,
+  "execution.started": handleExecution,
+  "execution.finished": handleExecution,
+  "scheduler.state": handleSchedulerState,
+};
+
+export const LIVE_EVENT_TYPES = Object.keys(EVENT_HANDLERS);
+
+/**
+ * Apply one live event to the cache
+ * @param {QueryClient} queryClient - React Query client
+ * @param {Object} event - Parsed event data
+ */
+export const applyLiveEvent = (queryClient, event) => {
+  const handler = EVENT_HANDLERS[event.type];
+  if (handler) handler(queryClient, event);
+};